@@ -11,6 +11,9 @@ pragma solidity ^0.8.0;
  * Features:
  * - Whitelist of authorized bot addresses
  * - Sweep MATIC and ERC20 tokens
+ * - Batch sweep of several assets in one transaction
+ * - Revoke an ERC20 allowance the Safe granted (no funds moved)
+ * - Sweep ERC721 / ERC1155 token ids
  * - Emergency sweep all functionality
  * - Health check for monitoring
  */
@@ -18,6 +21,23 @@ pragma solidity ^0.8.0;
 interface IERC20 {
     function balanceOf(address account) external view returns (uint256);
     function transfer(address to, uint256 amount) external returns (bool);
+    function approve(address spender, uint256 amount) external returns (bool);
+}
+
+interface IERC721 {
+    function ownerOf(uint256 tokenId) external view returns (address);
+    function transferFrom(address from, address to, uint256 tokenId) external;
+}
+
+interface IERC1155 {
+    function balanceOf(address account, uint256 id) external view returns (uint256);
+    function safeBatchTransferFrom(
+        address from,
+        address to,
+        uint256[] calldata ids,
+        uint256[] calldata amounts,
+        bytes calldata data
+    ) external;
 }
 
 interface ISafe {
@@ -42,6 +62,9 @@ contract DefensiveSweeper {
     event BotDeauthorized(address indexed bot);
     event TokenSwept(address indexed token, uint256 amount, address indexed vault);
     event MaticSwept(uint256 amount, address indexed vault);
+    event TokenSweepFailed(address indexed token, uint256 amount);
+    event ApprovalRevoked(address indexed token, address indexed spender);
+    event NftSwept(address indexed collection, uint256 tokenId, uint256 amount, address indexed vault);
 
     modifier onlyOwner() {
         require(msg.sender == owner || (safe != address(0) && ISafe(safe).isOwner(msg.sender)), "Not owner");
@@ -214,6 +237,168 @@ contract DefensiveSweeper {
         emit TokenSwept(tokenAddress, balance, vault);
     }
 
+    /**
+     * Sweep several assets to vault in ONE transaction
+     *
+     * address(0) in the list means native MATIC. Assets are swept in list order
+     * (put the most valuable first). Empty balances are skipped and a failing
+     * token doesn't block the rest - reverts only if nothing was swept.
+     */
+    function sweepTokens(address[] calldata tokenAddresses) external onlyAuthorized {
+        require(safe != address(0), "Not initialized");
+        require(tokenAddresses.length > 0, "No tokens given");
+
+        uint256 swept = 0;
+
+        for (uint256 i = 0; i < tokenAddresses.length; i++) {
+            address tokenAddress = tokenAddresses[i];
+
+            if (tokenAddress == address(0)) {
+                uint256 maticBalance = safe.balance;
+                if (maticBalance == 0) continue;
+
+                bytes memory empty = "";
+                if (ISafe(safe).execTransactionFromModule(vault, maticBalance, empty, 0)) {
+                    emit MaticSwept(maticBalance, vault);
+                    swept++;
+                }
+                continue;
+            }
+
+            uint256 balance = IERC20(tokenAddress).balanceOf(safe);
+            if (balance == 0) continue;
+
+            bytes memory data = abi.encodeWithSelector(
+                IERC20.transfer.selector,
+                vault,
+                balance
+            );
+
+            if (ISafe(safe).execTransactionFromModule(tokenAddress, 0, data, 0)) {
+                emit TokenSwept(tokenAddress, balance, vault);
+                swept++;
+            } else {
+                emit TokenSweepFailed(tokenAddress, balance);
+            }
+        }
+
+        require(swept > 0, "No tokens to sweep");
+    }
+
+    /**
+     * Revoke an allowance the Safe granted: approve(spender, 0) executed by the Safe
+     *
+     * Neutralises a risky approval without moving any funds.
+     */
+    function revokeApproval(address tokenAddress, address spender) external onlyAuthorized {
+        require(safe != address(0), "Not initialized");
+        require(tokenAddress != address(0), "Invalid token");
+        require(spender != address(0), "Invalid spender");
+
+        bytes memory data = abi.encodeWithSelector(
+            IERC20.approve.selector,
+            spender,
+            0
+        );
+
+        bool success = ISafe(safe).execTransactionFromModule(
+            tokenAddress,
+            0,
+            data,
+            0
+        );
+
+        require(success, "Approval revoke failed");
+        emit ApprovalRevoked(tokenAddress, spender);
+    }
+
+    /**
+     * Sweep specific ERC721 token ids from Safe to vault
+     *
+     * Uses transferFrom (no onERC721Received callback - the vault is ours).
+     * Ids the Safe no longer owns are skipped - reverts only if nothing was swept.
+     */
+    function sweepERC721(address collection, uint256[] calldata tokenIds) external onlyAuthorized {
+        require(safe != address(0), "Not initialized");
+        require(collection != address(0), "Invalid collection");
+        require(tokenIds.length > 0, "No token ids given");
+
+        uint256 swept = 0;
+
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            uint256 tokenId = tokenIds[i];
+
+            try IERC721(collection).ownerOf(tokenId) returns (address holder) {
+                if (holder != safe) continue;
+            } catch {
+                continue; // Burned / nonexistent id
+            }
+
+            bytes memory data = abi.encodeWithSelector(
+                IERC721.transferFrom.selector,
+                safe,
+                vault,
+                tokenId
+            );
+
+            if (ISafe(safe).execTransactionFromModule(collection, 0, data, 0)) {
+                emit NftSwept(collection, tokenId, 1, vault);
+                swept++;
+            }
+        }
+
+        require(swept > 0, "No NFTs to sweep");
+    }
+
+    /**
+     * Sweep the Safe's full balance of specific ERC1155 ids to vault
+     *
+     * One safeBatchTransferFrom for every id with a balance. The vault must
+     * accept ERC1155 (onERC1155BatchReceived) if it is a contract.
+     */
+    function sweepERC1155(address collection, uint256[] calldata tokenIds) external onlyAuthorized {
+        require(safe != address(0), "Not initialized");
+        require(collection != address(0), "Invalid collection");
+        require(tokenIds.length > 0, "No token ids given");
+
+        uint256[] memory balances = new uint256[](tokenIds.length);
+        uint256 count = 0;
+
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            balances[i] = IERC1155(collection).balanceOf(safe, tokenIds[i]);
+            if (balances[i] > 0) count++;
+        }
+
+        require(count > 0, "No NFTs to sweep");
+
+        // Only the ids that actually have a balance
+        uint256[] memory ids = new uint256[](count);
+        uint256[] memory amounts = new uint256[](count);
+        uint256 j = 0;
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            if (balances[i] == 0) continue;
+            ids[j] = tokenIds[i];
+            amounts[j] = balances[i];
+            j++;
+        }
+
+        bytes memory data = abi.encodeWithSelector(
+            IERC1155.safeBatchTransferFrom.selector,
+            safe,
+            vault,
+            ids,
+            amounts,
+            ""
+        );
+
+        bool success = ISafe(safe).execTransactionFromModule(collection, 0, data, 0);
+        require(success, "NFT transfer failed");
+
+        for (uint256 i = 0; i < count; i++) {
+            emit NftSwept(collection, ids[i], amounts[i], vault);
+        }
+    }
+
     /**
      * Emergency sweep all tokens (batch operation)
      */
@@ -0,0 +1,400 @@
+/**
+ * Approval Audit
+ *
+ * Full allowance report for periodic security reviews: every (token, spender)
+ * pair each protected Safe has granted that is still live on-chain, with the
+ * current allowance, the grant tx / block / time, the spender risk score and
+ * whether the spender has ever pulled funds with it (transferFrom).
+ *
+ * Built on the approval tracker: scanHistoricalApprovals() (resumes from
+ * APPROVAL_CHECKPOINT_PATH, shared with the bot) and checkKnownRiskyAllowances()
+ * for the current allowances and scores. Read-only - nothing is queued for
+ * revocation.
+ *
+ * "Spender used it": a transfer out of the Safe of that token (Transfer,
+ * TransferSingle / TransferBatch) in a tx whose debug_traceTransaction call
+ * tree has the spender calling transferFrom / safeTransferFrom(Safe, ...) on
+ * the token - or Permit2's transferFrom for Permit2 allowances. ERC1155
+ * transfers name the operator directly. Where the node can't trace the tx
+ * (no debug namespace, pruned state) it falls back to "tx sent by or to the
+ * spender, not executed by the Safe" and the row's useCheck says "heuristic".
+ *
+ * Usage:
+ *   node approval_audit.js [--json file.json] [--csv file.csv]
+ *   (no flags: writes approval_audit-<date>.json and .csv)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+require("dotenv").config();
+
+const { ApprovalTracker } = require("./approval_tracker");
+const { SafeRegistry } = require("./safe_registry");
+const { LogScanner } = require("./log_scanner");
+const { PERMIT2_ADDRESS } = require("./permit_decoder");
+
+const TRANSFER_TOPIC = ethers.utils.id("Transfer(address,address,uint256)");
+const TRANSFER_SINGLE_TOPIC = ethers.utils.id("TransferSingle(address,address,address,uint256,uint256)");
+const TRANSFER_BATCH_TOPIC = ethers.utils.id("TransferBatch(address,address,address,uint256[],uint256[])");
+
+// Calls that pull from an owner with an allowance / operator approval
+const PULL_INTERFACE = new ethers.utils.Interface([
+  "function transferFrom(address from, address to, uint256 amount)",
+  "function safeTransferFrom(address from, address to, uint256 tokenId)",
+  "function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)",
+]);
+const PERMIT2_PULL_INTERFACE = new ethers.utils.Interface([
+  "function transferFrom(address from, address to, uint160 amount, address token)",
+  "function transferFrom((address from, address to, uint160 amount, address token)[] transferDetails)",
+]);
+
+const CSV_COLUMNS = [
+  "owner",
+  "type",
+  "token",
+  "symbol",
+  "spender",
+  "allowance",
+  "allowanceRaw",
+  "expiration",
+  "grantTx",
+  "grantBlock",
+  "grantTime",
+  "riskScore",
+  "riskAction",
+  "riskReasons",
+  "listed",
+  "spenderUsed",
+  "spenderUseCount",
+  "lastUseTx",
+  "useCheck",
+];
+
+class ApprovalAudit {
+  /**
+   * @param {Object} config - Bot config (chainId, safes, approval / spender risk settings, logChunkSize)
+   * @param {Array<string>} safeAddresses - Safes to audit
+   */
+  constructor(config, safeAddresses) {
+    this.config = config;
+    this.safeAddresses = safeAddresses;
+    this.tracker = new ApprovalTracker({ ...config, safeAddresses, queueRevocations: false });
+    this.provider = null;
+
+    this.transactions = new Map(); // txHash -> Promise of { from, to } | null
+    this.traces = new Map(); // txHash -> Promise of flattened call frames | null (not traceable)
+    this.traceFallbackLogged = false;
+  }
+
+  /**
+   * @param {Object} provider - HTTP provider (eth_getLogs, eth_call, eth_getCode)
+   * @returns {Object} The report ({ generatedAt, chainId, latestBlock, safes, summary, approvals })
+   */
+  async run(provider) {
+    this.provider = provider;
+    this.tracker.setProvider(provider);
+
+    console.log("🔎 Collecting approvals...");
+    await this.tracker.scanHistoricalApprovals();
+    await this.tracker.checkKnownRiskyAllowances();
+
+    const latestBlock = await provider.getBlockNumber();
+    const entries = Array.from(this.tracker.watchList.values());
+    const rows = [];
+
+    for (const safe of this.safeAddresses) {
+      const owned = entries.filter((details) => details.owner.toLowerCase() === safe.toLowerCase());
+      if (owned.length === 0) continue;
+
+      console.log(`\n🔎 ${safe}: checking ${owned.length} spender(s) for transferFrom...`);
+      const transfers = await this.scanOutgoingTransfers(safe, latestBlock);
+
+      for (const details of owned) {
+        rows.push(this.toRow(details, await this.findUses(details, transfers)));
+      }
+    }
+
+    rows.sort((a, b) => (b.riskScore ?? 101) - (a.riskScore ?? 101) || a.owner.localeCompare(b.owner));
+
+    return {
+      generatedAt: new Date().toISOString(),
+      chainId: this.config.chainId || 137,
+      latestBlock,
+      safes: this.safeAddresses,
+      summary: this.summarize(rows),
+      approvals: rows,
+    };
+  }
+
+  /**
+   * Every token / NFT leaving a Safe since it was created, grouped by token (lowercase)
+   */
+  async scanOutgoingTransfers(safe, latestBlock) {
+    const safeState = this.tracker.backfill.safes[safe.toLowerCase()];
+    const fromBlock = safeState ? safeState.creationBlock : Math.max(0, latestBlock - (this.config.approvalLookbackBlocks || 1000000));
+    const safeTopic = ethers.utils.hexZeroPad(safe.toLowerCase(), 32);
+    const scanner = new LogScanner(this.provider, { chunkSize: this.config.logChunkSize, debug: this.config.debug });
+    const byToken = new Map();
+
+    const collect = async (logs) => {
+      for (const log of logs) {
+        const key = log.address.toLowerCase();
+        if (!byToken.has(key)) byToken.set(key, []);
+        byToken.get(key).push(log);
+      }
+    };
+
+    // ERC20 / ERC721 Transfer(from = Safe), ERC1155 TransferSingle / TransferBatch(from = Safe)
+    await scanner.scan({ topics: [TRANSFER_TOPIC, safeTopic] }, fromBlock, latestBlock, collect);
+    await scanner.scan({ topics: [[TRANSFER_SINGLE_TOPIC, TRANSFER_BATCH_TOPIC], null, safeTopic] }, fromBlock, latestBlock, collect);
+
+    return byToken;
+  }
+
+  /**
+   * Transfers out of the Safe the spender made with this approval
+   * @returns {Object} { txs: tx hashes oldest first, heuristic: true if any candidate tx couldn't be traced }
+   */
+  async findUses(details, transfers) {
+    const spender = details.spender.toLowerCase();
+    const owner = details.owner.toLowerCase();
+    const uses = new Set();
+    let heuristic = false;
+
+    for (const log of transfers.get(details.token.toLowerCase()) || []) {
+      if (log.topics[0] !== TRANSFER_TOPIC) {
+        // ERC1155 - the operator is topics[1]
+        if (log.topics[1].slice(26) === spender.slice(2)) uses.add(log.transactionHash);
+        continue;
+      }
+
+      const tx = await this.getTransaction(log.transactionHash);
+      if (!tx || tx.to === owner) continue; // The owners moved it (execTransaction)
+
+      const frames = await this.getTrace(log.transactionHash);
+      if (frames) {
+        if (frames.some((frame) => this.isPullBySpender(frame, details))) uses.add(log.transactionHash);
+      } else {
+        heuristic = true;
+        if (tx.from === spender || tx.to === spender) uses.add(log.transactionHash);
+      }
+    }
+
+    return { txs: Array.from(uses), heuristic };
+  }
+
+  /**
+   * Did this call frame spend the approval - the spender calling the token's
+   * transferFrom / safeTransferFrom (or Permit2's transferFrom) from the owner?
+   */
+  isPullBySpender(frame, details) {
+    if (frame.reverted || frame.from !== details.spender.toLowerCase()) return false;
+    const owner = details.owner.toLowerCase();
+    const token = details.token.toLowerCase();
+
+    try {
+      if (details.type === "PERMIT2") {
+        if (frame.to !== PERMIT2_ADDRESS.toLowerCase()) return false;
+        const call = PERMIT2_PULL_INTERFACE.parseTransaction({ data: frame.input });
+        const pulls = call.args.length === 1 ? call.args[0] : [call.args];
+        return pulls.some((pull) => pull.from.toLowerCase() === owner && pull.token.toLowerCase() === token);
+      }
+
+      if (frame.to !== token) return false;
+      const call = PULL_INTERFACE.parseTransaction({ data: frame.input });
+      return call.args.from.toLowerCase() === owner;
+    } catch (error) {
+      return false; // Some other call
+    }
+  }
+
+  /**
+   * Call frames of a mined tx (debug_traceTransaction, callTracer), null when the node can't trace it
+   */
+  getTrace(txHash) {
+    if (!this.traces.has(txHash)) {
+      const lookup = this.provider
+        .send("debug_traceTransaction", [txHash, { tracer: "callTracer" }])
+        .then((root) => {
+          const frames = [];
+          const walk = (frame, parentReverted) => {
+            if (!frame) return;
+            const reverted = parentReverted || !!frame.error;
+            frames.push({
+              from: (frame.from || "").toLowerCase(),
+              to: (frame.to || "").toLowerCase(),
+              input: frame.input || "0x",
+              reverted,
+            });
+            for (const child of frame.calls || []) walk(child, reverted);
+          };
+          walk(root, false);
+          return frames;
+        })
+        .catch((error) => {
+          if (!this.traceFallbackLogged) {
+            this.traceFallbackLogged = true;
+            console.log(`   ⚠️ debug_traceTransaction unavailable (${error.message.substring(0, 80)}) - matching tx sender instead`);
+          }
+          return null;
+        });
+      this.traces.set(txHash, lookup);
+    }
+    return this.traces.get(txHash);
+  }
+
+  getTransaction(txHash) {
+    if (!this.transactions.has(txHash)) {
+      const lookup = this.provider
+        .getTransaction(txHash)
+        .then((tx) => tx && { from: tx.from.toLowerCase(), to: tx.to ? tx.to.toLowerCase() : null })
+        .catch(() => null);
+      this.transactions.set(txHash, lookup);
+    }
+    return this.transactions.get(txHash);
+  }
+
+  toRow(details, uses) {
+    const risk = details.risk;
+    return {
+      owner: details.owner,
+      type: details.type,
+      token: details.token,
+      symbol: details.symbol,
+      spender: details.spender,
+      allowance: details.type === "NFT_OPERATOR" ? "all ids" : this.tracker.formatAmount(details),
+      allowanceRaw: details.amount,
+      expiration: details.expiration ? new Date(details.expiration * 1000).toISOString() : null,
+      grantTx: details.txHash,
+      grantBlock: details.blockNumber,
+      grantTime: details.timestamp ? new Date(details.timestamp).toISOString() : null,
+      riskScore: risk ? risk.score : null,
+      riskAction: risk ? risk.action : null,
+      riskReasons: risk ? risk.reasons : [],
+      listed: risk ? risk.listed : null,
+      spenderUsed: uses.txs.length > 0,
+      spenderUseCount: uses.txs.length,
+      lastUseTx: uses.txs.length > 0 ? uses.txs[uses.txs.length - 1] : null,
+      useCheck: uses.heuristic ? "heuristic" : "trace",
+    };
+  }
+
+  summarize(rows) {
+    const count = (predicate) => rows.filter(predicate).length;
+    return {
+      approvals: rows.length,
+      unlimited: count((row) => row.allowance === "unlimited" || row.allowance === "all ids"),
+      sweep: count((row) => row.riskAction === "sweep"),
+      alert: count((row) => row.riskAction === "alert"),
+      unscored: count((row) => row.riskScore === null),
+      usedBySpender: count((row) => row.spenderUsed),
+    };
+  }
+
+  /**
+   * CSV with one line per approval (reasons joined with "|")
+   */
+  static toCsv(report) {
+    const escape = (value) => {
+      const text = Array.isArray(value) ? value.join("|") : value === null || value === undefined ? "" : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [CSV_COLUMNS.join(",")];
+    for (const row of report.approvals) {
+      lines.push(CSV_COLUMNS.map((column) => escape(row[column])).join(","));
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  static print(report) {
+    console.log("\n📋 APPROVAL AUDIT");
+    console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━");
+    console.log(`   Chain ${report.chainId}, block ${report.latestBlock}, ${report.generatedAt}`);
+
+    for (const row of report.approvals) {
+      const used = row.spenderUsed
+        ? `USED ${row.spenderUseCount}x (last ${row.lastUseTx}${row.useCheck === "heuristic" ? ", untraced - tx sender match" : ""})`
+        : "never used";
+      console.log(`\n   ${row.spender} - ${row.allowance} of ${row.symbol} (${row.type}, owner ${row.owner})`);
+      const grantTime = row.grantTime ? ` (${row.grantTime})` : "";
+      console.log(`      Granted: block ${row.grantBlock}${grantTime} tx ${row.grantTx}`);
+      console.log(
+        `      Risk: ${row.riskScore ?? "?"}/100 ${row.riskAction || "unscored"} (${row.riskReasons.join(", ") || "no signals"}) - ${used}`
+      );
+    }
+
+    const { summary } = report;
+    console.log("\n━━━━━━━━━━━━━━━━━━━━━━━━━━");
+    console.log(
+      `   ${summary.approvals} live approval(s): ${summary.unlimited} unlimited, ${summary.sweep} sweep-risk, ` +
+        `${summary.alert} alert-risk, ${summary.unscored} unscored, ${summary.usedBySpender} used by their spender`
+    );
+  }
+}
+
+async function main() {
+  const arg = (flag) => {
+    const index = process.argv.indexOf(flag);
+    return index !== -1 ? process.argv[index + 1] : null;
+  };
+
+  const rpcUrl = process.env.DRPC_HTTP || process.env.QUICKNODE_HTTP || process.env.INFURA_HTTP || process.env.RPC_URL;
+  if (!rpcUrl) {
+    console.error("❌ No RPC configured (DRPC_HTTP / QUICKNODE_HTTP / INFURA_HTTP / RPC_URL)");
+    process.exit(1);
+  }
+
+  const config = {
+    chainId: parseInt(process.env.CHAIN_ID) || 137,
+    safeAddress: process.env.SAFE_ADDRESS,
+    vaultAddress: process.env.VAULT_ADDRESS,
+    sweeperAddress: process.env.SWEEPER_MODULE,
+    safesConfigPath: process.env.SAFES_CONFIG,
+    usdtContract: process.env.USDT_CONTRACT,
+    logChunkSize: parseInt(process.env.LOG_CHUNK_SIZE) || 10000,
+    approvalCheckpointPath: process.env.APPROVAL_CHECKPOINT_PATH || "./.approval_checkpoint.json",
+    approvalStartBlock: parseInt(process.env.APPROVAL_START_BLOCK) || null,
+    approvalLookbackBlocks: parseInt(process.env.APPROVAL_LOOKBACK_BLOCKS) || 1000000,
+    spenderAllowlistPath: process.env.SPENDER_ALLOWLIST_PATH,
+    spenderDenylistPath: process.env.SPENDER_DENYLIST_PATH,
+    spenderRiskSweepScore: parseInt(process.env.SPENDER_RISK_SWEEP_SCORE) || 50,
+    spenderRiskAlertScore: parseInt(process.env.SPENDER_RISK_ALERT_SCORE) || 20,
+    spenderNewContractDays: parseInt(process.env.SPENDER_NEW_CONTRACT_DAYS) || 7,
+    debug: process.env.DEBUG === "true",
+  };
+
+  const safes = new SafeRegistry(config).addresses();
+  const provider = new ethers.providers.JsonRpcProvider(rpcUrl, config.chainId);
+
+  const audit = new ApprovalAudit(config, safes);
+  const report = await audit.run(provider);
+  ApprovalAudit.print(report);
+
+  let jsonPath = arg("--json");
+  let csvPath = arg("--csv");
+  if (!jsonPath && !csvPath) {
+    const base = `approval_audit-${report.generatedAt.slice(0, 10)}`;
+    jsonPath = `${base}.json`;
+    csvPath = `${base}.csv`;
+  }
+
+  if (jsonPath) {
+    fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+    console.log(`\n✅ JSON report: ${path.resolve(jsonPath)}`);
+  }
+  if (csvPath) {
+    fs.writeFileSync(csvPath, ApprovalAudit.toCsv(report));
+    console.log(`✅ CSV report: ${path.resolve(csvPath)}`);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Approval audit failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { ApprovalAudit };
@@ -0,0 +1,247 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { LogScanner } = require("./log_scanner");
+const { decodeApprovalLog, APPROVAL_EVENT_TOPICS } = require("./approval_events");
+
+/**
+ * Approval Backfill
+ *
+ * Finds every (owner, token, spender) allowance a Safe has ever granted -
+ * ERC20, Permit2 and NFT operator approvals (approval_events.js) - by
+ * scanning approval logs from the Safe's creation block, not just the last
+ * 100k blocks - an approval from three weeks ago is as dangerous as one from
+ * an hour ago.
+ *
+ * - Creation block: APPROVAL_START_BLOCK if set, otherwise a binary search on
+ *   eth_getCode (needs an archive node - falls back to
+ *   APPROVAL_LOOKBACK_BLOCKS when historical state is unavailable)
+ * - Chunked eth_getLogs via LogScanner (shrinks on "range too large")
+ * - Checkpoint (APPROVAL_CHECKPOINT_PATH): per-Safe scanned-to block plus
+ *   every pair found so far, written after each chunk - a restart resumes
+ *   where it stopped and later runs only scan new blocks
+ *
+ * The result is the candidate pairs; the tracker checks each against the
+ * current on-chain allowance.
+ */
+
+// Bumped when the scanned events change - older checkpoints are rescanned
+const CHECKPOINT_VERSION = 2;
+
+/**
+ * First block with code at an address (binary search over eth_getCode - needs
+ * archive state, throws without it)
+ *
+ * @returns {number|null} Deployment block, null if there is no code at latestBlock
+ */
+async function findCreationBlock(provider, address, latestBlock) {
+  if ((await provider.getCode(address, latestBlock)) === "0x") return null;
+
+  let low = 0;
+  let high = latestBlock;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if ((await provider.getCode(address, mid)) !== "0x") {
+      high = mid;
+    } else {
+      low = mid + 1;
+    }
+  }
+  return low;
+}
+
+class ApprovalBackfill {
+  /**
+   * @param {Object} config - { chainId, approvalCheckpointPath, approvalStartBlock, approvalLookbackBlocks, logChunkSize, debug }
+   * @param {Array<string>} safeAddresses - Checksummed Safe addresses
+   */
+  constructor(config, safeAddresses) {
+    this.config = config;
+    this.safeAddresses = safeAddresses;
+    this.checkpointPath = config.approvalCheckpointPath || null;
+    this.lookbackBlocks = config.approvalLookbackBlocks || 1000000;
+
+    this.safes = {}; // lowercase safe -> { creationBlock, scannedTo }
+    this.pairs = new Map(); // "type:owner:token:spender" -> { type, owner, token, spender, amount, expiration, blockNumber, txHash }
+
+    this.stats = {
+      logsScanned: 0,
+      blocksScanned: 0,
+      resumedFrom: null,
+    };
+  }
+
+  /**
+   * Scan every Safe up to the latest block
+   *
+   * @param {Object} provider - Provider for eth_getLogs / eth_getCode
+   * @returns {Array<Object>} Pairs whose last approval event left them active
+   */
+  async run(provider) {
+    this.load();
+
+    const latestBlock = await provider.getBlockNumber();
+    const scanner = new LogScanner(provider, {
+      chunkSize: this.config.logChunkSize,
+      debug: this.config.debug,
+    });
+
+    for (const safe of this.safeAddresses) {
+      const key = safe.toLowerCase();
+      if (!this.safes[key]) {
+        this.safes[key] = { creationBlock: await this.findCreationBlock(provider, safe, latestBlock), scannedTo: null };
+      }
+
+      const state = this.safes[key];
+      const fromBlock = state.scannedTo !== null ? state.scannedTo + 1 : state.creationBlock;
+      if (fromBlock > latestBlock) continue;
+
+      if (state.scannedTo !== null) {
+        this.stats.resumedFrom = this.stats.resumedFrom === null ? fromBlock : Math.min(this.stats.resumedFrom, fromBlock);
+        console.log(`   ⏩ ${safe}: resuming approval scan from block ${fromBlock}`);
+      } else {
+        console.log(`   🔎 ${safe}: scanning approvals from creation block ${fromBlock} to ${latestBlock}...`);
+      }
+
+      const totalBlocks = latestBlock - fromBlock + 1;
+      let nextProgress = 0.25;
+
+      this.stats.logsScanned += await scanner.scan(
+        { topics: [APPROVAL_EVENT_TOPICS, ethers.utils.hexZeroPad(key, 32)] },
+        fromBlock,
+        latestBlock,
+        async (logs, chunkFrom, chunkTo) => {
+          for (const log of logs) {
+            this.record(log);
+          }
+          state.scannedTo = chunkTo;
+          this.stats.blocksScanned += chunkTo - chunkFrom + 1;
+          this.persist();
+
+          const done = (chunkTo - fromBlock + 1) / totalBlocks;
+          if (done >= nextProgress && done < 1) {
+            console.log(`      ${Math.floor(done * 100)}% (block ${chunkTo}, ${this.pairs.size} pair(s) so far)`);
+            while (nextProgress <= done) nextProgress += 0.25;
+          }
+        }
+      );
+    }
+
+    console.log(`   📊 Approval backfill: ${this.pairs.size} candidate pair(s), ${this.stats.logsScanned} log(s) this run`);
+    return Array.from(this.pairs.values());
+  }
+
+  /**
+   * Keep the latest approval event per pair - a revocation drops it
+   */
+  record(log) {
+    const approval = decodeApprovalLog(log);
+    if (!approval) return;
+
+    const { type, owner, token, spender } = approval;
+    const key = `${type}:${owner}:${token}:${spender}`;
+
+    if (!approval.active) {
+      this.pairs.delete(key);
+      return;
+    }
+    this.pairs.set(key, {
+      type,
+      owner,
+      token,
+      spender,
+      amount: approval.amount ? approval.amount.toString() : null,
+      expiration: approval.expiration,
+      blockNumber: log.blockNumber,
+      txHash: log.transactionHash,
+    });
+  }
+
+  /**
+   * Block the scan of a Safe starts from: APPROVAL_START_BLOCK or its creation block
+   */
+  async findCreationBlock(provider, safe, latestBlock) {
+    if (this.config.approvalStartBlock) return this.config.approvalStartBlock;
+
+    const fallback = Math.max(0, latestBlock - this.lookbackBlocks);
+    try {
+      const creationBlock = await findCreationBlock(provider, safe, latestBlock);
+      if (creationBlock === null) {
+        return latestBlock; // Not deployed yet (counterfactual Safe) - nothing to backfill
+      }
+
+      console.log(`   🏗️  ${safe} created at block ${creationBlock}`);
+      return creationBlock;
+    } catch (error) {
+      console.log(
+        `   ⚠️  Could not find creation block of ${safe} (${error.message.substring(0, 60)}) - ` +
+          `scanning from ${fallback} (set APPROVAL_START_BLOCK for the full history)`
+      );
+      return fallback;
+    }
+  }
+
+  /**
+   * Restore the checkpoint (ignored if it belongs to another chain)
+   */
+  load() {
+    if (!this.checkpointPath || !fs.existsSync(this.checkpointPath)) return;
+
+    let state;
+    try {
+      state = JSON.parse(fs.readFileSync(this.checkpointPath, "utf8"));
+    } catch (error) {
+      console.warn(`   ⚠️ Ignoring unreadable approval checkpoint ${this.checkpointPath}: ${error.message}`);
+      return;
+    }
+
+    if (state.chainId !== (this.config.chainId || 137)) {
+      console.log("   ℹ️  Approval checkpoint belongs to another chain - starting fresh");
+      return;
+    }
+    if (state.version !== CHECKPOINT_VERSION) {
+      console.log("   ℹ️  Approval checkpoint predates the current event set - rescanning");
+      return;
+    }
+
+    this.safes = state.safes || {};
+    for (const pair of state.pairs || []) {
+      this.pairs.set(`${pair.type}:${pair.owner}:${pair.token}:${pair.spender}`, pair);
+    }
+  }
+
+  /**
+   * Write the checkpoint atomically (tmp file + rename)
+   */
+  persist() {
+    if (!this.checkpointPath) return;
+
+    const state = {
+      version: CHECKPOINT_VERSION,
+      chainId: this.config.chainId || 137,
+      safes: this.safes,
+      pairs: Array.from(this.pairs.values()),
+      updatedAt: new Date().toISOString(),
+    };
+
+    try {
+      const dir = path.dirname(this.checkpointPath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+      const tmpPath = `${this.checkpointPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+      fs.renameSync(tmpPath, this.checkpointPath);
+    } catch (error) {
+      console.warn(`⚠️ Could not persist approval checkpoint: ${error.message}`);
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      pairs: this.pairs.size,
+    };
+  }
+}
+
+module.exports = { ApprovalBackfill, findCreationBlock };
@@ -0,0 +1,122 @@
+const { ethers } = require("ethers");
+const { PERMIT2_ADDRESS } = require("./permit_decoder");
+
+/**
+ * Approval Events
+ *
+ * Every log that grants (or takes back) the right to move a Safe's assets,
+ * decoded into one shape for the approval tracker and the backfill:
+ *
+ * - ERC20 Approval(owner, spender, value)
+ * - Permit2 Approval / Permit(owner, token, spender, amount, expiration) and
+ *   Lockdown(owner, token, spender) - canonical Permit2 contract only
+ * - ERC721 / ERC1155 ApprovalForAll(owner, operator, approved)
+ *
+ * The owner is topics[1] in all of them, so one filter with a topic0 OR-list
+ * and the Safe addresses as topics[1] covers everything. ERC721's single-id
+ * Approval (tokenId as a 4th topic) is not an allowance and is skipped.
+ */
+
+const APPROVAL_TOPIC = ethers.utils.id("Approval(address,address,uint256)");
+const APPROVAL_FOR_ALL_TOPIC = ethers.utils.id("ApprovalForAll(address,address,bool)");
+const PERMIT2_APPROVAL_TOPIC = ethers.utils.id("Approval(address,address,address,uint160,uint48)");
+const PERMIT2_PERMIT_TOPIC = ethers.utils.id("Permit(address,address,address,uint160,uint48,uint48)");
+const PERMIT2_LOCKDOWN_TOPIC = ethers.utils.id("Lockdown(address,address,address)");
+
+const APPROVAL_EVENT_TOPICS = [
+  APPROVAL_TOPIC,
+  APPROVAL_FOR_ALL_TOPIC,
+  PERMIT2_APPROVAL_TOPIC,
+  PERMIT2_PERMIT_TOPIC,
+  PERMIT2_LOCKDOWN_TOPIC,
+];
+
+// Permit2 allowances are uint160 - this is its "unlimited"
+const MAX_UINT160 = ethers.BigNumber.from(2).pow(160).sub(1);
+
+const topicAddress = (topic) => ethers.utils.getAddress("0x" + topic.slice(26));
+
+/**
+ * @param {Object} log - Raw log matching one of APPROVAL_EVENT_TOPICS
+ * @returns {Object|null} { type: "ERC20" | "PERMIT2" | "NFT_OPERATOR", owner, token, spender,
+ *   amount (BigNumber, null for operators), expiration (Permit2 unix seconds, else null),
+ *   active (false = revoked / zeroed) } or null if not an allowance log
+ */
+function decodeApprovalLog(log) {
+  const topic = log.topics[0];
+  const isPermit2 = log.address.toLowerCase() === PERMIT2_ADDRESS.toLowerCase();
+
+  if (topic === APPROVAL_TOPIC) {
+    if (log.topics.length !== 3) return null;
+    const amount = ethers.BigNumber.from(log.data === "0x" ? 0 : log.data);
+    return {
+      type: "ERC20",
+      owner: topicAddress(log.topics[1]),
+      token: ethers.utils.getAddress(log.address),
+      spender: topicAddress(log.topics[2]),
+      amount,
+      expiration: null,
+      active: !amount.isZero(),
+    };
+  }
+
+  if (topic === APPROVAL_FOR_ALL_TOPIC) {
+    if (log.topics.length !== 3) return null;
+    return {
+      type: "NFT_OPERATOR",
+      owner: topicAddress(log.topics[1]),
+      token: ethers.utils.getAddress(log.address),
+      spender: topicAddress(log.topics[2]),
+      amount: null,
+      expiration: null,
+      active: !ethers.BigNumber.from(log.data === "0x" ? 0 : log.data).isZero(),
+    };
+  }
+
+  // Anyone can emit Permit2-shaped events - only the canonical contract counts
+  if (!isPermit2) return null;
+
+  if (topic === PERMIT2_APPROVAL_TOPIC || topic === PERMIT2_PERMIT_TOPIC) {
+    if (log.topics.length !== 4) return null;
+    const [amount, expiration] = ethers.utils.defaultAbiCoder.decode(
+      topic === PERMIT2_PERMIT_TOPIC ? ["uint160", "uint48", "uint48"] : ["uint160", "uint48"],
+      log.data
+    );
+    return {
+      type: "PERMIT2",
+      owner: topicAddress(log.topics[1]),
+      token: topicAddress(log.topics[2]),
+      spender: topicAddress(log.topics[3]),
+      amount,
+      expiration,
+      // expiration 0 = "this block only" - gone by the time we'd act on it
+      active: !amount.isZero() && expiration !== 0,
+    };
+  }
+
+  if (topic === PERMIT2_LOCKDOWN_TOPIC) {
+    const [token, spender] = ethers.utils.defaultAbiCoder.decode(["address", "address"], log.data);
+    return {
+      type: "PERMIT2",
+      owner: topicAddress(log.topics[1]),
+      token: ethers.utils.getAddress(token),
+      spender: ethers.utils.getAddress(spender),
+      amount: ethers.constants.Zero,
+      expiration: null,
+      active: false,
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  decodeApprovalLog,
+  APPROVAL_EVENT_TOPICS,
+  APPROVAL_TOPIC,
+  APPROVAL_FOR_ALL_TOPIC,
+  PERMIT2_APPROVAL_TOPIC,
+  PERMIT2_PERMIT_TOPIC,
+  PERMIT2_LOCKDOWN_TOPIC,
+  MAX_UINT160,
+};
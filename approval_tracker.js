@@ -1,77 +1,159 @@
 const ethers = require("ethers");
+const { getChainProfile, defaultUsdtAddress } = require("./chain_profiles");
+const { TokenMetadataCache } = require("./token_metadata");
+const { ApprovalBackfill } = require("./approval_backfill");
+const { decodeApprovalLog, APPROVAL_EVENT_TOPICS, MAX_UINT160 } = require("./approval_events");
+const { PERMIT2_ADDRESS } = require("./permit_decoder");
+const { SpenderRiskScorer } = require("./spender_risk");
+const { RevocationQueue, STATUS: REVOCATION_STATUS } = require("./revocation_queue");
 
 /**
  * Approval Intelligence Tracker
  *
- * Monitors ERC20 Approval events on target contracts to build a "watch list"
- * of addresses that have been granted spending approval on your Safe.
+ * Monitors approval events on every token contract to build a "watch list"
+ * of addresses that have been granted spending approval on your Safe:
+ * ERC20 allowances, Permit2 allowances (with their expiry) and NFT
+ * ApprovalForAll operators - each grants the same ability to drain.
  *
  * This provides advance intelligence on potential threats:
  * - Track WHO gets approved
  * - Track WHEN they got approved
- * - Track HOW MUCH they can spend
+ * - Track HOW MUCH they can spend, and of WHICH token
  * - Cross-reference with transferFrom attacks for context
  *
  * Uses eth_subscribe (premium tier) for real-time event monitoring.
+ *
+ * One tracker covers every protected Safe and every token with a single
+ * subscription: no address restriction, event topic and owner topic are
+ * OR-lists (approval_events.js). Decimals / symbol come from the shared token
+ * metadata cache. Expired Permit2 allowances leave the watch list on the
+ * next block.
+ *
+ * Every entry carries a spender risk score (spender_risk.js) that decides
+ * whether the spender transacting triggers the proactive sweep or an alert.
+ * Risky entries are queued for revocation (revocation_queue.js): auto-revoked
+ * above REVOKE_AUTO_SCORE, held for operator confirmation below it.
+ *
+ * On startup the watch list is seeded from every approval since each Safe's
+ * creation (ApprovalBackfill, checkpointed so restarts resume), and each
+ * (token, spender) pair is verified against its current on-chain allowance.
  */
+
+const ALLOWANCE_ABI = [
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function isApprovedForAll(address owner, address operator) view returns (bool)",
+];
+const PERMIT2_ABI = [
+  "function allowance(address owner, address token, address spender) view returns (uint160 amount, uint48 expiration, uint48 nonce)",
+];
+
+const TYPE_LABELS = {
+  ERC20: "approval",
+  PERMIT2: "Permit2 allowance",
+  NFT_OPERATOR: "operator approval",
+};
+
 class ApprovalTracker {
   constructor(config) {
     this.config = config;
-    this.watchList = new Map(); // address -> approval details
+    this.safeAddresses = (config.safeAddresses || [config.safeAddress]).map((address) =>
+      ethers.utils.getAddress(address)
+    );
+    this.chain = getChainProfile(config.chainId);
+    this.usdtAddress = defaultUsdtAddress(this.chain, config.usdtContract);
+    this.highValueUsd = config.approvalHighValueUsd || 10000;
+    this.backfill = new ApprovalBackfill(config, this.safeAddresses);
+    this.riskScorer = new SpenderRiskScorer(config);
+    this.revocationQueue = new RevocationQueue(config);
+
+    this.watchList = new Map(); // "type:owner:token:spender" -> approval details
+    this.spenderIndex = new Map(); // spender -> Set of watchList keys (O(1) isWatchedAddress)
     this.provider = null;
+    this.ownsProvider = false;
+    this.approvalFilter = null;
+    this.approvalListener = null;
     this.subscription = null;
+    this.tokenMetadata = null;
+    this.priceOracle = null;
+
+    // Called with (approvalData, reasons) for live approvals that look risky
+    this.onRiskyApproval = null;
+    // Called with (queueItem) when a queued revocation should be sent now
+    this.onRevocationReady = null;
+    // Called with (queueItem) when the revocation queue changes
+    this.onRevocationQueueChanged = null;
 
     this.stats = {
       approvalsDetected: 0,
       activeApprovals: 0,
       suspiciousPatterns: 0,
+      tokensSeen: 0,
+      expired: 0,
     };
+    this.tokensSeen = new Set();
   }
 
-  async initialize() {
+  /**
+   * @param {Object} provider - Optional shared WebSocket provider (otherwise one is created)
+   * @param {TokenMetadataCache} tokenMetadata - Shared decimals / symbol cache (created here if not given)
+   * @param {PriceOracle} priceOracle - USD value of approvals for the high-value check (optional)
+   */
+  async initialize(provider = null, tokenMetadata = null, priceOracle = null) {
     console.log("\n🔍 Initializing Approval Intelligence Tracker...");
 
-    if (!this.config.drpcWss) {
+    if (!provider && !this.config.drpcWss) {
       console.log("⚠️  No WebSocket configured - Approval tracking disabled");
       return false;
     }
 
     try {
       // Connect via WebSocket for eth_subscribe
-      this.provider = new ethers.providers.WebSocketProvider(this.config.drpcWss);
+      if (provider) {
+        this.setProvider(provider, tokenMetadata, priceOracle);
+      } else {
+        this.setProvider(new ethers.providers.WebSocketProvider(this.config.drpcWss), tokenMetadata, priceOracle);
+        this.ownsProvider = true;
+      }
 
-      // Subscribe to Approval events on USDT contract
-      // Event signature: Approval(address indexed owner, address indexed spender, uint256 value)
-      const approvalTopic = ethers.utils.id("Approval(address,address,uint256)");
-      const safeAddressPadded = ethers.utils.hexZeroPad(
-        this.config.safeAddress.toLowerCase(),
-        32
-      );
+      this.revocationQueue.onReady = (item) => {
+        if (this.onRevocationReady) this.onRevocationReady(item);
+      };
+      this.revocationQueue.onChange = (item) => {
+        if (this.onRevocationQueueChanged) this.onRevocationQueueChanged(item);
+      };
+      this.revocationQueue.load();
 
+      // Subscribe to approval events on ANY token contract (and Permit2)
+      // ERC20 Approval, Permit2 Approval / Permit / Lockdown, ApprovalForAll - owner is topics[1] in all
       const filter = {
-        address: this.config.usdtContract,
         topics: [
-          approvalTopic,       // event signature
-          safeAddressPadded,   // owner = your Safe
+          APPROVAL_EVENT_TOPICS,      // event signatures
+          this.getOwnerTopics(),      // owner = any of your Safes
         ],
       };
 
-      console.log(`   📡 Subscribing to Approval events on USDT...`);
-      console.log(`   👀 Watching for approvals from: ${this.config.safeAddress}`);
+      console.log(`   📡 Subscribing to ERC20 / Permit2 / NFT operator approvals on all tokens...`);
+      console.log(`   👀 Watching for approvals from: ${this.safeAddresses.join(", ")}`);
 
       // Subscribe to logs matching the filter
-      this.provider.on(filter, (log) => {
+      this.approvalFilter = filter;
+      this.approvalListener = (log) => {
         this.handleApprovalEvent(log);
-      });
+      };
+      this.provider.on(filter, this.approvalListener);
 
       console.log("   ✅ Approval tracker active");
 
-      // Check historical approvals (last ~2 days)
+      // Every approval since each Safe was created (resumes from the checkpoint)
       await this.scanHistoricalApprovals();
 
       // CRITICAL: Also check for current allowances to known risky addresses
       await this.checkKnownRiskyAllowances();
 
+      // Pick up CLI confirmations, and send what was due before a restart
+      this.revocationQueue.watch();
+      this.revocationQueue.resume();
+
       return true;
     } catch (error) {
       console.error("❌ Failed to initialize approval tracker:", error.message);
@@ -79,88 +161,185 @@ class ApprovalTracker {
     }
   }
 
+  /**
+   * Provider + shared caches for the scans and scoring, without subscribing
+   * (initialize() does both; approval_audit.js only needs this)
+   */
+  setProvider(provider, tokenMetadata = null, priceOracle = null) {
+    this.provider = provider;
+
+    if (tokenMetadata) {
+      this.tokenMetadata = tokenMetadata;
+    } else {
+      this.tokenMetadata = new TokenMetadataCache(this.config);
+      this.tokenMetadata.setProvider(this.provider);
+    }
+    this.priceOracle = priceOracle;
+    this.riskScorer.setProvider(this.provider);
+  }
+
+  /**
+   * Owner topic OR-list covering every protected Safe
+   */
+  getOwnerTopics() {
+    return this.safeAddresses.map((address) => ethers.utils.hexZeroPad(address.toLowerCase(), 32));
+  }
+
+  watchKey(owner, token, spender, type = "ERC20") {
+    return `${type}:${owner}:${token}:${spender}`;
+  }
+
+  /**
+   * Asset key used by the sweep code: "USDT" or the token address
+   */
+  assetFor(token) {
+    return this.usdtAddress && token.toLowerCase() === this.usdtAddress.toLowerCase() ? "USDT" : token;
+  }
+
+  /**
+   * Add/replace a watch list entry and keep the spender index in sync
+   */
+  setWatch(details) {
+    const key = this.watchKey(details.owner, details.token, details.spender, details.type);
+    this.watchList.set(key, details);
+
+    if (!this.spenderIndex.has(details.spender)) {
+      this.spenderIndex.set(details.spender, new Set());
+    }
+    this.spenderIndex.get(details.spender).add(key);
+  }
+
+  /**
+   * Remove a watch list entry
+   * @returns {boolean} true if it was being watched
+   */
+  removeWatch(owner, token, spender, type = "ERC20") {
+    const key = this.watchKey(owner, token, spender, type);
+    if (!this.watchList.delete(key)) return false;
+
+    const keys = this.spenderIndex.get(spender);
+    if (keys) {
+      keys.delete(key);
+      if (keys.size === 0) this.spenderIndex.delete(spender);
+    }
+    this.revocationQueue.resolve(key);
+    return true;
+  }
+
+  /**
+   * Drop every Permit2 allowance on a token once the token's allowance to Permit2 is gone
+   * (what the module's revokeApproval(token, Permit2) does - no Permit2 event fires)
+   */
+  removePermit2Watches(owner, token) {
+    for (const details of Array.from(this.watchList.values())) {
+      if (
+        details.type !== "PERMIT2" ||
+        details.owner.toLowerCase() !== owner.toLowerCase() ||
+        details.token.toLowerCase() !== token.toLowerCase()
+      ) {
+        continue;
+      }
+      this.removeWatch(details.owner, details.token, details.spender, details.type);
+      console.log(`\n✅ ${details.symbol} Permit2 allowance CUT OFF for ${details.spender} (token no longer approved to Permit2)`);
+    }
+  }
+
+  /**
+   * Seed the watch list with every (owner, token, spender) pair approved since
+   * each Safe's creation - checkKnownRiskyAllowances then drops the ones whose
+   * allowance is gone
+   */
   async scanHistoricalApprovals() {
     try {
-      const currentBlock = await this.provider.getBlockNumber();
-      // CRITICAL: Scan much more history - 100k blocks (~2 days on Polygon)
-      // Most approvals that will be exploited were granted recently
-      const fromBlock = Math.max(0, currentBlock - 100000);
-
-      console.log(`   🔎 Scanning blocks ${fromBlock} to ${currentBlock} for existing approvals...`);
-      console.log(`   ⚠️  This covers ~2 days of history on Polygon`);
-
-      const approvalTopic = ethers.utils.id("Approval(address,address,uint256)");
-      const safeAddressPadded = ethers.utils.hexZeroPad(
-        this.config.safeAddress.toLowerCase(),
-        32
-      );
-
-      const logs = await this.provider.getLogs({
-        address: this.config.usdtContract,
-        topics: [approvalTopic, safeAddressPadded],
-        fromBlock: fromBlock,
-        toBlock: currentBlock,
-      });
-
-      console.log(`   📊 Found ${logs.length} historical approvals`);
-
-      for (const log of logs) {
-        this.handleApprovalEvent(log, true); // true = historical
+      const pairs = await this.backfill.run(this.provider);
+      console.log(`   📊 Found ${pairs.length} historical (token, spender) pairs`);
+
+      for (const pair of pairs) {
+        try {
+          await this.addHistoricalPair(pair);
+        } catch (error) {
+          // Still in the checkpoint - picked up again on the next start
+          console.log(`   ⚠️  Skipping ${pair.token} ${TYPE_LABELS[pair.type]} for ${pair.spender}: ${error.message}`);
+        }
       }
     } catch (error) {
+      // The checkpoint keeps what was scanned - the next start resumes from there
       console.error("   ⚠️  Historical scan failed:", error.message);
     }
   }
 
+  /**
+   * Watch a backfilled pair (a live event seen meanwhile is newer and wins)
+   */
+  async addHistoricalPair(pair) {
+    const { type, owner, token, spender } = pair;
+    if (this.watchList.has(this.watchKey(owner, token, spender, type))) return;
+
+    const meta = await this.getMetadata(type, token);
+    if (meta === null) return; // No decimals() - not an ERC20
+
+    const block = await this.provider.getBlock(pair.blockNumber).catch(() => null);
+
+    this.setWatch(
+      this.buildDetails(
+        { type, owner, token, spender, amount: pair.amount, expiration: pair.expiration },
+        meta,
+        { blockNumber: pair.blockNumber, transactionHash: pair.txHash },
+        block ? block.timestamp * 1000 : null // Unknown - not the scan time
+      )
+    );
+    this.tokensSeen.add(token);
+    this.stats.approvalsDetected++;
+    this.stats.activeApprovals = this.watchList.size;
+    this.stats.tokensSeen = this.tokensSeen.size;
+  }
+
   async checkKnownRiskyAllowances() {
     try {
       console.log(`   🔍 Checking current on-chain allowances for known risky addresses...`);
 
-      // Check allowances from approval events we found
-      // For each spender in our watch list, verify current allowance on-chain
-      const usdtContract = new ethers.Contract(
-        this.config.usdtContract,
-        ["function allowance(address owner, address spender) view returns (uint256)"],
-        this.provider
-      );
+      // Get all (owner, token, spender) entries from historical scan
+      const entriesToCheck = Array.from(this.watchList.values());
 
-      // Get all unique spenders from historical scan
-      const spendersToCheck = Array.from(this.watchList.keys());
-
-      if (spendersToCheck.length === 0) {
+      if (entriesToCheck.length === 0) {
         console.log(`   ℹ️  No historical approvals found to verify`);
         return;
       }
 
-      console.log(`   🔎 Verifying ${spendersToCheck.length} addresses...`);
+      console.log(`   🔎 Verifying ${entriesToCheck.length} approvals...`);
 
-      for (const spender of spendersToCheck) {
+      // For each entry in our watch list, verify current allowance on its token (or Permit2)
+      for (const entry of entriesToCheck) {
+        const { type, owner, token, spender } = entry;
         try {
-          const allowance = await usdtContract.allowance(this.config.safeAddress, spender);
+          const current = await this.readCurrentAllowance(entry);
 
-          if (allowance.isZero()) {
-            // Allowance was revoked, remove from watch list
-            this.watchList.delete(spender);
-          } else {
+          if (!current.active) {
+            // Allowance was revoked, spent or expired - remove from watch list
+            this.removeWatch(owner, token, spender, type);
+          } else if (current.amount) {
             // Update with current allowance
-            const existing = this.watchList.get(spender);
-            if (existing) {
-              existing.amount = allowance.toString();
-              existing.amountFormatted = ethers.utils.formatUnits(allowance, 6);
-            }
+            entry.amount = current.amount.toString();
+            entry.amountFormatted = ethers.utils.formatUnits(current.amount, entry.decimals);
+            entry.expiration = current.expiration;
           }
         } catch (error) {
-          console.log(`   ⚠️  Failed to check allowance for ${spender}: ${error.message}`);
+          console.log(`   ⚠️  Failed to check ${entry.symbol} ${TYPE_LABELS[type]} for ${spender}: ${error.message}`);
         }
       }
 
       this.stats.activeApprovals = this.watchList.size;
       console.log(`   ✅ Found ${this.watchList.size} active approvals on-chain`);
 
+      for (const details of this.watchList.values()) {
+        await this.scoreEntry(details);
+        this.queueIfRisky(details);
+      }
+
       if (this.watchList.size > 0) {
         console.log(`\n   ⚠️  ACTIVE APPROVALS DETECTED:`);
-        for (const [address, details] of this.watchList.entries()) {
-          console.log(`      ${address}: ${details.amountFormatted} USDT`);
+        for (const details of this.watchList.values()) {
+          console.log(`      ${details.spender}: ${this.describe(details)} (owner ${details.owner}) ${this.formatRisk(details.risk)}`);
         }
         console.log(`   👁️  These addresses are now being monitored for ANY activity!`);
       }
@@ -169,142 +348,432 @@ class ApprovalTracker {
     }
   }
 
-  handleApprovalEvent(log, isHistorical = false) {
+  async handleApprovalEvent(log, isHistorical = false) {
     try {
-      // Decode event: Approval(address indexed owner, address indexed spender, uint256 value)
-      // topics[0] = event signature
-      // topics[1] = owner (your Safe)
-      // topics[2] = spender (approved address)
-      // data = amount
-
-      const spender = ethers.utils.getAddress("0x" + log.topics[2].slice(26));
-      const amount = ethers.BigNumber.from(log.data);
-      const amountFormatted = ethers.utils.formatUnits(amount, 6); // USDT has 6 decimals
-
-      const approvalData = {
-        spender: spender,
-        amount: amount.toString(),
-        amountFormatted: amountFormatted,
-        blockNumber: log.blockNumber,
-        txHash: log.transactionHash,
-        timestamp: Date.now(),
-        asset: "USDT",
-      };
-
-      // Check if this is a revocation (amount = 0)
-      if (amount.isZero()) {
-        if (this.watchList.has(spender)) {
-          this.watchList.delete(spender);
-          console.log(`\n✅ Approval REVOKED for ${spender}`);
-          this.stats.activeApprovals = this.watchList.size;
+      // ERC20 Approval / Permit2 Approval, Permit, Lockdown / ApprovalForAll
+      // (owner = your Safe, spender = approved address or operator)
+      const approval = decodeApprovalLog(log);
+      if (!approval) return;
+
+      const { type, owner, token, spender } = approval;
+      const meta = await this.getMetadata(type, token);
+      if (meta === null) return; // No decimals() - not an ERC20
+
+      const approvalData = this.buildDetails(approval, meta, log);
+      const symbol = approvalData.symbol;
+
+      // Check if this is a revocation (amount = 0, Lockdown, operator removed)
+      if (!approval.active) {
+        if (this.removeWatch(owner, token, spender, type)) {
+          console.log(`\n✅ ${symbol} ${TYPE_LABELS[type]} REVOKED for ${spender} (owner ${owner})`);
         }
+        // Permit2 can't move a token it has no allowance on - every Permit2 spender of it is cut off
+        if (type === "ERC20" && spender.toLowerCase() === PERMIT2_ADDRESS.toLowerCase()) {
+          this.removePermit2Watches(owner, token);
+        }
+        this.stats.activeApprovals = this.watchList.size;
         return;
       }
 
-      // Add to watch list
-      this.watchList.set(spender, approvalData);
+      // Add to watch list, then score the spender
+      this.setWatch(approvalData);
+      await this.scoreEntry(approvalData);
+      this.tokensSeen.add(token);
       this.stats.approvalsDetected++;
       this.stats.activeApprovals = this.watchList.size;
+      this.stats.tokensSeen = this.tokensSeen.size;
 
       if (!isHistorical) {
-        console.log(`\n⚠️  NEW APPROVAL DETECTED`);
+        console.log(`\n⚠️  NEW ${TYPE_LABELS[type].toUpperCase()} DETECTED`);
+        console.log(`   Owner: ${owner}`);
+        console.log(`   Token: ${symbol} (${token})`);
         console.log(`   Spender: ${spender}`);
-        console.log(`   Amount: ${amountFormatted} USDT`);
+        console.log(`   Amount: ${this.formatAmount(approvalData)} ${symbol}`);
+        if (approvalData.expiration) {
+          console.log(`   Expires: ${new Date(approvalData.expiration * 1000).toISOString()}`);
+        }
         console.log(`   Block: ${log.blockNumber}`);
         console.log(`   TxHash: ${log.transactionHash}`);
+        console.log(`   Spender ${this.formatRisk(approvalData.risk)}`);
         console.log(`   👁️  Now watching this address...`);
       }
 
       // Check for suspicious patterns
-      this.analyzeSuspiciousPatterns(approvalData);
+      const reasons = this.analyzeSuspiciousPatterns(approvalData);
+
+      // Allowlisted routers get unlimited approvals all the time - not worth a revocation
+      const allowlisted = approvalData.risk && approvalData.risk.listed === "allow";
+
+      if (!isHistorical) {
+        this.queueIfRisky(approvalData, reasons);
+      }
+
+      if (!isHistorical && reasons.length > 0 && !allowlisted && this.onRiskyApproval) {
+        this.onRiskyApproval(approvalData, reasons);
+      }
     } catch (error) {
       console.error("❌ Failed to process approval event:", error.message);
     }
   }
 
+  /**
+   * Decimals / symbol for an entry - NFT collections have no decimals
+   * Network errors are retried a few times, then thrown (never read as "not an ERC20")
+   * @returns {Object|null} null if a fungible entry's token isn't an ERC20
+   */
+  async getMetadata(type, token, attempts = 3) {
+    if (type === "NFT_OPERATOR") {
+      return { decimals: null, symbol: null };
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.tokenMetadata.get(token);
+      } catch (error) {
+        if (attempt >= attempts) throw error;
+        await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  /**
+   * Watch list entry for a decoded approval
+   * (timestamp in ms, null when the grant block couldn't be fetched)
+   */
+  buildDetails(approval, meta, log, timestamp = Date.now()) {
+    const { type, owner, token, spender } = approval;
+    const amount = approval.amount === null ? null : ethers.BigNumber.from(approval.amount);
+
+    return {
+      type,
+      owner,
+      token,
+      spender,
+      amount: amount ? amount.toString() : null,
+      amountFormatted: amount ? ethers.utils.formatUnits(amount, meta.decimals) : null,
+      decimals: meta.decimals,
+      symbol: meta.symbol || token,
+      expiration: approval.expiration, // Permit2 only (unix seconds)
+      blockNumber: log.blockNumber,
+      txHash: log.transactionHash,
+      timestamp,
+      asset: type === "NFT_OPERATOR" ? "NFT" : this.assetFor(token),
+    };
+  }
+
+  /**
+   * What the chain says about an entry right now
+   * @returns {Object} { active, amount?, expiration? }
+   */
+  async readCurrentAllowance(entry) {
+    const { type, owner, token, spender } = entry;
+
+    if (type === "PERMIT2") {
+      const permit2 = new ethers.Contract(PERMIT2_ADDRESS, PERMIT2_ABI, this.provider);
+      const tokenContract = new ethers.Contract(token, ALLOWANCE_ABI, this.provider);
+      const [{ amount, expiration }, toPermit2] = await Promise.all([
+        permit2.allowance(owner, token, spender),
+        tokenContract.allowance(owner, PERMIT2_ADDRESS),
+      ]);
+      return {
+        // Dead without the token's allowance to Permit2 (revokeApproval(token, Permit2))
+        active: !amount.isZero() && expiration > Math.floor(Date.now() / 1000) && !toPermit2.isZero(),
+        amount,
+        expiration,
+      };
+    }
+
+    const contract = new ethers.Contract(token, ALLOWANCE_ABI, this.provider);
+    if (type === "NFT_OPERATOR") {
+      return { active: await contract.isApprovedForAll(owner, spender) };
+    }
+
+    const amount = await contract.allowance(owner, spender);
+    return { active: !amount.isZero(), amount, expiration: null };
+  }
+
+  /**
+   * Attach the spender risk score to an entry (unscored entries count as sweep-worthy)
+   */
+  async scoreEntry(details) {
+    try {
+      details.risk = await this.riskScorer.score(details, this.isUnlimited(details));
+    } catch (error) {
+      details.risk = null;
+      console.log(`   ⚠️  Could not score spender ${details.spender}: ${error.message}`);
+    }
+    return details.risk;
+  }
+
+  /**
+   * Queue an entry for revocation if its spender scores above "ignore"
+   * (unscored entries are queued too, but never auto-revoked)
+   */
+  queueIfRisky(details, reasons = []) {
+    if (this.config.queueRevocations === false) return null; // Read-only use (approval_audit.js)
+    if (details.risk && (details.risk.action === "ignore" || details.risk.listed === "allow")) return null;
+
+    const key = this.watchKey(details.owner, details.token, details.spender, details.type);
+    return this.revocationQueue.enqueue(key, details, this.revocationFor(details), reasons);
+  }
+
+  /**
+   * Is this entry owned by the revocation queue (open, sent or dismissed)?
+   * Its policy alone decides whether and when a revocation goes out.
+   */
+  isRevocationQueued(details) {
+    const item = this.revocationQueue.get(this.watchKey(details.owner, details.token, details.spender, details.type));
+    return !!item && item.status !== REVOCATION_STATUS.REVOKED;
+  }
+
+  formatRisk(risk) {
+    if (!risk) return "risk unscored";
+    return `risk ${risk.score}/100 (${risk.reasons.join(", ") || "no signals"})`;
+  }
+
+  /**
+   * Drop Permit2 allowances past their expiration (called every block)
+   */
+  onBlock() {
+    const now = Math.floor(Date.now() / 1000);
+
+    for (const details of Array.from(this.watchList.values())) {
+      if (details.type !== "PERMIT2" || !details.expiration || details.expiration > now) continue;
+
+      this.removeWatch(details.owner, details.token, details.spender, details.type);
+      this.stats.expired++;
+      console.log(`\n⌛ ${details.symbol} Permit2 allowance EXPIRED for ${details.spender} (owner ${details.owner})`);
+    }
+    this.stats.activeApprovals = this.watchList.size;
+  }
+
+  /**
+   * @returns {Array<string>} Reasons the approval looks risky (empty if none)
+   */
   analyzeSuspiciousPatterns(approvalData) {
-    // Flag high-value approvals
+    const reasons = [];
+
+    // Spender scores as a drainer (denylist, EOA / fresh contract, not signed by the owners)
+    if (approvalData.risk && approvalData.risk.action === "sweep") {
+      console.log(`   🚨 RISKY SPENDER: ${this.formatRisk(approvalData.risk)}`);
+      this.stats.suspiciousPatterns++;
+      reasons.push("RISKY_SPENDER");
+    }
+
+    // An operator can take every id in the collection
+    if (approvalData.type === "NFT_OPERATOR") {
+      console.log(`   🚨 OPERATOR APPROVED FOR EVERY NFT IN ${approvalData.symbol}!`);
+      this.stats.suspiciousPatterns++;
+      reasons.push("NFT_OPERATOR");
+      return reasons;
+    }
+
     const amount = ethers.BigNumber.from(approvalData.amount);
-    const threshold = ethers.utils.parseUnits("10000", 6); // 10k USDT
 
-    if (amount.gt(threshold)) {
-      console.log(`   🚨 HIGH VALUE APPROVAL: ${approvalData.amountFormatted} USDT!`);
+    // Flag high-value approvals (USD via the price oracle; USDT units without one)
+    const valueUsd = this.priceOracle
+      ? this.priceOracle.usdValue(approvalData.token, amount, approvalData.decimals)
+      : approvalData.asset === "USDT"
+        ? parseFloat(approvalData.amountFormatted)
+        : 0;
+
+    if (valueUsd > this.highValueUsd) {
+      console.log(`   🚨 HIGH VALUE APPROVAL: ${this.formatAmount(approvalData)} ${approvalData.symbol}!`);
       this.stats.suspiciousPatterns++;
+      reasons.push("HIGH_VALUE");
     }
 
-    // Flag max uint256 approvals (unlimited)
-    if (amount.eq(ethers.constants.MaxUint256)) {
+    // Flag max uint256 approvals (unlimited - max uint160 on Permit2)
+    if (this.isUnlimited(approvalData)) {
       console.log(`   🚨 UNLIMITED APPROVAL GRANTED!`);
       this.stats.suspiciousPatterns++;
+      reasons.push("UNLIMITED");
     }
+
+    return reasons;
+  }
+
+  isUnlimited(details) {
+    if (details.amount === null) return false;
+    const max = details.type === "PERMIT2" ? MAX_UINT160 : ethers.constants.MaxUint256;
+    return max.eq(details.amount);
+  }
+
+  formatAmount(details) {
+    if (details.type === "NFT_OPERATOR") return "every id of";
+    return this.isUnlimited(details) ? "unlimited" : details.amountFormatted;
+  }
+
+  /**
+   * "100 USDT", "unlimited USDC via Permit2", "every id of 0xCollection"
+   */
+  describe(details) {
+    const via = details.type === "PERMIT2" ? " via Permit2" : "";
+    return `${this.formatAmount(details)} ${details.symbol}${via}`;
   }
 
   /**
-   * Check if an address is on the watch list (has approval)
+   * Check if an address is on the watch list (has approval on any token)
    */
   isWatchedAddress(address) {
     try {
       const normalized = ethers.utils.getAddress(address);
-      return this.watchList.has(normalized);
+      return this.spenderIndex.has(normalized);
     } catch {
       return false;
     }
   }
 
   /**
-   * Get approval details for an address
+   * Get every approval granted to an address (one per Safe and token), optionally for one Safe
    */
-  getApprovalDetails(address) {
+  getApprovals(address, owner = null) {
     try {
       const normalized = ethers.utils.getAddress(address);
-      return this.watchList.get(normalized) || null;
+      const keys = this.spenderIndex.get(normalized);
+      if (!keys) return [];
+      const approvals = Array.from(keys).map((key) => this.watchList.get(key));
+      return owner ? approvals.filter((details) => details.owner.toLowerCase() === owner.toLowerCase()) : approvals;
     } catch {
-      return null;
+      return [];
+    }
+  }
+
+  /**
+   * Highest spender risk across an address's approvals (for one Safe)
+   *
+   * @returns {Object|null} { score, action, reasons } - an unscored entry means
+   *   "sweep" (fail safe), null if the address isn't watched
+   */
+  getRisk(address, owner = null) {
+    const approvals = this.getApprovals(address, owner);
+    if (approvals.length === 0) return null;
+
+    if (approvals.some((details) => !details.risk)) {
+      return { score: null, action: "sweep", reasons: ["unscored"] };
     }
+    return approvals.reduce((highest, details) => (details.risk.score > highest.score ? details.risk : highest), approvals[0].risk);
+  }
+
+  /**
+   * Get the Safes that approved an address
+   */
+  getWatchingSafes(address) {
+    return Array.from(new Set(this.getApprovals(address).map((details) => details.owner)));
   }
 
   /**
-   * Get context string for logging
+   * revokeApproval(token, spender) that cuts an entry off, null if the module can't
+   *
+   * Permit2 allowances are cut by zeroing the token's allowance to Permit2
+   * itself (every Permit2 spender of the token loses access - the revocation
+   * queue never auto-sends it); NFT operators can't be revoked by the module -
+   * their NFTs are swept.
    */
-  getContext(address) {
-    const details = this.getApprovalDetails(address);
-    if (!details) return null;
+  revocationFor(details) {
+    if (details.type === "PERMIT2") return { token: details.token, spender: PERMIT2_ADDRESS };
+    if (details.type === "NFT_OPERATOR") return null;
+    return { token: details.token, spender: details.spender };
+  }
+
+  /**
+   * Revocations that cut an address off from a Safe's assets
+   */
+  getRevocations(address, owner) {
+    return this.getApprovals(address, owner)
+      .map((details) => this.revocationFor(details))
+      .filter(Boolean);
+  }
 
-    const timeAgo = Math.floor((Date.now() - details.timestamp) / 1000);
-    const timeStr = timeAgo < 60
-      ? `${timeAgo}s ago`
-      : timeAgo < 3600
-        ? `${Math.floor(timeAgo / 60)}m ago`
-        : `${Math.floor(timeAgo / 3600)}h ago`;
+  /**
+   * Get approval details for an address (optionally for a specific Safe / token)
+   */
+  getApprovalDetails(address, owner = null, token = null) {
+    const approvals = this.getApprovals(address, owner);
+    if (token) {
+      return approvals.find((details) => details.token.toLowerCase() === token.toLowerCase()) || null;
+    }
+    return approvals[0] || null;
+  }
 
-    return `Approved ${timeStr} for ${details.amountFormatted} ${details.asset} (block ${details.blockNumber})`;
+  /**
+   * Get context string for logging - one part per approved token
+   */
+  getContext(address, owner = null) {
+    const approvals = this.getApprovals(address, owner);
+    if (approvals.length === 0) return null;
+
+    const parts = approvals.map((details) => {
+      const timeAgo = details.timestamp ? Math.floor((Date.now() - details.timestamp) / 1000) : null;
+      const timeStr = timeAgo === null
+        ? ""
+        : timeAgo < 60
+          ? `${timeAgo}s ago `
+          : timeAgo < 3600
+            ? `${Math.floor(timeAgo / 60)}m ago `
+            : `${Math.floor(timeAgo / 3600)}h ago `;
+      return `${timeStr}for ${this.describe(details)} (block ${details.blockNumber}, ${this.formatRisk(details.risk)})`;
+    });
+
+    return `Approved ${parts.join("; ")}`;
   }
 
   getStats() {
     return {
       ...this.stats,
       watchListSize: this.watchList.size,
+      watchedSpenders: this.spenderIndex.size,
+      byType: this.countByType(),
+      risk: this.riskScorer.getStats(),
+      revocations: this.revocationQueue.getStats(),
+      backfill: this.backfill.getStats(),
     };
   }
 
+  countByType() {
+    const counts = { ERC20: 0, PERMIT2: 0, NFT_OPERATOR: 0 };
+    for (const details of this.watchList.values()) {
+      counts[details.type]++;
+    }
+    return counts;
+  }
+
   printStatus() {
     console.log("\n📋 APPROVAL INTELLIGENCE:");
     console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━");
     const stats = this.getStats();
-    console.log(`   Total Approvals Detected: ${stats.approvalsDetected}`);
-    console.log(`   Active Watch List Size: ${stats.activeApprovals}`);
+    console.log(`   Total Approvals Detected: ${stats.approvalsDetected} (${stats.tokensSeen} tokens)`);
+    console.log(
+      `   Active Watch List Size: ${stats.activeApprovals} ` +
+        `(ERC20 ${stats.byType.ERC20}, Permit2 ${stats.byType.PERMIT2}, NFT operators ${stats.byType.NFT_OPERATOR})`
+    );
+    console.log(`   Expired Permit2 Allowances: ${stats.expired}`);
+    console.log(
+      `   Spender Risk: sweep >= ${stats.risk.sweepScore}, alert >= ${stats.risk.alertScore} ` +
+        `(${stats.risk.allowlistSize} allowlisted, ${stats.risk.denylistSize} denylisted)`
+    );
     console.log(`   Suspicious Patterns: ${stats.suspiciousPatterns}`);
+    console.log(
+      `   Revocation Queue: ${stats.revocations.open} open, ${stats.revocations.autoRevoked} auto-revoked ` +
+        `(auto >= ${stats.revocations.autoScore}), ${stats.revocations.confirmed} confirmed, ${stats.revocations.failed} failed`
+    );
+    console.log(`   Backfill: ${stats.backfill.pairs} pairs, ${stats.backfill.blocksScanned} blocks scanned this run`);
 
     if (this.watchList.size > 0) {
       console.log("\n   🎯 Currently Watching:");
-      for (const [address, details] of this.watchList.entries()) {
-        console.log(`      ${address}: ${details.amountFormatted} ${details.asset}`);
+      for (const details of this.watchList.values()) {
+        console.log(`      ${details.spender}: ${this.describe(details)} (owner ${details.owner}) ${this.formatRisk(details.risk)}`);
       }
     }
   }
 
   async shutdown() {
-    if (this.provider) {
+    this.revocationQueue.stop();
+    if (this.provider && this.approvalListener) {
+      this.provider.off(this.approvalFilter, this.approvalListener);
+      this.approvalListener = null;
+    }
+    if (this.provider && this.ownsProvider) {
       this.provider.removeAllListeners();
       await this.provider.destroy();
     }
@@ -0,0 +1,171 @@
+const { ethers } = require("ethers");
+const { getChainProfile } = require("./chain_profiles");
+
+/**
+ * Base Fee Tracker
+ *
+ * Follows block headers and predicts the base fee with the EIP-1559 update
+ * rule instead of guessing it (a flat 30 gwei, or maxFee - tip from the
+ * provider's fee heuristic, both far off during spikes).
+ *
+ * Next block:   base' = base +/- base * (gasUsed - target) / target / denominator
+ *               with target = gasLimit / elasticity
+ * N blocks:     upper bound - every block after the next one is assumed full
+ *               (+1/denominator each), so a tx signed now still covers the base
+ *               fee when it lands N blocks later.
+ *
+ * Elasticity / denominator come from the chain profile (Polygon PoS: 2 / 16,
+ * Ethereum: 2 / 8, OP Stack: 6 / 250) unless set explicitly.
+ */
+
+class BaseFeeTracker {
+  /**
+   * @param {Object} config - { chainId, elasticityMultiplier, baseFeeChangeDenominator, baseFeeHistoryBlocks, debug }
+   */
+  constructor(config = {}) {
+    this.config = config;
+    const gas = getChainProfile(config.chainId).gas;
+    this.elasticityMultiplier = config.elasticityMultiplier || gas.elasticityMultiplier;
+    this.baseFeeChangeDenominator = config.baseFeeChangeDenominator || gas.baseFeeChangeDenominator;
+    this.maxHistory = config.baseFeeHistoryBlocks || 20;
+
+    this.provider = null;
+    this.blockListener = null;
+    this.blocks = []; // { number, baseFeePerGas, gasUsed, gasLimit } - oldest first
+
+    this.stats = {
+      updates: 0,
+      errors: 0,
+    };
+  }
+
+  /**
+   * Load the latest header so predictions are available right away
+   */
+  async initialize(provider) {
+    this.provider = provider;
+
+    const block = await provider.getBlock("latest");
+    if (!this.update(block)) {
+      console.log("⚠️ Base fee tracker: chain has no baseFeePerGas - using fallback estimates");
+      return;
+    }
+
+    const next = this.predict(1);
+    console.log(
+      `⛽ Base fee tracker: block ${block.number} at ${this.formatGwei(block.baseFeePerGas)} gwei, ` +
+        `next ${this.formatGwei(next)} gwei (1/${this.baseFeeChangeDenominator} max change per block)`
+    );
+  }
+
+  /**
+   * Follow new blocks from a provider (standalone use - the monitor calls onBlock itself)
+   */
+  start(provider) {
+    this.provider = provider;
+    if (this.blockListener) return;
+
+    this.blockListener = (blockNumber) => this.onBlock(blockNumber);
+    provider.on("block", this.blockListener);
+  }
+
+  stop() {
+    if (this.blockListener && this.provider) {
+      this.provider.off("block", this.blockListener);
+      this.blockListener = null;
+    }
+  }
+
+  /**
+   * Fetch and record a new block header
+   */
+  async onBlock(blockNumber) {
+    const latest = this.latest();
+    if (latest && blockNumber <= latest.number) return;
+
+    try {
+      const block = await this.provider.getBlock(blockNumber);
+      this.update(block);
+    } catch (error) {
+      this.stats.errors++;
+      if (this.config.debug) {
+        console.log(`   ⚠️ Base fee tracker could not read block ${blockNumber}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Record a block header (ignored without baseFeePerGas or if not newer)
+   * @returns {boolean} Whether it was recorded
+   */
+  update(block) {
+    if (!block || !block.baseFeePerGas) return false;
+
+    const latest = this.latest();
+    if (latest && block.number <= latest.number) return false;
+
+    this.blocks.push({
+      number: block.number,
+      baseFeePerGas: ethers.BigNumber.from(block.baseFeePerGas),
+      gasUsed: ethers.BigNumber.from(block.gasUsed),
+      gasLimit: ethers.BigNumber.from(block.gasLimit),
+    });
+    if (this.blocks.length > this.maxHistory) this.blocks.shift();
+
+    this.stats.updates++;
+    return true;
+  }
+
+  latest() {
+    return this.blocks.length > 0 ? this.blocks[this.blocks.length - 1] : null;
+  }
+
+  /**
+   * EIP-1559 base fee of the block after one with this base fee / usage
+   */
+  nextBaseFee(baseFeePerGas, gasUsed, gasLimit) {
+    const target = gasLimit.div(this.elasticityMultiplier);
+    if (target.isZero() || gasUsed.eq(target)) return baseFeePerGas;
+
+    if (gasUsed.gt(target)) {
+      const delta = baseFeePerGas.mul(gasUsed.sub(target)).div(target).div(this.baseFeeChangeDenominator);
+      return baseFeePerGas.add(delta.gt(0) ? delta : 1);
+    }
+
+    const delta = baseFeePerGas.mul(target.sub(gasUsed)).div(target).div(this.baseFeeChangeDenominator);
+    return baseFeePerGas.sub(delta);
+  }
+
+  /**
+   * Base fee N blocks after the latest one
+   *
+   * @param {number} blocksAhead - 1 = next block (exact); more = worst case (full blocks)
+   * @returns {BigNumber|null} Null until a header with a base fee has been seen
+   */
+  predict(blocksAhead = 1) {
+    const latest = this.latest();
+    if (!latest) return null;
+
+    let baseFee = this.nextBaseFee(latest.baseFeePerGas, latest.gasUsed, latest.gasLimit);
+    for (let i = 1; i < blocksAhead; i++) {
+      baseFee = baseFee.add(baseFee.div(this.baseFeeChangeDenominator));
+    }
+    return baseFee;
+  }
+
+  formatGwei(value) {
+    return parseFloat(ethers.utils.formatUnits(value, "gwei")).toFixed(2);
+  }
+
+  getStats() {
+    const latest = this.latest();
+    return {
+      ...this.stats,
+      latestBlock: latest ? latest.number : null,
+      baseFeeGwei: latest ? this.formatGwei(latest.baseFeePerGas) : null,
+      nextBaseFeeGwei: latest ? this.formatGwei(this.predict(1)) : null,
+    };
+  }
+}
+
+module.exports = { BaseFeeTracker };
@@ -0,0 +1,238 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+/**
+ * Chain Profiles
+ *
+ * Everything chain-specific, keyed by chainId, so the monitor, sweeper,
+ * pre-signed pools and gas bidder run unchanged on any supported chain:
+ * {
+ *   chainId, name,
+ *   nativeSymbol: "MATIC",          // Logs only - the native asset key is always "NATIVE"
+ *   blockTimeMs: 2000,
+ *   gas: {
+ *     minimumGasGwei,               // Max fee floor
+ *     minimumTipGwei,               // Tip the chain rejects below (Bor: 25 gwei)
+ *     baseTipGwei, congestedTipGwei, aggressiveTipGwei, emergencyTipGwei,
+ *     fallbackBaseFeeGwei,          // Until the base fee tracker has a block
+ *     maxFeeBufferGwei,             // Headroom over base fee + tip
+ *     elasticityMultiplier, baseFeeChangeDenominator,
+ *   },
+ *   tokens: [{ symbol, address, decimals }],  // Default token list (USDT first)
+ *   relays: ["marlin"],             // Bundle relay adapters available on this chain
+ * }
+ *
+ * Env overrides (POLYGON_*_TIP_GWEI, BASE_FEE_CHANGE_DENOMINATOR, ...) still
+ * win over the profile. Extra / customised profiles can be loaded from
+ * CHAIN_PROFILES_PATH (JSON array, merged over the built-ins by chainId).
+ */
+
+const CHAIN_PROFILES = {
+  137: {
+    chainId: 137,
+    name: "Polygon PoS",
+    nativeSymbol: "MATIC",
+    blockTimeMs: 2000,
+    gas: {
+      minimumGasGwei: 25,
+      minimumTipGwei: 25,
+      baseTipGwei: 50,
+      congestedTipGwei: 150,
+      aggressiveTipGwei: 200,
+      emergencyTipGwei: 200,
+      fallbackBaseFeeGwei: 30,
+      maxFeeBufferGwei: 5,
+      elasticityMultiplier: 2,
+      baseFeeChangeDenominator: 16, // Since Delhi
+    },
+    tokens: [
+      { symbol: "USDT", address: "0xc2132D05D31c914a87C6611C10748AEb04B58e8F", decimals: 6 },
+      { symbol: "USDC", address: "0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359", decimals: 6 },
+      { symbol: "WETH", address: "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619", decimals: 18 },
+    ],
+    relays: ["marlin"],
+  },
+  1: {
+    chainId: 1,
+    name: "Ethereum",
+    nativeSymbol: "ETH",
+    blockTimeMs: 12000,
+    gas: {
+      minimumGasGwei: 0,
+      minimumTipGwei: 0,
+      baseTipGwei: 2,
+      congestedTipGwei: 5,
+      aggressiveTipGwei: 10,
+      emergencyTipGwei: 20,
+      fallbackBaseFeeGwei: 30,
+      maxFeeBufferGwei: 2,
+      elasticityMultiplier: 2,
+      baseFeeChangeDenominator: 8,
+    },
+    tokens: [
+      { symbol: "USDT", address: "0xdAC17F958D2ee523a2206206994597C13D831ec7", decimals: 6 },
+      { symbol: "USDC", address: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48", decimals: 6 },
+      { symbol: "WETH", address: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2", decimals: 18 },
+    ],
+    relays: [], // No Flashbots adapter yet - shotgun + escalation only
+  },
+  8453: {
+    chainId: 8453,
+    name: "Base",
+    nativeSymbol: "ETH",
+    blockTimeMs: 2000,
+    gas: {
+      minimumGasGwei: 0,
+      minimumTipGwei: 0,
+      baseTipGwei: 0.01,
+      congestedTipGwei: 0.1,
+      aggressiveTipGwei: 0.5,
+      emergencyTipGwei: 1,
+      fallbackBaseFeeGwei: 0.05,
+      maxFeeBufferGwei: 0.01,
+      elasticityMultiplier: 6, // OP Stack
+      baseFeeChangeDenominator: 250,
+    },
+    tokens: [
+      { symbol: "USDT", address: "0xfde4C96c8593536E31F229EA8f37b2ADa2699bb2", decimals: 6 },
+      { symbol: "USDC", address: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913", decimals: 6 },
+      { symbol: "WETH", address: "0x4200000000000000000000000000000000000006", decimals: 18 },
+    ],
+    relays: [], // Sequencer orders by fee - no public bundle relay
+  },
+  42161: {
+    chainId: 42161,
+    name: "Arbitrum One",
+    nativeSymbol: "ETH",
+    blockTimeMs: 250,
+    gas: {
+      // Sequencer is first-come-first-served: tips are ignored, the base fee has a 0.01 gwei floor
+      minimumGasGwei: 0.01,
+      minimumTipGwei: 0,
+      baseTipGwei: 0,
+      congestedTipGwei: 0,
+      aggressiveTipGwei: 0,
+      emergencyTipGwei: 0,
+      fallbackBaseFeeGwei: 0.1,
+      maxFeeBufferGwei: 0.01,
+      elasticityMultiplier: 2,
+      baseFeeChangeDenominator: 8,
+    },
+    tokens: [
+      { symbol: "USDT", address: "0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9", decimals: 6 },
+      { symbol: "USDC", address: "0xaf88d065e77c8cC2239327C5EDb3A432268e5831", decimals: 6 },
+      { symbol: "WETH", address: "0x82aF49447D8a07e3bd95BD0d56f35241523fBab1", decimals: 18 },
+    ],
+    relays: [],
+  },
+  56: {
+    chainId: 56,
+    name: "BNB Smart Chain",
+    nativeSymbol: "BNB",
+    blockTimeMs: 750,
+    gas: {
+      // Base fee is 0 - the whole price is the tip
+      minimumGasGwei: 0.1,
+      minimumTipGwei: 0.1,
+      baseTipGwei: 1,
+      congestedTipGwei: 3,
+      aggressiveTipGwei: 5,
+      emergencyTipGwei: 10,
+      fallbackBaseFeeGwei: 0,
+      maxFeeBufferGwei: 0,
+      elasticityMultiplier: 2,
+      baseFeeChangeDenominator: 8,
+    },
+    tokens: [
+      { symbol: "USDT", address: "0x55d398326f99059fF775485246999027B3197955", decimals: 18 },
+      { symbol: "USDC", address: "0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d", decimals: 18 },
+      { symbol: "WBNB", address: "0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c", decimals: 18 },
+    ],
+    relays: [],
+  },
+};
+
+let customLoaded = false;
+
+/**
+ * Merge profiles from CHAIN_PROFILES_PATH over the built-ins (once)
+ */
+function loadCustomProfiles() {
+  if (customLoaded) return;
+  customLoaded = true;
+
+  const profilesPath = process.env.CHAIN_PROFILES_PATH;
+  if (!profilesPath) return;
+
+  const parsed = JSON.parse(fs.readFileSync(profilesPath, "utf8"));
+  const profiles = Array.isArray(parsed) ? parsed : parsed.chains;
+  if (!Array.isArray(profiles)) {
+    throw new Error(`${profilesPath} must contain an array of chain profiles`);
+  }
+  for (const profile of profiles) {
+    registerChainProfile(profile);
+  }
+}
+
+/**
+ * Add or extend a profile (fields merged over an existing one with the same chainId)
+ */
+function registerChainProfile(profile) {
+  if (!profile || !profile.chainId) {
+    throw new Error("Chain profile needs a chainId");
+  }
+
+  const existing = CHAIN_PROFILES[profile.chainId] || { tokens: [], relays: [], gas: {} };
+  CHAIN_PROFILES[profile.chainId] = {
+    ...existing,
+    ...profile,
+    gas: { ...existing.gas, ...(profile.gas || {}) },
+  };
+  return CHAIN_PROFILES[profile.chainId];
+}
+
+/**
+ * Profile for a chain (Polygon when no chainId is configured)
+ */
+function getChainProfile(chainId = 137) {
+  loadCustomProfiles();
+
+  const profile = CHAIN_PROFILES[chainId || 137];
+  if (!profile) {
+    throw new Error(
+      `No chain profile for chainId ${chainId} - add one to chain_profiles.js or CHAIN_PROFILES_PATH ` +
+        `(supported: ${Object.keys(CHAIN_PROFILES).join(", ")})`
+    );
+  }
+  return profile;
+}
+
+/**
+ * Default token entry by symbol or address (null if not in the profile)
+ */
+function findProfileToken(profile, symbolOrAddress) {
+  if (!symbolOrAddress) return null;
+  const key = symbolOrAddress.toLowerCase();
+  return (
+    profile.tokens.find(
+      (token) => token.symbol.toLowerCase() === key || token.address.toLowerCase() === key
+    ) || null
+  );
+}
+
+/**
+ * USDT address on the chain (config override first)
+ */
+function defaultUsdtAddress(profile, configured = null) {
+  if (configured) return ethers.utils.getAddress(configured);
+  const usdt = findProfileToken(profile, "USDT");
+  return usdt ? usdt.address : null;
+}
+
+module.exports = {
+  CHAIN_PROFILES,
+  getChainProfile,
+  registerChainProfile,
+  findProfileToken,
+  defaultUsdtAddress,
+};
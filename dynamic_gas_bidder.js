@@ -14,38 +14,61 @@ const { PolygonGasCalculator } = require("./polygon_gas_calculator");
  * 4. Broadcast via shotgun
  *
  * This ensures we ALWAYS outbid the attacker.
+ *
+ * How far we go is value-aware: with a PriceOracle attached and
+ * GAS_BUDGET_FRACTION set, the most we'll pay for a sweep is that fraction of
+ * the USD value at risk (in native coin), so max fee and tip are capped at
+ * budget / gas limit instead of the flat MAX_GAS_PRICE_GWEI. A 20 USDT drain
+ * isn't worth 200 gwei; a 200k USDT one is worth far more than 1000.
+ * MAX_GAS_PRICE_GWEI still applies whenever the value at risk is unknown.
  */
 class DynamicGasBidder {
   constructor(config) {
     this.config = config;
     this.provider = null;
     this.signer = null;
+    this.nonceManager = null;
+    this.priceOracle = null;
 
     // Bidding configuration
     this.gasPremium = config.gasPremium || 0.5; // 50% above attacker
     this.maxGasPrice = config.maxGasPrice || ethers.utils.parseUnits("1000", "gwei"); // Safety limit
+    this.gasBudgetFraction = config.gasBudgetFraction || 0; // Share of the value at risk we'll spend on gas
 
-    // Polygon gas calculator
+    // Gas calculator (chain profile rules, env overrides win)
     this.polygonGas = new PolygonGasCalculator({
-      minimumGasGwei: config.polygonMinimumGasGwei || 25,
-      baseTipGwei: config.polygonBaseTipGwei || 50,
-      congestedTipGwei: config.polygonCongestedTipGwei || 150,
-      aggressiveTipGwei: config.polygonAggressiveTipGwei || 200,
-      emergencyTipGwei: config.polygonEmergencyTipGwei || 200,
+      chainId: config.chainId,
+      minimumGasGwei: config.polygonMinimumGasGwei,
+      baseTipGwei: config.polygonBaseTipGwei,
+      congestedTipGwei: config.polygonCongestedTipGwei,
+      aggressiveTipGwei: config.polygonAggressiveTipGwei,
+      emergencyTipGwei: config.polygonEmergencyTipGwei,
+      baseFeeBlocksAhead: config.baseFeeBlocksAhead,
     });
 
-    console.log("💰 Dynamic Gas Bidder initialized (Polygon-optimized)");
+    console.log(`💰 Dynamic Gas Bidder initialized (${this.polygonGas.chain.name})`);
     console.log(`   - Premium: +${(this.gasPremium * 100).toFixed(0)}% above attacker`);
-    console.log(`   - Polygon minimum: 25 gwei`);
-    console.log(`   - Base tip: 50 gwei, Emergency tip: 200 gwei`);
+    console.log(`   - Minimum: ${this.polygonGas.MINIMUM_GAS_GWEI} gwei`);
+    console.log(`   - Base tip: ${this.polygonGas.BASE_TIP_GWEI} gwei, Emergency tip: ${this.polygonGas.EMERGENCY_TIP_GWEI} gwei`);
     console.log(
-      `   - Max gas: ${ethers.utils.formatUnits(this.maxGasPrice, "gwei")} gwei`
+      `   - Max gas: ${ethers.utils.formatUnits(this.maxGasPrice, "gwei")} gwei` +
+        (this.gasBudgetFraction ? ` (or ${(this.gasBudgetFraction * 100).toFixed(1)}% of value at risk)` : "")
     );
   }
 
-  async initialize(provider, privateKey) {
+  /**
+   * @param {NonceManager} nonceManager - Shared nonce allocator (standalone use falls back to the pending count)
+   * @param {BaseFeeTracker} baseFeeTracker - Predicted base fee for outbid max fees (optional)
+   * @param {FeeOracle} feeOracle - feeHistory tip percentiles / congestion (optional)
+   * @param {PriceOracle} priceOracle - USD prices for value-at-risk budgets (optional)
+   */
+  async initialize(provider, privateKey, nonceManager = null, baseFeeTracker = null, feeOracle = null, priceOracle = null) {
     this.provider = provider;
     this.signer = new ethers.Wallet(privateKey, provider);
+    this.nonceManager = nonceManager;
+    this.priceOracle = priceOracle;
+    if (baseFeeTracker) this.polygonGas.setBaseFeeTracker(baseFeeTracker);
+    if (feeOracle) this.polygonGas.setFeeOracle(feeOracle);
     console.log("✅ Dynamic Gas Bidder ready");
   }
 
@@ -75,46 +98,77 @@ class DynamicGasBidder {
     return null;
   }
 
+  /**
+   * Most we'll spend on gas for one sweep tx: GAS_BUDGET_FRACTION of the
+   * value at risk, in wei. Null (flat MAX_GAS_PRICE_GWEI cap) without a
+   * fraction, a value or a native coin price.
+   *
+   * @param {number} valueAtRiskUsd - USD value the threat would take
+   */
+  getGasBudget(valueAtRiskUsd) {
+    if (!this.gasBudgetFraction || !this.priceOracle || !(valueAtRiskUsd > 0)) return null;
+    return this.priceOracle.usdToNative(valueAtRiskUsd * this.gasBudgetFraction);
+  }
+
+  /**
+   * Max fee per gas we accept: budget / gas limit when both are known, else MAX_GAS_PRICE_GWEI
+   */
+  getMaxGasPrice({ budgetWei = null, gasLimit = null } = {}) {
+    if (budgetWei && gasLimit && !ethers.BigNumber.from(gasLimit).isZero()) {
+      return { price: ethers.BigNumber.from(budgetWei).div(gasLimit), source: "value-at-risk budget" };
+    }
+    return { price: this.maxGasPrice, source: "MAX_GAS_PRICE_GWEI" };
+  }
+
   /**
    * Calculate outbid gas - adds premium to attacker's gas
+   *
+   * @param {Object} attackerGas - From parseGasFromTx
+   * @param {Object} limits - { budgetWei, gasLimit } for a value-aware cap (optional)
    */
-  calculateOutbidGas(attackerGas) {
+  calculateOutbidGas(attackerGas, limits = {}) {
     if (!attackerGas) return null;
 
-    const premium = Math.floor((1 + this.gasPremium) * 100);
-
     // Use Polygon-specific outbid logic
     const outbidGas = this.polygonGas.outbidGas(attackerGas, this.gasPremium * 100);
+    return this.capGas(outbidGas, limits);
+  }
 
-    // Apply safety limit
-    if (outbidGas.maxFeePerGas.gt(this.maxGasPrice)) {
-      console.warn(
-        `⚠️ Calculated gas ${ethers.utils.formatUnits(
-          outbidGas.maxFeePerGas,
-          "gwei"
-        )} gwei exceeds max, capping at ${ethers.utils.formatUnits(
-          this.maxGasPrice,
-          "gwei"
-        )} gwei`
-      );
-      // Cap but maintain Polygon minimum
-      const minGas = ethers.utils.parseUnits("25", "gwei");
-      outbidGas.maxFeePerGas = this.maxGasPrice.gt(minGas) ? this.maxGasPrice : minGas;
-      // Keep tip proportional but ensure minimum
-      const minTip = ethers.utils.parseUnits("50", "gwei");
-      outbidGas.maxPriorityFeePerGas = outbidGas.maxPriorityFeePerGas.gt(minTip) 
-        ? outbidGas.maxPriorityFeePerGas 
-        : minTip;
+  /**
+   * Apply the max gas price (value-aware when limits are given) to a gas config
+   */
+  capGas(gas, limits = {}) {
+    const { price: maxGasPrice, source } = this.getMaxGasPrice(limits);
+    const fee = gas.maxFeePerGas || gas.gasPrice;
+    if (fee.lte(maxGasPrice)) return gas;
+
+    console.warn(
+      `⚠️ Calculated gas ${ethers.utils.formatUnits(fee, "gwei")} gwei exceeds ${source}, ` +
+        `capping at ${ethers.utils.formatUnits(maxGasPrice, "gwei")} gwei`
+    );
+
+    // Cap but maintain the chain minimum
+    const minGas = this.polygonGas.gwei(this.polygonGas.MINIMUM_GAS_GWEI);
+    const cappedFee = maxGasPrice.gt(minGas) ? maxGasPrice : minGas;
+    if (!gas.maxFeePerGas) {
+      return { ...gas, gasPrice: cappedFee };
     }
 
-    return outbidGas;
+    // Keep tip proportional but ensure minimum - never above the capped max fee
+    const minTip = this.polygonGas.gwei(this.polygonGas.BASE_TIP_GWEI);
+    let tip = gas.maxPriorityFeePerGas.gt(minTip) ? gas.maxPriorityFeePerGas : minTip;
+    if (tip.gt(cappedFee)) tip = cappedFee;
+
+    return { ...gas, maxFeePerGas: cappedFee, maxPriorityFeePerGas: tip };
   }
 
   /**
    * Build and sign a transaction with outbid gas
    * This is fast because we skip estimation and use provided gas
+   *
+   * @param {BigNumber} budgetWei - Value-at-risk gas budget (getGasBudget) - caps the bid instead of MAX_GAS_PRICE_GWEI
    */
-  async buildOutbidTx(txData, attackerGas, nonce = null) {
+  async buildOutbidTx(txData, attackerGas, nonce = null, budgetWei = null) {
     const startTime = Date.now();
 
     // Parse attacker's gas
@@ -137,8 +191,20 @@ class DynamicGasBidder {
       );
     }
 
+    // Estimate gas limit quickly
+    const gasLimit = (
+      await this.provider.estimateGas({
+        to: txData.to,
+        data: txData.data,
+        from: this.signer.address,
+        value: txData.value || 0,
+      })
+    )
+      .mul(120)
+      .div(100); // 20% buffer
+
     // Calculate outbid gas
-    const outbidGas = this.calculateOutbidGas(parsedGas);
+    const outbidGas = this.calculateOutbidGas(parsedGas, { budgetWei, gasLimit });
 
     if (outbidGas.type === 2) {
       console.log(
@@ -155,19 +221,13 @@ class DynamicGasBidder {
       );
     }
 
-    // Get nonce if not provided
+    // Get nonce if not provided (reserved only once the tx is known to be buildable)
     if (nonce === null) {
-      nonce = await this.provider.getTransactionCount(this.signer.address, "pending");
+      nonce = this.nonceManager
+        ? this.nonceManager.reserve("outbid")
+        : await this.provider.getTransactionCount(this.signer.address, "pending");
     }
 
-    // Estimate gas limit quickly
-    const gasLimit = await this.provider.estimateGas({
-      to: txData.to,
-      data: txData.data,
-      from: this.signer.address,
-      value: txData.value || 0,
-    });
-
     // Build transaction
     const tx = {
       to: txData.to,
@@ -175,7 +235,7 @@ class DynamicGasBidder {
       value: txData.value || 0,
       nonce: nonce,
       chainId: this.config.chainId,
-      gasLimit: gasLimit.mul(120).div(100), // 20% buffer
+      gasLimit: gasLimit,
       ...outbidGas,
     };
 
@@ -230,11 +290,8 @@ class DynamicGasBidder {
   async getBaselineCompetitiveGas() {
     const feeData = await this.provider.getFeeData();
 
-    // Use Polygon competitive gas (not emergency, but competitive)
-    return this.polygonGas.fromProviderFeeData(feeData, { 
-      emergency: false, 
-      congested: false 
-    });
+    // Use Polygon competitive gas (not emergency, but competitive) - congestion from the fee oracle
+    return this.polygonGas.fromProviderFeeData(feeData, { emergency: false });
   }
 
   /**
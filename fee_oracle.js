@@ -0,0 +1,199 @@
+const { ethers } = require("ethers");
+
+/**
+ * Fee Oracle
+ *
+ * Samples eth_feeHistory reward percentiles over a sliding window of recent
+ * blocks so tips follow what is actually getting included instead of fixed
+ * 50 / 150 / 200 gwei tiers.
+ *
+ * - Congestion: average gasUsedRatio of the window at or above
+ *   FEE_CONGESTION_RATIO (blocks consistently over target).
+ * - Tips: normal = p50, congested = p75 x multiplier, emergency = p90 x
+ *   multiplier (medians of each percentile across the window).
+ *
+ * The static tiers stay as floors in PolygonGasCalculator.
+ */
+
+const PERCENTILES = [25, 50, 75, 90];
+
+const TIP_LEVELS = {
+  normal: { percentile: 50, multiplierKey: "feeNormalTipMultiplier", defaultMultiplier: 1.0 },
+  congested: { percentile: 75, multiplierKey: "feeCongestedTipMultiplier", defaultMultiplier: 1.25 },
+  emergency: { percentile: 90, multiplierKey: "feeEmergencyTipMultiplier", defaultMultiplier: 2.0 },
+};
+
+class FeeOracle {
+  /**
+   * @param {Object} config - { feeHistoryBlocks, feeOracleRefreshMs, feeCongestionRatio, fee*TipMultiplier, debug }
+   */
+  constructor(config = {}) {
+    this.config = config;
+    this.windowBlocks = config.feeHistoryBlocks || 20;
+    this.refreshMs = config.feeOracleRefreshMs || 4000;
+    this.congestionRatio = config.feeCongestionRatio || 0.75;
+
+    this.provider = null;
+    this.blockListener = null;
+    this.refreshing = null;
+    this.lastRefresh = 0;
+
+    this.tips = null; // { 25: BigNumber, 50: ..., 75: ..., 90: ... }
+    this.gasUsedRatio = null; // Window average
+    this.congested = false;
+    this.oldestBlock = null;
+    this.newestBlock = null;
+
+    // Callback hook: (congested, oracle) => void - fires when the classification flips
+    this.onCongestionChange = null;
+
+    this.stats = {
+      refreshes: 0,
+      errors: 0,
+      congestionChanges: 0,
+    };
+  }
+
+  async initialize(provider) {
+    this.provider = provider;
+
+    if (!(await this.refresh())) {
+      console.log("⚠️ Fee oracle: eth_feeHistory unavailable - using static tip tiers");
+      return;
+    }
+
+    console.log(
+      `📊 Fee oracle: ${this.windowBlocks}-block window, ${this.congested ? "🔥 congested" : "normal"} ` +
+        `(${(this.gasUsedRatio * 100).toFixed(0)}% full), tips p50 ${this.formatGwei(this.tips[50])} / ` +
+        `p90 ${this.formatGwei(this.tips[90])} gwei`
+    );
+  }
+
+  /**
+   * Follow new blocks from a provider (standalone use - the monitor calls onBlock itself)
+   */
+  start(provider) {
+    this.provider = provider;
+    if (this.blockListener) return;
+
+    this.blockListener = (blockNumber) => this.onBlock(blockNumber);
+    provider.on("block", this.blockListener);
+  }
+
+  stop() {
+    if (this.blockListener && this.provider) {
+      this.provider.off("block", this.blockListener);
+      this.blockListener = null;
+    }
+  }
+
+  /**
+   * Slide the window forward (at most once per FEE_ORACLE_REFRESH_MS)
+   */
+  async onBlock(blockNumber) {
+    if (this.newestBlock !== null && blockNumber <= this.newestBlock) return;
+    if (Date.now() - this.lastRefresh < this.refreshMs) return;
+    await this.refresh();
+  }
+
+  /**
+   * Fetch eth_feeHistory for the window and recompute tips / congestion
+   * @returns {boolean} Whether fresh data was loaded
+   */
+  async refresh() {
+    if (this.refreshing) return this.refreshing;
+
+    this.refreshing = (async () => {
+      try {
+        const history = await this.provider.send("eth_feeHistory", [
+          ethers.utils.hexValue(this.windowBlocks),
+          "latest",
+          PERCENTILES,
+        ]);
+        this.lastRefresh = Date.now();
+        return this.update(history);
+      } catch (error) {
+        this.stats.errors++;
+        if (this.config.debug) {
+          console.log(`   ⚠️ eth_feeHistory failed: ${error.message}`);
+        }
+        return false;
+      } finally {
+        this.refreshing = null;
+      }
+    })();
+
+    return this.refreshing;
+  }
+
+  /**
+   * Load an eth_feeHistory result ({ oldestBlock, reward[][], gasUsedRatio[] })
+   */
+  update(history) {
+    if (!history || !Array.isArray(history.reward) || history.reward.length === 0) return false;
+
+    const tips = {};
+    PERCENTILES.forEach((percentile, i) => {
+      const rewards = history.reward
+        .map((blockRewards) => ethers.BigNumber.from(blockRewards[i] || 0))
+        .sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+      tips[percentile] = rewards[Math.floor(rewards.length / 2)];
+    });
+
+    const ratios = history.gasUsedRatio || [];
+    const gasUsedRatio = ratios.length > 0 ? ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length : 0;
+
+    this.tips = tips;
+    this.gasUsedRatio = gasUsedRatio;
+    this.oldestBlock = ethers.BigNumber.from(history.oldestBlock).toNumber();
+    this.newestBlock = this.oldestBlock + history.reward.length - 1;
+    this.stats.refreshes++;
+
+    const congested = gasUsedRatio >= this.congestionRatio;
+    if (congested !== this.congested) {
+      this.congested = congested;
+      this.stats.congestionChanges++;
+      console.log(
+        `📊 Network ${congested ? "🔥 CONGESTED" : "back to normal"} - ${(gasUsedRatio * 100).toFixed(0)}% ` +
+          `average block fullness over ${history.reward.length} blocks`
+      );
+      if (this.onCongestionChange) this.onCongestionChange(congested, this);
+    }
+
+    return true;
+  }
+
+  isCongested() {
+    return this.congested;
+  }
+
+  /**
+   * Tip for a level ("normal" | "congested" | "emergency")
+   * @returns {BigNumber|null} Null until the first successful refresh
+   */
+  getTip(level = "normal") {
+    if (!this.tips) return null;
+
+    const { percentile, multiplierKey, defaultMultiplier } = TIP_LEVELS[level] || TIP_LEVELS.normal;
+    const multiplier = this.config[multiplierKey] || defaultMultiplier;
+    return this.tips[percentile].mul(Math.round(multiplier * 100)).div(100);
+  }
+
+  formatGwei(value) {
+    return parseFloat(ethers.utils.formatUnits(value, "gwei")).toFixed(2);
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      congested: this.congested,
+      gasUsedRatio: this.gasUsedRatio,
+      newestBlock: this.newestBlock,
+      tipsGwei: this.tips
+        ? Object.fromEntries(Object.entries(this.tips).map(([p, tip]) => [`p${p}`, this.formatGwei(tip)]))
+        : null,
+    };
+  }
+}
+
+module.exports = { FeeOracle };
@@ -0,0 +1,362 @@
+const { ethers } = require("ethers");
+const { getChainProfile } = require("./chain_profiles");
+
+/**
+ * Gas Escalation Ladder
+ *
+ * A sweep that is broadcast once and left alone loses to an attacker who keeps
+ * speeding up their drain. While our tx is pending this re-signs the SAME
+ * nonce every block with a higher fee (at least GAS_ESCALATION_BUMP_PERCENT,
+ * 10% minimum - nodes reject smaller replacements) until one of our hashes is
+ * mined.
+ *
+ * Each step is the larger of our last fee + bump and the floor set from the
+ * attacker's gas (raiseFloor - fed by the monitor when the attacker replaces
+ * their tx). The ladder stops climbing at the value-at-risk budget (max fee x
+ * gas limit) when one is known, at MAX_GAS_PRICE_GWEI otherwise, and stops
+ * altogether once the attacker's nonce is mined or ours is used by another tx.
+ *
+ * Every replacement is recorded here and in the NonceManager.
+ */
+
+const MIN_BUMP_PERCENT = 10;
+
+class GasEscalator {
+  /**
+   * @param {Object} config - { chainId, enableGasEscalation, gasEscalationBumpPercent, gasEscalationMaxBlocks, maxGasPrice, debug }
+   */
+  constructor(config) {
+    this.config = config;
+    this.enabled = config.enableGasEscalation !== false;
+    this.provider = null;
+    this.signer = null;
+    this.nonceManager = null;
+
+    this.bumpPercent = Math.max(MIN_BUMP_PERCENT, config.gasEscalationBumpPercent || MIN_BUMP_PERCENT);
+    this.maxBlocks = config.gasEscalationMaxBlocks || 15;
+    this.maxGasPrice = config.maxGasPrice
+      ? ethers.BigNumber.from(config.maxGasPrice)
+      : ethers.utils.parseUnits("1000", "gwei");
+    // Poll twice per block, give up on a stalled block after 5 block times
+    const blockTimeMs = config.blockTimeMs || getChainProfile(config.chainId).blockTimeMs;
+    this.pollIntervalMs = config.gasEscalationPollMs || Math.min(1000, Math.ceil(blockTimeMs / 2));
+    this.blockTimeoutMs = config.gasEscalationBlockTimeoutMs || Math.max(10000, blockTimeMs * 5);
+
+    this.active = new Map(); // our nonce => escalation state
+    this.replacements = []; // Every replacement sent (most recent last)
+    this.maxRecords = 500;
+
+    // Callback hook: (record) => void - { nonce, from, to, label, block, fees, at }
+    this.onReplacement = null;
+
+    this.stats = {
+      escalations: 0,
+      replacements: 0,
+      landedAfterBump: 0,
+      capped: 0,
+      budgetCapped: 0,
+      attackerMined: 0,
+      failedReplacements: 0,
+    };
+  }
+
+  initialize(provider, signer, nonceManager) {
+    this.provider = provider;
+    this.signer = signer;
+    this.nonceManager = nonceManager;
+
+    console.log(
+      `📈 Gas escalation: ${this.enabled ? "✅ ENABLED" : "❌ Disabled"} (+${this.bumpPercent}%/block, ` +
+        `${this.maxBlocks} blocks, cap ${ethers.utils.formatUnits(this.maxGasPrice, "gwei")} gwei)`
+    );
+  }
+
+  /**
+   * Watch a broadcast tx and climb the ladder until it is mined
+   *
+   * @param {string} signedTx - The tx already broadcast
+   * @param {string} txHash - Its hash
+   * @param {Object} options
+   * @param {string} options.label - For logs / records
+   * @param {Function} options.broadcast - async (signedTx) => txHash
+   * @param {Object} options.attackerTx - Attacker tx we're racing ({ from, nonce, hash, gas fields })
+   * @param {BigNumber} options.budgetWei - Max total fee (gas limit x max fee) worth spending
+   * @param {Object} options.floor - Initial fee floor (outbid gas of an attacker replacement)
+   * @returns {Object} { success, receipt, txHash, reason, replacements } - same shape as waitForConfirmation
+   */
+  async escalate(signedTx, txHash, options = {}) {
+    const parsed = ethers.utils.parseTransaction(signedTx);
+    const state = {
+      nonce: parsed.nonce,
+      label: options.label || "sweep",
+      parsed,
+      hashes: [txHash],
+      fees: this.feesOf(parsed),
+      floor: options.floor || null,
+      attackerTx: options.attackerTx || null,
+      budgetWei: options.budgetWei ? ethers.BigNumber.from(options.budgetWei) : null,
+      broadcast: options.broadcast,
+      capped: null,
+      stopped: null,
+      bumping: false,
+      replacements: [],
+      block: null,
+    };
+
+    this.active.set(state.nonce, state);
+    this.stats.escalations++;
+
+    console.log(`\n📈 Escalating ${state.label} (nonce ${state.nonce}) until inclusion - +${this.bumpPercent}% per block`);
+
+    try {
+      state.block = await this.provider.getBlockNumber();
+
+      // Already outbid (attacker replaced while we were signing) - don't wait a block
+      if (state.floor && this.priceOf(state.fees).lt(state.floor.maxFeePerGas || state.floor.gasPrice)) {
+        await this.bump(state);
+      }
+
+      for (let i = 0; i < this.maxBlocks; i++) {
+        state.block = await this.waitForNextBlock(state.block);
+
+        const receipt = await this.findReceipt(state.hashes);
+        if (receipt) return this.finish(state, receipt);
+
+        // Our nonce went to a tx we don't know (race variant, another process)
+        const mined = await this.provider.getTransactionCount(this.signer.address, "latest");
+        if (mined > state.nonce) {
+          const late = await this.findReceipt(state.hashes);
+          if (late) return this.finish(state, late);
+          console.log(`   ℹ️ Nonce ${state.nonce} used by another transaction - stopping escalation`);
+          return { success: false, reason: "Nonce used by another transaction", replacements: state.replacements };
+        }
+
+        // Attacker already landed (their original or a replacement) - don't spend more
+        if (!state.stopped && (await this.attackerMined(state.attackerTx))) {
+          state.stopped = "attacker mined";
+          this.stats.attackerMined++;
+          console.log(`   ⚠️ Attacker nonce ${state.attackerTx.nonce} mined - no further bumps for ${state.label}`);
+        }
+
+        if (!state.capped && !state.stopped) {
+          await this.bump(state);
+        }
+      }
+
+      console.log(`⏰ ${state.label} not mined after ${this.maxBlocks} blocks (${state.replacements.length} replacement(s))`);
+      return { success: false, reason: "Confirmation timeout", replacements: state.replacements };
+    } finally {
+      this.active.delete(state.nonce);
+    }
+  }
+
+  /**
+   * The attacker replaced their tx with higher gas - raise the floor of every
+   * escalation racing them and replace our tx right away
+   *
+   * @param {string} attackerFrom
+   * @param {number} attackerNonce
+   * @param {Object} floor - Fees to beat ({ maxFeePerGas, maxPriorityFeePerGas } or { gasPrice })
+   * @returns {number} Escalations re-bid
+   */
+  async raiseFloor(attackerFrom, attackerNonce, floor) {
+    let rebid = 0;
+
+    for (const state of this.active.values()) {
+      const attacker = state.attackerTx;
+      if (!attacker || attacker.nonce !== attackerNonce) continue;
+      if (attacker.from?.toLowerCase() !== attackerFrom.toLowerCase()) continue;
+
+      state.floor = floor;
+      state.capped = null; // A higher floor may still fit under the caps
+      if (!state.stopped) {
+        await this.bump(state);
+        rebid++;
+      }
+    }
+
+    return rebid;
+  }
+
+  /**
+   * Re-sign the same nonce with the next rung of the ladder and broadcast it
+   */
+  async bump(state) {
+    if (state.bumping) return false; // Block tick and raiseFloor at the same time
+    state.bumping = true;
+    try {
+      return await this.sendReplacement(state);
+    } finally {
+      state.bumping = false;
+    }
+  }
+
+  async sendReplacement(state) {
+    const next = this.nextFees(state);
+    if (!next) return false;
+
+    const previous = state.hashes[state.hashes.length - 1];
+    const { parsed } = state;
+    const tx = {
+      to: parsed.to,
+      data: parsed.data,
+      value: parsed.value,
+      nonce: parsed.nonce,
+      gasLimit: parsed.gasLimit,
+      chainId: parsed.chainId,
+      type: next.type,
+      ...(next.type === 2
+        ? { maxFeePerGas: next.maxFeePerGas, maxPriorityFeePerGas: next.maxPriorityFeePerGas }
+        : { gasPrice: next.gasPrice }),
+    };
+
+    // Next rung builds on this one even if the broadcast is refused
+    state.fees = next;
+
+    let txHash;
+    try {
+      const signedTx = await this.signer.signTransaction(tx);
+      txHash = await state.broadcast(signedTx);
+    } catch (error) {
+      this.stats.failedReplacements++;
+      console.log(`   ⚠️ Replacement for nonce ${state.nonce} refused: ${error.message.substring(0, 100)}`);
+      return false;
+    }
+
+    state.hashes.push(txHash);
+
+    const record = {
+      nonce: state.nonce,
+      from: previous,
+      to: txHash,
+      label: state.label,
+      block: state.block,
+      fees: this.formatFees(next),
+      at: Date.now(),
+    };
+    state.replacements.push(record);
+    this.replacements.push(record);
+    if (this.replacements.length > this.maxRecords) this.replacements.shift();
+    this.stats.replacements++;
+
+    this.nonceManager.markSent(state.nonce, txHash, `${state.label} bump`, previous);
+    console.log(`   📈 Replaced ${state.label} (nonce ${state.nonce}) at ${record.fees}: ${txHash}`);
+
+    if (this.onReplacement) this.onReplacement(record);
+    return true;
+  }
+
+  /**
+   * Next fees: last fees + bump, at least the floor, capped by the budget (or MAX_GAS_PRICE without one)
+   * Returns null (and marks the state capped) when no valid replacement is left
+   */
+  nextFees(state) {
+    const current = state.fees;
+    const bump = (value) => value.mul(100 + this.bumpPercent).div(100);
+    const max = (a, b) => (b && b.gt(a) ? b : a);
+
+    const floorPrice = state.floor ? ethers.BigNumber.from(state.floor.maxFeePerGas || state.floor.gasPrice) : null;
+    const floorTip = state.floor?.maxPriorityFeePerGas ? ethers.BigNumber.from(state.floor.maxPriorityFeePerGas) : null;
+
+    let price = max(bump(this.priceOf(current)), floorPrice);
+    let tip = current.type === 2 ? max(bump(current.maxPriorityFeePerGas), floorTip) : null;
+
+    // Cap: the value-at-risk budget replaces the flat gas price limit when known
+    const capPrice = state.budgetWei ? state.budgetWei.div(state.parsed.gasLimit) : this.maxGasPrice;
+    let cappedBy = null;
+    if (price.gt(capPrice)) {
+      price = capPrice;
+      cappedBy = state.budgetWei ? "value-at-risk budget" : "MAX_GAS_PRICE_GWEI";
+    }
+
+    // A capped price still has to be a valid replacement
+    if (price.lt(bump(this.priceOf(current)))) {
+      state.capped = cappedBy;
+      if (cappedBy === "value-at-risk budget") this.stats.budgetCapped++;
+      else this.stats.capped++;
+      console.log(`   🛑 ${state.label} escalation capped by ${cappedBy} at ${this.formatFees(current)}`);
+      return null;
+    }
+
+    if (current.type === 2) {
+      return { type: 2, maxFeePerGas: price, maxPriorityFeePerGas: tip.gt(price) ? price : tip };
+    }
+    return { type: current.type, gasPrice: price };
+  }
+
+  async waitForNextBlock(afterBlock) {
+    const deadline = Date.now() + this.blockTimeoutMs;
+    while (Date.now() < deadline) {
+      const block = await this.provider.getBlockNumber().catch(() => afterBlock);
+      if (block > afterBlock) return block;
+      await new Promise((resolve) => setTimeout(resolve, this.pollIntervalMs));
+    }
+    return afterBlock; // No new block - check / bump anyway
+  }
+
+  async findReceipt(hashes) {
+    const receipts = await Promise.all(
+      hashes.map((hash) => this.provider.getTransactionReceipt(hash).catch(() => null))
+    );
+    return receipts.find(Boolean) || null;
+  }
+
+  async attackerMined(attackerTx) {
+    if (!attackerTx || !attackerTx.from || attackerTx.nonce === undefined || attackerTx.nonce === null) {
+      return false;
+    }
+    const count = await this.provider.getTransactionCount(attackerTx.from, "latest").catch(() => 0);
+    return count > attackerTx.nonce;
+  }
+
+  finish(state, receipt) {
+    const bumped = receipt.transactionHash !== state.hashes[0];
+    if (bumped) this.stats.landedAfterBump++;
+
+    if (receipt.status === 1) {
+      console.log(
+        `✅ ${state.label} CONFIRMED in block ${receipt.blockNumber}` +
+          (bumped ? ` (replacement ${state.hashes.indexOf(receipt.transactionHash)} of ${state.replacements.length})` : "")
+      );
+      return { success: true, receipt, txHash: receipt.transactionHash, replacements: state.replacements };
+    }
+
+    console.log(`❌ ${state.label} REVERTED in block ${receipt.blockNumber}`);
+    return {
+      success: false,
+      receipt,
+      txHash: receipt.transactionHash,
+      reason: "Transaction reverted",
+      replacements: state.replacements,
+    };
+  }
+
+  feesOf(parsed) {
+    if (parsed.type === 2) {
+      return { type: 2, maxFeePerGas: parsed.maxFeePerGas, maxPriorityFeePerGas: parsed.maxPriorityFeePerGas };
+    }
+    return { type: parsed.type || 0, gasPrice: parsed.gasPrice };
+  }
+
+  priceOf(fees) {
+    return fees.type === 2 ? fees.maxFeePerGas : fees.gasPrice;
+  }
+
+  formatFees(fees) {
+    const gwei = (value) => parseFloat(ethers.utils.formatUnits(value, "gwei")).toFixed(2);
+    if (fees.type === 2) {
+      return `${gwei(fees.maxFeePerGas)} gwei max / ${gwei(fees.maxPriorityFeePerGas)} tip`;
+    }
+    return `${gwei(fees.gasPrice)} gwei`;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      enabled: this.enabled,
+      active: this.active.size,
+    };
+  }
+}
+
+module.exports = { GasEscalator };
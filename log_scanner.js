@@ -0,0 +1,90 @@
+/**
+ * Chunked Log Scanner
+ *
+ * eth_getLogs over a large block range fails on most providers ("block range
+ * too large", "query returned more than 10000 results"). This walks the range
+ * in chunks, halving the chunk size when the provider refuses and growing it
+ * back after successful chunks.
+ */
+
+const RANGE_ERROR_PATTERNS = [
+  "block range",
+  "range too large",
+  "too many",
+  "more than",
+  "limit exceeded",
+  "exceed",
+  "response size",
+  "timeout",
+];
+
+class LogScanner {
+  /**
+   * @param {Object} provider - ethers provider used for eth_getLogs
+   * @param {Object} options - { chunkSize, minChunkSize, maxRetries, debug }
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.maxChunkSize = options.chunkSize || 10000;
+    this.minChunkSize = options.minChunkSize || 100;
+    this.maxRetries = options.maxRetries || 3;
+    this.debug = !!options.debug;
+    this.chunkSize = this.maxChunkSize;
+  }
+
+  /**
+   * Scan [fromBlock, toBlock] and hand every chunk's logs to onChunk
+   *
+   * @param {Object} filter - { address, topics } (fromBlock/toBlock are set per chunk)
+   * @param {number} fromBlock
+   * @param {number} toBlock
+   * @param {Function} onChunk - async (logs, chunkFrom, chunkTo) => void
+   * @returns {number} Total logs seen
+   */
+  async scan(filter, fromBlock, toBlock, onChunk) {
+    let cursor = fromBlock;
+    let total = 0;
+    let retries = 0;
+
+    while (cursor <= toBlock) {
+      const chunkEnd = Math.min(cursor + this.chunkSize - 1, toBlock);
+
+      let logs;
+      try {
+        logs = await this.provider.getLogs({ ...filter, fromBlock: cursor, toBlock: chunkEnd });
+      } catch (error) {
+        const message = `${error.message || ""} ${error.body || ""}`.toLowerCase();
+        const isRangeError = RANGE_ERROR_PATTERNS.some((pattern) => message.includes(pattern));
+
+        if (isRangeError && this.chunkSize > this.minChunkSize) {
+          this.chunkSize = Math.max(this.minChunkSize, Math.floor(this.chunkSize / 2));
+          if (this.debug) {
+            console.log(`   📉 Log range refused, shrinking chunk to ${this.chunkSize} blocks`);
+          }
+          continue;
+        }
+
+        if (++retries > this.maxRetries) {
+          throw error;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 1000 * retries));
+        continue;
+      }
+
+      retries = 0;
+      total += logs.length;
+      await onChunk(logs, cursor, chunkEnd);
+
+      cursor = chunkEnd + 1;
+
+      // Provider accepted the range - try a bigger one next time
+      if (this.chunkSize < this.maxChunkSize) {
+        this.chunkSize = Math.min(this.maxChunkSize, this.chunkSize * 2);
+      }
+    }
+
+    return total;
+  }
+}
+
+module.exports = { LogScanner };
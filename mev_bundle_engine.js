@@ -1,6 +1,7 @@
 const { ethers } = require("ethers");
 const WebSocket = require("ws");
 const { MarlinRelay } = require("./marlin_relay");
+const { getChainProfile } = require("./chain_profiles");
 
 /**
  * MEV Bundle Engine for Polygon
@@ -22,6 +23,7 @@ const { MarlinRelay } = require("./marlin_relay");
 class MEVBundleEngine {
   constructor(config) {
     this.config = config;
+    this.chain = getChainProfile(config.chainId);
     console.log("🎯 Initializing MEV Bundle Engine...");
 
     this.provider = null;
@@ -60,8 +62,12 @@ class MEVBundleEngine {
     console.log("🔧 MEV Bundle Engine Configuration:");
     console.log("   - Wallet: " + this.signer.address);
 
-    // Setup Marlin Relay bundles (for Polygon)
-    if (searcherPrivateKey) {
+    // Setup Marlin Relay bundles (only where the chain profile lists the relay)
+    if (!this.chain.relays.includes("marlin")) {
+      console.log(`   - Marlin Relay Bundles: ❌ No relay on ${this.chain.name}`);
+      console.log("   ⚠️ MEV bundles disabled - shotgun broadcast + gas escalation only");
+      this.marlinBundlesAvailable = false;
+    } else if (searcherPrivateKey) {
       this.marlinRelay = new MarlinRelay(this.config);
       await this.marlinRelay.initialize(searcherPrivateKey);
       console.log("   - Marlin Relay Bundles: ✅ Available");
@@ -80,6 +86,9 @@ class MEVBundleEngine {
    *
    * This gives us 100% guarantee that our tx executes before attacker's
    * Uses Marlin Relay bundles for Polygon
+   *
+   * @param {string|Array<string>} ourSignedTx - Our signed tx, or several to run in order
+   * @param {Object|string} attackerTx - Attacker tx (raw) to place after ours
    */
   async guaranteedFrontRun(ourSignedTx, attackerTx = null) {
     const startTime = Date.now();
@@ -96,8 +105,8 @@ class MEVBundleEngine {
       const currentBlock = await this.provider.getBlockNumber();
       console.log(`Current block: ${currentBlock}`);
 
-      // Build bundle: our transaction first, then attacker's (if provided)
-      const bundleTxs = [ourSignedTx];
+      // Build bundle: our transaction(s) first, then attacker's (if provided)
+      const bundleTxs = Array.isArray(ourSignedTx) ? [...ourSignedTx] : [ourSignedTx];
       if (attackerTx && attackerTx.raw) {
         bundleTxs.push(attackerTx.raw);
       } else if (attackerTx && typeof attackerTx === "string") {
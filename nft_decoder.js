@@ -0,0 +1,198 @@
+const { ethers } = require("ethers");
+
+/**
+ * NFT Decoder
+ *
+ * ERC721 / ERC1155 drains against the Safe:
+ * - ERC721 transferFrom / safeTransferFrom(from, to, tokenId[, data])
+ * - ERC1155 safeTransferFrom(from, to, id, amount, data) / safeBatchTransferFrom
+ * - setApprovalForAll(operator, true) / ERC721 approve(to, tokenId) signed by the Safe
+ *
+ * ERC721 transferFrom and approve share their selectors with ERC20, so those
+ * two are only treated as NFT calls when the target is a collection the Safe
+ * is known to hold. Everything else has an NFT-only selector.
+ *
+ * Holdings / exposure are described as { standard, collection, tokenIds }.
+ */
+
+const ERC721_ABI = [
+  "function transferFrom(address from, address to, uint256 tokenId)",
+  "function safeTransferFrom(address from, address to, uint256 tokenId)",
+  "function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)",
+  "function approve(address to, uint256 tokenId)",
+  "function setApprovalForAll(address operator, bool approved)",
+];
+
+const ERC1155_ABI = [
+  "function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)",
+  "function safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] amounts, bytes data)",
+];
+
+// Selectors shared with ERC20 - ambiguous without knowing the target
+const ERC20_SHARED_SELECTORS = new Set(["0x23b872dd", "0x095ea7b3"]);
+
+// Transfer entry points whose first argument is the owner being debited
+const NFT_TRANSFER_SELECTORS = ["0x42842e0e", "0xb88d4fde", "0xf242432a", "0x2eb2c2d6"];
+
+class NftDecoder {
+  constructor() {
+    this.erc721Interface = new ethers.utils.Interface(ERC721_ABI);
+    this.erc1155Interface = new ethers.utils.Interface(ERC1155_ABI);
+
+    this.erc721Selectors = new Set(
+      Object.keys(this.erc721Interface.functions).map((sig) => this.erc721Interface.getSighash(sig))
+    );
+    this.erc1155Selectors = new Set(
+      Object.keys(this.erc1155Interface.functions).map((sig) => this.erc1155Interface.getSighash(sig))
+    );
+  }
+
+  /**
+   * Quick check if calldata starts with an NFT selector (including the ERC20-shared ones)
+   */
+  isNftCall(data) {
+    if (!data || data.length < 10) return false;
+    const selector = data.slice(0, 10).toLowerCase();
+    return this.erc721Selectors.has(selector) || this.erc1155Selectors.has(selector);
+  }
+
+  /**
+   * Decode one call to an NFT collection
+   *
+   * @param {string} to - Collection address (call target)
+   * @param {string} data - Calldata
+   * @param {Array} knownNfts - Holdings of the Safe ({ standard, collection, tokenIds })
+   * @returns {Object|null} { kind, standard, method, collection, from, recipient, operator, approved, tokenIds, amounts }
+   */
+  decodeCall(to, data, knownNfts = []) {
+    if (!to || !this.isNftCall(data)) return null;
+
+    const selector = data.slice(0, 10).toLowerCase();
+    const known = this.findHolding(knownNfts, to);
+
+    // transferFrom / approve - ERC20 unless we know this is a collection
+    if (ERC20_SHARED_SELECTORS.has(selector) && !known) return null;
+
+    const collection = ethers.utils.getAddress(to);
+
+    try {
+      if (this.erc1155Selectors.has(selector)) {
+        const parsed = this.erc1155Interface.parseTransaction({ data });
+        const isBatch = parsed.name === "safeBatchTransferFrom";
+        return {
+          kind: "NFT_TRANSFER",
+          standard: "ERC1155",
+          method: parsed.name,
+          collection,
+          from: parsed.args.from,
+          recipient: parsed.args.to,
+          tokenIds: (isBatch ? parsed.args.ids : [parsed.args.id]).map((id) => id.toString()),
+          amounts: isBatch ? parsed.args.amounts : [parsed.args.amount],
+        };
+      }
+
+      const parsed = this.erc721Interface.parseTransaction({ data });
+
+      if (parsed.name === "setApprovalForAll") {
+        return {
+          kind: "NFT_APPROVAL_FOR_ALL",
+          standard: known ? known.standard : null, // Same selector on ERC721 and ERC1155
+          method: parsed.name,
+          collection,
+          operator: parsed.args.operator,
+          approved: parsed.args.approved,
+          // Operator can move every id we hold in this collection
+          tokenIds: known ? [...known.tokenIds] : [],
+        };
+      }
+
+      if (parsed.name === "approve") {
+        return {
+          kind: "NFT_APPROVE",
+          standard: "ERC721",
+          method: parsed.name,
+          collection,
+          operator: parsed.args.to,
+          approved: parsed.args.to !== ethers.constants.AddressZero,
+          tokenIds: [parsed.args.tokenId.toString()],
+        };
+      }
+
+      return {
+        kind: "NFT_TRANSFER",
+        standard: "ERC721",
+        method: parsed.name,
+        collection,
+        from: parsed.args.from,
+        recipient: parsed.args.to,
+        tokenIds: [parsed.args.tokenId.toString()],
+        amounts: [ethers.BigNumber.from(1)],
+      };
+    } catch (error) {
+      // Malformed calldata
+      return null;
+    }
+  }
+
+  /**
+   * Decode a pending tx and check whether it moves NFTs out of the Safe
+   *
+   * Covers an approved operator (or an approval the attacker got signed)
+   * calling the collection directly with the Safe as `from`.
+   *
+   * @param {Object} tx - Pending transaction
+   * @param {Object} safe - { safeAddress, vaultAddress }
+   * @param {Array} knownNfts - Holdings of the Safe
+   * @returns {Object|null} Decoded call plus `nfts` exposure, or null
+   */
+  analyze(tx, safe, knownNfts = []) {
+    if (!tx || !tx.to) return null;
+
+    const call = this.decodeCall(tx.to, tx.data, knownNfts);
+    if (!call || call.kind !== "NFT_TRANSFER") return null;
+
+    if (call.from.toLowerCase() !== safe.safeAddress.toLowerCase()) return null;
+    if (call.recipient.toLowerCase() === safe.vaultAddress.toLowerCase()) return null; // Our own sweep
+
+    call.nfts = [{ standard: call.standard, collection: call.collection, tokenIds: call.tokenIds }];
+    return call;
+  }
+
+  /**
+   * Holding entry for a collection (null if not known)
+   */
+  findHolding(knownNfts, collection) {
+    const key = collection.toLowerCase();
+    return knownNfts.find((nft) => nft.collection.toLowerCase() === key) || null;
+  }
+
+  /**
+   * Merge NFT lists into one entry per collection with unique token ids
+   */
+  merge(...lists) {
+    const byCollection = new Map();
+
+    for (const nft of lists.flat()) {
+      if (!nft || !nft.collection) continue;
+      const key = nft.collection.toLowerCase();
+      if (!byCollection.has(key)) {
+        byCollection.set(key, {
+          standard: nft.standard,
+          collection: ethers.utils.getAddress(nft.collection),
+          tokenIds: [],
+        });
+      }
+
+      const entry = byCollection.get(key);
+      entry.standard = entry.standard || nft.standard;
+      for (const id of nft.tokenIds || []) {
+        const tokenId = id.toString();
+        if (!entry.tokenIds.includes(tokenId)) entry.tokenIds.push(tokenId);
+      }
+    }
+
+    return Array.from(byCollection.values());
+  }
+}
+
+module.exports = { NftDecoder, NFT_TRANSFER_SELECTORS };
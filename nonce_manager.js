@@ -0,0 +1,515 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Nonce Manager
+ *
+ * Single source of nonces for the bot's signer. Every submission path
+ * (pre-signed pools, real-time sweeps, MEV bundles, revocations, fallbacks)
+ * reserves here instead of asking the node for the pending count, so two
+ * concurrent responses can never sign the same nonce by accident.
+ *
+ * Lifecycle of a nonce:
+ *   reserve()/claim() -> "reserved"  (signed or about to be, not broadcast)
+ *   markSent()        -> "pending"   (accepted by at least one path; a second
+ *                                     hash for the same nonce is a replacement)
+ *   release()         -> freed       (never broadcast - the nonce is reused)
+ *   reconcile()       -> mined       (chain nonce moved past it - forgotten),
+ *                        or freed    (reserved too long / dropped by the node)
+ *
+ * A held nonce (hold/unhold) is shared by several same-nonce variants - e.g.
+ * the MEV bundle tx and the public shotgun tx racing for one slot. Failed
+ * variants can't release it; the owner unholds it once every variant is done,
+ * and only then is it freed if none of them went out.
+ *
+ * A released nonce below one that is already in flight is a gap - the later
+ * tx can't be mined until it is filled, so it is handed out first and, if
+ * nobody needs it within a block, passed to onGap(nonce) for a filler tx.
+ *
+ * State is written to NONCE_PERSIST_PATH whenever a tx is broadcast and on
+ * every reconcile, so a restart doesn't reuse nonces of txs that are still
+ * in some mempool but not yet visible to the primary RPC.
+ */
+class NonceManager {
+  /**
+   * @param {Object} config - { noncePersistPath, nonceReservationTtlMs, nonceDroppedAfterMs, debug }
+   */
+  constructor(config) {
+    this.config = config;
+    this.provider = null;
+    this.address = null;
+
+    this.persistPath = config.noncePersistPath || null;
+    this.reservationTtlMs = config.nonceReservationTtlMs || 60000; // Reserved but never sent
+    this.droppedAfterMs = config.nonceDroppedAfterMs || 120000; // Sent but unknown to the node
+
+    this.nextNonce = null;
+    this.reservations = new Map(); // nonce => { nonce, purpose, status, held, txHashes, variants, replacements, reservedAt, sentAt }
+    this.released = new Set(); // Freed nonces below nextNonce (handed out first)
+
+    this.chainNonce = null; // Latest mined count
+    this.lastReconciledBlock = null;
+    this.reconciling = false;
+    this.blockListener = null;
+    this.blockProvider = null;
+
+    // Callback hook: (nonce) => void - a gap is blocking later txs
+    this.onGap = null;
+
+    this.stats = {
+      reserved: 0,
+      released: 0,
+      sent: 0,
+      replaced: 0,
+      variants: 0,
+      mined: 0,
+      dropped: 0,
+      expired: 0,
+      externalAdvances: 0,
+      gapsFilled: 0,
+    };
+  }
+
+  /**
+   * Load persisted state and line it up with the chain
+   *
+   * @param {Object} provider - ethers provider
+   * @param {string} address - Signer address whose nonces are managed
+   */
+  async initialize(provider, address) {
+    this.provider = provider;
+    this.address = address;
+
+    console.log("\n🔢 Initializing Nonce Manager...");
+
+    const [latest, pending] = await Promise.all([
+      this.provider.getTransactionCount(this.address, "latest"),
+      this.provider.getTransactionCount(this.address, "pending"),
+    ]);
+
+    this.chainNonce = latest;
+    this.nextNonce = pending;
+
+    const restored = this.load();
+    if (restored) {
+      console.log(`   ✅ Restored ${restored} in-flight nonce(s) from ${this.persistPath}`);
+    }
+
+    await this.reconcile();
+
+    console.log(`   - Signer: ${this.address}`);
+    console.log(`   - Chain nonce: ${latest} | Next nonce: ${this.peek()}`);
+    console.log(`   - Persistence: ${this.persistPath || "disabled (set NONCE_PERSIST_PATH)"}`);
+  }
+
+  /**
+   * Reconcile on every block (for standalone use - the monitor calls reconcile() itself)
+   */
+  start(provider = this.provider) {
+    if (this.blockListener) return;
+    this.blockListener = (blockNumber) => {
+      this.reconcile(blockNumber).catch((error) => {
+        console.error("⚠️ Nonce reconcile failed:", error.message);
+      });
+    };
+    provider.on("block", this.blockListener);
+    this.blockProvider = provider;
+  }
+
+  stop() {
+    if (this.blockListener) {
+      this.blockProvider.off("block", this.blockListener);
+      this.blockListener = null;
+    }
+    this.persist();
+  }
+
+  /**
+   * Next nonce reserve() would hand out (lowest gap first)
+   */
+  peek() {
+    if (this.released.size > 0) {
+      return Math.min(...this.released);
+    }
+    return this.nextNonce;
+  }
+
+  /**
+   * Reserve the next nonce
+   *
+   * @param {string} purpose - What the nonce is for (logged / persisted)
+   * @returns {number} Reserved nonce
+   */
+  reserve(purpose = "tx") {
+    if (this.nextNonce === null) {
+      throw new Error("NonceManager not initialized");
+    }
+    return this.take(this.peek(), purpose);
+  }
+
+  /**
+   * Reserve several nonces in allocation order
+   */
+  reserveMany(count, purpose = "tx") {
+    const nonces = [];
+    for (let i = 0; i < count; i++) {
+      nonces.push(this.reserve(purpose));
+    }
+    return nonces;
+  }
+
+  /**
+   * Reserve a specific nonce - only succeeds if it is the one reserve() would
+   * return. Used by the pre-signed pools, whose txs are signed ahead for a
+   * window of candidate nonces.
+   *
+   * @returns {boolean} True if the nonce is now reserved for the caller
+   */
+  claim(nonce, purpose = "tx") {
+    if (this.nextNonce === null || nonce !== this.peek()) return false;
+    this.take(nonce, purpose);
+    return true;
+  }
+
+  take(nonce, purpose) {
+    if (this.released.has(nonce)) {
+      this.released.delete(nonce);
+    } else {
+      this.nextNonce = Math.max(this.nextNonce, nonce + 1);
+    }
+
+    this.reservations.set(nonce, {
+      nonce,
+      purpose,
+      status: "reserved",
+      held: false,
+      txHashes: [],
+      variants: [],
+      replacements: [],
+      reservedAt: Date.now(),
+      sentAt: null,
+    });
+    this.stats.reserved++;
+
+    if (this.config.debug) {
+      console.log(`   🔢 Nonce ${nonce} reserved (${purpose})`);
+    }
+    return nonce;
+  }
+
+  /**
+   * Hold a reserved nonce for same-nonce variants - release() is a no-op
+   * until unhold()
+   */
+  hold(nonce) {
+    const entry = this.reservations.get(nonce);
+    if (!entry) return false;
+    entry.held = true;
+    return true;
+  }
+
+  /**
+   * Drop the hold; frees the nonce if no variant was broadcast
+   */
+  unhold(nonce) {
+    const entry = this.reservations.get(nonce);
+    if (!entry) return false;
+    entry.held = false;
+    return this.release(nonce);
+  }
+
+  /**
+   * Record a broadcast. A different hash for a nonce already in flight is a
+   * replacement (gas bump, cancel), or a variant while the nonce is held.
+   *
+   * @param {number} nonce
+   * @param {string} txHash
+   * @param {string} label - Optional description (e.g. "USDT", "MEV bundle")
+   * @param {string} replaces - Hash this one replaces (a bump of a held variant is still a replacement)
+   */
+  markSent(nonce, txHash, label = null, replaces = null) {
+    let entry = this.reservations.get(nonce);
+    if (!entry) {
+      // Sent without a reservation - track it anyway
+      this.take(nonce, label || "untracked");
+      entry = this.reservations.get(nonce);
+    }
+
+    if (!entry.txHashes.includes(txHash)) {
+      if (entry.held && !replaces) {
+        entry.variants.push({ txHash, label, at: Date.now() });
+        this.stats.variants++;
+        if (entry.txHashes.length > 0) {
+          console.log(`   🔀 Nonce ${nonce} variant: ${txHash.slice(0, 10)}...${label ? ` (${label})` : ""}`);
+        }
+      } else if (entry.txHashes.length > 0) {
+        entry.replacements.push({
+          from: replaces || entry.txHashes[entry.txHashes.length - 1],
+          to: txHash,
+          label,
+          at: Date.now(),
+        });
+        this.stats.replaced++;
+        console.log(`   🔁 Nonce ${nonce} replaced: ${txHash.slice(0, 10)}...${label ? ` (${label})` : ""}`);
+      }
+      entry.txHashes.push(txHash);
+    }
+
+    if (entry.status !== "pending") {
+      entry.status = "pending";
+      this.stats.sent++;
+    }
+    entry.sentAt = Date.now();
+
+    this.persist();
+  }
+
+  /**
+   * Give back a reserved nonce that was never broadcast
+   *
+   * A nonce that already went out can't be taken back - it is resolved by
+   * reconcile() once it is mined or dropped.
+   *
+   * @returns {boolean} True if the nonce was freed
+   */
+  release(nonce) {
+    const entry = this.reservations.get(nonce);
+    if (!entry || entry.status !== "reserved" || entry.held) return false;
+
+    this.reservations.delete(nonce);
+    this.free(nonce);
+    this.stats.released++;
+
+    if (this.config.debug) {
+      console.log(`   🔢 Nonce ${nonce} released (${entry.purpose})`);
+    }
+    return true;
+  }
+
+  free(nonce) {
+    if (nonce === this.nextNonce - 1) {
+      // Top of the range - shrink instead of leaving a gap
+      this.nextNonce = nonce;
+      while (this.released.has(this.nextNonce - 1)) {
+        this.released.delete(this.nextNonce - 1);
+        this.nextNonce--;
+      }
+    } else if (nonce < this.nextNonce) {
+      this.released.add(nonce);
+    }
+  }
+
+  /**
+   * Line local state up with the chain - call on every block
+   *
+   * - nonces below the mined count are done
+   * - a pending count above ours means something else used this key
+   * - reservations never broadcast within the TTL are freed
+   * - broadcasts the node has forgotten about are treated as dropped
+   * - gaps under in-flight txs are handed to onGap()
+   */
+  async reconcile(blockNumber = null) {
+    if (!this.provider || this.reconciling) return;
+    this.reconciling = true;
+
+    try {
+      const [latest, pending] = await Promise.all([
+        this.provider.getTransactionCount(this.address, "latest"),
+        this.provider.getTransactionCount(this.address, "pending"),
+      ]);
+      this.chainNonce = latest;
+      if (blockNumber !== null) this.lastReconciledBlock = blockNumber;
+
+      // Mined (by us or anyone else holding the key)
+      for (const [nonce, entry] of this.reservations.entries()) {
+        if (nonce < latest) {
+          this.reservations.delete(nonce);
+          this.stats.mined++;
+          if (this.config.debug && entry.txHashes.length > 0) {
+            console.log(`   ✅ Nonce ${nonce} mined (${entry.purpose})`);
+          }
+        }
+      }
+      for (const nonce of this.released) {
+        if (nonce < latest) this.released.delete(nonce);
+      }
+
+      // Another process / wallet sent with this key
+      if (pending > this.nextNonce) {
+        console.log(`   ⚠️ Nonce advanced externally: ${this.nextNonce} -> ${pending}`);
+        for (let nonce = this.nextNonce; nonce < pending; nonce++) {
+          this.released.delete(nonce);
+        }
+        this.nextNonce = pending;
+        this.stats.externalAdvances++;
+      } else if (latest > this.nextNonce) {
+        this.nextNonce = latest;
+      }
+
+      const now = Date.now();
+      const ordered = Array.from(this.reservations.values()).sort((a, b) => a.nonce - b.nonce);
+
+      for (const entry of ordered) {
+        // Builder reserved and never came back
+        if (entry.status === "reserved" && !entry.held && now - entry.reservedAt > this.reservationTtlMs) {
+          this.reservations.delete(entry.nonce);
+          this.free(entry.nonce);
+          this.stats.expired++;
+          console.log(`   ⚠️ Nonce ${entry.nonce} reservation expired (${entry.purpose}) - freed`);
+          continue;
+        }
+
+        // Everything below is accounted for, yet the node doesn't count it
+        if (
+          entry.status === "pending" &&
+          entry.nonce >= pending &&
+          now - entry.sentAt > this.droppedAfterMs &&
+          !this.hasUnsentBelow(entry.nonce)
+        ) {
+          this.reservations.delete(entry.nonce);
+          this.free(entry.nonce);
+          this.stats.dropped++;
+          console.log(`   ⚠️ Nonce ${entry.nonce} dropped from mempool (${entry.purpose}) - freed`);
+        }
+      }
+
+      this.fillGaps();
+      this.persist();
+    } finally {
+      this.reconciling = false;
+    }
+  }
+
+  /**
+   * True if some nonce below this one is reserved-but-unsent or free
+   */
+  hasUnsentBelow(nonce) {
+    for (const gap of this.released) {
+      if (gap < nonce) return true;
+    }
+    for (const entry of this.reservations.values()) {
+      if (entry.nonce < nonce && entry.status === "reserved") return true;
+    }
+    return false;
+  }
+
+  /**
+   * Hand gaps that sit under in-flight txs to the onGap hook (it reserves
+   * through claim() like everyone else)
+   */
+  fillGaps() {
+    if (!this.onGap || this.released.size === 0) return;
+
+    const highestInFlight = Math.max(
+      -1,
+      ...Array.from(this.reservations.values())
+        .filter((entry) => entry.status === "pending")
+        .map((entry) => entry.nonce)
+    );
+
+    for (const gap of Array.from(this.released).sort((a, b) => a - b)) {
+      if (gap > highestInFlight) break;
+      console.log(`   🕳️ Nonce gap at ${gap} is blocking nonce ${highestInFlight} - filling`);
+      this.stats.gapsFilled++;
+      this.onGap(gap);
+    }
+  }
+
+  /**
+   * Reservations that have been broadcast and not mined yet
+   */
+  getInFlight() {
+    return Array.from(this.reservations.values())
+      .filter((entry) => entry.status === "pending")
+      .sort((a, b) => a.nonce - b.nonce);
+  }
+
+  getReservation(nonce) {
+    return this.reservations.get(nonce) || null;
+  }
+
+  /**
+   * Restore in-flight nonces from disk
+   *
+   * Reservations that were never broadcast are dropped; nextNonce never goes
+   * below what was handed out before the restart.
+   *
+   * @returns {number} Restored in-flight count
+   */
+  load() {
+    if (!this.persistPath || !fs.existsSync(this.persistPath)) return 0;
+
+    let state;
+    try {
+      state = JSON.parse(fs.readFileSync(this.persistPath, "utf8"));
+    } catch (error) {
+      console.warn(`   ⚠️ Ignoring unreadable nonce cache ${this.persistPath}: ${error.message}`);
+      return 0;
+    }
+
+    if (!state.address || state.address.toLowerCase() !== this.address.toLowerCase()) {
+      console.log("   ℹ️  Nonce cache belongs to another signer - starting fresh");
+      return 0;
+    }
+
+    let restored = 0;
+    for (const entry of state.reservations || []) {
+      if (entry.status !== "pending" || entry.nonce < this.chainNonce) continue;
+      this.reservations.set(entry.nonce, entry);
+      restored++;
+    }
+
+    if (restored > 0) {
+      const highest = Math.max(...this.reservations.keys());
+      this.nextNonce = Math.max(this.nextNonce, highest + 1);
+
+      // Anything between the node's view and our highest in-flight nonce that
+      // we don't know about is a gap
+      for (let nonce = this.chainNonce; nonce < this.nextNonce; nonce++) {
+        if (!this.reservations.has(nonce)) this.released.add(nonce);
+      }
+    }
+
+    return restored;
+  }
+
+  /**
+   * Write state atomically (tmp file + rename) so a crash mid-write can't
+   * leave a truncated cache behind
+   */
+  persist() {
+    if (!this.persistPath || this.nextNonce === null) return;
+
+    const state = {
+      address: this.address,
+      nextNonce: this.nextNonce,
+      chainNonce: this.chainNonce,
+      reservations: this.getInFlight(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    try {
+      const dir = path.dirname(this.persistPath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+      const tmpPath = `${this.persistPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+      fs.renameSync(tmpPath, this.persistPath);
+    } catch (error) {
+      console.warn(`⚠️ Could not persist nonce state: ${error.message}`);
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      nextNonce: this.peek(),
+      chainNonce: this.chainNonce,
+      inFlight: this.getInFlight().length,
+      gaps: this.released.size,
+      lastReconciledBlock: this.lastReconciledBlock,
+    };
+  }
+}
+
+module.exports = { NonceManager };
@@ -0,0 +1,190 @@
+const { ethers } = require("ethers");
+
+/**
+ * Permit Decoder
+ *
+ * Signature-based drains never call transferFrom with our Safe at the top level.
+ * Instead the attacker submits a signed permit where the Safe is the owner:
+ * - EIP-2612 permit(owner, spender, value, deadline, v, r, s)
+ * - DAI-style permit(holder, spender, nonce, expiry, allowed, v, r, s)
+ * - Uniswap Permit2 permit / permitTransferFrom / permitWitnessTransferFrom
+ * - Permit2 transferFrom(from, to, amount, token) using an existing allowance
+ *
+ * This decoder recognises these calls, checks whether the Safe is the
+ * owner/signer, and returns the tokens that would be exposed.
+ */
+
+const PERMIT2_ADDRESS = "0x000000000022D473030F116dDEE9F6B43aC78BA3";
+
+const TOKEN_PERMIT_ABI = [
+  "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+  "function permit(address holder, address spender, uint256 nonce, uint256 expiry, bool allowed, uint8 v, bytes32 r, bytes32 s)",
+];
+
+const PERMIT2_ABI = [
+  "function permit(address owner, tuple(tuple(address token, uint160 amount, uint48 expiration, uint48 nonce) details, address spender, uint256 sigDeadline) permitSingle, bytes signature)",
+  "function permit(address owner, tuple(tuple(address token, uint160 amount, uint48 expiration, uint48 nonce)[] details, address spender, uint256 sigDeadline) permitBatch, bytes signature)",
+  "function permitTransferFrom(tuple(tuple(address token, uint256 amount) permitted, uint256 nonce, uint256 deadline) permit, tuple(address to, uint256 requestedAmount) transferDetails, address owner, bytes signature)",
+  "function permitTransferFrom(tuple(tuple(address token, uint256 amount)[] permitted, uint256 nonce, uint256 deadline) permit, tuple(address to, uint256 requestedAmount)[] transferDetails, address owner, bytes signature)",
+  "function permitWitnessTransferFrom(tuple(tuple(address token, uint256 amount) permitted, uint256 nonce, uint256 deadline) permit, tuple(address to, uint256 requestedAmount) transferDetails, address owner, bytes32 witness, string witnessTypeString, bytes signature)",
+  "function transferFrom(address from, address to, uint160 amount, address token)",
+];
+
+class PermitDecoder {
+  constructor() {
+    this.tokenPermitInterface = new ethers.utils.Interface(TOKEN_PERMIT_ABI);
+    this.permit2Interface = new ethers.utils.Interface(PERMIT2_ABI);
+
+    // Selector lookup so the mempool filter can bail out without decoding
+    this.tokenPermitSelectors = new Set(
+      Object.keys(this.tokenPermitInterface.functions).map((sig) =>
+        this.tokenPermitInterface.getSighash(sig)
+      )
+    );
+    this.permit2Selectors = new Set(
+      Object.keys(this.permit2Interface.functions).map((sig) =>
+        this.permit2Interface.getSighash(sig)
+      )
+    );
+  }
+
+  /**
+   * Quick check if calldata starts with any permit-style selector
+   */
+  isPermitCall(data) {
+    if (!data || data.length < 10) return false;
+    const selector = data.slice(0, 10).toLowerCase();
+    return this.tokenPermitSelectors.has(selector) || this.permit2Selectors.has(selector);
+  }
+
+  /**
+   * Decode a permit-style call without checking the owner
+   *
+   * @param {Object} tx - Pending transaction
+   * @returns {Object|null} { standard, method, owner, spender, tokens, amounts } or null
+   */
+  decode(tx) {
+    if (!tx || !tx.to || !this.isPermitCall(tx.data)) return null;
+
+    const selector = tx.data.slice(0, 10).toLowerCase();
+
+    try {
+      if (this.tokenPermitSelectors.has(selector)) {
+        return this.decodeTokenPermit(tx);
+      }
+      return this.decodePermit2(tx);
+    } catch (error) {
+      // Malformed calldata
+      return null;
+    }
+  }
+
+  /**
+   * Decode a pending tx and check whether the Safe is the permit owner
+   *
+   * @param {Object} tx - Pending transaction
+   * @param {Object} safe - { safeAddress, usdtContract }
+   * @returns {Object|null} { standard, method, owner, spender, tokens, assets } or null
+   */
+  analyze(tx, safe) {
+    const result = this.decode(tx);
+
+    if (!result || result.owner.toLowerCase() !== safe.safeAddress.toLowerCase()) {
+      return null;
+    }
+
+    // Nothing exposed (zero-value permit / DAI revocation)
+    if (result.tokens.length === 0) return null;
+
+    const usdtAddr = safe.usdtContract?.toLowerCase();
+    result.assets = result.tokens.map((token) => (token.toLowerCase() === usdtAddr ? "USDT" : token));
+    result.isCanonicalPermit2 = tx.to.toLowerCase() === PERMIT2_ADDRESS.toLowerCase();
+
+    return result;
+  }
+
+  /**
+   * EIP-2612 and DAI-style permit - the token is the tx target
+   */
+  decodeTokenPermit(tx) {
+    const parsed = this.tokenPermitInterface.parseTransaction({ data: tx.data });
+    const token = ethers.utils.getAddress(tx.to);
+
+    // DAI-style: permit(holder, spender, nonce, expiry, allowed, ...)
+    if (parsed.args.holder !== undefined) {
+      return {
+        standard: "DAI_PERMIT",
+        method: parsed.name,
+        owner: parsed.args.holder,
+        spender: parsed.args.spender,
+        tokens: parsed.args.allowed ? [token] : [],
+        amounts: parsed.args.allowed ? [ethers.constants.MaxUint256] : [],
+      };
+    }
+
+    return {
+      standard: "EIP2612",
+      method: parsed.name,
+      owner: parsed.args.owner,
+      spender: parsed.args.spender,
+      tokens: parsed.args.value.isZero() ? [] : [token],
+      amounts: parsed.args.value.isZero() ? [] : [parsed.args.value],
+    };
+  }
+
+  /**
+   * Uniswap Permit2 - tokens are inside the signed permit struct
+   */
+  decodePermit2(tx) {
+    const parsed = this.permit2Interface.parseTransaction({ data: tx.data });
+    const args = parsed.args;
+
+    if (parsed.name === "transferFrom") {
+      return {
+        standard: "PERMIT2",
+        method: "transferFrom",
+        owner: args.from,
+        spender: tx.from,
+        recipient: args.to,
+        tokens: [args.token],
+        amounts: [args.amount],
+      };
+    }
+
+    if (parsed.name === "permit") {
+      // PermitSingle has a details tuple, PermitBatch has an array of them
+      const permitData = args[1];
+      const details = Array.isArray(permitData.details[0]) ? permitData.details : [permitData.details];
+      const granted = details.filter((d) => !ethers.BigNumber.from(d.amount).isZero());
+
+      return {
+        standard: "PERMIT2",
+        method: "permit",
+        owner: args.owner,
+        spender: permitData.spender,
+        tokens: granted.map((d) => d.token),
+        amounts: granted.map((d) => ethers.BigNumber.from(d.amount)),
+      };
+    }
+
+    // permitTransferFrom / permitWitnessTransferFrom
+    const permitted = Array.isArray(args.permit.permitted[0])
+      ? args.permit.permitted
+      : [args.permit.permitted];
+    const transferDetails = Array.isArray(args.transferDetails[0])
+      ? args.transferDetails
+      : [args.transferDetails];
+
+    return {
+      standard: "PERMIT2",
+      method: parsed.name,
+      owner: args.owner,
+      spender: tx.from,
+      recipient: transferDetails[0]?.to,
+      tokens: permitted.map((p) => p.token),
+      amounts: permitted.map((p) => p.amount),
+    };
+  }
+}
+
+module.exports = { PermitDecoder, PERMIT2_ADDRESS };
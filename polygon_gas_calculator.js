@@ -1,4 +1,5 @@
 const { ethers } = require("ethers");
+const { getChainProfile } = require("./chain_profiles");
 
 /**
  * Polygon Gas Calculator
@@ -8,20 +9,88 @@ const { ethers } = require("ethers");
  * - High tip to prioritize (50-200 gwei during congestion)
  * - Doesn't follow EIP-1559 priority fee markets the same way
  * 
- * This module provides Polygon-specific gas calculation functions.
+ * This module provides Polygon-specific gas calculation functions. The
+ * constants come from the chain profile (config.chainId, Polygon by default),
+ * so the same rules work with another chain's minimums and tip tiers.
+ *
+ * With a BaseFeeTracker attached, max fees are built on the predicted base
+ * fee `baseFeeBlocksAhead` blocks out instead of the provider's heuristic
+ * (or a flat 30 gwei), so a tx isn't underpriced a block after signing.
+ *
+ * With a FeeOracle attached, tips come from recent eth_feeHistory percentiles
+ * and `congested` defaults to the oracle's classification. The static tiers
+ * below are floors.
  */
 class PolygonGasCalculator {
   constructor(config = {}) {
     this.config = config;
+    this.chain = getChainProfile(config.chainId);
+    const gas = this.chain.gas;
     
-    // Polygon-specific constants
-    this.MINIMUM_GAS_GWEI = config.minimumGasGwei || 25; // Minimum to be accepted
-    this.BASE_TIP_GWEI = config.baseTipGwei || 50; // Base tip for normal conditions
-    this.CONGESTED_TIP_GWEI = config.congestedTipGwei || 150; // Tip during congestion
-    this.AGGRESSIVE_TIP_GWEI = config.aggressiveTipGwei || 200; // Aggressive tip for emergency
+    // Chain constants (explicit config overrides the profile)
+    this.MINIMUM_GAS_GWEI = config.minimumGasGwei || gas.minimumGasGwei; // Minimum to be accepted
+    this.MINIMUM_TIP_GWEI = config.minimumTipGwei || gas.minimumTipGwei; // Tip the chain rejects below
+    this.BASE_TIP_GWEI = config.baseTipGwei || gas.baseTipGwei; // Base tip for normal conditions
+    this.CONGESTED_TIP_GWEI = config.congestedTipGwei || gas.congestedTipGwei; // Tip during congestion
+    this.AGGRESSIVE_TIP_GWEI = config.aggressiveTipGwei || gas.aggressiveTipGwei; // Aggressive tip for emergency
     
     // For emergency sweeps, use aggressive tip
-    this.EMERGENCY_TIP_GWEI = config.emergencyTipGwei || 200;
+    this.EMERGENCY_TIP_GWEI = config.emergencyTipGwei || gas.emergencyTipGwei;
+
+    // Base fee guess before the tracker has a block, and headroom over the base fee
+    this.FALLBACK_BASE_FEE_GWEI = gas.fallbackBaseFeeGwei;
+    this.MAX_FEE_BUFFER_GWEI = gas.maxFeeBufferGwei;
+
+    // Base fee prediction (optional)
+    this.baseFeeTracker = config.baseFeeTracker || null;
+    this.baseFeeBlocksAhead = config.baseFeeBlocksAhead || 2;
+
+    // Tip percentiles / congestion (optional)
+    this.feeOracle = config.feeOracle || null;
+  }
+
+  /**
+   * Use a FeeOracle for tips and congestion
+   */
+  setFeeOracle(oracle) {
+    this.feeOracle = oracle;
+  }
+
+  isCongested() {
+    return this.feeOracle ? this.feeOracle.isCongested() : false;
+  }
+
+  /**
+   * Tip for the conditions: oracle percentile, never below the static tier
+   */
+  selectTip({ emergency = false, congested = this.isCongested() } = {}) {
+    let level = "normal";
+    let floorGwei = this.BASE_TIP_GWEI;
+    if (emergency) {
+      level = "emergency";
+      floorGwei = this.EMERGENCY_TIP_GWEI;
+    } else if (congested) {
+      level = "congested";
+      floorGwei = this.CONGESTED_TIP_GWEI;
+    }
+
+    const floorWei = this.gwei(Math.max(floorGwei, this.MINIMUM_TIP_GWEI));
+    const oracleTip = this.feeOracle ? this.feeOracle.getTip(level) : null;
+    return oracleTip && oracleTip.gt(floorWei) ? oracleTip : floorWei;
+  }
+
+  /**
+   * Use a BaseFeeTracker for every max-fee calculation
+   */
+  setBaseFeeTracker(tracker) {
+    this.baseFeeTracker = tracker;
+  }
+
+  /**
+   * Predicted base fee N blocks ahead (null without a tracker or before its first block)
+   */
+  predictBaseFee(blocksAhead = this.baseFeeBlocksAhead) {
+    return this.baseFeeTracker ? this.baseFeeTracker.predict(blocksAhead) : null;
   }
 
   /**
@@ -29,39 +98,32 @@ class PolygonGasCalculator {
    * 
    * @param {Object} options
    * @param {boolean} options.emergency - Use aggressive/emergency gas
-   * @param {boolean} options.congested - Network is congested
-   * @param {BigNumber} options.networkBaseFee - Network base fee (if available)
+   * @param {boolean} options.congested - Network is congested (defaults to the fee oracle)
+   * @param {BigNumber} options.networkBaseFee - Network base fee (defaults to the tracker's prediction)
+   * @param {number} options.blocksAhead - How far ahead the predicted base fee must hold
    * @returns {Object} Gas price configuration
    */
   getPolygonGas(options = {}) {
-    const { emergency = false, congested = false, networkBaseFee = null } = options;
+    const { emergency = false, congested = this.isCongested(), blocksAhead = this.baseFeeBlocksAhead } = options;
+    const networkBaseFee = options.networkBaseFee || this.predictBaseFee(blocksAhead);
 
     // Determine tip based on conditions
-    let tipGwei;
-    if (emergency) {
-      tipGwei = this.EMERGENCY_TIP_GWEI;
-    } else if (congested) {
-      tipGwei = this.CONGESTED_TIP_GWEI;
-    } else {
-      tipGwei = this.BASE_TIP_GWEI;
-    }
-
-    const tipWei = ethers.utils.parseUnits(tipGwei.toString(), "gwei");
+    const tipWei = this.selectTip({ emergency, congested });
     
     // Polygon: maxFeePerGas = baseFee + tip
     // If we don't have baseFee, estimate conservatively
     let maxFeePerGas;
     if (networkBaseFee) {
       // Base fee + tip + small buffer
-      maxFeePerGas = networkBaseFee.add(tipWei).add(ethers.utils.parseUnits("5", "gwei"));
+      maxFeePerGas = networkBaseFee.add(tipWei).add(this.gwei(this.MAX_FEE_BUFFER_GWEI));
     } else {
-      // Conservative estimate: assume base fee is around 30 gwei, add tip
-      const estimatedBaseFee = ethers.utils.parseUnits("30", "gwei");
-      maxFeePerGas = estimatedBaseFee.add(tipWei).add(ethers.utils.parseUnits("10", "gwei"));
+      // Conservative estimate: the profile's typical base fee, add tip and a double buffer
+      const estimatedBaseFee = this.gwei(this.FALLBACK_BASE_FEE_GWEI);
+      maxFeePerGas = estimatedBaseFee.add(tipWei).add(this.gwei(this.MAX_FEE_BUFFER_GWEI * 2));
     }
 
     // Ensure minimum
-    const minimumWei = ethers.utils.parseUnits(this.MINIMUM_GAS_GWEI.toString(), "gwei");
+    const minimumWei = this.gwei(this.MINIMUM_GAS_GWEI);
     if (maxFeePerGas.lt(minimumWei)) {
       maxFeePerGas = minimumWei;
     }
@@ -83,7 +145,7 @@ class PolygonGasCalculator {
   /**
    * Get competitive gas for normal conditions
    */
-  getCompetitiveGas(congested = false) {
+  getCompetitiveGas(congested = this.isCongested()) {
     return this.getPolygonGas({ congested });
   }
 
@@ -92,9 +154,10 @@ class PolygonGasCalculator {
    * 
    * @param {Object} attackerGas - Attacker's gas configuration
    * @param {number} premiumPercent - Premium percentage (e.g., 50 for 50%)
+   * @param {number} blocksAhead - How far ahead the predicted base fee must hold
    * @returns {Object} Our gas configuration
    */
-  outbidGas(attackerGas, premiumPercent = 50) {
+  outbidGas(attackerGas, premiumPercent = 50, blocksAhead = this.baseFeeBlocksAhead) {
     let attackerTip;
     let attackerMaxFee;
 
@@ -115,18 +178,18 @@ class PolygonGasCalculator {
     const premiumMultiplier = 100 + premiumPercent;
     const ourTip = attackerTip.mul(premiumMultiplier).div(100);
     
-    // Ensure minimum tip
-    const minTip = ethers.utils.parseUnits(this.BASE_TIP_GWEI.toString(), "gwei");
+    // Ensure minimum tip - what's currently getting included (static base tier at least)
+    const minTip = this.selectTip();
     const finalTip = ourTip.gt(minTip) ? ourTip : minTip;
 
     // Max fee = base fee estimate + our tip + buffer
-    // Estimate base fee from attacker's max fee (subtract their tip)
-    const estimatedBaseFee = attackerMaxFee.sub(attackerTip);
-    const buffer = ethers.utils.parseUnits("10", "gwei");
+    // Predicted base fee if tracked, otherwise attacker's max fee minus their tip
+    const estimatedBaseFee = this.predictBaseFee(blocksAhead) || attackerMaxFee.sub(attackerTip);
+    const buffer = this.gwei(this.MAX_FEE_BUFFER_GWEI * 2);
     const ourMaxFee = estimatedBaseFee.add(finalTip).add(buffer);
 
     // Ensure minimum
-    const minimumWei = ethers.utils.parseUnits(this.MINIMUM_GAS_GWEI.toString(), "gwei");
+    const minimumWei = this.gwei(this.MINIMUM_GAS_GWEI);
     const finalMaxFee = ourMaxFee.gt(minimumWei) ? ourMaxFee : minimumWei;
 
     return {
@@ -140,11 +203,17 @@ class PolygonGasCalculator {
    * Get gas from provider fee data, but apply Polygon rules
    * 
    * @param {Object} feeData - Provider fee data
-   * @param {Object} options - Options (emergency, congested)
+   * @param {Object} options - Options (emergency, congested, blocksAhead)
    * @returns {Object} Polygon-appropriate gas
    */
   fromProviderFeeData(feeData, options = {}) {
-    const { emergency = false, congested = false } = options;
+    const { emergency = false, congested = this.isCongested(), blocksAhead = this.baseFeeBlocksAhead } = options;
+
+    // Tracked base fee beats the provider's maxFee - tip heuristic
+    const predictedBaseFee = this.predictBaseFee(blocksAhead);
+    if (predictedBaseFee) {
+      return this.getPolygonGas({ emergency, congested, networkBaseFee: predictedBaseFee });
+    }
 
     // Get Polygon gas
     const polygonGas = this.getPolygonGas({
@@ -162,9 +231,9 @@ class PolygonGasCalculator {
       
       // Use provider's base fee if available, but use our tip strategy
       const ourTip = polygonGas.maxPriorityFeePerGas;
-      const ourMaxFee = providerBaseFee.add(ourTip).add(ethers.utils.parseUnits("5", "gwei"));
+      const ourMaxFee = providerBaseFee.add(ourTip).add(this.gwei(this.MAX_FEE_BUFFER_GWEI));
       
-      const minimumWei = ethers.utils.parseUnits(this.MINIMUM_GAS_GWEI.toString(), "gwei");
+      const minimumWei = this.gwei(this.MINIMUM_GAS_GWEI);
       return {
         type: 2,
         maxFeePerGas: ourMaxFee.gt(minimumWei) ? ourMaxFee : minimumWei,
@@ -175,6 +244,13 @@ class PolygonGasCalculator {
     return polygonGas;
   }
 
+  /**
+   * Gwei amount (may be fractional on L2s) to wei
+   */
+  gwei(amount) {
+    return ethers.utils.parseUnits(Number(amount).toFixed(9), "gwei");
+  }
+
   /**
    * Format gas info for logging
    */
@@ -1,15 +1,22 @@
 const { ethers } = require("ethers");
 const { PolygonGasCalculator } = require("./polygon_gas_calculator");
+const { getChainProfile } = require("./chain_profiles");
 
 /**
  * Pre-Signed Transaction Pool
  *
  * Keeps a pool of pre-signed sweep transactions ready for instant broadcast.
  * This eliminates construction + signing time, reducing reaction from ~800ms to ~50ms.
+ *
+ * Every pool is signed for the same window of candidate nonces starting at
+ * NonceManager.peek(). A pre-signed tx is only handed out if its nonce is the
+ * one the NonceManager would allocate next, and it is claimed there - so the
+ * USDT, native, batch, token, NFT and revoke pools never broadcast the same nonce.
  */
 class PreSignedTxPool {
   constructor(config) {
     this.config = config;
+    this.chain = getChainProfile(config.chainId);
     this.provider = null;
     this.signer = null;
     this.sweeperContract = null;
@@ -17,14 +24,28 @@ class PreSignedTxPool {
     // Pre-signed transaction pools for different assets
     this.pools = {
       usdt: [],
-      matic: [],
+      native: [], // sweepAllMaticNow - the chain's native coin
+      batch: [], // sweepTokens([...]) - every asset in one tx
       generic: new Map(), // tokenAddress => array of pre-signed txs
+      nft: new Map(), // collection => array of pre-signed sweepERC721/sweepERC1155 txs
+      revoke: new Map(), // "token:spender" => array of pre-signed revokeApproval txs
     };
 
+    // Non-dust tokens reported by TokenInventory (pre-signed alongside USDT / native)
+    this.inventoryTokens = [];
+
+    // NFTs held by the Safe: [{ standard, collection, tokenIds }] (configured + inventory)
+    this.nftHoldings = config.nfts || [];
+
+    // Queued revocations: [{ token, spender }] (RevocationQueue)
+    this.revocations = [];
+
     // Pool configuration
     this.poolSize = config.poolSize || 5; // Keep 5 pre-signed txs ready
-    this.currentNonce = null;
-    this.baseNonce = null;
+    this.baseNonce = null; // First candidate nonce of the signed window
+    this.nonceManager = null;
+    this.baseFeeTracker = null;
+    this.feeOracle = null;
 
     // Gas refresh settings
     this.gasRefreshInterval = config.gasRefreshInterval || 12000; // Refresh every 12s (1 block)
@@ -35,6 +56,10 @@ class PreSignedTxPool {
       "function sweepToken(address tokenAddress) external",
       "function sweepMatic() external",
       "function sweepAllMaticNow() external",
+      "function sweepTokens(address[] tokenAddresses) external",
+      "function sweepERC721(address collection, uint256[] tokenIds) external",
+      "function sweepERC1155(address collection, uint256[] tokenIds) external",
+      "function revokeApproval(address tokenAddress, address spender) external",
     ];
 
     console.log("🎯 Pre-Signed Transaction Pool initialized");
@@ -42,8 +67,14 @@ class PreSignedTxPool {
     console.log(`   - Gas refresh: every ${this.gasRefreshInterval}ms`);
   }
 
-  async initialize(provider, privateKey, sweeperAddress) {
+  /**
+   * @param {NonceManager} nonceManager - Shared nonce allocator for the signer
+   */
+  async initialize(provider, privateKey, sweeperAddress, nonceManager, baseFeeTracker = null, feeOracle = null) {
     this.provider = provider;
+    this.nonceManager = nonceManager;
+    this.baseFeeTracker = baseFeeTracker;
+    this.feeOracle = feeOracle;
     this.signer = new ethers.Wallet(privateKey, provider);
     this.sweeperContract = new ethers.Contract(
       sweeperAddress,
@@ -55,12 +86,8 @@ class PreSignedTxPool {
     console.log(`   - Signer: ${this.signer.address}`);
     console.log(`   - Sweeper: ${sweeperAddress}`);
 
-    // Get current nonce
-    this.currentNonce = await this.provider.getTransactionCount(
-      this.signer.address,
-      "pending"
-    );
-    this.baseNonce = this.currentNonce;
+    // Candidate window starts at the next nonce the manager would hand out
+    this.baseNonce = this.nonceManager.peek();
 
     console.log(`   - Base nonce: ${this.baseNonce}`);
 
@@ -75,19 +102,39 @@ class PreSignedTxPool {
       }
     }
 
-    // Only generate MATIC pool if enabled in config
+    // Only generate native pool if enabled in config
     if (this.config.sweepMatic !== false) {
       try {
-        await this.generateMATICPool();
+        await this.generateNativePool();
       } catch (error) {
         if (error.message.includes("No tokens to sweep") || error.message.includes("No MATIC")) {
-          console.log("   ℹ️ No MATIC in Safe yet - pool will generate when tokens detected");
+          console.log(`   ℹ️ No ${this.chain.nativeSymbol} in Safe yet - pool will generate when tokens detected`);
         } else {
-          console.warn(`   ⚠️ Could not generate MATIC pool: ${error.message}`);
+          console.warn(`   ⚠️ Could not generate ${this.chain.nativeSymbol} pool: ${error.message}`);
         }
       }
     } else {
-      console.log("   ⚠️ MATIC sweeping disabled (SWEEP_MATIC=false) - saving gas");
+      console.log(`   ⚠️ ${this.chain.nativeSymbol} sweeping disabled (SWEEP_MATIC=false) - saving gas`);
+    }
+
+    // Batch pool - one tx that sweeps every asset (needs sweepTokens on the module)
+    try {
+      await this.generateBatchPool();
+    } catch (error) {
+      if (error.message.includes("No tokens to sweep")) {
+        console.log("   ℹ️ Nothing in Safe yet - batch pool will generate when tokens detected");
+      } else {
+        console.warn(`   ⚠️ Could not generate batch pool: ${error.message.substring(0, 100)}`);
+      }
+    }
+
+    // NFT pools - one sweep per collection covering every known id
+    for (const nft of this.nftHoldings) {
+      try {
+        await this.generateNftPool(nft);
+      } catch (error) {
+        console.warn(`   ⚠️ Could not pre-sign NFT sweep for ${nft.collection}: ${error.message.substring(0, 100)}`);
+      }
     }
 
     console.log("✅ Pre-signed pool initialized (ready when tokens are present)");
@@ -105,11 +152,16 @@ class PreSignedTxPool {
     // Use Polygon gas calculator
     if (!this.polygonGas) {
       this.polygonGas = new PolygonGasCalculator({
-        minimumGasGwei: this.config.polygonMinimumGasGwei || 25,
-        baseTipGwei: this.config.polygonBaseTipGwei || 50,
-        congestedTipGwei: this.config.polygonCongestedTipGwei || 150,
-        aggressiveTipGwei: this.config.polygonAggressiveTipGwei || 200,
-        emergencyTipGwei: this.config.polygonEmergencyTipGwei || 200,
+        chainId: this.config.chainId,
+        minimumGasGwei: this.config.polygonMinimumGasGwei,
+        baseTipGwei: this.config.polygonBaseTipGwei,
+        congestedTipGwei: this.config.polygonCongestedTipGwei,
+        aggressiveTipGwei: this.config.polygonAggressiveTipGwei,
+        emergencyTipGwei: this.config.polygonEmergencyTipGwei,
+        baseFeeTracker: this.baseFeeTracker,
+        feeOracle: this.feeOracle,
+        // Pre-signed txs sit in the pool until the next refresh - cover the base fee until then
+        baseFeeBlocksAhead: Math.ceil(this.gasRefreshInterval / (this.config.blockTimeMs || this.chain.blockTimeMs)) + 1,
       });
     }
 
@@ -176,12 +228,12 @@ class PreSignedTxPool {
   }
 
   /**
-   * Generate pool of pre-signed MATIC sweep transactions
+   * Generate pool of pre-signed native coin sweep transactions
    */
-  async generateMATICPool() {
-    console.log("🔄 Generating MATIC pre-signed pool...");
+  async generateNativePool() {
+    console.log(`🔄 Generating ${this.chain.nativeSymbol} pre-signed pool...`);
 
-    this.pools.matic = [];
+    this.pools.native = [];
 
     // Prepare transaction data
     const txData = await this.sweeperContract.populateTransaction.sweepAllMaticNow();
@@ -211,7 +263,7 @@ class PreSignedTxPool {
 
       const signedTx = await this.signer.signTransaction(tx);
 
-      this.pools.matic.push({
+      this.pools.native.push({
         nonce: nonce,
         signedTx: signedTx,
         txHash: ethers.utils.keccak256(signedTx),
@@ -219,11 +271,125 @@ class PreSignedTxPool {
         timestamp: Date.now(),
       });
 
-      console.log(`   ✅ MATIC tx ${i + 1}/${this.poolSize} pre-signed (nonce: ${nonce})`);
+      console.log(`   ✅ ${this.chain.nativeSymbol} tx ${i + 1}/${this.poolSize} pre-signed (nonce: ${nonce})`);
     }
 
     this.lastGasRefresh = Date.now();
-    console.log(`✅ MATIC pool ready: ${this.pools.matic.length} transactions`);
+    console.log(`✅ ${this.chain.nativeSymbol} pool ready: ${this.pools.native.length} transactions`);
+  }
+
+  /**
+   * Assets covered by the batch sweep: USDT, extra tokens, then the native coin (address(0))
+   */
+  getBatchSweepTokens() {
+    const tokens = [];
+    for (const token of [this.config.usdtContract, ...(this.config.tokens || []), ...this.inventoryTokens]) {
+      if (token && !tokens.some((t) => t.toLowerCase() === token.toLowerCase())) {
+        tokens.push(token);
+      }
+    }
+    if (this.config.sweepMatic !== false) {
+      tokens.push(ethers.constants.AddressZero);
+    }
+    return tokens;
+  }
+
+  /**
+   * Generate pool of pre-signed batch sweep transactions (every asset in one tx)
+   */
+  async generateBatchPool() {
+    console.log("🔄 Generating batch pre-signed pool...");
+
+    const tokens = this.getBatchSweepTokens();
+    if (tokens.length < 2) {
+      this.pools.batch = [];
+      return; // Single-asset pools already cover this
+    }
+
+    this.pools.batch = [];
+
+    // Prepare transaction data
+    const txData = await this.sweeperContract.populateTransaction.sweepTokens(tokens);
+
+    // Get current gas prices
+    const gas = await this.getEmergencyGas();
+
+    // Estimate gas limit
+    const gasLimit = await this.provider.estimateGas({
+      to: txData.to,
+      data: txData.data,
+      from: this.signer.address,
+    });
+
+    // Generate pool with sequential nonces
+    for (let i = 0; i < this.poolSize; i++) {
+      const nonce = this.baseNonce + i;
+
+      const tx = {
+        to: txData.to,
+        data: txData.data,
+        nonce: nonce,
+        chainId: this.config.chainId,
+        gasLimit: gasLimit.mul(120).div(100),
+        ...gas,
+      };
+
+      const signedTx = await this.signer.signTransaction(tx);
+
+      this.pools.batch.push({
+        nonce: nonce,
+        signedTx: signedTx,
+        txHash: ethers.utils.keccak256(signedTx),
+        tokens: tokens,
+        used: false,
+        timestamp: Date.now(),
+      });
+    }
+
+    this.lastGasRefresh = Date.now();
+    console.log(`✅ Batch pool ready: ${this.pools.batch.length} transactions (${tokens.length} assets each)`);
+  }
+
+  /**
+   * Sync pre-signed pools with the Safe's token inventory
+   * Pre-signs every non-dust token and drops pools for tokens no longer held
+   *
+   * @param {Array<string>} tokens - Non-dust token addresses from TokenInventory
+   */
+  async syncInventoryTokens(tokens) {
+    const usdtKey = this.config.usdtContract?.toLowerCase();
+    const wanted = new Set(tokens.map((token) => token.toLowerCase()).filter((token) => token !== usdtKey));
+
+    const changed =
+      wanted.size !== this.inventoryTokens.length ||
+      this.inventoryTokens.some((token) => !wanted.has(token.toLowerCase()));
+    if (!changed) return;
+
+    this.inventoryTokens = tokens.filter((token) => wanted.has(token.toLowerCase()));
+
+    // Drop pools for tokens that left the Safe
+    for (const poolKey of Array.from(this.pools.generic.keys())) {
+      if (!wanted.has(poolKey)) {
+        this.pools.generic.delete(poolKey);
+      }
+    }
+
+    // Pre-sign for newly held tokens
+    for (const token of this.inventoryTokens) {
+      if (this.pools.generic.has(token.toLowerCase())) continue;
+      try {
+        await this.generateTokenPool(token);
+      } catch (error) {
+        console.warn(`   ⚠️ Could not pre-sign for ${token}: ${error.message.substring(0, 100)}`);
+      }
+    }
+
+    // Batch sweep now covers the new token set
+    try {
+      await this.generateBatchPool();
+    } catch (error) {
+      console.warn(`   ⚠️ Could not regenerate batch pool: ${error.message.substring(0, 100)}`);
+    }
   }
 
   /**
@@ -275,6 +441,177 @@ class PreSignedTxPool {
     console.log(`✅ Token ${tokenAddress} pool ready: ${pool.length} transactions`);
   }
 
+  /**
+   * Generate pool of pre-signed NFT sweeps for one collection
+   *
+   * @param {Object} nft - { standard, collection, tokenIds }
+   */
+  async generateNftPool(nft) {
+    if (nft.tokenIds.length === 0) return;
+
+    console.log(`🔄 Generating pre-signed ${nft.standard} pool for ${nft.collection} (${nft.tokenIds.length} ids)...`);
+
+    const pool = [];
+
+    // Prepare transaction data
+    const txData =
+      nft.standard === "ERC1155"
+        ? await this.sweeperContract.populateTransaction.sweepERC1155(nft.collection, nft.tokenIds)
+        : await this.sweeperContract.populateTransaction.sweepERC721(nft.collection, nft.tokenIds);
+
+    // Get current gas prices
+    const gas = await this.getEmergencyGas();
+
+    // Estimate gas limit
+    const gasLimit = await this.provider.estimateGas({
+      to: txData.to,
+      data: txData.data,
+      from: this.signer.address,
+    });
+
+    // Generate pool
+    for (let i = 0; i < this.poolSize; i++) {
+      const nonce = this.baseNonce + i;
+
+      const tx = {
+        to: txData.to,
+        data: txData.data,
+        nonce: nonce,
+        chainId: this.config.chainId,
+        gasLimit: gasLimit.mul(120).div(100),
+        ...gas,
+      };
+
+      const signedTx = await this.signer.signTransaction(tx);
+
+      pool.push({
+        nonce: nonce,
+        signedTx: signedTx,
+        txHash: ethers.utils.keccak256(signedTx),
+        nft: nft,
+        used: false,
+        timestamp: Date.now(),
+      });
+    }
+
+    this.pools.nft.set(nft.collection.toLowerCase(), pool);
+    console.log(`✅ NFT ${nft.collection} pool ready: ${pool.length} transactions`);
+  }
+
+  /**
+   * Sync NFT pools with the Safe's NFT holdings (re-signs collections whose ids changed)
+   *
+   * @param {Array} nfts - [{ standard, collection, tokenIds }]
+   */
+  async syncNfts(nfts) {
+    const idsKey = (nft) => [...nft.tokenIds].sort().join(",");
+    const previous = new Map(this.nftHoldings.map((nft) => [nft.collection.toLowerCase(), idsKey(nft)]));
+    const wanted = new Set(nfts.map((nft) => nft.collection.toLowerCase()));
+
+    this.nftHoldings = nfts;
+
+    // Drop pools for collections the Safe no longer holds
+    for (const poolKey of Array.from(this.pools.nft.keys())) {
+      if (!wanted.has(poolKey)) {
+        this.pools.nft.delete(poolKey);
+      }
+    }
+
+    for (const nft of nfts) {
+      const poolKey = nft.collection.toLowerCase();
+      if (this.pools.nft.has(poolKey) && previous.get(poolKey) === idsKey(nft)) continue;
+
+      try {
+        await this.generateNftPool(nft);
+      } catch (error) {
+        console.warn(`   ⚠️ Could not pre-sign NFT sweep for ${nft.collection}: ${error.message.substring(0, 100)}`);
+      }
+    }
+  }
+
+  /**
+   * Generate pool of pre-signed revokeApproval(token, spender) txs
+   *
+   * @param {Object} revocation - { token, spender }
+   */
+  async generateRevokePool(revocation) {
+    console.log(`🔄 Generating pre-signed revoke pool for ${revocation.spender} on ${revocation.token}...`);
+
+    const pool = [];
+
+    // Prepare transaction data
+    const txData = await this.sweeperContract.populateTransaction.revokeApproval(revocation.token, revocation.spender);
+
+    // Get current gas prices
+    const gas = await this.getEmergencyGas();
+
+    // Estimate gas limit
+    const gasLimit = await this.provider.estimateGas({
+      to: txData.to,
+      data: txData.data,
+      from: this.signer.address,
+    });
+
+    // Generate pool
+    for (let i = 0; i < this.poolSize; i++) {
+      const nonce = this.baseNonce + i;
+
+      const tx = {
+        to: txData.to,
+        data: txData.data,
+        nonce: nonce,
+        chainId: this.config.chainId,
+        gasLimit: gasLimit.mul(120).div(100),
+        ...gas,
+      };
+
+      const signedTx = await this.signer.signTransaction(tx);
+
+      pool.push({
+        nonce: nonce,
+        signedTx: signedTx,
+        txHash: ethers.utils.keccak256(signedTx),
+        revocation: revocation,
+        used: false,
+        timestamp: Date.now(),
+      });
+    }
+
+    this.pools.revoke.set(this.revokeKey(revocation.token, revocation.spender), pool);
+    console.log(`✅ Revoke ${revocation.spender} on ${revocation.token} pool ready: ${pool.length} transactions`);
+  }
+
+  revokeKey(token, spender) {
+    return `${token}:${spender}`.toLowerCase();
+  }
+
+  /**
+   * Sync revoke pools with the revocation queue (drops revocations no longer queued)
+   *
+   * @param {Array} revocations - [{ token, spender }]
+   */
+  async syncRevocations(revocations) {
+    const wanted = new Set(revocations.map(({ token, spender }) => this.revokeKey(token, spender)));
+
+    this.revocations = revocations;
+
+    for (const poolKey of Array.from(this.pools.revoke.keys())) {
+      if (!wanted.has(poolKey)) {
+        this.pools.revoke.delete(poolKey);
+      }
+    }
+
+    for (const revocation of revocations) {
+      if (this.pools.revoke.has(this.revokeKey(revocation.token, revocation.spender))) continue;
+
+      try {
+        await this.generateRevokePool(revocation);
+      } catch (error) {
+        console.warn(`   ⚠️ Could not pre-sign revocation of ${revocation.spender} on ${revocation.token}: ${error.message.substring(0, 100)}`);
+      }
+    }
+  }
+
   /**
    * Get the next available pre-signed transaction for USDT
    * Returns immediately - this is the speed advantage!
@@ -283,46 +620,63 @@ class PreSignedTxPool {
    * so it can be retried with the same nonce.
    */
   getNextUSDTTx() {
-    const available = this.pools.usdt.find(tx => !tx.used);
+    const available = this.takeNext(this.pools.usdt, "USDT");
 
     if (!available) {
       console.warn("⚠️ USDT pool exhausted! Need to regenerate.");
       return null;
     }
 
-    available.used = true;
     console.log(`⚡ Retrieved pre-signed USDT tx (nonce: ${available.nonce})`);
 
     return available;
   }
 
   /**
-   * Release a transaction back to the pool (mark as unused)
-   * Call this when a broadcast fails so the same nonce can be retried
+   * Take the pre-signed tx signed for the manager's next nonce and claim it
+   * Returns null if the window has no unused tx for that nonce.
    */
-  releaseTransaction(txHash) {
-    // Check USDT pool
-    const usdtTx = this.pools.usdt.find(tx => tx.txHash === txHash);
-    if (usdtTx && usdtTx.used) {
-      usdtTx.used = false;
-      console.log(`🔄 Released USDT tx back to pool (nonce: ${usdtTx.nonce})`);
-      return true;
-    }
+  takeNext(pool, purpose) {
+    const nonce = this.nonceManager.peek();
+    const available = pool.find(tx => !tx.used && tx.nonce === nonce);
 
-    // Check MATIC pool
-    const maticTx = this.pools.matic.find(tx => tx.txHash === txHash);
-    if (maticTx && maticTx.used) {
-      maticTx.used = false;
-      console.log(`🔄 Released MATIC tx back to pool (nonce: ${maticTx.nonce})`);
-      return true;
+    if (!available || !this.nonceManager.claim(available.nonce, `pre-signed ${purpose}`)) {
+      return null;
     }
 
-    // Check generic pools
-    for (const [token, pool] of this.pools.generic.entries()) {
-      const genericTx = pool.find(tx => tx.txHash === txHash);
-      if (genericTx && genericTx.used) {
-        genericTx.used = false;
-        console.log(`🔄 Released ${token} tx back to pool (nonce: ${genericTx.nonce})`);
+    available.used = true;
+    return available;
+  }
+
+  /**
+   * Unused txs in a pool that are still ahead of the manager's next nonce
+   */
+  countAvailable(pool) {
+    const nonce = this.nonceManager ? this.nonceManager.peek() : this.baseNonce;
+    return pool.filter(tx => !tx.used && tx.nonce >= nonce).length;
+  }
+
+  /**
+   * Release a transaction back to the pool (mark as unused)
+   * Call this when a broadcast fails so the same nonce can be retried.
+   * The nonce goes back to the NonceManager unless the tx already went out.
+   */
+  releaseTransaction(txHash) {
+    const pools = [
+      ["USDT", this.pools.usdt],
+      [this.chain.nativeSymbol, this.pools.native],
+      ["batch", this.pools.batch],
+      ...Array.from(this.pools.generic.entries()),
+      ...Array.from(this.pools.nft.entries()).map(([collection, pool]) => [`NFT ${collection}`, pool]),
+      ...Array.from(this.pools.revoke.entries()).map(([pair, pool]) => [`revoke ${pair}`, pool]),
+    ];
+
+    for (const [label, pool] of pools) {
+      const preSigned = pool.find(tx => tx.txHash === txHash);
+      if (preSigned && preSigned.used) {
+        preSigned.used = false;
+        this.nonceManager.release(preSigned.nonce);
+        console.log(`🔄 Released ${label} tx back to pool (nonce: ${preSigned.nonce})`);
         return true;
       }
     }
@@ -331,18 +685,33 @@ class PreSignedTxPool {
   }
 
   /**
-   * Get the next available pre-signed transaction for MATIC
+   * Get the next available pre-signed transaction for the native coin
    */
-  getNextMATICTx() {
-    const available = this.pools.matic.find(tx => !tx.used);
+  getNextNativeTx() {
+    const available = this.takeNext(this.pools.native, this.chain.nativeSymbol);
 
     if (!available) {
-      console.warn("⚠️ MATIC pool exhausted! Need to regenerate.");
+      console.warn(`⚠️ ${this.chain.nativeSymbol} pool exhausted! Need to regenerate.`);
       return null;
     }
 
-    available.used = true;
-    console.log(`⚡ Retrieved pre-signed MATIC tx (nonce: ${available.nonce})`);
+    console.log(`⚡ Retrieved pre-signed ${this.chain.nativeSymbol} tx (nonce: ${available.nonce})`);
+
+    return available;
+  }
+
+  /**
+   * Get the next available pre-signed batch sweep (all assets in one tx)
+   */
+  getNextBatchTx() {
+    const available = this.takeNext(this.pools.batch, "batch");
+
+    if (!available) {
+      console.warn("⚠️ Batch pool exhausted or unavailable!");
+      return null;
+    }
+
+    console.log(`⚡ Retrieved pre-signed batch tx (nonce: ${available.nonce}, ${available.tokens.length} assets)`);
 
     return available;
   }
@@ -359,45 +728,75 @@ class PreSignedTxPool {
     }
 
     const pool = this.pools.generic.get(poolKey);
-    const available = pool.find(tx => !tx.used);
+    const available = this.takeNext(pool, tokenAddress);
 
     if (!available) {
       console.warn(`⚠️ Token ${tokenAddress} pool exhausted! Need to regenerate.`);
       return null;
     }
 
-    available.used = true;
     console.log(`⚡ Retrieved pre-signed token tx (nonce: ${available.nonce})`);
 
     return available;
   }
 
+  /**
+   * Get the next available pre-signed NFT sweep for a collection
+   */
+  getNextNftTx(collection) {
+    const pool = this.pools.nft.get(collection.toLowerCase());
+    const available = pool && this.takeNext(pool, `NFT ${collection}`);
+
+    if (!available) {
+      console.warn(`⚠️ No pre-signed NFT sweep available for ${collection}!`);
+      return null;
+    }
+
+    console.log(`⚡ Retrieved pre-signed NFT tx (nonce: ${available.nonce}, ${available.nft.tokenIds.length} ids)`);
+
+    return available;
+  }
+
+  /**
+   * Get the next available pre-signed revokeApproval(token, spender)
+   */
+  getNextRevokeTx(token, spender) {
+    const pool = this.pools.revoke.get(this.revokeKey(token, spender));
+    const available = pool && this.takeNext(pool, `revoke ${spender}`);
+
+    if (!available) {
+      console.warn(`⚠️ No pre-signed revocation available for ${spender} on ${token}!`);
+      return null;
+    }
+
+    console.log(`⚡ Retrieved pre-signed revoke tx (nonce: ${available.nonce})`);
+
+    return available;
+  }
+
   /**
    * Check if pools need regeneration (when nonces are consumed or pool depleted)
    */
   async checkAndRegeneratePools() {
-    const currentNonce = await this.provider.getTransactionCount(
-      this.signer.address,
-      "pending"
-    );
+    const currentNonce = this.nonceManager.peek();
 
     // Calculate pool availability
-    const usdtAvailable = this.pools.usdt.filter(tx => !tx.used).length;
-    const maticAvailable = this.pools.matic.filter(tx => !tx.used).length;
+    const usdtAvailable = this.countAvailable(this.pools.usdt);
+    const nativeAvailable = this.countAvailable(this.pools.native);
 
     // Trigger regeneration if:
-    // 1. Nonce has advanced (transactions confirmed)
-    // 2. Pool is more than 50% depleted (only check MATIC if enabled)
+    // 1. Next nonce moved (txs sent / confirmed, or a nonce was freed)
+    // 2. Pool is more than 50% depleted (only check native if enabled)
     const needsRegeneration =
-      currentNonce > this.baseNonce ||
+      currentNonce !== this.baseNonce ||
       usdtAvailable <= this.poolSize / 2 ||
-      (this.config.sweepMatic !== false && maticAvailable <= this.poolSize / 2);
+      (this.config.sweepMatic !== false && nativeAvailable <= this.poolSize / 2);
 
     if (needsRegeneration) {
-      if (currentNonce > this.baseNonce) {
-        console.log(`🔄 Nonce advanced from ${this.baseNonce} to ${currentNonce}, regenerating pools...`);
+      if (currentNonce !== this.baseNonce) {
+        console.log(`🔄 Next nonce moved from ${this.baseNonce} to ${currentNonce}, regenerating pools...`);
       } else {
-        console.log(`🔄 Pool depleted (USDT: ${usdtAvailable}/${this.poolSize}, MATIC: ${maticAvailable}/${this.poolSize}), regenerating...`);
+        console.log(`🔄 Pool depleted (USDT: ${usdtAvailable}/${this.poolSize}, ${this.chain.nativeSymbol}: ${nativeAvailable}/${this.poolSize}), regenerating...`);
       }
 
       this.baseNonce = currentNonce;
@@ -413,19 +812,30 @@ class PreSignedTxPool {
         }
       }
 
-      // Regenerate MATIC pool (only if enabled and skip if no tokens)
+      // Regenerate native pool (only if enabled and skip if no tokens)
       if (this.config.sweepMatic !== false) {
         try {
-          await this.generateMATICPool();
+          await this.generateNativePool();
         } catch (error) {
           if (error.message.includes("No tokens to sweep") || error.message.includes("No MATIC") || error.message.includes("execution reverted")) {
-            console.log("   ℹ️ Skipping MATIC pool (no tokens in Safe)");
+            console.log(`   ℹ️ Skipping ${this.chain.nativeSymbol} pool (no tokens in Safe)`);
           } else {
-            console.warn(`   ⚠️ Could not regenerate MATIC pool: ${error.message.substring(0, 100)}`);
+            console.warn(`   ⚠️ Could not regenerate ${this.chain.nativeSymbol} pool: ${error.message.substring(0, 100)}`);
           }
         }
       }
 
+      // Regenerate batch pool (skip if nothing to sweep / module lacks sweepTokens)
+      try {
+        await this.generateBatchPool();
+      } catch (error) {
+        if (error.message.includes("No tokens to sweep") || error.message.includes("execution reverted")) {
+          console.log("   ℹ️ Skipping batch pool (nothing to sweep)");
+        } else {
+          console.warn(`   ⚠️ Could not regenerate batch pool: ${error.message.substring(0, 100)}`);
+        }
+      }
+
       // Regenerate all generic token pools
       for (const [tokenAddress, _] of this.pools.generic.entries()) {
         try {
@@ -434,6 +844,32 @@ class PreSignedTxPool {
           console.warn(`   ⚠️ Could not regenerate pool for ${tokenAddress}: ${error.message.substring(0, 100)}`);
         }
       }
+
+      // Regenerate NFT pools
+      await this.regenerateNftPools();
+
+      // Regenerate revoke pools
+      await this.regenerateRevokePools();
+    }
+  }
+
+  async regenerateNftPools() {
+    for (const nft of this.nftHoldings) {
+      try {
+        await this.generateNftPool(nft);
+      } catch (error) {
+        console.warn(`   ⚠️ Could not regenerate NFT pool for ${nft.collection}: ${error.message.substring(0, 100)}`);
+      }
+    }
+  }
+
+  async regenerateRevokePools() {
+    for (const revocation of this.revocations) {
+      try {
+        await this.generateRevokePool(revocation);
+      } catch (error) {
+        console.warn(`   ⚠️ Could not regenerate revoke pool for ${revocation.spender}: ${error.message.substring(0, 100)}`);
+      }
     }
   }
 
@@ -442,12 +878,12 @@ class PreSignedTxPool {
    */
   async aggressivePoolCheck() {
     // Check pool availability without waiting for nonce
-    const usdtAvailable = this.pools.usdt.filter(tx => !tx.used).length;
-    const maticAvailable = this.pools.matic.filter(tx => !tx.used).length;
+    const usdtAvailable = this.countAvailable(this.pools.usdt);
+    const nativeAvailable = this.countAvailable(this.pools.native);
 
     // If pool is critically low (< 2 txs), regenerate immediately
-    if (usdtAvailable < 2 || maticAvailable < 2) {
-      console.log(`⚠️ CRITICAL: Pool critically low! USDT: ${usdtAvailable}, MATIC: ${maticAvailable}`);
+    if (usdtAvailable < 2 || nativeAvailable < 2) {
+      console.log(`⚠️ CRITICAL: Pool critically low! USDT: ${usdtAvailable}, ${this.chain.nativeSymbol}: ${nativeAvailable}`);
       await this.checkAndRegeneratePools();
     }
   }
@@ -483,12 +919,22 @@ class PreSignedTxPool {
    * Get pool statistics
    */
   getPoolStats() {
-    const usdtAvailable = this.pools.usdt.filter(tx => !tx.used).length;
-    const maticAvailable = this.pools.matic.filter(tx => !tx.used).length;
+    const usdtAvailable = this.countAvailable(this.pools.usdt);
+    const nativeAvailable = this.countAvailable(this.pools.native);
 
     const genericStats = {};
     for (const [token, pool] of this.pools.generic.entries()) {
-      genericStats[token] = pool.filter(tx => !tx.used).length;
+      genericStats[token] = this.countAvailable(pool);
+    }
+
+    const nftStats = {};
+    for (const [collection, pool] of this.pools.nft.entries()) {
+      nftStats[collection] = this.countAvailable(pool);
+    }
+
+    const revokeStats = {};
+    for (const [pair, pool] of this.pools.revoke.entries()) {
+      revokeStats[pair] = this.countAvailable(pool);
     }
 
     return {
@@ -496,11 +942,17 @@ class PreSignedTxPool {
         total: this.pools.usdt.length,
         available: usdtAvailable,
       },
-      matic: {
-        total: this.pools.matic.length,
-        available: maticAvailable,
+      native: {
+        total: this.pools.native.length,
+        available: nativeAvailable,
+      },
+      batch: {
+        total: this.pools.batch.length,
+        available: this.countAvailable(this.pools.batch),
       },
       generic: genericStats,
+      nft: nftStats,
+      revoke: revokeStats,
       baseNonce: this.baseNonce,
     };
   }
@@ -511,21 +963,25 @@ class PreSignedTxPool {
   async forceRegenerate() {
     console.log("🔄 Force regenerating all pools...");
 
-    this.baseNonce = await this.provider.getTransactionCount(
-      this.signer.address,
-      "pending"
-    );
+    this.baseNonce = this.nonceManager.peek();
 
     await this.generateUSDTPool();
 
     if (this.config.sweepMatic !== false) {
-      await this.generateMATICPool();
+      await this.generateNativePool();
     }
 
+    await this.generateBatchPool().catch((error) => {
+      console.warn(`   ⚠️ Could not regenerate batch pool: ${error.message.substring(0, 100)}`);
+    });
+
     for (const [tokenAddress, _] of this.pools.generic.entries()) {
       await this.generateTokenPool(tokenAddress);
     }
 
+    await this.regenerateNftPools();
+    await this.regenerateRevokePools();
+
     console.log("✅ Force regeneration complete");
   }
 
@@ -536,11 +992,8 @@ class PreSignedTxPool {
   async forceRegenerateWithGas(requiredTipWei = null) {
     console.log("🔄 Force regenerating pools with required gas...");
 
-    // Get fresh nonce
-    this.baseNonce = await this.provider.getTransactionCount(
-      this.signer.address,
-      "pending"
-    );
+    // Re-sign from the next nonce the manager would hand out
+    this.baseNonce = this.nonceManager.peek();
 
     // If we have a required tip from error message, override getEmergencyGas
     if (requiredTipWei) {
@@ -576,13 +1029,20 @@ class PreSignedTxPool {
       await this.generateUSDTPool();
 
       if (this.config.sweepMatic !== false) {
-        await this.generateMATICPool();
+        await this.generateNativePool();
       }
 
+      await this.generateBatchPool().catch((error) => {
+        console.warn(`   ⚠️ Could not regenerate batch pool: ${error.message.substring(0, 100)}`);
+      });
+
       for (const [tokenAddress, _] of this.pools.generic.entries()) {
         await this.generateTokenPool(tokenAddress);
       }
 
+      await this.regenerateNftPools();
+      await this.regenerateRevokePools();
+
       // Restore original function
       this.getEmergencyGas = originalGetEmergencyGas;
     } else {
@@ -590,12 +1050,19 @@ class PreSignedTxPool {
       await this.generateUSDTPool();
 
       if (this.config.sweepMatic !== false) {
-        await this.generateMATICPool();
+        await this.generateNativePool();
       }
 
+      await this.generateBatchPool().catch((error) => {
+        console.warn(`   ⚠️ Could not regenerate batch pool: ${error.message.substring(0, 100)}`);
+      });
+
       for (const [tokenAddress, _] of this.pools.generic.entries()) {
         await this.generateTokenPool(tokenAddress);
       }
+
+      await this.regenerateNftPools();
+      await this.regenerateRevokePools();
     }
 
     console.log("✅ Force regeneration with required gas complete");
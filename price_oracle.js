@@ -0,0 +1,320 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { getChainProfile, findProfileToken, defaultUsdtAddress } = require("./chain_profiles");
+
+/**
+ * Price Oracle
+ *
+ * USD prices for the value at risk of a threat, which sets how much gas a
+ * sweep is worth (GAS_BUDGET_FRACTION of that value). One pluggable source
+ * (PRICE_SOURCE):
+ *
+ * - static: price table from PRICE_TABLE_PATH ({ "NATIVE": 0.5, "USDC": 1,
+ *   "0xtoken": 2.1 }) plus NATIVE_PRICE_USD
+ * - twap:   Uniswap V3-style pool TWAP (observe) per asset, quoted in a USD
+ *   stablecoin - pools from TWAP_POOLS_PATH
+ *   ([{ asset: "NATIVE" | symbol | address, pool, token? }], token = the
+ *   wrapped native coin for "NATIVE")
+ * - mock:   fixed prices (MOCK_PRICES_USD JSON / setPrice) for dry runs
+ *
+ * The static table is the fallback for anything the source doesn't price,
+ * and the profile's USD stablecoins are $1 unless it says otherwise. Prices
+ * are cached so the threat response reads them synchronously; TWAPs refresh
+ * in the background at most every PRICE_REFRESH_MS.
+ */
+
+const STABLECOINS = ["USDT", "USDC", "DAI"];
+
+const POOL_ABI = [
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+  "function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)",
+];
+
+const ERC20_ABI = ["function decimals() view returns (uint8)"];
+
+/**
+ * Static price table (file + NATIVE_PRICE_USD / assetPricesUsd)
+ */
+class StaticPriceSource {
+  constructor(config) {
+    this.name = "static";
+    this.config = config;
+  }
+
+  async fetchPrices() {
+    const prices = {};
+    if (this.config.priceTablePath) {
+      Object.assign(prices, JSON.parse(fs.readFileSync(this.config.priceTablePath, "utf8")));
+    }
+    Object.assign(prices, this.config.assetPricesUsd || {});
+    if (this.config.nativePriceUsd) prices.NATIVE = this.config.nativePriceUsd;
+    return prices;
+  }
+}
+
+/**
+ * On-chain DEX TWAP (Uniswap V3 observe) - one pool per asset
+ */
+class TwapPriceSource {
+  constructor(config, resolveKey, quotePrice) {
+    this.name = "twap";
+    this.config = config;
+    this.windowSeconds = config.twapWindowSeconds || 1800;
+    this.resolveKey = resolveKey;
+    this.quotePrice = quotePrice; // (token) => USD price of the quote token or null
+    this.provider = null;
+    this.pools = this.loadPools();
+    this.poolMeta = new Map(); // pool => { token0, token1, decimals0, decimals1 }
+  }
+
+  loadPools() {
+    if (!this.config.twapPoolsPath) {
+      throw new Error("PRICE_SOURCE=twap needs TWAP_POOLS_PATH");
+    }
+    const pools = JSON.parse(fs.readFileSync(this.config.twapPoolsPath, "utf8"));
+    if (!Array.isArray(pools)) {
+      throw new Error(`${this.config.twapPoolsPath} must contain an array of { asset, pool } entries`);
+    }
+    return pools;
+  }
+
+  async fetchPrices() {
+    const prices = {};
+    const results = await Promise.allSettled(this.pools.map((entry) => this.readPool(entry)));
+
+    results.forEach((result, i) => {
+      const entry = this.pools[i];
+      if (result.status === "fulfilled" && result.value !== null) {
+        prices[entry.asset] = result.value;
+      } else if (this.config.debug) {
+        const reason = result.status === "rejected" ? result.reason.message : "quote token unpriced";
+        console.log(`   ⚠️ TWAP for ${entry.asset} (${entry.pool}) unavailable: ${reason}`);
+      }
+    });
+    return prices;
+  }
+
+  /**
+   * USD price of the entry's asset from the pool's average tick over the window
+   */
+  async readPool(entry) {
+    const pool = new ethers.Contract(entry.pool, POOL_ABI, this.provider);
+    const meta = await this.getPoolMeta(entry.pool, pool);
+
+    const base = (entry.token || this.resolveKey(entry.asset)).toLowerCase();
+    if (base !== meta.token0 && base !== meta.token1) {
+      throw new Error(`${entry.asset} is not in pool ${entry.pool}`);
+    }
+    const quote = base === meta.token0 ? meta.token1 : meta.token0;
+    const quoteUsd = this.quotePrice(quote);
+    if (!quoteUsd) return null;
+
+    const [tickCumulatives] = await pool.observe([this.windowSeconds, 0]);
+    const averageTick = tickCumulatives[1].sub(tickCumulatives[0]).toNumber() / this.windowSeconds;
+
+    // token0 priced in token1, adjusted for decimals
+    const price0In1 = Math.pow(1.0001, averageTick) * Math.pow(10, meta.decimals0 - meta.decimals1);
+    const priceInQuote = base === meta.token0 ? price0In1 : 1 / price0In1;
+    return priceInQuote * quoteUsd;
+  }
+
+  async getPoolMeta(address, pool) {
+    const key = address.toLowerCase();
+    if (this.poolMeta.has(key)) return this.poolMeta.get(key);
+
+    const [token0, token1] = await Promise.all([pool.token0(), pool.token1()]);
+    const [decimals0, decimals1] = await Promise.all(
+      [token0, token1].map((token) => new ethers.Contract(token, ERC20_ABI, this.provider).decimals())
+    );
+    const meta = { token0: token0.toLowerCase(), token1: token1.toLowerCase(), decimals0, decimals1 };
+    this.poolMeta.set(key, meta);
+    return meta;
+  }
+}
+
+/**
+ * Local mock - fixed prices, changeable at runtime
+ */
+class MockPriceSource {
+  constructor(config) {
+    this.name = "mock";
+    this.prices = { ...(config.mockPricesUsd || {}) };
+  }
+
+  setPrice(asset, usd) {
+    this.prices[asset] = usd;
+  }
+
+  async fetchPrices() {
+    return { ...this.prices };
+  }
+}
+
+class PriceOracle {
+  /**
+   * @param {Object} config - { chainId, usdtContract, priceSource, priceTablePath, twapPoolsPath, twapWindowSeconds, priceRefreshMs, mockPricesUsd, nativePriceUsd, assetPricesUsd, debug }
+   */
+  constructor(config = {}) {
+    this.config = config;
+    this.chain = getChainProfile(config.chainId);
+    this.usdtAddress = defaultUsdtAddress(this.chain, config.usdtContract);
+    this.refreshMs = config.priceRefreshMs || 60000;
+
+    this.fallback = new StaticPriceSource(config);
+    this.source = this.createSource(config.priceSource || "static");
+
+    this.provider = null;
+    this.prices = new Map(); // "NATIVE" | lowercase token => USD
+    this.fallbackPrices = new Map();
+    this.refreshing = null;
+    this.lastRefresh = 0;
+
+    this.stats = {
+      refreshes: 0,
+      errors: 0,
+    };
+  }
+
+  createSource(name) {
+    switch (name) {
+      case "static":
+        return this.fallback;
+      case "twap":
+        return new TwapPriceSource(
+          this.config,
+          (asset) => this.resolveKey(asset),
+          (token) => this.fallbackPrices.get(token) || null
+        );
+      case "mock":
+        return new MockPriceSource(this.config);
+      default:
+        throw new Error(`Unknown PRICE_SOURCE "${name}" (static | twap | mock)`);
+    }
+  }
+
+  async initialize(provider) {
+    this.provider = provider;
+    this.source.provider = provider;
+
+    await this.refresh();
+
+    const native = this.getUsdPrice("NATIVE");
+    console.log(
+      `💵 Price oracle (${this.source.name}): ${this.prices.size} assets priced, ` +
+        `${this.chain.nativeSymbol} ${native !== null ? `$${native}` : "unpriced - no value-at-risk gas budget"}`
+    );
+  }
+
+  /**
+   * Refresh the cache (at most once per PRICE_REFRESH_MS - static tables never change)
+   */
+  async onBlock() {
+    if (this.source.name === "static") return;
+    if (Date.now() - this.lastRefresh < this.refreshMs) return;
+    await this.refresh();
+  }
+
+  async refresh() {
+    if (this.refreshing) return this.refreshing;
+
+    this.refreshing = (async () => {
+      try {
+        this.fallbackPrices = this.normalize(await this.fallback.fetchPrices(), true);
+        const sourcePrices = this.source === this.fallback ? {} : await this.source.fetchPrices();
+        this.prices = new Map([...this.fallbackPrices, ...this.normalize(sourcePrices)]);
+        this.lastRefresh = Date.now();
+        this.stats.refreshes++;
+        return true;
+      } catch (error) {
+        this.stats.errors++;
+        console.log(`   ⚠️ Price refresh failed (${this.source.name}): ${error.message}`);
+        return false;
+      } finally {
+        this.refreshing = null;
+      }
+    })();
+
+    return this.refreshing;
+  }
+
+  /**
+   * Price table keyed by "NATIVE" / lowercase address (stablecoins default to $1)
+   */
+  normalize(prices, withStablecoins = false) {
+    const out = new Map();
+    if (withStablecoins) {
+      for (const token of this.chain.tokens.filter((token) => STABLECOINS.includes(token.symbol))) {
+        out.set(token.address.toLowerCase(), 1);
+      }
+      if (this.usdtAddress) out.set(this.usdtAddress.toLowerCase(), 1);
+    }
+    for (const [asset, usd] of Object.entries(prices)) {
+      const key = this.resolveKey(asset);
+      const value = parseFloat(usd);
+      if (key && value > 0) out.set(key, value);
+    }
+    return out;
+  }
+
+  /**
+   * "NATIVE", "USDT", a profile token symbol or an address => cache key
+   */
+  resolveKey(asset) {
+    if (!asset) return null;
+    if (asset === "NATIVE" || asset === this.chain.nativeSymbol) return "NATIVE";
+    if (asset === "USDT" && this.usdtAddress) return this.usdtAddress.toLowerCase();
+    if (ethers.utils.isAddress(asset)) return asset.toLowerCase();
+    const token = findProfileToken(this.chain, asset);
+    return token ? token.address.toLowerCase() : null;
+  }
+
+  /**
+   * @returns {number|null} USD price of one unit, null if unpriced
+   */
+  getUsdPrice(asset) {
+    const key = this.resolveKey(asset);
+    return key && this.prices.has(key) ? this.prices.get(key) : null;
+  }
+
+  /**
+   * USD value of an amount in base units (0 if unpriced)
+   */
+  usdValue(asset, amount, decimals) {
+    const price = this.getUsdPrice(asset);
+    if (!price || decimals === null || decimals === undefined) return 0;
+    return parseFloat(ethers.utils.formatUnits(amount, decimals)) * price;
+  }
+
+  /**
+   * Amount of native coin (wei) worth this many USD, null without a native price
+   */
+  usdToNative(usd) {
+    const nativeUsd = this.getUsdPrice("NATIVE");
+    if (!nativeUsd || !(usd > 0)) return null;
+    return ethers.utils.parseEther((usd / nativeUsd).toFixed(18));
+  }
+
+  /**
+   * Set a price on the mock source (tests / dry runs)
+   */
+  setPrice(asset, usd) {
+    if (!(this.source instanceof MockPriceSource)) {
+      throw new Error("setPrice is only available with PRICE_SOURCE=mock");
+    }
+    this.source.setPrice(asset, usd);
+    const key = this.resolveKey(asset);
+    if (key) this.prices.set(key, usd);
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      source: this.source.name,
+      assetsPriced: this.prices.size,
+      nativePriceUsd: this.getUsdPrice("NATIVE"),
+    };
+  }
+}
+
+module.exports = { PriceOracle, StaticPriceSource, TwapPriceSource, MockPriceSource };
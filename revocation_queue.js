@@ -0,0 +1,376 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { PERMIT2_ADDRESS } = require("./permit_decoder");
+
+/**
+ * Revocation Queue
+ *
+ * Risky allowances waiting to be revoked, so nobody has to catch them in the
+ * console output. Every item carries both ways to revoke:
+ *
+ * - Module: revokeApproval(token, spender) through the Safe's sweeper module
+ *   (ERC20 and Permit2 - the bot sends it, pre-signed in PreSignedTxPool)
+ * - Safe tx: approve(spender, 0) / Permit2 lockdown / setApprovalForAll(false)
+ *   for the owners to sign (export with `node revoke_queue.js safe-tx`)
+ *
+ * Policy: a spender risk score >= REVOKE_AUTO_SCORE is revoked right away
+ * ("auto"), anything lower waits for a human ("pending" until confirmed with
+ * `node revoke_queue.js confirm <id>`). NFT operators can only be revoked
+ * with a Safe tx and always wait for the owners. Permit2 allowances always
+ * wait too: the module can only zero the token's allowance to Permit2, which
+ * cuts off every Permit2 spender of that token - the Safe tx (lockdown)
+ * revokes just the one spender.
+ *
+ * The queue is persisted to REVOKE_QUEUE_PATH and the file is watched, so
+ * confirmations written by the CLI reach the running bot.
+ */
+
+const REVOKE_ABI = [
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function setApprovalForAll(address operator, bool approved)",
+  "function lockdown((address token, address spender)[] approvals)",
+];
+
+// Item lifecycle
+const STATUS = {
+  PENDING: "pending", // Waiting for manual confirmation
+  AUTO: "auto", // Policy says revoke now
+  CONFIRMED: "confirmed", // Confirmed by an operator - revoke now
+  SENT: "sent", // Revocation broadcast
+  FAILED: "failed", // Revocation broadcast failed - confirm again to retry
+  REVOKED: "revoked", // Allowance is gone on-chain (by us or anyone)
+  DISMISSED: "dismissed", // Operator decided to keep the allowance
+};
+
+// Statuses that still need a revocation
+const OPEN_STATUSES = [STATUS.PENDING, STATUS.AUTO, STATUS.CONFIRMED, STATUS.FAILED];
+
+const revokeInterface = new ethers.utils.Interface(REVOKE_ABI);
+
+/**
+ * Safe transaction (to, value, data, operation) that revokes an allowance
+ */
+function buildSafeRevokeTx(details) {
+  if (details.type === "PERMIT2") {
+    return {
+      to: PERMIT2_ADDRESS,
+      value: "0",
+      data: revokeInterface.encodeFunctionData("lockdown", [[{ token: details.token, spender: details.spender }]]),
+      operation: 0,
+    };
+  }
+  if (details.type === "NFT_OPERATOR") {
+    return {
+      to: details.token,
+      value: "0",
+      data: revokeInterface.encodeFunctionData("setApprovalForAll", [details.spender, false]),
+      operation: 0,
+    };
+  }
+  return {
+    to: details.token,
+    value: "0",
+    data: revokeInterface.encodeFunctionData("approve", [details.spender, 0]),
+    operation: 0,
+  };
+}
+
+class RevocationQueue {
+  /**
+   * @param {Object} config - { chainId, revokeQueuePath, revokeAutoScore, revokeQueueReloadInterval }
+   */
+  constructor(config = {}) {
+    this.config = config;
+    this.queuePath = config.revokeQueuePath || null;
+    this.autoScore = config.revokeAutoScore ?? 90;
+    this.reloadInterval = config.revokeQueueReloadInterval || 2000;
+
+    this.items = new Map(); // id -> item
+    this.watching = false;
+    this.merging = false;
+
+    // Called with (item) when an item should be revoked now (auto or confirmed)
+    this.onReady = null;
+    // Called with (item) whenever an item is added or changes status
+    this.onChange = null;
+
+    this.stats = {
+      queued: 0,
+      autoRevoked: 0,
+      confirmed: 0,
+      failed: 0,
+    };
+  }
+
+  /**
+   * Short stable id for a watch list key (what the CLI takes)
+   */
+  static idFor(key) {
+    return ethers.utils.id(key.toLowerCase()).slice(2, 10);
+  }
+
+  /**
+   * Queue a risky allowance (no-op if it's already queued or was dismissed)
+   *
+   * @param {string} key - Watch list key ("type:owner:token:spender")
+   * @param {Object} details - Watch list entry (with `risk`)
+   * @param {Object|null} revocation - Module revokeApproval args, null if only a Safe tx can revoke it
+   * @param {Array<string>} reasons - Why it's risky
+   * @returns {Object} The queue item
+   */
+  enqueue(key, details, revocation, reasons = []) {
+    const id = RevocationQueue.idFor(key);
+    const existing = this.items.get(id);
+    if (existing && existing.status !== STATUS.REVOKED) return existing;
+
+    const score = details.risk ? details.risk.score : null;
+    const revokesAllPermit2 = details.type === "PERMIT2" && revocation !== null;
+    // Unscored counts as risky enough for a human, not for an automatic tx
+    const auto = revocation !== null && !revokesAllPermit2 && score !== null && score >= this.autoScore;
+
+    const item = {
+      id,
+      key,
+      type: details.type,
+      owner: details.owner,
+      token: details.token,
+      symbol: details.symbol,
+      spender: details.spender,
+      amount: details.amount,
+      score,
+      reasons: [...new Set([...reasons, ...(details.risk ? details.risk.reasons : [])])],
+      revocation,
+      warning: revokesAllPermit2
+        ? `module revocation zeroes the Safe's ${details.symbol} allowance to Permit2 - cuts off ALL ` +
+          `Permit2 spenders of ${details.symbol}; the Safe tx (lockdown) revokes only this spender`
+        : null,
+      safeTx: buildSafeRevokeTx(details),
+      status: auto ? STATUS.AUTO : STATUS.PENDING,
+      grantTxHash: details.txHash,
+      queuedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      txHash: null,
+      error: null,
+    };
+
+    this.items.set(id, item);
+    this.stats.queued++;
+
+    const how = auto ? "auto-revoking" : revocation ? "awaiting confirmation" : "needs a Safe tx from the owners";
+    console.log(
+      `   🗂️  Queued revocation ${id}: ${details.symbol} ${details.spender} (score ${score ?? "?"}) - ${how}`
+    );
+    if (item.warning) {
+      console.log(`      ⚠️  ${item.warning}`);
+    }
+    if (!auto) {
+      console.log(`      Confirm with: node revoke_queue.js ${revocation ? "confirm" : "safe-tx"} ${id}`);
+    }
+
+    this.changed(item);
+    if (auto) this.ready(item);
+    return item;
+  }
+
+  /**
+   * Item for a watch list key (undefined if never queued)
+   */
+  get(key) {
+    return this.items.get(RevocationQueue.idFor(key));
+  }
+
+  /**
+   * The allowance is gone on-chain - close the item
+   */
+  resolve(key) {
+    const item = this.get(key);
+    if (!item || item.status === STATUS.REVOKED || item.status === STATUS.DISMISSED) return;
+
+    this.setStatus(item, STATUS.REVOKED);
+    console.log(`   ✅ Revocation ${item.id} done: ${item.symbol} ${item.spender} no longer approved`);
+  }
+
+  markSent(id, txHash) {
+    const item = this.items.get(id);
+    if (!item) return;
+    item.txHash = txHash;
+    if (item.status === STATUS.AUTO) this.stats.autoRevoked++;
+    this.setStatus(item, STATUS.SENT);
+  }
+
+  markFailed(id, error) {
+    const item = this.items.get(id);
+    if (!item) return;
+    item.error = error.message || String(error);
+    this.stats.failed++;
+    this.setStatus(item, STATUS.FAILED);
+  }
+
+  setStatus(item, status) {
+    item.status = status;
+    item.updatedAt = new Date().toISOString();
+    this.changed(item);
+  }
+
+  changed(item) {
+    this.persist();
+    if (this.onChange) this.onChange(item);
+  }
+
+  ready(item) {
+    if (this.onReady) this.onReady(item);
+  }
+
+  /**
+   * Re-fire items that were due when the bot stopped (auto / confirmed, never sent)
+   */
+  resume() {
+    for (const item of this.items.values()) {
+      if (item.status === STATUS.AUTO || item.status === STATUS.CONFIRMED) {
+        console.log(`   🗂️  Resuming revocation ${item.id}: ${item.symbol} ${item.spender}`);
+        this.ready(item);
+      }
+    }
+  }
+
+  /**
+   * Items that still need a revocation, optionally for one Safe
+   */
+  getOpen(owner = null) {
+    return Array.from(this.items.values()).filter(
+      (item) =>
+        OPEN_STATUSES.includes(item.status) && (!owner || item.owner.toLowerCase() === owner.toLowerCase())
+    );
+  }
+
+  /**
+   * Module revocations worth keeping pre-signed for a Safe
+   */
+  getModuleRevocations(owner) {
+    return this.getOpen(owner)
+      .filter((item) => item.revocation)
+      .map((item) => item.revocation);
+  }
+
+  /**
+   * Restore the queue file
+   */
+  load() {
+    if (!this.queuePath || !fs.existsSync(this.queuePath)) return;
+
+    try {
+      const state = JSON.parse(fs.readFileSync(this.queuePath, "utf8"));
+      if (state.chainId !== (this.config.chainId || 137)) {
+        console.log("   ℹ️  Revocation queue belongs to another chain - starting empty");
+        return;
+      }
+      for (const item of state.items || []) {
+        this.items.set(item.id, item);
+      }
+      const open = this.getOpen().length;
+      if (open > 0) {
+        console.log(`   🗂️  Revocation queue: ${open} open item(s) from ${this.queuePath}`);
+      }
+    } catch (error) {
+      console.warn(`   ⚠️ Ignoring unreadable revocation queue ${this.queuePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write the queue atomically (tmp file + rename)
+   */
+  persist() {
+    if (!this.queuePath) return;
+
+    // Don't overwrite a confirmation the CLI wrote since the last poll
+    if (this.watching && !this.merging) {
+      this.merging = true;
+      try {
+        this.applyOperatorChanges();
+      } finally {
+        this.merging = false;
+      }
+    }
+
+    const state = {
+      chainId: this.config.chainId || 137,
+      items: Array.from(this.items.values()),
+      updatedAt: new Date().toISOString(),
+    };
+
+    try {
+      const dir = path.dirname(this.queuePath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+      const tmpPath = `${this.queuePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+      fs.renameSync(tmpPath, this.queuePath);
+    } catch (error) {
+      console.warn(`⚠️ Could not persist revocation queue: ${error.message}`);
+    }
+  }
+
+  /**
+   * Poll the queue file for confirmations / dismissals made with the CLI
+   */
+  watch() {
+    if (!this.queuePath || this.watching) return;
+
+    fs.watchFile(this.queuePath, { interval: this.reloadInterval }, (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs) return;
+      this.applyOperatorChanges();
+    });
+
+    this.watching = true;
+  }
+
+  stop() {
+    if (this.watching) {
+      fs.unwatchFile(this.queuePath);
+      this.watching = false;
+    }
+  }
+
+  /**
+   * Pick up items an operator confirmed or dismissed in the file
+   */
+  applyOperatorChanges() {
+    let state;
+    try {
+      state = JSON.parse(fs.readFileSync(this.queuePath, "utf8"));
+    } catch (error) {
+      return; // Mid-write - the next change event re-reads it
+    }
+
+    for (const fileItem of state.items || []) {
+      const item = this.items.get(fileItem.id);
+      if (!item || item.status === fileItem.status) continue;
+
+      if (fileItem.status === STATUS.CONFIRMED && [STATUS.PENDING, STATUS.FAILED].includes(item.status)) {
+        this.stats.confirmed++;
+        console.log(`\n🗂️  Revocation ${item.id} confirmed by operator - revoking ${item.symbol} ${item.spender}`);
+        this.setStatus(item, STATUS.CONFIRMED);
+        this.ready(item);
+      } else if (fileItem.status === STATUS.DISMISSED && OPEN_STATUSES.includes(item.status)) {
+        console.log(`\n🗂️  Revocation ${item.id} dismissed by operator`);
+        this.setStatus(item, STATUS.DISMISSED);
+      }
+    }
+  }
+
+  getStats() {
+    const byStatus = {};
+    for (const item of this.items.values()) {
+      byStatus[item.status] = (byStatus[item.status] || 0) + 1;
+    }
+    return {
+      ...this.stats,
+      open: this.getOpen().length,
+      byStatus,
+      autoScore: this.autoScore,
+    };
+  }
+}
+
+module.exports = { RevocationQueue, STATUS, buildSafeRevokeTx };
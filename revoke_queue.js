@@ -0,0 +1,153 @@
+/**
+ * Revocation Queue CLI
+ *
+ * Review the risky allowances the bot queued for revocation and confirm,
+ * dismiss or export them. The running bot watches the queue file and revokes
+ * confirmed items through the sweeper module.
+ *
+ * Usage:
+ *   node revoke_queue.js list [--all]          Open items (--all: every item)
+ *   node revoke_queue.js confirm <id>          Let the bot revoke it
+ *   node revoke_queue.js dismiss <id>          Keep the allowance
+ *   node revoke_queue.js safe-tx <id|all> [--out file.json]
+ *                                              Safe Transaction Builder batch for the owners
+ */
+
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
+
+const OPEN_STATUSES = ["pending", "auto", "confirmed", "failed"];
+
+const queuePath = process.env.REVOKE_QUEUE_PATH || "./.revoke_queue.json";
+
+function readQueue() {
+  if (!fs.existsSync(queuePath)) {
+    console.error(`❌ No revocation queue at ${queuePath} (REVOKE_QUEUE_PATH) - has the bot run yet?`);
+    process.exit(1);
+  }
+  return JSON.parse(fs.readFileSync(queuePath, "utf8"));
+}
+
+function writeQueue(state) {
+  state.updatedAt = new Date().toISOString();
+  const tmpPath = `${queuePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+  fs.renameSync(tmpPath, queuePath);
+}
+
+function findItem(state, id) {
+  const item = (state.items || []).find((entry) => entry.id === id);
+  if (!item) {
+    console.error(`❌ No queued revocation with id ${id}`);
+    process.exit(1);
+  }
+  return item;
+}
+
+function list(state, all) {
+  const items = (state.items || []).filter((item) => all || OPEN_STATUSES.includes(item.status));
+  if (items.length === 0) {
+    console.log("✅ Nothing waiting for revocation");
+    return;
+  }
+
+  console.log(`🗂️  ${items.length} revocation(s) in ${queuePath}:\n`);
+  for (const item of items) {
+    const how = item.revocation ? "module" : "Safe tx only";
+    console.log(`   ${item.id}  [${item.status}]  score ${item.score ?? "?"}  ${item.type} ${item.symbol}`);
+    console.log(`      Owner:   ${item.owner}`);
+    console.log(`      Spender: ${item.spender}`);
+    console.log(`      Reasons: ${item.reasons.join(", ") || "-"}`);
+    console.log(`      Revoke:  ${how}${item.txHash ? ` (tx ${item.txHash})` : ""}${item.error ? ` - last error: ${item.error}` : ""}`);
+    if (item.warning) {
+      console.log(`      ⚠️  ${item.warning}`);
+    }
+  }
+}
+
+function setStatus(state, id, status) {
+  const item = findItem(state, id);
+  if (!OPEN_STATUSES.includes(item.status)) {
+    console.error(`❌ ${id} is already ${item.status}`);
+    process.exit(1);
+  }
+  if (status === "confirmed" && !item.revocation) {
+    console.error(`❌ ${id} can't be revoked by the module - export it with: node revoke_queue.js safe-tx ${id}`);
+    process.exit(1);
+  }
+
+  item.status = status;
+  item.updatedAt = new Date().toISOString();
+  writeQueue(state);
+  console.log(`✅ ${id} ${status}${status === "confirmed" ? " - the bot revokes it within a few seconds" : ""}`);
+  if (status === "confirmed" && item.warning) {
+    console.log(`   ⚠️  ${item.warning}`);
+  }
+}
+
+/**
+ * Safe Transaction Builder batch (one per Safe - owners import and sign it)
+ */
+function exportSafeTx(state, id, outPath) {
+  const items =
+    id === "all"
+      ? (state.items || []).filter((item) => OPEN_STATUSES.includes(item.status))
+      : [findItem(state, id)];
+  if (items.length === 0) {
+    console.log("✅ Nothing to export");
+    return;
+  }
+
+  const owners = [...new Set(items.map((item) => item.owner))];
+  const batches = owners.map((owner) => ({
+    version: "1.0",
+    chainId: String(state.chainId),
+    createdAt: Date.now(),
+    meta: {
+      name: "Revoke risky approvals",
+      description: items
+        .filter((item) => item.owner === owner)
+        .map((item) => `${item.id}: ${item.type} ${item.symbol} -> ${item.spender}`)
+        .join("; "),
+      createdFromSafeAddress: owner,
+    },
+    transactions: items
+      .filter((item) => item.owner === owner)
+      .map((item) => ({ to: item.safeTx.to, value: item.safeTx.value, data: item.safeTx.data })),
+  }));
+
+  const json = JSON.stringify(batches.length === 1 ? batches[0] : batches, null, 2);
+  if (outPath) {
+    fs.writeFileSync(outPath, json);
+    console.log(`✅ Wrote ${items.length} revocation(s) for ${owners.length} Safe(s) to ${path.resolve(outPath)}`);
+    console.log("   Import it in the Safe{Wallet} Transaction Builder and have the owners sign");
+  } else {
+    console.log(json);
+  }
+}
+
+function main() {
+  const [command, arg] = process.argv.slice(2);
+  const outIndex = process.argv.indexOf("--out");
+  const outPath = outIndex !== -1 ? process.argv[outIndex + 1] : null;
+
+  const state = readQueue();
+
+  switch (command) {
+    case "list":
+    case undefined:
+      return list(state, process.argv.includes("--all"));
+    case "confirm":
+      return setStatus(state, arg, "confirmed");
+    case "dismiss":
+      return setStatus(state, arg, "dismissed");
+    case "safe-tx":
+      return exportSafeTx(state, arg || "all", outPath);
+    default:
+      console.error(`❌ Unknown command "${command}" (list | confirm <id> | dismiss <id> | safe-tx <id|all>)`);
+      process.exit(1);
+  }
+}
+
+main();
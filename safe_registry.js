@@ -0,0 +1,181 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+/**
+ * Protected Safe Registry
+ *
+ * Lets a single monitor process protect several Safes. One mempool ingest
+ * fans out to this registry, and each pending tx is routed with O(1) map
+ * lookups on the addresses it touches - never a loop over every Safe.
+ *
+ * Each entry carries its own sweeper module, vault and token list:
+ * {
+ *   label: "treasury",
+ *   safeAddress: "0x...",
+ *   vaultAddress: "0x...",
+ *   sweeperAddress: "0x...",
+ *   usdtContract: "0x...",      // optional, defaults to config.usdtContract
+ *   tokens: ["0x...", "0x..."], // optional extra ERC20s to sweep
+ *   nfts: [                     // optional NFTs to pre-sign sweeps for
+ *     { standard: "ERC721", collection: "0x...", tokenIds: ["1", "42"] }
+ *   ]
+ * }
+ *
+ * Sources (first match wins):
+ * 1. config.safes - array of entries
+ * 2. config.safesConfigPath - JSON file with an array (or { safes: [...] })
+ * 3. Single Safe from config.safeAddress / vaultAddress / sweeperAddress
+ */
+class SafeRegistry {
+  constructor(config) {
+    this.config = config;
+    this.safes = new Map(); // lowercase safe address -> entry
+    // Other per-Safe addresses (several Safes may share a vault or USDT) -> entries
+    this.byField = {
+      vaultAddress: new Map(),
+      sweeperAddress: new Map(),
+      usdtContract: new Map(),
+    };
+
+    const entries = this.loadEntries();
+    for (const entry of entries) {
+      this.add(entry);
+    }
+
+    if (this.safes.size === 0) {
+      throw new Error("No protected Safes configured (set SAFE_ADDRESS or SAFES_CONFIG)");
+    }
+  }
+
+  loadEntries() {
+    if (Array.isArray(this.config.safes) && this.config.safes.length > 0) {
+      return this.config.safes;
+    }
+
+    if (this.config.safesConfigPath) {
+      const parsed = JSON.parse(fs.readFileSync(this.config.safesConfigPath, "utf8"));
+      const safes = Array.isArray(parsed) ? parsed : parsed.safes;
+      if (!Array.isArray(safes)) {
+        throw new Error(`${this.config.safesConfigPath} must contain an array of Safes`);
+      }
+      return safes;
+    }
+
+    if (this.config.safeAddress) {
+      return [
+        {
+          label: "primary",
+          safeAddress: this.config.safeAddress,
+          vaultAddress: this.config.vaultAddress,
+          sweeperAddress: this.config.sweeperAddress,
+        },
+      ];
+    }
+
+    return [];
+  }
+
+  /**
+   * Register a protected Safe
+   */
+  add(entry) {
+    for (const field of ["safeAddress", "vaultAddress", "sweeperAddress"]) {
+      if (!entry[field] || !ethers.utils.isAddress(entry[field])) {
+        throw new Error(`Protected Safe ${entry.label || entry.safeAddress} has invalid ${field}`);
+      }
+    }
+
+    const safeAddress = ethers.utils.getAddress(entry.safeAddress);
+    const normalized = {
+      label: entry.label || `safe-${this.safes.size + 1}`,
+      safeAddress,
+      vaultAddress: ethers.utils.getAddress(entry.vaultAddress),
+      sweeperAddress: ethers.utils.getAddress(entry.sweeperAddress),
+      usdtContract: entry.usdtContract || this.config.usdtContract,
+      tokens: (entry.tokens || []).map((token) => ethers.utils.getAddress(token)),
+      nfts: (entry.nfts || []).map((nft) => this.normalizeNft(nft, entry)),
+      sweepMatic: entry.sweepMatic ?? this.config.sweepMatic,
+    };
+
+    this.safes.set(safeAddress.toLowerCase(), normalized);
+    for (const [field, index] of Object.entries(this.byField)) {
+      if (!normalized[field]) continue;
+      const key = normalized[field].toLowerCase();
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(normalized);
+    }
+    return normalized;
+  }
+
+  normalizeNft(nft, entry) {
+    if (!nft.collection || !ethers.utils.isAddress(nft.collection)) {
+      throw new Error(`Protected Safe ${entry.label || entry.safeAddress} has an NFT with invalid collection`);
+    }
+    if (nft.standard !== "ERC721" && nft.standard !== "ERC1155") {
+      throw new Error(`NFT ${nft.collection} must have standard "ERC721" or "ERC1155"`);
+    }
+
+    return {
+      standard: nft.standard,
+      collection: ethers.utils.getAddress(nft.collection),
+      tokenIds: (nft.tokenIds || []).map((id) => id.toString()),
+    };
+  }
+
+  /**
+   * O(1) lookup - returns the entry if address is a protected Safe
+   */
+  get(address) {
+    if (!address) return null;
+    return this.safes.get(address.toLowerCase()) || null;
+  }
+
+  /**
+   * O(1) lookup by any per-Safe address field
+   *
+   * @param {string} field - "safeAddress" | "vaultAddress" | "sweeperAddress" | "usdtContract"
+   * @returns {Array} Entries whose field equals address
+   */
+  findBy(field, address) {
+    if (!address || typeof address !== "string") return [];
+    if (field === "safeAddress") {
+      const entry = this.get(address);
+      return entry ? [entry] : [];
+    }
+    const index = this.byField[field];
+    return (index && index.get(address.toLowerCase())) || [];
+  }
+
+  has(address) {
+    return !!address && this.safes.has(address.toLowerCase());
+  }
+
+  /**
+   * Return the first protected Safe among candidate addresses
+   */
+  findFirst(addresses) {
+    for (const address of addresses) {
+      const entry = this.get(address);
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  all() {
+    return Array.from(this.safes.values());
+  }
+
+  addresses() {
+    return this.all().map((entry) => entry.safeAddress);
+  }
+
+  primary() {
+    return this.safes.values().next().value;
+  }
+
+  get size() {
+    return this.safes.size;
+  }
+}
+
+module.exports = { SafeRegistry };
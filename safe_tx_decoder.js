@@ -0,0 +1,375 @@
+const { ethers } = require("ethers");
+const { NftDecoder } = require("./nft_decoder");
+
+/**
+ * Safe Transaction Decoder
+ *
+ * Real Safe drains don't look like a transfer at the top level - they arrive as
+ * execTransaction(to, value, data, operation, ...) with the actual transfer
+ * buried in the inner `data`, often batched through MultiSend.
+ *
+ * This decoder unwraps those calls and classifies every inner operation:
+ * - ERC20 transfer / transferFrom / approve
+ * - ERC721 / ERC1155 transfers, approve and setApprovalForAll
+ * - Native value transfers
+ * - Delegatecalls (can do anything - treated as unknown asset)
+ * - Governance changes on the Safe itself (owners, threshold, modules, guard)
+ *
+ * Each operation is evaluated against the Safe and vault so that our own
+ * sweeps to the vault are ignored and everything else is flagged.
+ */
+
+const SAFE_ABI = [
+  "function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures) returns (bool)",
+  "function execTransactionFromModule(address to, uint256 value, bytes data, uint8 operation) returns (bool)",
+];
+
+const MULTISEND_ABI = ["function multiSend(bytes transactions)"];
+
+const ERC20_ABI = [
+  "function transfer(address to, uint256 amount)",
+  "function transferFrom(address from, address to, uint256 amount)",
+  "function approve(address spender, uint256 amount)",
+  "function increaseAllowance(address spender, uint256 addedValue)",
+];
+
+// Self-calls that change who controls the Safe
+const GOVERNANCE_ABI = [
+  "function addOwnerWithThreshold(address owner, uint256 _threshold)",
+  "function removeOwner(address prevOwner, address owner, uint256 _threshold)",
+  "function swapOwner(address prevOwner, address oldOwner, address newOwner)",
+  "function changeThreshold(uint256 _threshold)",
+  "function enableModule(address module)",
+  "function disableModule(address prevModule, address module)",
+  "function setGuard(address guard)",
+  "function setFallbackHandler(address handler)",
+];
+
+const OPERATION_CALL = 0;
+const OPERATION_DELEGATECALL = 1;
+
+// MultiSend can itself be nested inside a MultiSend - don't recurse forever
+const MAX_DECODE_DEPTH = 3;
+
+class SafeTxDecoder {
+  constructor() {
+    this.safeInterface = new ethers.utils.Interface(SAFE_ABI);
+    this.multiSendInterface = new ethers.utils.Interface(MULTISEND_ABI);
+    this.erc20Interface = new ethers.utils.Interface(ERC20_ABI);
+    this.governanceInterface = new ethers.utils.Interface(GOVERNANCE_ABI);
+    this.nftDecoder = new NftDecoder();
+
+    this.selectors = {
+      execTransaction: this.safeInterface.getSighash("execTransaction"),
+      execTransactionFromModule: this.safeInterface.getSighash("execTransactionFromModule"),
+      multiSend: this.multiSendInterface.getSighash("multiSend"),
+    };
+  }
+
+  /**
+   * Check if calldata is a Safe execution entry point
+   */
+  isSafeExecution(data) {
+    if (!data || data.length < 10) return false;
+    const selector = data.slice(0, 10).toLowerCase();
+    return (
+      selector === this.selectors.execTransaction ||
+      selector === this.selectors.execTransactionFromModule
+    );
+  }
+
+  /**
+   * Decode execTransaction / execTransactionFromModule calldata
+   *
+   * @param {string} data - Calldata sent to the Safe
+   * @returns {Object|null} { method, calls } with MultiSend batches flattened
+   */
+  decodeSafeCall(data) {
+    if (!this.isSafeExecution(data)) return null;
+
+    try {
+      const parsed = this.safeInterface.parseTransaction({ data });
+      const call = {
+        to: ethers.utils.getAddress(parsed.args.to),
+        value: ethers.BigNumber.from(parsed.args.value),
+        data: parsed.args.data,
+        operation: Number(parsed.args.operation),
+        depth: 0,
+      };
+
+      return {
+        method: parsed.name,
+        calls: this.flattenCall(call),
+      };
+    } catch (error) {
+      // Malformed Safe calldata
+      return null;
+    }
+  }
+
+  /**
+   * Expand MultiSend batches into their individual calls
+   */
+  flattenCall(call) {
+    const selector = call.data && call.data.length >= 10 ? call.data.slice(0, 10).toLowerCase() : null;
+
+    if (selector !== this.selectors.multiSend || call.depth >= MAX_DECODE_DEPTH) {
+      return [call];
+    }
+
+    try {
+      const parsed = this.multiSendInterface.parseTransaction({ data: call.data });
+      const innerCalls = this.decodeMultiSendTransactions(parsed.args.transactions, call.depth + 1);
+      return innerCalls.flatMap((inner) => this.flattenCall(inner));
+    } catch (error) {
+      // Not a well-formed MultiSend payload - evaluate the call as-is
+      return [call];
+    }
+  }
+
+  /**
+   * Decode MultiSend packed transactions
+   *
+   * Each entry is abi.encodePacked(uint8 operation, address to, uint256 value,
+   * uint256 dataLength, bytes data)
+   */
+  decodeMultiSendTransactions(packed, depth) {
+    const bytes = ethers.utils.arrayify(packed);
+    const calls = [];
+    let offset = 0;
+
+    while (offset < bytes.length) {
+      if (offset + 85 > bytes.length) {
+        throw new Error("Truncated MultiSend entry");
+      }
+
+      const operation = bytes[offset];
+      const to = ethers.utils.getAddress(ethers.utils.hexlify(bytes.slice(offset + 1, offset + 21)));
+      const value = ethers.BigNumber.from(bytes.slice(offset + 21, offset + 53));
+      const dataLength = ethers.BigNumber.from(bytes.slice(offset + 53, offset + 85)).toNumber();
+      const dataEnd = offset + 85 + dataLength;
+
+      if (dataEnd > bytes.length) {
+        throw new Error("Truncated MultiSend data");
+      }
+
+      calls.push({
+        to,
+        value,
+        data: ethers.utils.hexlify(bytes.slice(offset + 85, dataEnd)),
+        operation,
+        depth,
+      });
+
+      offset = dataEnd;
+    }
+
+    return calls;
+  }
+
+  /**
+   * Classify a single inner call against the Safe and vault
+   *
+   * @param {Object} call - Decoded inner call
+   * @param {Object} safe - { safeAddress, vaultAddress, sweeperAddress, usdtContract }
+   * @param {Array} knownNfts - NFT holdings of the Safe ({ standard, collection, tokenIds })
+   * @returns {Object} Classified operation
+   */
+  classifyCall(call, safe, knownNfts = []) {
+    const safeAddr = safe.safeAddress.toLowerCase();
+    const vaultAddr = safe.vaultAddress.toLowerCase();
+    const usdtAddr = safe.usdtContract?.toLowerCase();
+
+    const op = {
+      kind: "CONTRACT_CALL",
+      to: call.to,
+      value: call.value,
+      operation: call.operation,
+      selector: call.data && call.data.length >= 10 ? call.data.slice(0, 10).toLowerCase() : null,
+      assets: [],
+      nfts: [],
+      risky: false,
+    };
+
+    const assetForToken = (token) => (token.toLowerCase() === usdtAddr ? "USDT" : token);
+
+    // Delegatecall runs arbitrary code in the Safe's context - can move anything
+    if (call.operation === OPERATION_DELEGATECALL) {
+      op.kind = "DELEGATECALL";
+      op.assets.push("UNKNOWN");
+      op.risky = true;
+      return op;
+    }
+
+    // Native value leaving the Safe
+    if (call.value.gt(0) && call.to.toLowerCase() !== vaultAddr) {
+      op.kind = "NATIVE_TRANSFER";
+      op.recipient = call.to;
+      op.amount = call.value;
+      op.assets.push("NATIVE");
+      op.risky = true;
+    }
+
+    if (!op.selector) return op;
+
+    // Call from the Safe to itself - owner/module/guard management
+    if (call.to.toLowerCase() === safeAddr) {
+      return this.classifyGovernanceCall(call, op, safe);
+    }
+
+    // NFT calls first - ERC721 transferFrom / approve only match known collections
+    const nftCall = this.nftDecoder.decodeCall(call.to, call.data, knownNfts);
+    if (nftCall) {
+      return this.classifyNftCall(nftCall, op, safe);
+    }
+
+    let parsed;
+    try {
+      parsed = this.erc20Interface.parseTransaction({ data: call.data });
+    } catch (error) {
+      // Not an ERC20 call we know - native value check above still applies
+      return op;
+    }
+
+    switch (parsed.name) {
+      case "transfer": {
+        op.kind = "ERC20_TRANSFER";
+        op.token = call.to;
+        op.recipient = parsed.args.to;
+        op.amount = parsed.args.amount;
+        if (op.recipient.toLowerCase() !== vaultAddr) {
+          op.assets.push(assetForToken(call.to));
+          op.risky = true;
+        }
+        break;
+      }
+      case "transferFrom": {
+        op.kind = "ERC20_TRANSFER_FROM";
+        op.token = call.to;
+        op.sender = parsed.args.from;
+        op.recipient = parsed.args.to;
+        op.amount = parsed.args.amount;
+        if (op.sender.toLowerCase() === safeAddr && op.recipient.toLowerCase() !== vaultAddr) {
+          op.assets.push(assetForToken(call.to));
+          op.risky = true;
+        }
+        break;
+      }
+      case "approve":
+      case "increaseAllowance": {
+        op.kind = "ERC20_APPROVE";
+        op.token = call.to;
+        op.spender = parsed.args.spender;
+        op.amount = parsed.args[1];
+        // Revocations (approve 0) are harmless
+        if (!op.amount.isZero() && op.spender.toLowerCase() !== vaultAddr) {
+          op.assets.push(assetForToken(call.to));
+          op.risky = true;
+        }
+        break;
+      }
+    }
+
+    return op;
+  }
+
+  /**
+   * Classify a decoded ERC721 / ERC1155 call made by the Safe
+   */
+  classifyNftCall(nftCall, op, safe) {
+    const vaultAddr = safe.vaultAddress.toLowerCase();
+    const exposure = { standard: nftCall.standard, collection: nftCall.collection, tokenIds: nftCall.tokenIds };
+
+    op.token = nftCall.collection;
+    op.method = nftCall.method;
+
+    if (nftCall.kind === "NFT_TRANSFER") {
+      op.kind = "NFT_TRANSFER";
+      op.sender = nftCall.from;
+      op.recipient = nftCall.recipient;
+      op.tokenIds = nftCall.tokenIds;
+      // The Safe can only move its own NFTs - anything not going to the vault is a drain
+      if (op.recipient.toLowerCase() !== vaultAddr) {
+        op.nfts.push(exposure);
+        op.risky = true;
+      }
+      return op;
+    }
+
+    // approve(to, id) / setApprovalForAll(operator, true) - revocations are harmless
+    op.kind = nftCall.kind;
+    op.spender = nftCall.operator;
+    if (nftCall.approved && op.spender.toLowerCase() !== vaultAddr) {
+      op.nfts.push(exposure);
+      op.risky = true;
+    }
+    return op;
+  }
+
+  /**
+   * Classify a self-call against the Safe's governance functions
+   */
+  classifyGovernanceCall(call, op, safe) {
+    let parsed;
+    try {
+      parsed = this.governanceInterface.parseTransaction({ data: call.data });
+    } catch (error) {
+      return op;
+    }
+
+    op.kind = "GOVERNANCE";
+    op.method = parsed.name;
+    op.args = {};
+    for (const input of parsed.functionFragment.inputs) {
+      const value = parsed.args[input.name];
+      op.args[input.name] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+    }
+    op.risky = true;
+
+    // Disabling our sweeper module locks the bot out of the Safe
+    op.disablesSweeper =
+      parsed.name === "disableModule" &&
+      !!safe.sweeperAddress &&
+      parsed.args.module.toLowerCase() === safe.sweeperAddress.toLowerCase();
+
+    return op;
+  }
+
+  /**
+   * Decode and classify a pending transaction sent to the Safe
+   *
+   * @param {Object} tx - Pending transaction
+   * @param {Object} safe - { safeAddress, vaultAddress, sweeperAddress, usdtContract }
+   * @param {Array} knownNfts - NFT holdings of the Safe
+   * @returns {Object|null} { method, operations, risky, governance, assets, nfts } or null if not a Safe execution
+   */
+  analyze(tx, safe, knownNfts = []) {
+    if (!tx || !tx.to || tx.to.toLowerCase() !== safe.safeAddress.toLowerCase()) return null;
+
+    const decoded = this.decodeSafeCall(tx.data);
+    if (!decoded) return null;
+
+    const operations = decoded.calls.map((call) => this.classifyCall(call, safe, knownNfts));
+    const risky = operations.filter((op) => op.risky);
+    const governance = risky.filter((op) => op.kind === "GOVERNANCE");
+
+    // Unique asset list, preserving the order operations appear in
+    const assets = [];
+    for (const op of risky) {
+      for (const asset of op.assets) {
+        if (!assets.includes(asset)) assets.push(asset);
+      }
+    }
+
+    return {
+      method: decoded.method,
+      operations,
+      risky,
+      governance,
+      assets,
+      nfts: this.nftDecoder.merge(...risky.map((op) => op.nfts)),
+    };
+  }
+}
+
+module.exports = { SafeTxDecoder, OPERATION_CALL, OPERATION_DELEGATECALL };
@@ -0,0 +1,238 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { findCreationBlock } = require("./approval_backfill");
+const { SafeTxDecoder } = require("./safe_tx_decoder");
+const { PERMIT2_ADDRESS } = require("./permit_decoder");
+
+/**
+ * Spender Risk Scorer
+ *
+ * Scores every approved spender 0-100 so the proactive sweep only fires for
+ * spenders that look like drainers - a DEX router transacting is not an attack.
+ *
+ * Signals (per spender, cached):
+ * - Denylist (SPENDER_DENYLIST_PATH) - known drainers: always 100
+ * - Allowlist (SPENDER_ALLOWLIST_PATH, plus Permit2) - known routers: always 0
+ * - EOA vs contract (eth_getCode) - phishing approvals usually go to an EOA
+ * - Contract age (creation block via eth_getCode search) - drainer contracts are fresh
+ *
+ * Signals (per approval):
+ * - Owner-signed: the approval came from an execTransaction on the Safe (the
+ *   owners signed it), not a permit signature or a module call
+ * - Unlimited amount
+ *
+ * Lists are JSON ([ "0x..", { "address": "0x..", "label": "..." } ] or
+ * { "spenders": [...] }) or CSV (address,label per line, # comments).
+ *
+ * Actions: score >= SPENDER_RISK_SWEEP_SCORE sweeps, >= SPENDER_RISK_ALERT_SCORE
+ * only alerts, anything lower is ignored.
+ */
+
+const WEIGHTS = {
+  EOA: 40,
+  NEW_CONTRACT: 30,
+  AGE_UNKNOWN: 10,
+  NOT_OWNER_SIGNED: 30,
+  UNLIMITED: 10,
+};
+
+class SpenderRiskScorer {
+  /**
+   * @param {Object} config - { spenderAllowlistPath, spenderDenylistPath, spenderRiskSweepScore, spenderRiskAlertScore, spenderNewContractDays }
+   */
+  constructor(config = {}) {
+    this.config = config;
+    this.sweepScore = config.spenderRiskSweepScore ?? 50;
+    this.alertScore = config.spenderRiskAlertScore ?? 20;
+    this.newContractSeconds = (config.spenderNewContractDays || 7) * 86400;
+
+    this.provider = null;
+    this.safeTxDecoder = new SafeTxDecoder();
+
+    this.allowlist = this.loadList(config.spenderAllowlistPath, "allowlist");
+    this.denylist = this.loadList(config.spenderDenylistPath, "denylist");
+    if (!this.allowlist.has(PERMIT2_ADDRESS.toLowerCase())) {
+      this.allowlist.set(PERMIT2_ADDRESS.toLowerCase(), "Permit2");
+    }
+
+    this.profiles = new Map(); // lowercase spender -> Promise of { isContract, ageDays, reasons, score }
+
+    this.stats = {
+      scored: 0,
+      denylisted: 0,
+      allowlisted: 0,
+    };
+  }
+
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Read a JSON / CSV address list into lowercase address -> label
+   */
+  loadList(filePath, name) {
+    const list = new Map();
+    if (!filePath) return list;
+
+    try {
+      const raw = fs.readFileSync(filePath, "utf8");
+      let entries;
+
+      if (path.extname(filePath).toLowerCase() === ".csv") {
+        entries = raw
+          .split(/\r?\n/)
+          .map((line) => line.trim())
+          .filter((line) => line && !line.startsWith("#"))
+          .map((line) => {
+            const [address, ...label] = line.split(",");
+            return { address: address.trim(), label: label.join(",").trim() };
+          });
+      } else {
+        const parsed = JSON.parse(raw);
+        entries = Array.isArray(parsed) ? parsed : parsed?.spenders;
+        if (!Array.isArray(entries)) {
+          throw new Error("List must be an array or { spenders: [...] }");
+        }
+        entries = entries.map((entry) => (typeof entry === "string" ? { address: entry } : entry));
+      }
+
+      for (const entry of entries) {
+        // CSV headers and typos are skipped, not fatal
+        if (!entry || !ethers.utils.isAddress(entry.address || "")) continue;
+        list.set(entry.address.toLowerCase(), entry.label || name);
+      }
+
+      console.log(`   📒 Spender ${name}: ${list.size} addresses from ${filePath}`);
+    } catch (error) {
+      console.error(`❌ Failed to load spender ${name} from ${filePath}: ${error.message}`);
+    }
+    return list;
+  }
+
+  /**
+   * Score an approval (watch list entry)
+   *
+   * @param {Object} approval - { owner, spender, amount, txHash, ... }
+   * @param {boolean} unlimited - Max allowance
+   * @returns {Object} { score, action, reasons, listed ("allow" | "deny" | null), isContract, ageDays, ownerSigned }
+   */
+  async score(approval, unlimited = false) {
+    const spender = approval.spender.toLowerCase();
+    this.stats.scored++;
+
+    if (this.denylist.has(spender)) {
+      this.stats.denylisted++;
+      return this.result(100, [`denylist:${this.denylist.get(spender)}`], "deny");
+    }
+    if (this.allowlist.has(spender)) {
+      this.stats.allowlisted++;
+      return this.result(0, [`allowlist:${this.allowlist.get(spender)}`], "allow");
+    }
+
+    const profile = await this.getProfile(approval.spender);
+    const ownerSigned = await this.isOwnerSigned(approval);
+
+    let score = profile.score;
+    const reasons = [...profile.reasons];
+
+    if (ownerSigned === false) {
+      score += WEIGHTS.NOT_OWNER_SIGNED;
+      reasons.push("not-owner-signed");
+    } else if (ownerSigned === true) {
+      reasons.push("owner-signed");
+    }
+    if (unlimited) {
+      score += WEIGHTS.UNLIMITED;
+      reasons.push("unlimited");
+    }
+
+    return {
+      ...this.result(score, reasons),
+      isContract: profile.isContract,
+      ageDays: profile.ageDays,
+      ownerSigned,
+    };
+  }
+
+  result(score, reasons, listed = null) {
+    const capped = Math.min(100, score);
+    return { score: capped, action: this.actionFor(capped), reasons, listed };
+  }
+
+  /**
+   * "sweep" | "alert" | "ignore" for a score
+   */
+  actionFor(score) {
+    if (score >= this.sweepScore) return "sweep";
+    if (score >= this.alertScore) return "alert";
+    return "ignore";
+  }
+
+  /**
+   * EOA / contract age part of the score, once per spender
+   */
+  getProfile(spender) {
+    const key = spender.toLowerCase();
+    if (!this.profiles.has(key)) {
+      const lookup = this.readProfile(spender).catch((error) => {
+        this.profiles.delete(key); // Retry on the next approval
+        throw error;
+      });
+      this.profiles.set(key, lookup);
+    }
+    return this.profiles.get(key);
+  }
+
+  async readProfile(spender) {
+    const code = await this.provider.getCode(spender);
+    if (code === "0x") {
+      return { isContract: false, ageDays: null, score: WEIGHTS.EOA, reasons: ["eoa"] };
+    }
+
+    try {
+      const latestBlock = await this.provider.getBlockNumber();
+      const creationBlock = await findCreationBlock(this.provider, spender, latestBlock);
+      const block = await this.provider.getBlock(creationBlock);
+      const ageSeconds = Math.floor(Date.now() / 1000) - block.timestamp;
+      const ageDays = Math.floor(ageSeconds / 86400);
+
+      if (ageSeconds < this.newContractSeconds) {
+        return { isContract: true, ageDays, score: WEIGHTS.NEW_CONTRACT, reasons: [`new-contract:${ageDays}d`] };
+      }
+      return { isContract: true, ageDays, score: 0, reasons: [`contract:${ageDays}d`] };
+    } catch (error) {
+      // No archive state - can't tell how old it is
+      return { isContract: true, ageDays: null, score: WEIGHTS.AGE_UNKNOWN, reasons: ["contract:age-unknown"] };
+    }
+  }
+
+  /**
+   * Did the Safe's owners sign the tx that granted this approval?
+   * @returns {boolean|null} null if the tx can't be fetched
+   */
+  async isOwnerSigned(approval) {
+    if (!approval.txHash) return null;
+
+    const tx = await this.provider.getTransaction(approval.txHash).catch(() => null);
+    if (!tx || !tx.to || !tx.data) return null;
+
+    return (
+      tx.to.toLowerCase() === approval.owner.toLowerCase() &&
+      tx.data.slice(0, 10).toLowerCase() === this.safeTxDecoder.selectors.execTransaction
+    );
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      allowlistSize: this.allowlist.size,
+      denylistSize: this.denylist.size,
+      sweepScore: this.sweepScore,
+      alertScore: this.alertScore,
+    };
+  }
+}
+
+module.exports = { SpenderRiskScorer };
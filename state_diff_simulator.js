@@ -0,0 +1,376 @@
+const { ethers } = require("ethers");
+
+/**
+ * State-Diff Simulator
+ *
+ * Decoding calldata tells us what a tx SAYS it will do. Simulating it tells us
+ * what it will actually take. Before responding, the suspicious pending tx is
+ * run against latest state with:
+ *
+ * 1. prestateTracer (diffMode) - native balance change of the Safe and every
+ *    contract whose storage would change
+ * 2. callTracer (withLog) - Transfer / TransferSingle / TransferBatch events,
+ *    which identify the NFT ids leaving the Safe
+ *
+ * For each contract with changed storage, balanceOf(safe) is read at latest
+ * state and again with the post-state storage applied as a state override.
+ * Every decrease is an asset at risk.
+ *
+ * Result assets are sorted by USD value (PriceOracle when attached, else
+ * NATIVE_PRICE_USD / assetPricesUsd) so the most valuable asset is swept first
+ * (lowest nonce).
+ */
+
+const TOKEN_ABI = [
+  "function balanceOf(address owner) view returns (uint256)",
+  "function decimals() view returns (uint8)",
+  "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+];
+
+const ERC721_INTERFACE_ID = "0x80ac58cd";
+
+const TRANSFER_TOPIC = ethers.utils.id("Transfer(address,address,uint256)");
+const TRANSFER_SINGLE_TOPIC = ethers.utils.id("TransferSingle(address,address,address,uint256,uint256)");
+const TRANSFER_BATCH_TOPIC = ethers.utils.id("TransferBatch(address,address,address,uint256[],uint256[])");
+
+class StateDiffSimulator {
+  constructor(config) {
+    this.config = config;
+    this.provider = null;
+    this.enabled = false;
+
+    this.tokenInterface = new ethers.utils.Interface(TOKEN_ABI);
+    this.erc1155Interface = new ethers.utils.Interface([
+      "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)",
+      "event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)",
+    ]);
+
+    this.timeoutMs = config.simulationTimeoutMs || 1500;
+    this.priceOracle = null;
+    this.decimalsCache = new Map(); // token -> decimals (null for NFTs)
+
+    this.stats = {
+      simulations: 0,
+      failed: 0,
+      lossesFound: 0,
+      avgSimulationTime: 0,
+    };
+  }
+
+  async initialize() {
+    console.log("\n🧪 Initializing State-Diff Simulator...");
+
+    if (!this.config.enableStateDiffSimulation) {
+      console.log("   ℹ️  State-diff simulation disabled (set ENABLE_STATE_DIFF_SIMULATION=true)");
+      return false;
+    }
+
+    const rpcUrl = this.config.traceRpcUrl || this.config.drpcHttp || this.config.rpcUrl;
+    if (!rpcUrl) {
+      console.log("   ⚠️  No trace-capable RPC configured - simulation disabled");
+      return false;
+    }
+
+    try {
+      this.provider = new ethers.providers.JsonRpcProvider(rpcUrl);
+
+      // Probe prestateTracer diff mode
+      await this.provider.send("debug_traceCall", [
+        {
+          from: "0x0000000000000000000000000000000000000000",
+          to: "0x0000000000000000000000000000000000000000",
+          value: "0x0",
+        },
+        "latest",
+        { tracer: "prestateTracer", tracerConfig: { diffMode: true } },
+      ]);
+
+      console.log(`   ✅ State-diff simulator active (${this.timeoutMs}ms budget)`);
+      this.enabled = true;
+      return true;
+    } catch (error) {
+      console.error("   ❌ prestateTracer not available:", error.message);
+      console.log("   ℹ️  Proceeding without state-diff simulation");
+      return false;
+    }
+  }
+
+  /**
+   * Simulate a pending tx and list everything it would take from the Safe
+   *
+   * @param {Object} tx - Pending transaction
+   * @param {Object} safe - { safeAddress, vaultAddress, usdtContract }
+   * @returns {Object|null} { losses, assets, nfts } or null if simulation failed
+   */
+  async simulate(tx, safe) {
+    if (!this.enabled) return null;
+
+    const startTime = Date.now();
+    this.stats.simulations++;
+
+    try {
+      const result = await this.withTimeout(this.computeLosses(tx, safe));
+
+      const simulationTime = Date.now() - startTime;
+      this.stats.avgSimulationTime = Math.floor(
+        (this.stats.avgSimulationTime * (this.stats.simulations - 1) + simulationTime) / this.stats.simulations
+      );
+      if (result.losses.length > 0) {
+        this.stats.lossesFound++;
+      }
+
+      if (this.config.debug) {
+        console.log(`   🧪 Simulated ${tx.hash?.slice(0, 10)}... in ${simulationTime}ms: ${result.losses.length} loss(es)`);
+      }
+
+      return result;
+    } catch (error) {
+      this.stats.failed++;
+      if (this.config.debug) {
+        console.log(`   ⚠️ Simulation failed for ${tx.hash?.slice(0, 10)}...: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  async computeLosses(tx, safe) {
+    const call = {
+      from: tx.from,
+      to: tx.to,
+      value: ethers.utils.hexValue(tx.value || 0),
+      data: tx.data,
+    };
+    if (tx.gasLimit) {
+      call.gas = ethers.utils.hexValue(tx.gasLimit);
+    }
+
+    const [diff, callTree] = await Promise.all([
+      this.provider.send("debug_traceCall", [
+        call,
+        "latest",
+        { tracer: "prestateTracer", tracerConfig: { diffMode: true } },
+      ]),
+      this.provider
+        .send("debug_traceCall", [call, "latest", { tracer: "callTracer", tracerConfig: { withLog: true } }])
+        .catch(() => null), // Logs are only needed for NFT ids
+    ]);
+
+    const safeKey = safe.safeAddress.toLowerCase();
+    const pre = this.lowercaseKeys(diff.pre);
+    const post = this.lowercaseKeys(diff.post);
+    const losses = [];
+
+    // Native balance
+    if (pre[safeKey]?.balance && post[safeKey]?.balance) {
+      const before = ethers.BigNumber.from(pre[safeKey].balance);
+      const after = ethers.BigNumber.from(post[safeKey].balance);
+      if (after.lt(before)) {
+        losses.push({ kind: "NATIVE", asset: "NATIVE", token: null, amount: before.sub(after), decimals: 18 });
+      }
+    }
+
+    // Token balances - every contract whose storage changes (other than the Safe itself)
+    const touched = Object.keys(post).filter(
+      (address) => address !== safeKey && (post[address].storage || pre[address]?.storage)
+    );
+    const tokenLosses = await Promise.all(
+      touched.map((token) => this.measureTokenLoss(token, safe, pre[token], post[token]))
+    );
+    for (const loss of tokenLosses) {
+      if (loss) losses.push(loss);
+    }
+
+    // NFT ids leaving the Safe (from emitted events)
+    const nfts = callTree ? this.findNftTransfers(callTree, safe) : [];
+    for (const loss of losses) {
+      if (loss.kind === "ERC721") {
+        loss.tokenIds = nfts.filter((nft) => nft.token.toLowerCase() === loss.token.toLowerCase()).map((nft) => nft.tokenId);
+      }
+    }
+
+    // ERC1155 has no single-arg balanceOf - events are the only source
+    for (const nft of nfts.filter((n) => n.kind === "ERC1155")) {
+      losses.push({ kind: "ERC1155", asset: nft.token, token: nft.token, amount: nft.amount, tokenIds: [nft.tokenId], decimals: null });
+    }
+
+    const sorted = this.sortByValue(losses, safe);
+
+    return {
+      losses: sorted,
+      // Assets the sweeper module can move today (ERC20 + native), most valuable first
+      assets: sorted.filter((loss) => loss.kind === "ERC20" || loss.kind === "NATIVE").map((loss) => loss.asset),
+      nfts: sorted.filter((loss) => loss.kind === "ERC721" || loss.kind === "ERC1155"),
+    };
+  }
+
+  /**
+   * balanceOf(safe) at latest vs with post-state storage overridden
+   */
+  async measureTokenLoss(token, safe, preAccount, postAccount) {
+    const stateDiff = {};
+    for (const slot of Object.keys(preAccount?.storage || {})) {
+      stateDiff[slot] = ethers.constants.HashZero; // Cleared slots only appear in pre
+    }
+    Object.assign(stateDiff, postAccount?.storage || {});
+    if (Object.keys(stateDiff).length === 0) return null;
+
+    const balanceCall = {
+      to: token,
+      data: this.tokenInterface.encodeFunctionData("balanceOf", [safe.safeAddress]),
+    };
+
+    let before;
+    let after;
+    try {
+      [before, after] = await Promise.all([
+        this.provider.send("eth_call", [balanceCall, "latest"]),
+        this.provider.send("eth_call", [balanceCall, "latest", { [token]: { stateDiff } }]),
+      ]);
+      before = this.tokenInterface.decodeFunctionResult("balanceOf", before)[0];
+      after = this.tokenInterface.decodeFunctionResult("balanceOf", after)[0];
+    } catch (error) {
+      // Not a token (router, pool, attacker contract...)
+      return null;
+    }
+
+    if (!after.lt(before)) return null;
+
+    const address = ethers.utils.getAddress(token);
+    const decimals = await this.getDecimals(address);
+    const isNft = decimals === null;
+    const isUsdt = address.toLowerCase() === safe.usdtContract?.toLowerCase();
+
+    return {
+      kind: isNft ? "ERC721" : "ERC20",
+      asset: isUsdt ? "USDT" : address,
+      token: address,
+      amount: before.sub(after),
+      decimals,
+    };
+  }
+
+  /**
+   * ERC20 decimals, or null for ERC721 collections
+   */
+  async getDecimals(token) {
+    if (this.decimalsCache.has(token)) return this.decimalsCache.get(token);
+
+    const contract = new ethers.Contract(token, TOKEN_ABI, this.provider);
+    let decimals = null;
+    try {
+      decimals = await contract.decimals();
+    } catch (error) {
+      const isErc721 = await contract.supportsInterface(ERC721_INTERFACE_ID).catch(() => false);
+      decimals = isErc721 ? null : 18;
+    }
+
+    this.decimalsCache.set(token, decimals);
+    return decimals;
+  }
+
+  /**
+   * Walk a callTracer (withLog) tree for NFT transfers out of the Safe
+   */
+  findNftTransfers(frame, safe, out = []) {
+    if (!frame || frame.error) return out; // Reverted frames emit nothing
+
+    const safeTopic = ethers.utils.hexZeroPad(safe.safeAddress.toLowerCase(), 32);
+
+    for (const log of frame.logs || []) {
+      const topics = (log.topics || []).map((topic) => topic.toLowerCase());
+
+      // ERC721 Transfer has tokenId as a 4th topic (ERC20 puts the amount in data)
+      if (topics[0] === TRANSFER_TOPIC && topics.length === 4 && topics[1] === safeTopic) {
+        out.push({
+          kind: "ERC721",
+          token: ethers.utils.getAddress(log.address),
+          tokenId: ethers.BigNumber.from(topics[3]).toString(),
+          amount: ethers.BigNumber.from(1),
+        });
+      }
+
+      if ((topics[0] === TRANSFER_SINGLE_TOPIC || topics[0] === TRANSFER_BATCH_TOPIC) && topics[2] === safeTopic) {
+        const parsed = this.erc1155Interface.parseLog({ topics: log.topics, data: log.data });
+        const ids = parsed.name === "TransferSingle" ? [parsed.args.id] : parsed.args.ids;
+        const values = parsed.name === "TransferSingle" ? [parsed.args.value] : parsed.args[4];
+        ids.forEach((id, i) => {
+          out.push({
+            kind: "ERC1155",
+            token: ethers.utils.getAddress(log.address),
+            tokenId: id.toString(),
+            amount: values[i],
+          });
+        });
+      }
+    }
+
+    for (const child of frame.calls || []) {
+      this.findNftTransfers(child, safe, out);
+    }
+    return out;
+  }
+
+  /**
+   * Most valuable first - unpriced assets keep discovery order after priced ones
+   */
+  sortByValue(losses, safe) {
+    for (const loss of losses) {
+      loss.usdValue = this.estimateUsdValue(loss, safe);
+    }
+    return losses
+      .map((loss, index) => ({ loss, index }))
+      .sort((a, b) => b.loss.usdValue - a.loss.usdValue || a.index - b.index)
+      .map(({ loss }) => loss);
+  }
+
+  /**
+   * Price losses with a PriceOracle
+   */
+  setPriceOracle(oracle) {
+    this.priceOracle = oracle;
+  }
+
+  estimateUsdValue(loss, safe) {
+    if (loss.decimals === null) return 0;
+    if (this.priceOracle) {
+      return this.priceOracle.usdValue(loss.asset === "NATIVE" ? "NATIVE" : loss.token, loss.amount, loss.decimals);
+    }
+
+    const prices = this.config.assetPricesUsd || {};
+    const price =
+      loss.asset === "USDT"
+        ? 1
+        : loss.asset === "NATIVE"
+        ? this.config.nativePriceUsd || prices.NATIVE || 0
+        : prices[loss.token] || prices[loss.token?.toLowerCase()] || 0;
+
+    return parseFloat(ethers.utils.formatUnits(loss.amount, loss.decimals)) * price;
+  }
+
+  lowercaseKeys(accounts = {}) {
+    const out = {};
+    for (const [address, account] of Object.entries(accounts)) {
+      out[address.toLowerCase()] = account;
+    }
+    return out;
+  }
+
+  withTimeout(promise) {
+    let timer;
+    return Promise.race([
+      promise,
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`simulation timeout after ${this.timeoutMs}ms`)), this.timeoutMs);
+      }),
+    ]).finally(() => clearTimeout(timer));
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      enabled: this.enabled,
+    };
+  }
+}
+
+module.exports = { StateDiffSimulator };
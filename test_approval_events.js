@@ -0,0 +1,175 @@
+const { ethers } = require("ethers");
+const { PERMIT2_ADDRESS } = require("./permit_decoder");
+const {
+  decodeApprovalLog,
+  APPROVAL_TOPIC,
+  APPROVAL_FOR_ALL_TOPIC,
+  PERMIT2_APPROVAL_TOPIC,
+  PERMIT2_PERMIT_TOPIC,
+  PERMIT2_LOCKDOWN_TOPIC,
+  MAX_UINT160,
+} = require("./approval_events");
+
+/**
+ * Test Approval Event Decoding
+ *
+ * Builds mock ERC20 / ERC721 / Permit2 approval logs for a Safe and checks how
+ * decodeApprovalLog reads them - in particular which ones count as a live
+ * allowance: Permit2 expiration 0 ("this block only") and Lockdown must come
+ * out as revoked, and Permit2-shaped events from any other contract ignored.
+ *
+ * Usage: node test_approval_events.js
+ */
+
+const SAFE = "0x1111111111111111111111111111111111111111";
+const USDT = "0xc2132D05D31c914a87C6611C10748AEb04B58e8F";
+const NFT = "0x8888888888888888888888888888888888888888";
+const ATTACKER = "0x1234567890123456789012345678901234567890";
+const FAKE_PERMIT2 = "0x5555555555555555555555555555555555555555";
+
+const NEXT_WEEK = Math.floor(Date.now() / 1000) + 7 * 24 * 3600;
+const AMOUNT = ethers.utils.parseUnits("100", 6);
+
+const pad = (address) => ethers.utils.hexZeroPad(address.toLowerCase(), 32);
+const encode = (types, values) => ethers.utils.defaultAbiCoder.encode(types, values);
+
+function createMockLog(address, topics, data) {
+  return {
+    address,
+    topics,
+    data,
+    blockNumber: 1000,
+    transactionHash: "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef",
+    logIndex: 0,
+  };
+}
+
+const permit2Approval = (address, amount, expiration) =>
+  createMockLog(
+    address,
+    [PERMIT2_APPROVAL_TOPIC, pad(SAFE), pad(USDT), pad(ATTACKER)],
+    encode(["uint160", "uint48"], [amount, expiration])
+  );
+
+const CASES = [
+  {
+    name: "ERC20 Approval, unlimited",
+    log: createMockLog(
+      USDT,
+      [APPROVAL_TOPIC, pad(SAFE), pad(ATTACKER)],
+      encode(["uint256"], [ethers.constants.MaxUint256])
+    ),
+    expect: { type: "ERC20", token: USDT, amount: ethers.constants.MaxUint256, expiration: null, active: true },
+  },
+  {
+    name: "ERC20 Approval of 0 (revocation)",
+    log: createMockLog(USDT, [APPROVAL_TOPIC, pad(SAFE), pad(ATTACKER)], encode(["uint256"], [0])),
+    expect: { type: "ERC20", token: USDT, amount: ethers.constants.Zero, expiration: null, active: false },
+  },
+  {
+    name: "ERC721 single-id Approval (tokenId topic) - not an allowance",
+    log: createMockLog(NFT, [APPROVAL_TOPIC, pad(SAFE), pad(ATTACKER), ethers.utils.hexZeroPad("0x07", 32)], "0x"),
+    expect: null,
+  },
+  {
+    name: "ApprovalForAll granted",
+    log: createMockLog(NFT, [APPROVAL_FOR_ALL_TOPIC, pad(SAFE), pad(ATTACKER)], encode(["bool"], [true])),
+    expect: { type: "NFT_OPERATOR", token: NFT, amount: null, expiration: null, active: true },
+  },
+  {
+    name: "ApprovalForAll removed",
+    log: createMockLog(NFT, [APPROVAL_FOR_ALL_TOPIC, pad(SAFE), pad(ATTACKER)], encode(["bool"], [false])),
+    expect: { type: "NFT_OPERATOR", token: NFT, amount: null, expiration: null, active: false },
+  },
+  {
+    name: "Permit2 Approval, unlimited until next week",
+    log: permit2Approval(PERMIT2_ADDRESS, MAX_UINT160, NEXT_WEEK),
+    expect: { type: "PERMIT2", token: USDT, amount: MAX_UINT160, expiration: NEXT_WEEK, active: true },
+  },
+  {
+    name: "Permit2 Approval with expiration 0 (this block only)",
+    log: permit2Approval(PERMIT2_ADDRESS, MAX_UINT160, 0),
+    expect: { type: "PERMIT2", token: USDT, amount: MAX_UINT160, expiration: 0, active: false },
+  },
+  {
+    name: "Permit2 Approval of 0",
+    log: permit2Approval(PERMIT2_ADDRESS, 0, NEXT_WEEK),
+    expect: { type: "PERMIT2", token: USDT, amount: ethers.constants.Zero, expiration: NEXT_WEEK, active: false },
+  },
+  {
+    name: "Permit2 Permit (signature allowance)",
+    log: createMockLog(
+      PERMIT2_ADDRESS,
+      [PERMIT2_PERMIT_TOPIC, pad(SAFE), pad(USDT), pad(ATTACKER)],
+      encode(["uint160", "uint48", "uint48"], [AMOUNT, NEXT_WEEK, 3])
+    ),
+    expect: { type: "PERMIT2", token: USDT, amount: AMOUNT, expiration: NEXT_WEEK, active: true },
+  },
+  {
+    name: "Permit2 Lockdown (token / spender in data, not topics)",
+    log: createMockLog(
+      PERMIT2_ADDRESS,
+      [PERMIT2_LOCKDOWN_TOPIC, pad(SAFE)],
+      encode(["address", "address"], [USDT, ATTACKER])
+    ),
+    expect: { type: "PERMIT2", token: USDT, amount: ethers.constants.Zero, expiration: null, active: false },
+  },
+  {
+    name: "Permit2-shaped Approval from a look-alike contract",
+    log: permit2Approval(FAKE_PERMIT2, MAX_UINT160, NEXT_WEEK),
+    expect: null,
+  },
+];
+
+function describe(decoded) {
+  if (!decoded) return "ignored";
+  const amount = decoded.amount === null ? "all ids" : decoded.amount.toString();
+  return `${decoded.type} ${amount} of ${decoded.token} to ${decoded.spender}, expiration ${decoded.expiration}, ${
+    decoded.active ? "active" : "revoked"
+  }`;
+}
+
+function main() {
+  let failures = 0;
+
+  console.log("🧪 Testing Approval Event Decoding\n");
+
+  for (const testCase of CASES) {
+    console.log(`📝 ${testCase.name}`);
+
+    const decoded = decodeApprovalLog(testCase.log);
+    const expect = testCase.expect;
+    console.log(`   Decoded: ${describe(decoded)}`);
+
+    const problems = [];
+    if (!expect) {
+      if (decoded) problems.push("decoded, expected it to be ignored");
+    } else if (!decoded) {
+      problems.push("ignored");
+    } else {
+      if (decoded.type !== expect.type) problems.push(`type ${decoded.type}, expected ${expect.type}`);
+      if (decoded.owner !== ethers.utils.getAddress(SAFE)) problems.push(`owner ${decoded.owner}`);
+      if (decoded.spender !== ethers.utils.getAddress(ATTACKER)) problems.push(`spender ${decoded.spender}`);
+      if (decoded.token !== ethers.utils.getAddress(expect.token)) problems.push(`token ${decoded.token}`);
+      const sameAmount =
+        expect.amount === null ? decoded.amount === null : decoded.amount && decoded.amount.eq(expect.amount);
+      if (!sameAmount) problems.push(`amount ${decoded.amount}, expected ${expect.amount}`);
+      if (decoded.expiration !== expect.expiration) {
+        problems.push(`expiration ${decoded.expiration}, expected ${expect.expiration}`);
+      }
+      if (decoded.active !== expect.active) problems.push(`active ${decoded.active}, expected ${expect.active}`);
+    }
+
+    if (problems.length === 0) {
+      console.log("   ✅ DECODING WORKS!\n");
+    } else {
+      console.log(`   ❌ DECODING FAILED: ${problems.join("; ")}\n`);
+      failures++;
+    }
+  }
+
+  console.log(failures === 0 ? `✅ All ${CASES.length} cases passed` : `❌ ${failures}/${CASES.length} cases failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,133 @@
+const { ethers } = require("ethers");
+const { BaseFeeTracker } = require("./base_fee_tracker");
+
+/**
+ * Test Base Fee Prediction
+ *
+ * Feeds mock block headers into BaseFeeTracker and checks the predicted base
+ * fee against the EIP-1559 update rule worked out by hand:
+ *   base' = base +/- base * |gasUsed - target| / target / denominator
+ * for Ethereum (2 / 8), Polygon PoS (2 / 16) and Base (OP Stack, 6 / 250).
+ *
+ * Usage: node test_base_fee.js
+ */
+
+const gwei = (value) => ethers.utils.parseUnits(value, "gwei");
+
+function createMockBlock(number, baseFeePerGas, gasUsed, gasLimit = 30000000) {
+  return {
+    number,
+    baseFeePerGas: ethers.BigNumber.from(baseFeePerGas),
+    gasUsed: ethers.BigNumber.from(gasUsed),
+    gasLimit: ethers.BigNumber.from(gasLimit),
+  };
+}
+
+const CASES = [
+  {
+    name: "Ethereum: full block raises the base fee by 1/8",
+    chainId: 1,
+    block: createMockBlock(100, gwei("100"), 30000000),
+    expect: gwei("112.5"),
+  },
+  {
+    name: "Ethereum: empty block lowers the base fee by 1/8",
+    chainId: 1,
+    block: createMockBlock(100, gwei("100"), 0),
+    expect: gwei("87.5"),
+  },
+  {
+    name: "Ethereum: block exactly at target keeps the base fee",
+    chainId: 1,
+    block: createMockBlock(100, gwei("100"), 15000000),
+    expect: gwei("100"),
+  },
+  {
+    name: "Ethereum: block 50% above target raises by 1/16",
+    chainId: 1,
+    block: createMockBlock(100, gwei("100"), 22500000),
+    expect: gwei("106.25"),
+  },
+  {
+    name: "Ethereum: tiny base fee over target still rises by at least 1 wei",
+    chainId: 1,
+    block: createMockBlock(100, 7, 15000001),
+    expect: ethers.BigNumber.from(8),
+  },
+  {
+    name: "Polygon PoS: full block raises the base fee by 1/16",
+    chainId: 137,
+    block: createMockBlock(100, gwei("100"), 30000000),
+    expect: gwei("106.25"),
+  },
+  {
+    name: "Polygon PoS: empty block lowers the base fee by 1/16",
+    chainId: 137,
+    block: createMockBlock(100, gwei("100"), 0),
+    expect: gwei("93.75"),
+  },
+  {
+    name: "Polygon PoS: 3 blocks ahead assumes full blocks after the next",
+    chainId: 137,
+    block: createMockBlock(100, gwei("100"), 30000000),
+    blocksAhead: 3,
+    // 106.25 -> +1/16 = 112.890625 -> +1/16 (integer division) = 119.946289062
+    expect: ethers.BigNumber.from("119946289062"),
+  },
+  {
+    name: "Base (OP Stack): full block is 6x target, raises by 5/250",
+    chainId: 8453,
+    block: createMockBlock(100, gwei("100"), 30000000),
+    expect: gwei("102"),
+  },
+];
+
+function main() {
+  let failures = 0;
+
+  console.log("🧪 Testing EIP-1559 Base Fee Prediction\n");
+
+  for (const testCase of CASES) {
+    const tracker = new BaseFeeTracker({ chainId: testCase.chainId });
+    const { block } = testCase;
+
+    console.log(`📝 ${testCase.name}`);
+    console.log(
+      `   Block: base ${tracker.formatGwei(block.baseFeePerGas)} gwei, ` +
+        `${block.gasUsed.toString()} / ${block.gasLimit.toString()} gas used`
+    );
+
+    if (!tracker.update(block)) {
+      console.log("   ❌ Header not recorded\n");
+      failures++;
+      continue;
+    }
+
+    const predicted = tracker.predict(testCase.blocksAhead || 1);
+    console.log(`   Predicted: ${predicted.toString()} wei, expected ${testCase.expect.toString()} wei`);
+
+    if (predicted.eq(testCase.expect)) {
+      console.log("   ✅ PREDICTION WORKS!\n");
+    } else {
+      console.log("   ❌ PREDICTION FAILED!\n");
+      failures++;
+    }
+  }
+
+  // Headers without a base fee (pre-London chains) are ignored, not treated as 0
+  const legacy = new BaseFeeTracker({ chainId: 1 });
+  const recorded = legacy.update({ ...createMockBlock(100, 0, 0), baseFeePerGas: null });
+  console.log("📝 Pre-London header (no baseFeePerGas)");
+  if (!recorded && legacy.predict(1) === null) {
+    console.log("   ✅ Ignored - callers fall back to their estimates\n");
+  } else {
+    console.log("   ❌ Header without a base fee was recorded\n");
+    failures++;
+  }
+
+  const total = CASES.length + 1;
+  console.log(failures === 0 ? `✅ All ${total} cases passed` : `❌ ${failures}/${total} cases failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+main();
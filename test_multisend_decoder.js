@@ -0,0 +1,170 @@
+const { ethers } = require("ethers");
+const { SafeTxDecoder, OPERATION_CALL, OPERATION_DELEGATECALL } = require("./safe_tx_decoder");
+
+/**
+ * Test MultiSend Flattening
+ *
+ * Builds mock execTransaction calls that batch a drain through MultiSend
+ * (nested batches, inner delegatecalls, malformed payloads) and checks that
+ * SafeTxDecoder unwraps every inner call and flags the right assets.
+ *
+ * Usage: node test_multisend_decoder.js
+ */
+
+const SAFE = "0x1111111111111111111111111111111111111111";
+const VAULT = "0x2222222222222222222222222222222222222222";
+const USDT = "0xc2132D05D31c914a87C6611C10748AEb04B58e8F";
+const ATTACKER = "0x1234567890123456789012345678901234567890";
+const MULTISEND = "0x40A2aCCbd92BCA938b02010E17A5b8929b49130D";
+const OTHER_TOKEN = "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619";
+
+const safeInterface = new ethers.utils.Interface([
+  "function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures) returns (bool)",
+]);
+const multiSendInterface = new ethers.utils.Interface(["function multiSend(bytes transactions)"]);
+const erc20Interface = new ethers.utils.Interface([
+  "function transfer(address to, uint256 amount)",
+  "function approve(address spender, uint256 amount)",
+]);
+
+// abi.encodePacked(uint8 operation, address to, uint256 value, uint256 dataLength, bytes data) per entry
+function packMultiSend(entries) {
+  const packed = entries.map((entry) =>
+    ethers.utils.solidityPack(
+      ["uint8", "address", "uint256", "uint256", "bytes"],
+      [entry.operation, entry.to, entry.value || 0, ethers.utils.hexDataLength(entry.data || "0x"), entry.data || "0x"]
+    )
+  );
+  return multiSendInterface.encodeFunctionData("multiSend", [ethers.utils.hexConcat(packed)]);
+}
+
+function createMockSafeTx(to, data, operation) {
+  return {
+    hash: "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef",
+    from: ATTACKER,
+    to: SAFE,
+    data: safeInterface.encodeFunctionData("execTransaction", [
+      to,
+      0,
+      data,
+      operation,
+      0,
+      0,
+      0,
+      ethers.constants.AddressZero,
+      ethers.constants.AddressZero,
+      "0x",
+    ]),
+    value: ethers.BigNumber.from(0),
+  };
+}
+
+const usdtTransfer = (recipient) =>
+  erc20Interface.encodeFunctionData("transfer", [recipient, ethers.utils.parseUnits("100", 6)]);
+
+const CASES = [
+  {
+    name: "MultiSend drain: USDT + MATIC out, our own vault sweep in the same batch",
+    tx: createMockSafeTx(
+      MULTISEND,
+      packMultiSend([
+        { operation: OPERATION_CALL, to: USDT, data: usdtTransfer(ATTACKER) },
+        { operation: OPERATION_CALL, to: ATTACKER, value: ethers.utils.parseEther("5") },
+        { operation: OPERATION_CALL, to: USDT, data: usdtTransfer(VAULT) },
+      ]),
+      OPERATION_DELEGATECALL
+    ),
+    expect: { calls: 3, risky: 2, assets: ["USDT", "NATIVE"] },
+  },
+  {
+    name: "Nested MultiSend: approve hidden one batch deeper",
+    tx: createMockSafeTx(
+      MULTISEND,
+      packMultiSend([
+        { operation: OPERATION_CALL, to: USDT, data: usdtTransfer(VAULT) },
+        {
+          operation: OPERATION_DELEGATECALL,
+          to: MULTISEND,
+          data: packMultiSend([
+            {
+              operation: OPERATION_CALL,
+              to: OTHER_TOKEN,
+              data: erc20Interface.encodeFunctionData("approve", [ATTACKER, ethers.constants.MaxUint256]),
+            },
+          ]),
+        },
+      ]),
+      OPERATION_DELEGATECALL
+    ),
+    expect: { calls: 2, risky: 1, assets: [OTHER_TOKEN], maxDepth: 2 },
+  },
+  {
+    name: "Delegatecall inside a batch: can move anything",
+    tx: createMockSafeTx(
+      MULTISEND,
+      packMultiSend([{ operation: OPERATION_DELEGATECALL, to: ATTACKER, data: "0xdeadbeef" }]),
+      OPERATION_DELEGATECALL
+    ),
+    expect: { calls: 1, risky: 1, assets: ["UNKNOWN"] },
+  },
+  {
+    name: "Truncated MultiSend payload: evaluated as one delegatecall, not dropped",
+    tx: createMockSafeTx(
+      MULTISEND,
+      packMultiSend([{ operation: OPERATION_CALL, to: USDT, data: usdtTransfer(ATTACKER) }]).slice(0, -64),
+      OPERATION_DELEGATECALL
+    ),
+    expect: { calls: 1, risky: 1, assets: ["UNKNOWN"] },
+  },
+];
+
+function main() {
+  const decoder = new SafeTxDecoder();
+  const safe = { safeAddress: SAFE, vaultAddress: VAULT, usdtContract: USDT };
+  let failures = 0;
+
+  console.log("🧪 Testing MultiSend Flattening\n");
+
+  for (const testCase of CASES) {
+    console.log(`📝 ${testCase.name}`);
+
+    const result = decoder.analyze(testCase.tx, safe);
+    if (!result) {
+      console.log("   ❌ Not decoded as a Safe execution\n");
+      failures++;
+      continue;
+    }
+
+    const depth = Math.max(...decoder.decodeSafeCall(testCase.tx.data).calls.map((call) => call.depth));
+    for (const op of result.operations) {
+      const assets = op.assets.length ? ` (${op.assets.join(", ")})` : "";
+      console.log(`   ${op.risky ? "⚠️" : "  "} ${op.kind} -> ${op.to}${assets}`);
+    }
+
+    const problems = [];
+    if (result.operations.length !== testCase.expect.calls) {
+      problems.push(`${result.operations.length} calls, expected ${testCase.expect.calls}`);
+    }
+    if (result.risky.length !== testCase.expect.risky) {
+      problems.push(`${result.risky.length} risky, expected ${testCase.expect.risky}`);
+    }
+    if (result.assets.join(",") !== testCase.expect.assets.join(",")) {
+      problems.push(`assets [${result.assets.join(", ")}], expected [${testCase.expect.assets.join(", ")}]`);
+    }
+    if (testCase.expect.maxDepth !== undefined && depth !== testCase.expect.maxDepth) {
+      problems.push(`depth ${depth}, expected ${testCase.expect.maxDepth}`);
+    }
+
+    if (problems.length === 0) {
+      console.log("   ✅ DETECTION WORKS!\n");
+    } else {
+      console.log(`   ❌ DETECTION FAILED: ${problems.join("; ")}\n`);
+      failures++;
+    }
+  }
+
+  console.log(failures === 0 ? `✅ All ${CASES.length} cases passed` : `❌ ${failures}/${CASES.length} cases failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,264 @@
+const { ethers } = require("ethers");
+const { PermitDecoder, PERMIT2_ADDRESS } = require("./permit_decoder");
+
+/**
+ * Test Permit Decoding
+ *
+ * Builds mock EIP-2612, DAI-style and Permit2 calls with the Safe as owner
+ * (plus revocations, zero amounts and other owners that must be ignored) and
+ * checks what PermitDecoder reports as exposed.
+ *
+ * Usage: node test_permit_decoder.js
+ */
+
+const SAFE = "0x1111111111111111111111111111111111111111";
+const OTHER_OWNER = "0x3333333333333333333333333333333333333333";
+const USDT = "0xc2132D05D31c914a87C6611C10748AEb04B58e8F";
+const DAI = "0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063";
+const WETH = "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619";
+const ATTACKER = "0x1234567890123456789012345678901234567890";
+const FAKE_PERMIT2 = "0x5555555555555555555555555555555555555555";
+
+const tokenPermitInterface = new ethers.utils.Interface([
+  "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+  "function permit(address holder, address spender, uint256 nonce, uint256 expiry, bool allowed, uint8 v, bytes32 r, bytes32 s)",
+]);
+const permit2Interface = new ethers.utils.Interface([
+  "function permit(address owner, tuple(tuple(address token, uint160 amount, uint48 expiration, uint48 nonce) details, address spender, uint256 sigDeadline) permitSingle, bytes signature)",
+  "function permit(address owner, tuple(tuple(address token, uint160 amount, uint48 expiration, uint48 nonce)[] details, address spender, uint256 sigDeadline) permitBatch, bytes signature)",
+  "function permitTransferFrom(tuple(tuple(address token, uint256 amount) permitted, uint256 nonce, uint256 deadline) permit, tuple(address to, uint256 requestedAmount) transferDetails, address owner, bytes signature)",
+  "function permitTransferFrom(tuple(tuple(address token, uint256 amount)[] permitted, uint256 nonce, uint256 deadline) permit, tuple(address to, uint256 requestedAmount)[] transferDetails, address owner, bytes signature)",
+  "function permitWitnessTransferFrom(tuple(tuple(address token, uint256 amount) permitted, uint256 nonce, uint256 deadline) permit, tuple(address to, uint256 requestedAmount) transferDetails, address owner, bytes32 witness, string witnessTypeString, bytes signature)",
+  "function transferFrom(address from, address to, uint160 amount, address token)",
+]);
+
+const DEADLINE = Math.floor(Date.now() / 1000) + 3600;
+const R = ethers.utils.hexZeroPad("0x01", 32);
+const SIGNATURE = "0x" + "11".repeat(65);
+const AMOUNT = ethers.utils.parseUnits("100", 6);
+
+const eip2612 = (owner, value) =>
+  tokenPermitInterface.encodeFunctionData(
+    "permit(address,address,uint256,uint256,uint8,bytes32,bytes32)",
+    [owner, ATTACKER, value, DEADLINE, 27, R, R]
+  );
+const daiPermit = (allowed) =>
+  tokenPermitInterface.encodeFunctionData(
+    "permit(address,address,uint256,uint256,bool,uint8,bytes32,bytes32)",
+    [SAFE, ATTACKER, 0, DEADLINE, allowed, 27, R, R]
+  );
+const details = (token, amount) => ({ token, amount, expiration: DEADLINE, nonce: 0 });
+
+function createMockTx(to, data) {
+  return {
+    hash: "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef",
+    from: ATTACKER,
+    to,
+    data,
+    value: ethers.BigNumber.from(0),
+  };
+}
+
+const CASES = [
+  {
+    name: "EIP-2612 permit on USDT, Safe is owner",
+    tx: createMockTx(USDT, eip2612(SAFE, AMOUNT)),
+    expect: { standard: "EIP2612", method: "permit", assets: ["USDT"], spender: ATTACKER },
+  },
+  {
+    name: "EIP-2612 permit with value 0 (revocation)",
+    tx: createMockTx(USDT, eip2612(SAFE, 0)),
+    expect: null,
+  },
+  {
+    name: "EIP-2612 permit signed by someone else",
+    tx: createMockTx(USDT, eip2612(OTHER_OWNER, AMOUNT)),
+    expect: null,
+  },
+  {
+    name: "DAI-style permit, allowed = true",
+    tx: createMockTx(DAI, daiPermit(true)),
+    expect: { standard: "DAI_PERMIT", method: "permit", assets: [DAI], spender: ATTACKER, unlimited: true },
+  },
+  {
+    name: "DAI-style permit, allowed = false (revocation)",
+    tx: createMockTx(DAI, daiPermit(false)),
+    expect: null,
+  },
+  {
+    name: "Permit2 permit (PermitSingle)",
+    tx: createMockTx(
+      PERMIT2_ADDRESS,
+      permit2Interface.encodeFunctionData(
+        "permit(address,((address,uint160,uint48,uint48),address,uint256),bytes)",
+        [SAFE, { details: details(USDT, AMOUNT), spender: ATTACKER, sigDeadline: DEADLINE }, SIGNATURE]
+      )
+    ),
+    expect: { standard: "PERMIT2", method: "permit", assets: ["USDT"], spender: ATTACKER, canonical: true },
+  },
+  {
+    name: "Permit2 permit (PermitBatch) with one zero-amount entry",
+    tx: createMockTx(
+      PERMIT2_ADDRESS,
+      permit2Interface.encodeFunctionData(
+        "permit(address,((address,uint160,uint48,uint48)[],address,uint256),bytes)",
+        [
+          SAFE,
+          {
+            details: [details(USDT, AMOUNT), details(DAI, 0), details(WETH, 1)],
+            spender: ATTACKER,
+            sigDeadline: DEADLINE,
+          },
+          SIGNATURE,
+        ]
+      )
+    ),
+    expect: { standard: "PERMIT2", method: "permit", assets: ["USDT", WETH], spender: ATTACKER, canonical: true },
+  },
+  {
+    name: "Permit2 permitTransferFrom (single)",
+    tx: createMockTx(
+      PERMIT2_ADDRESS,
+      permit2Interface.encodeFunctionData(
+        "permitTransferFrom(((address,uint256),uint256,uint256),(address,uint256),address,bytes)",
+        [
+          { permitted: { token: USDT, amount: AMOUNT }, nonce: 1, deadline: DEADLINE },
+          { to: ATTACKER, requestedAmount: AMOUNT },
+          SAFE,
+          SIGNATURE,
+        ]
+      )
+    ),
+    expect: {
+      standard: "PERMIT2",
+      method: "permitTransferFrom",
+      assets: ["USDT"],
+      recipient: ATTACKER,
+      canonical: true,
+    },
+  },
+  {
+    name: "Permit2 permitTransferFrom (batch)",
+    tx: createMockTx(
+      PERMIT2_ADDRESS,
+      permit2Interface.encodeFunctionData(
+        "permitTransferFrom(((address,uint256)[],uint256,uint256),(address,uint256)[],address,bytes)",
+        [
+          { permitted: [{ token: USDT, amount: AMOUNT }, { token: WETH, amount: 1 }], nonce: 1, deadline: DEADLINE },
+          [
+            { to: ATTACKER, requestedAmount: AMOUNT },
+            { to: ATTACKER, requestedAmount: 1 },
+          ],
+          SAFE,
+          SIGNATURE,
+        ]
+      )
+    ),
+    expect: {
+      standard: "PERMIT2",
+      method: "permitTransferFrom",
+      assets: ["USDT", WETH],
+      recipient: ATTACKER,
+      canonical: true,
+    },
+  },
+  {
+    name: "Permit2 permitWitnessTransferFrom",
+    tx: createMockTx(
+      PERMIT2_ADDRESS,
+      permit2Interface.encodeFunctionData("permitWitnessTransferFrom", [
+        { permitted: { token: DAI, amount: 5 }, nonce: 2, deadline: DEADLINE },
+        { to: ATTACKER, requestedAmount: 5 },
+        SAFE,
+        ethers.constants.HashZero,
+        "Witness witness)Witness(uint256 id)TokenPermissions(address token,uint256 amount)",
+        SIGNATURE,
+      ])
+    ),
+    expect: {
+      standard: "PERMIT2",
+      method: "permitWitnessTransferFrom",
+      assets: [DAI],
+      recipient: ATTACKER,
+      canonical: true,
+    },
+  },
+  {
+    name: "Permit2 transferFrom using an existing allowance",
+    tx: createMockTx(
+      PERMIT2_ADDRESS,
+      permit2Interface.encodeFunctionData("transferFrom", [SAFE, ATTACKER, AMOUNT, USDT])
+    ),
+    expect: {
+      standard: "PERMIT2",
+      method: "transferFrom",
+      assets: ["USDT"],
+      spender: ATTACKER,
+      recipient: ATTACKER,
+      canonical: true,
+    },
+  },
+  {
+    name: "Permit2 calldata sent to a look-alike contract",
+    tx: createMockTx(
+      FAKE_PERMIT2,
+      permit2Interface.encodeFunctionData("transferFrom", [SAFE, ATTACKER, AMOUNT, USDT])
+    ),
+    expect: { standard: "PERMIT2", method: "transferFrom", assets: ["USDT"], canonical: false },
+  },
+];
+
+function describe(result) {
+  if (!result) return "not flagged";
+  return `${result.standard} ${result.method} - ${result.assets.join(", ")} to ${result.spender}`;
+}
+
+function main() {
+  const decoder = new PermitDecoder();
+  const safe = { safeAddress: SAFE, usdtContract: USDT };
+  const same = (a, b) => a && b && a.toLowerCase() === b.toLowerCase();
+  let failures = 0;
+
+  console.log("🧪 Testing Permit Decoding\n");
+
+  for (const testCase of CASES) {
+    console.log(`📝 ${testCase.name}`);
+
+    const result = decoder.analyze(testCase.tx, safe);
+    const expect = testCase.expect;
+    console.log(`   Decoded: ${describe(result)}`);
+
+    const problems = [];
+    if (!expect) {
+      if (result) problems.push("flagged, expected nothing");
+    } else if (!result) {
+      problems.push("not flagged");
+    } else {
+      if (result.standard !== expect.standard) {
+        problems.push(`standard ${result.standard}, expected ${expect.standard}`);
+      }
+      if (result.method !== expect.method) problems.push(`method ${result.method}, expected ${expect.method}`);
+      if (result.assets.join(",").toLowerCase() !== expect.assets.join(",").toLowerCase()) {
+        problems.push(`assets [${result.assets.join(", ")}], expected [${expect.assets.join(", ")}]`);
+      }
+      if (expect.spender && !same(result.spender, expect.spender)) problems.push(`spender ${result.spender}`);
+      if (expect.recipient && !same(result.recipient, expect.recipient)) problems.push(`recipient ${result.recipient}`);
+      if (expect.unlimited && !result.amounts[0].eq(ethers.constants.MaxUint256)) problems.push("amount not unlimited");
+      if (expect.canonical !== undefined && result.isCanonicalPermit2 !== expect.canonical) {
+        problems.push(`isCanonicalPermit2 ${result.isCanonicalPermit2}, expected ${expect.canonical}`);
+      }
+    }
+
+    if (problems.length === 0) {
+      console.log("   ✅ DECODING WORKS!\n");
+    } else {
+      console.log(`   ❌ DECODING FAILED: ${problems.join("; ")}\n`);
+      failures++;
+    }
+  }
+
+  console.log(failures === 0 ? `✅ All ${CASES.length} cases passed` : `❌ ${failures}/${CASES.length} cases failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+main();
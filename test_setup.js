@@ -322,7 +322,7 @@ class SetupTester {
         `USDT pool: ${poolStats.usdt.available}/${poolStats.usdt.total} ready`
       );
       this.pass(
-        `MATIC pool: ${poolStats.matic.available}/${poolStats.matic.total} ready`
+        `Native pool: ${poolStats.native.available}/${poolStats.native.total} ready`
       );
       this.pass(`Base nonce: ${poolStats.baseNonce}`);
 
@@ -0,0 +1,610 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * Threat Rule Engine
+ *
+ * Declarative replacement for hardcoded selector checks in detectThreat.
+ * Rules are loaded from a JSON (or YAML) file and hot-reloaded when it changes,
+ * so new attack patterns don't require a code change and bot redeploy.
+ *
+ * Rule format:
+ * {
+ *   "id": "erc20-transferfrom-safe",
+ *   "type": "ERC20_TRANSFERFROM_ATTACK",
+ *   "severity": "CRITICAL",
+ *   "match": {
+ *     "signature": "transferFrom(address from, address to, uint256 amount)",
+ *     "args": { "from": { "eq": "$safe" } },
+ *     "from": { "ne": "$vault" },
+ *     "to": { "in": ["$usdt"] },
+ *     "value": { "gt": "0" },
+ *     "fromWatched": true
+ *   },
+ *   "asset": "calldata",
+ *   "playbook": "sweep"
+ * }
+ *
+ * Match fields (all optional, all must pass):
+ * - selector:    "0x..." or ["0x...", ...]
+ * - signature:   function signature - derives the selector and enables `args`
+ * - args:        predicates on decoded arguments (by name or index)
+ * - from / to:   predicates on sender / target
+ * - value:       predicate on native value
+ * - hasData:     true/false - calldata present
+ * - fromWatched: true/false - sender is on the approval watch list
+ *
+ * Predicates: eq, ne, in, notIn, gt, gte, lt, lte, exists
+ * Variables:  $safe, $vault, $sweeper, $usdt
+ *
+ * Txs that touch no protected Safe directly are checked once, not once per
+ * Safe (candidateSafes): a rule pinning a variable with eq / in names its
+ * Safes through the value it sees there.
+ *
+ * Asset resolution: "calldata" | "target" | "native" | "all" | "unknown" | "arg:<name>" | literal
+ * Playbooks:        "sweep" (default) | "full_sweep" | "alert" | "revoke" | "sweep_and_revoke"
+ *                   ("revoke" zeroes the sender's allowance instead of moving funds)
+ */
+
+const PLAYBOOKS = ["sweep", "full_sweep", "alert", "revoke", "sweep_and_revoke"];
+const OPERATORS = ["eq", "ne", "in", "notIn", "gt", "gte", "lt", "lte", "exists"];
+const ASSET_SPECS = ["calldata", "target", "native", "all", "unknown", "$usdt", "USDT", "NATIVE"];
+
+// Rule variable -> protected Safe field, most specific first (a shared USDT names every Safe)
+const VARIABLE_FIELDS = {
+  $safe: "safeAddress",
+  $sweeper: "sweeperAddress",
+  $vault: "vaultAddress",
+  $usdt: "usdtContract",
+};
+const VARIABLES = Object.keys(VARIABLE_FIELDS);
+
+/**
+ * Built-in rules - the original hardcoded checks from detectThreat
+ */
+const BUILTIN_RULES = [
+  {
+    id: "builtin:outgoing-from-safe",
+    type: "UNAUTHORIZED_OUTGOING",
+    severity: "CRITICAL",
+    match: {
+      from: { eq: "$safe" },
+      to: { ne: "$vault" }, // Our own sweep
+    },
+    asset: "calldata",
+    playbook: "sweep",
+  },
+  {
+    id: "builtin:dangerous-call-to-safe",
+    type: "DANGEROUS_CONTRACT_CALL",
+    severity: "HIGH",
+    match: {
+      to: { eq: "$safe" },
+      selector: ["0xa9059cbb", "0x23b872dd", "0x095ea7b3", "0x42842e0e"],
+    },
+    asset: "unknown", // Can't tell which asset - sweep everything
+    playbook: "sweep",
+  },
+  {
+    id: "builtin:erc20-transferfrom-safe",
+    type: "ERC20_TRANSFERFROM_ATTACK",
+    severity: "CRITICAL",
+    match: {
+      signature: "transferFrom(address from, address to, uint256 amount)",
+      args: { from: { eq: "$safe" } },
+    },
+    asset: "calldata",
+    playbook: "sweep",
+  },
+];
+
+class ThreatRuleEngine {
+  constructor(config = {}) {
+    this.config = config;
+    this.rulesPath = config.threatRulesPath || null;
+    this.reloadInterval = config.threatRulesReloadInterval || 2000;
+
+    this.rules = [];
+    this.customRuleCount = 0;
+    this.watching = false;
+
+    this.stats = {
+      evaluations: 0,
+      matches: 0,
+      reloads: 0,
+      reloadErrors: 0,
+    };
+
+    this.loadRules();
+  }
+
+  /**
+   * Load built-in rules plus rules from the configured file
+   * On a bad file, keep the previously loaded rules
+   */
+  loadRules() {
+    let customRules = [];
+    let rules;
+
+    try {
+      if (this.rulesPath) {
+        customRules = this.readRulesFile(this.rulesPath);
+      }
+      // Compiling parses signatures - a typo there is as fatal as bad JSON
+      rules = this.compileRules(customRules);
+    } catch (error) {
+      this.stats.reloadErrors++;
+      console.error(`❌ Failed to load threat rules from ${this.rulesPath}: ${error.message}`);
+      if (this.rules.length > 0) {
+        console.log("   ℹ️  Keeping previously loaded rules");
+        return false;
+      }
+      customRules = [];
+      rules = this.compileRules(customRules);
+    }
+
+    this.rules = rules;
+    this.customRuleCount = customRules.length;
+    console.log(`📜 Threat rules loaded: ${this.rules.length} active (${this.customRuleCount} from file)`);
+    return true;
+  }
+
+  /**
+   * Built-in rules merged with custom rules, compiled and sorted
+   */
+  compileRules(customRules) {
+    // Custom rules with a built-in id replace that built-in
+    const customIds = new Set(customRules.map((rule) => rule.id));
+    const merged = [
+      ...BUILTIN_RULES.filter((rule) => !customIds.has(rule.id)),
+      ...customRules,
+    ];
+
+    return merged
+      .filter((rule) => rule.enabled !== false)
+      .map((rule, index) => this.compileRule(rule, index))
+      // Stable sort - lower priority number is evaluated first
+      .sort((a, b) => a.priority - b.priority || a.order - b.order);
+  }
+
+  /**
+   * Read and validate a JSON or YAML rules file
+   */
+  readRulesFile(filePath) {
+    const raw = fs.readFileSync(filePath, "utf8");
+    const ext = path.extname(filePath).toLowerCase();
+
+    let parsed;
+    if (ext === ".yaml" || ext === ".yml") {
+      const YAML = require("yaml");
+      parsed = YAML.parse(raw);
+    } else {
+      parsed = JSON.parse(raw);
+    }
+
+    const rules = Array.isArray(parsed) ? parsed : parsed?.rules;
+    if (!Array.isArray(rules)) {
+      throw new Error("Rules file must be an array or { rules: [...] }");
+    }
+
+    for (const rule of rules) {
+      if (!rule.id) throw new Error("Every rule needs an id");
+      if (!rule.type) throw new Error(`Rule ${rule.id} is missing type`);
+      if (rule.playbook && !PLAYBOOKS.includes(rule.playbook)) {
+        throw new Error(`Rule ${rule.id} has unknown playbook "${rule.playbook}"`);
+      }
+      this.validateAsset(rule);
+      this.validatePredicates(rule);
+    }
+
+    return rules;
+  }
+
+  /**
+   * Reject asset specs resolveAsset would pass through as garbage
+   */
+  validateAsset(rule) {
+    const asset = rule.asset;
+    if (asset === undefined || ASSET_SPECS.includes(asset)) return;
+    if (typeof asset === "string" && asset.startsWith("arg:") && asset.length > 4) {
+      if (!rule.match?.signature) {
+        throw new Error(`Rule ${rule.id} uses asset "${asset}" without match.signature`);
+      }
+      return;
+    }
+    if (typeof asset === "string" && ethers.utils.isAddress(asset)) return;
+    throw new Error(`Rule ${rule.id} has unknown asset "${asset}"`);
+  }
+
+  /**
+   * Reject unknown predicate operators at load time - at evaluation time the
+   * error would be swallowed by the pending tx handler
+   */
+  validatePredicates(rule) {
+    const match = rule.match || {};
+    const predicates = [
+      ["from", match.from],
+      ["to", match.to],
+      ["value", match.value],
+      ...Object.entries(match.args || {}).map(([key, predicate]) => [`args.${key}`, predicate]),
+    ];
+
+    for (const [field, predicate] of predicates) {
+      if (predicate === undefined || predicate === null || typeof predicate !== "object" || Array.isArray(predicate)) {
+        continue; // Bare value - shorthand for eq
+      }
+      for (const [op, expected] of Object.entries(predicate)) {
+        if (!OPERATORS.includes(op)) {
+          throw new Error(`Rule ${rule.id} has unknown operator "${op}" in match.${field}`);
+        }
+        if ((op === "in" || op === "notIn") && !Array.isArray(expected)) {
+          throw new Error(`Rule ${rule.id} needs an array for "${op}" in match.${field}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Pre-compute selectors / ABI decoders for a rule
+   */
+  compileRule(rule, index) {
+    const match = rule.match || {};
+    const compiled = {
+      ...rule,
+      severity: rule.severity || "HIGH",
+      asset: rule.asset || "calldata",
+      playbook: rule.playbook || "sweep",
+      priority: rule.priority ?? 100,
+      order: index,
+      selectors: null,
+      iface: null,
+      bindings: this.findBindings(match),
+    };
+
+    if (match.signature) {
+      const signature = match.signature.startsWith("function ") ? match.signature : `function ${match.signature}`;
+      compiled.iface = new ethers.utils.Interface([signature]);
+      const fragment = Object.values(compiled.iface.functions)[0];
+      compiled.selectors = [compiled.iface.getSighash(fragment)];
+
+      const argName = compiled.asset.startsWith("arg:") ? compiled.asset.slice(4) : null;
+      const argIndex = Number(argName);
+      const known = fragment.inputs.some((input) => input.name === argName) ||
+        (Number.isInteger(argIndex) && argIndex >= 0 && argIndex < fragment.inputs.length);
+      if (argName !== null && !known) {
+        throw new Error(`Rule ${rule.id} asset "${compiled.asset}" is not an argument of ${fragment.name}`);
+      }
+    }
+
+    if (match.selector) {
+      const selectors = Array.isArray(match.selector) ? match.selector : [match.selector];
+      compiled.selectors = selectors.map((s) => s.toLowerCase());
+    }
+
+    return compiled;
+  }
+
+  /**
+   * Predicates that pin a Safe variable - from / to / args with eq "$var" or
+   * in [only "$var"s] - so the value a tx has there names the Safe.
+   * Most specific first.
+   */
+  findBindings(match) {
+    const bindings = [];
+    const addBinding = (location, key, predicate) => {
+      if (predicate === null || typeof predicate !== "object" || Array.isArray(predicate)) {
+        predicate = { eq: predicate };
+      }
+      const isVariable = (value) => typeof value === "string" && VARIABLES.includes(value);
+      let variables = null;
+      if (isVariable(predicate.eq)) {
+        variables = [predicate.eq];
+      } else if (Array.isArray(predicate.in) && predicate.in.length > 0 && predicate.in.every(isVariable)) {
+        variables = predicate.in;
+      }
+      if (variables) bindings.push({ location, key, variables });
+    };
+
+    if (match.from !== undefined) addBinding("from", null, match.from);
+    if (match.to !== undefined) addBinding("to", null, match.to);
+    for (const [key, predicate] of Object.entries(match.args || {})) {
+      addBinding("arg", key, predicate);
+    }
+
+    const rank = (binding) => Math.min(...binding.variables.map((variable) => VARIABLES.indexOf(variable)));
+    return bindings.sort((a, b) => rank(a) - rank(b));
+  }
+
+  /**
+   * Start polling the rules file for changes (hot reload)
+   */
+  watch() {
+    if (!this.rulesPath || this.watching) return;
+
+    fs.watchFile(this.rulesPath, { interval: this.reloadInterval }, (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs) return;
+      console.log(`\n🔄 Threat rules file changed - reloading ${this.rulesPath}`);
+      if (this.loadRules()) {
+        this.stats.reloads++;
+      }
+    });
+
+    this.watching = true;
+    console.log(`   👀 Hot-reloading rules from ${this.rulesPath}`);
+  }
+
+  stop() {
+    if (this.watching) {
+      fs.unwatchFile(this.rulesPath);
+      this.watching = false;
+    }
+  }
+
+  /**
+   * Evaluate a transaction against all rules - first match wins
+   *
+   * @param {Object} tx - Pending/mined transaction
+   * @param {Object} context - { safe: { safeAddress, vaultAddress, sweeperAddress, usdtContract }, isWatched(address) }
+   * @returns {Object|null} Threat object (includes `rule` id) or null
+   */
+  evaluate(tx, context) {
+    if (!tx) return null;
+    this.stats.evaluations++;
+
+    const vars = this.buildVariables(context.safe);
+
+    for (const rule of this.rules) {
+      const decodedArgs = this.matchRule(rule, tx, vars, context);
+      if (decodedArgs === false) continue;
+
+      this.stats.matches++;
+      return {
+        isThreat: true,
+        type: rule.type,
+        severity: rule.severity,
+        asset: this.resolveAsset(rule.asset, tx, decodedArgs, context.safe),
+        attackerTx: tx,
+        rule: rule.id,
+        playbook: rule.playbook,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Safes a tx may concern when it touches none of them directly
+   *
+   * One pass over the rules instead of evaluate() for every Safe: a rule
+   * pinning a Safe variable names its Safes through the value the tx has there
+   * (O(1) registry lookup), a fromWatched rule names the Safes that approved
+   * the sender. Only a rule that pins nothing and matches on its own concerns
+   * every Safe.
+   *
+   * @param {Object} tx - Pending/mined transaction
+   * @param {Object} context - { safes: SafeRegistry, isWatched(address), watchingSafes(address) }
+   * @returns {Array} Safes to run full detection for
+   */
+  candidateSafes(tx, context) {
+    if (!tx) return [];
+
+    const data = tx.data || "0x";
+    const hasData = data !== "0x" && data.length >= 10;
+    const found = new Map();
+    const addSafes = (safes) => {
+      for (const safe of safes) found.set(safe.safeAddress.toLowerCase(), safe);
+    };
+
+    for (const rule of this.rules) {
+      const match = rule.match || {};
+      if (match.hasData !== undefined && match.hasData !== hasData) continue;
+      if (rule.selectors && (!hasData || !rule.selectors.includes(data.slice(0, 10).toLowerCase()))) continue;
+
+      if (rule.bindings.length > 0) {
+        const binding = rule.bindings[0];
+        const actual = this.readBinding(rule, tx, binding);
+        for (const variable of binding.variables) {
+          addSafes(context.safes.findBy(VARIABLE_FIELDS[variable], actual));
+        }
+      } else if (match.fromWatched === true) {
+        addSafes(context.watchingSafes ? context.watchingSafes(tx.from) : []);
+      } else if (this.matchRule(rule, tx, {}, context) !== false) {
+        return context.safes.all(); // Safe-independent rule matched
+      }
+    }
+
+    return Array.from(found.values());
+  }
+
+  /**
+   * The tx value a binding pins (sender, target or decoded argument)
+   */
+  readBinding(rule, tx, binding) {
+    if (binding.location === "from") return tx.from;
+    if (binding.location === "to") return tx.to;
+    if (!rule.iface) return null;
+
+    try {
+      const decodedArgs = rule.iface.decodeFunctionData(Object.values(rule.iface.functions)[0], tx.data);
+      const value = decodedArgs[binding.key];
+      return typeof value === "string" ? value : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  buildVariables(safe) {
+    const vars = {};
+    for (const [variable, field] of Object.entries(VARIABLE_FIELDS)) {
+      vars[variable] = safe[field];
+    }
+    return vars;
+  }
+
+  /**
+   * @returns {Object|null|false} Decoded args (or null) on match, false on no match
+   */
+  matchRule(rule, tx, vars, context) {
+    const match = rule.match || {};
+    const data = tx.data || "0x";
+    const hasData = data !== "0x" && data.length >= 10;
+
+    if (match.hasData !== undefined && match.hasData !== hasData) return false;
+
+    if (rule.selectors) {
+      if (!hasData || !rule.selectors.includes(data.slice(0, 10).toLowerCase())) return false;
+    }
+
+    if (match.from && !this.checkPredicate(tx.from, match.from, vars)) return false;
+    if (match.to && !this.checkPredicate(tx.to, match.to, vars)) return false;
+    if (match.value && !this.checkPredicate(tx.value || 0, match.value, vars)) return false;
+
+    if (match.fromWatched !== undefined) {
+      const watched = !!(context.isWatched && context.isWatched(tx.from));
+      if (watched !== match.fromWatched) return false;
+    }
+
+    let decodedArgs = null;
+    if (rule.iface) {
+      try {
+        decodedArgs = rule.iface.decodeFunctionData(Object.values(rule.iface.functions)[0], data);
+      } catch (error) {
+        return false; // Selector matched but calldata doesn't decode
+      }
+    }
+
+    if (match.args) {
+      if (!decodedArgs) return false;
+      for (const [key, predicate] of Object.entries(match.args)) {
+        if (!this.checkPredicate(decodedArgs[key], predicate, vars)) return false;
+      }
+    }
+
+    return decodedArgs;
+  }
+
+  /**
+   * Evaluate a predicate object ({ eq, ne, in, notIn, gt, gte, lt, lte, exists })
+   * A bare value is shorthand for { eq: value }
+   */
+  checkPredicate(actual, predicate, vars) {
+    if (predicate === null || typeof predicate !== "object" || Array.isArray(predicate)) {
+      predicate = { eq: predicate };
+    }
+
+    for (const [op, expectedRaw] of Object.entries(predicate)) {
+      const expected = this.substitute(expectedRaw, vars);
+
+      switch (op) {
+        case "exists":
+          if ((actual !== undefined && actual !== null) !== expected) return false;
+          break;
+        case "eq":
+          if (!this.valuesEqual(actual, expected)) return false;
+          break;
+        case "ne":
+          if (this.valuesEqual(actual, expected)) return false;
+          break;
+        case "in":
+          if (!expected.some((value) => this.valuesEqual(actual, value))) return false;
+          break;
+        case "notIn":
+          if (expected.some((value) => this.valuesEqual(actual, value))) return false;
+          break;
+        case "gt":
+        case "gte":
+        case "lt":
+        case "lte": {
+          let a;
+          let b;
+          try {
+            a = ethers.BigNumber.from(actual ?? 0);
+            b = ethers.BigNumber.from(expected);
+          } catch (error) {
+            return false;
+          }
+          if (op === "gt" && !a.gt(b)) return false;
+          if (op === "gte" && !a.gte(b)) return false;
+          if (op === "lt" && !a.lt(b)) return false;
+          if (op === "lte" && !a.lte(b)) return false;
+          break;
+        }
+        default:
+          throw new Error(`Unknown predicate operator "${op}"`);
+      }
+    }
+
+    return true;
+  }
+
+  substitute(value, vars) {
+    if (Array.isArray(value)) return value.map((v) => this.substitute(v, vars));
+    if (typeof value === "string" && value.startsWith("$") && value in vars) return vars[value];
+    return value;
+  }
+
+  /**
+   * Compare addresses case-insensitively, numbers as BigNumbers
+   */
+  valuesEqual(actual, expected) {
+    if (actual === undefined || actual === null || expected === undefined || expected === null) {
+      return actual === expected;
+    }
+    if (ethers.BigNumber.isBigNumber(actual)) {
+      try {
+        return actual.eq(expected);
+      } catch (error) {
+        return false;
+      }
+    }
+    return String(actual).toLowerCase() === String(expected).toLowerCase();
+  }
+
+  /**
+   * Resolve which asset a matched rule puts at risk
+   */
+  resolveAsset(assetSpec, tx, decodedArgs, safe) {
+    const usdtAddr = safe.usdtContract?.toLowerCase();
+    const assetForToken = (token) => (token?.toLowerCase() === usdtAddr ? "USDT" : token);
+
+    switch (assetSpec) {
+      case "native":
+        return "NATIVE";
+      case "all":
+        return "ALL";
+      case "unknown":
+        return "UNKNOWN";
+      case "target":
+        return tx.to ? assetForToken(tx.to) : "UNKNOWN";
+      case "calldata": {
+        const data = tx.data;
+        if (!data || data === "0x") return "NATIVE";
+        if (tx.to?.toLowerCase() === usdtAddr) return "USDT";
+        if (data.startsWith("0xa9059cbb") || data.startsWith("0x23b872dd")) {
+          return tx.to || "UNKNOWN_TOKEN";
+        }
+        return "UNKNOWN";
+      }
+    }
+
+    if (typeof assetSpec === "string" && assetSpec.startsWith("arg:")) {
+      const value = decodedArgs ? decodedArgs[assetSpec.slice(4)] : null;
+      return value ? assetForToken(value) : "UNKNOWN";
+    }
+
+    if (typeof assetSpec === "string" && assetSpec === "$usdt") return "USDT";
+
+    return assetSpec;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      activeRules: this.rules.length,
+      customRules: this.customRuleCount,
+    };
+  }
+}
+
+module.exports = { ThreatRuleEngine, BUILTIN_RULES };
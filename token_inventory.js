@@ -0,0 +1,479 @@
+const { ethers } = require("ethers");
+const { LogScanner } = require("./log_scanner");
+const { TokenMetadataCache } = require("./token_metadata");
+
+/**
+ * Token Inventory
+ *
+ * The sweeper only knew about USDT_CONTRACT and the native coin - anything else
+ * sitting in the Safe was left behind by emergency sweeps. This service builds
+ * the set of ERC20s each protected Safe holds:
+ *
+ * 1. Historical scan of Transfer logs TO the Safe (chunked eth_getLogs)
+ * 2. Live subscription to Transfer logs in/out of the Safe
+ * 3. balanceOf / decimals / symbol for every candidate token
+ *
+ * Tokens above the dust threshold are handed to PreSignedTxPool (pre-signed
+ * sweeps) and to the emergency fallback via onInventoryChange.
+ *
+ * NFTs are tracked the same way: ERC721 Transfer (tokenId as 4th topic) and
+ * ERC1155 TransferSingle/TransferBatch to the Safe, verified with ownerOf /
+ * balanceOf(safe, id), and reported via onNftInventoryChange.
+ */
+
+const TRANSFER_TOPIC = ethers.utils.id("Transfer(address,address,uint256)");
+const TRANSFER_SINGLE_TOPIC = ethers.utils.id("TransferSingle(address,address,address,uint256,uint256)");
+const TRANSFER_BATCH_TOPIC = ethers.utils.id("TransferBatch(address,address,address,uint256[],uint256[])");
+
+const ERC20_ABI = ["function balanceOf(address owner) view returns (uint256)"];
+
+const NFT_ABI = [
+  "function ownerOf(uint256 tokenId) view returns (address)",
+  "function balanceOf(address account, uint256 id) view returns (uint256)",
+  "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)",
+  "event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)",
+];
+
+class TokenInventory {
+  /**
+   * @param {Object} config - Monitor config
+   * @param {Array} safes - Protected Safe entries from SafeRegistry
+   */
+  constructor(config, safes) {
+    this.config = config;
+    this.safes = safes;
+    this.provider = null;
+    this.subscriptionProvider = null;
+    this.ownsSubscriptionProvider = false;
+
+    // lowercase safe address -> Map(lowercase token -> entry)
+    this.holdings = new Map(safes.map((safe) => [safe.safeAddress.toLowerCase(), new Map()]));
+    this.safeByAddress = new Map(safes.map((safe) => [safe.safeAddress.toLowerCase(), safe]));
+    this.metadata = null; // TokenMetadataCache (shared with the approval tracker)
+    // lowercase safe address -> Map(lowercase collection -> { standard, collection, tokenIds: Set })
+    this.nftHoldings = new Map(safes.map((safe) => [safe.safeAddress.toLowerCase(), new Map()]));
+    this.nftInterface = new ethers.utils.Interface(NFT_ABI);
+
+    this.lookbackBlocks = config.inventoryLookbackBlocks || 200000;
+    this.dustUnits = config.inventoryDustUnits ?? 0.01;
+
+    // Called with (safe, tokens) whenever a Safe's non-dust token set changes
+    this.onInventoryChange = null;
+    // Called with (safe, nfts) whenever a Safe's NFT holdings change
+    this.onNftInventoryChange = null;
+
+    this.stats = {
+      tokensTracked: 0,
+      nftsTracked: 0,
+      logsScanned: 0,
+      liveUpdates: 0,
+    };
+  }
+
+  /**
+   * @param {Object} provider - HTTP provider for eth_getLogs / eth_call
+   * @param {TokenMetadataCache} tokenMetadata - Shared decimals / symbol cache (created here if not given)
+   */
+  async initialize(provider, tokenMetadata = null) {
+    console.log("\n📦 Initializing Token Inventory...");
+    this.provider = provider;
+    this.metadata = tokenMetadata || new TokenMetadataCache(this.config);
+    this.metadata.setProvider(provider);
+
+    await this.scanHistory();
+    this.subscribe();
+
+    for (const safe of this.safes) {
+      const tokens = this.getSweepableTokens(safe);
+      console.log(`   ✅ ${safe.label}: ${tokens.length} token(s) above dust`);
+      for (const entry of this.getHoldings(safe).filter((e) => !e.isDust)) {
+        console.log(`      ${entry.symbol || entry.token}: ${entry.balanceFormatted}`);
+      }
+      for (const nft of this.getNfts(safe)) {
+        console.log(`      ${nft.standard} ${nft.collection}: ${nft.tokenIds.length} id(s)`);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Owner topic OR-list covering every protected Safe
+   */
+  getSafeTopics() {
+    return this.safes.map((safe) => ethers.utils.hexZeroPad(safe.safeAddress.toLowerCase(), 32));
+  }
+
+  /**
+   * Find every token that was ever transferred to a Safe, then read balances
+   */
+  async scanHistory() {
+    const latestBlock = await this.provider.getBlockNumber();
+    const fromBlock = this.config.inventoryStartBlock || Math.max(0, latestBlock - this.lookbackBlocks);
+
+    console.log(`   📜 Scanning Transfer logs to ${this.safes.length} Safe(s) from block ${fromBlock}...`);
+
+    const scanner = new LogScanner(this.provider, {
+      chunkSize: this.config.logChunkSize,
+      debug: this.config.debug,
+    });
+
+    const candidates = new Map(); // safe -> Set(token)
+    const nftCandidates = new Map(); // safe -> Map("standard:collection:id" -> { standard, collection, tokenId })
+    for (const safe of this.safes) {
+      candidates.set(safe.safeAddress.toLowerCase(), new Set());
+      nftCandidates.set(safe.safeAddress.toLowerCase(), new Map());
+    }
+
+    const addNftCandidate = (safeAddress, standard, collection, tokenId) => {
+      const key = `${standard}:${collection.toLowerCase()}:${tokenId}`;
+      nftCandidates.get(safeAddress.toLowerCase())?.set(key, { standard, collection, tokenId: tokenId.toString() });
+    };
+
+    // Configured NFTs are always checked
+    for (const safe of this.safes) {
+      for (const nft of safe.nfts || []) {
+        for (const tokenId of nft.tokenIds) {
+          addNftCandidate(safe.safeAddress, nft.standard, nft.collection, tokenId);
+        }
+      }
+    }
+
+    // Known tokens are always tracked, even without transfer history in range
+    for (const safe of this.safes) {
+      const known = [safe.usdtContract, ...(safe.tokens || [])].filter(Boolean);
+      for (const token of known) {
+        candidates.get(safe.safeAddress.toLowerCase()).add(token.toLowerCase());
+      }
+    }
+
+    try {
+      this.stats.logsScanned += await scanner.scan(
+        { topics: [TRANSFER_TOPIC, null, this.getSafeTopics()] },
+        fromBlock,
+        latestBlock,
+        async (logs) => {
+          for (const log of logs) {
+            const to = "0x" + log.topics[2].slice(26);
+            // ERC721 Transfer has the tokenId as a 4th indexed topic
+            if (log.topics.length === 4) {
+              addNftCandidate(to, "ERC721", log.address, ethers.BigNumber.from(log.topics[3]).toString());
+              continue;
+            }
+            if (log.topics.length !== 3) continue;
+            candidates.get(to.toLowerCase())?.add(log.address.toLowerCase());
+          }
+        }
+      );
+
+      // ERC1155 puts `to` in the 4th topic
+      this.stats.logsScanned += await scanner.scan(
+        { topics: [[TRANSFER_SINGLE_TOPIC, TRANSFER_BATCH_TOPIC], null, null, this.getSafeTopics()] },
+        fromBlock,
+        latestBlock,
+        async (logs) => {
+          for (const log of logs) {
+            const transfer = this.parseErc1155Log(log);
+            if (!transfer) continue;
+            for (const tokenId of transfer.tokenIds) {
+              addNftCandidate(transfer.to, "ERC1155", log.address, tokenId);
+            }
+          }
+        }
+      );
+    } catch (error) {
+      console.warn(`   ⚠️ Transfer history scan failed: ${error.message.substring(0, 100)}`);
+      console.log("   ℹ️  Continuing with configured tokens + live updates");
+    }
+
+    for (const safe of this.safes) {
+      const tokens = Array.from(candidates.get(safe.safeAddress.toLowerCase()));
+      await Promise.all(tokens.map((token) => this.refreshToken(safe, token, { notify: false })));
+
+      const nfts = Array.from(nftCandidates.get(safe.safeAddress.toLowerCase()).values());
+      await Promise.all(
+        nfts.map((nft) => this.refreshNft(safe, nft.standard, nft.collection, nft.tokenId, { notify: false }))
+      );
+    }
+
+    this.updateStats();
+  }
+
+  /**
+   * Keep balances current from Transfer logs in and out of the Safes
+   */
+  subscribe() {
+    const wssUrl = this.config.drpcWss || this.config.quicknodeWss || this.config.infuraWss;
+    if (wssUrl && (wssUrl.startsWith("wss://") || wssUrl.startsWith("ws://"))) {
+      this.subscriptionProvider = new ethers.providers.WebSocketProvider(wssUrl);
+      this.ownsSubscriptionProvider = true;
+    } else {
+      this.subscriptionProvider = this.provider; // ethers falls back to polling
+    }
+
+    const safeTopics = this.getSafeTopics();
+    const incoming = { topics: [TRANSFER_TOPIC, null, safeTopics] };
+    const outgoing = { topics: [TRANSFER_TOPIC, safeTopics] };
+
+    this.subscriptionProvider.on(incoming, (log) => this.handleTransferLog(log, 2));
+    this.subscriptionProvider.on(outgoing, (log) => this.handleTransferLog(log, 1));
+
+    const erc1155Topics = [TRANSFER_SINGLE_TOPIC, TRANSFER_BATCH_TOPIC];
+    this.subscriptionProvider.on({ topics: [erc1155Topics, null, null, safeTopics] }, (log) =>
+      this.handleErc1155Log(log, "to")
+    );
+    this.subscriptionProvider.on({ topics: [erc1155Topics, null, safeTopics] }, (log) =>
+      this.handleErc1155Log(log, "from")
+    );
+
+    console.log("   📡 Subscribed to Transfer logs in/out of protected Safes");
+  }
+
+  async handleTransferLog(log, safeTopicIndex) {
+    if (log.topics.length !== 3 && log.topics.length !== 4) return;
+
+    const safeAddress = "0x" + log.topics[safeTopicIndex].slice(26);
+    const safe = this.safeByAddress.get(safeAddress.toLowerCase());
+    if (!safe) return;
+
+    this.stats.liveUpdates++;
+    try {
+      if (log.topics.length === 4) {
+        const tokenId = ethers.BigNumber.from(log.topics[3]).toString();
+        await this.refreshNft(safe, "ERC721", log.address, tokenId);
+      } else {
+        await this.refreshToken(safe, log.address);
+      }
+    } catch (error) {
+      if (this.config.debug) {
+        console.log(`   ⚠️ Inventory refresh failed for ${log.address}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Read balance (and cached metadata) for one token held by a Safe
+   */
+  async refreshToken(safe, tokenAddress, { notify = true } = {}) {
+    const token = tokenAddress.toLowerCase();
+    let meta;
+    try {
+      meta = await this.getMetadata(token);
+    } catch (error) {
+      return null; // Lookup failed (not cached) - the next Transfer retries
+    }
+    if (!meta) return null; // Not an ERC20
+
+    const contract = new ethers.Contract(token, ERC20_ABI, this.provider);
+    let balance;
+    try {
+      balance = await contract.balanceOf(safe.safeAddress);
+    } catch (error) {
+      return null;
+    }
+
+    const holdings = this.holdings.get(safe.safeAddress.toLowerCase());
+    const wasSweepable = holdings.has(token) && !holdings.get(token).isDust;
+
+    const balanceFormatted = ethers.utils.formatUnits(balance, meta.decimals);
+    const entry = {
+      token: ethers.utils.getAddress(token),
+      symbol: meta.symbol,
+      decimals: meta.decimals,
+      balance,
+      balanceFormatted,
+      isDust: balance.isZero() || parseFloat(balanceFormatted) < this.dustUnits,
+      updatedAt: Date.now(),
+    };
+
+    if (balance.isZero()) {
+      holdings.delete(token);
+    } else {
+      holdings.set(token, entry);
+    }
+    this.updateStats();
+
+    if (notify && wasSweepable !== !entry.isDust) {
+      if (!entry.isDust) {
+        console.log(`\n📦 New token in ${safe.label}: ${entry.symbol || entry.token} (${balanceFormatted})`);
+      }
+      this.notifyChange(safe);
+    }
+
+    return entry;
+  }
+
+  async handleErc1155Log(log, safeSide) {
+    const transfer = this.parseErc1155Log(log);
+    if (!transfer) return;
+
+    const safe = this.safeByAddress.get(transfer[safeSide].toLowerCase());
+    if (!safe) return;
+
+    this.stats.liveUpdates++;
+    for (const tokenId of transfer.tokenIds) {
+      try {
+        await this.refreshNft(safe, "ERC1155", log.address, tokenId);
+      } catch (error) {
+        if (this.config.debug) {
+          console.log(`   ⚠️ NFT refresh failed for ${log.address} #${tokenId}: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * @returns {Object|null} { from, to, tokenIds } for a TransferSingle / TransferBatch log
+   */
+  parseErc1155Log(log) {
+    try {
+      const parsed = this.nftInterface.parseLog({ topics: log.topics, data: log.data });
+      const ids = parsed.name === "TransferSingle" ? [parsed.args.id] : parsed.args.ids;
+      return {
+        from: parsed.args.from,
+        to: parsed.args.to,
+        tokenIds: ids.map((id) => id.toString()),
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether the Safe still holds an NFT id and update its holdings
+   */
+  async refreshNft(safe, standard, collectionAddress, tokenId, { notify = true } = {}) {
+    const collection = collectionAddress.toLowerCase();
+    const contract = new ethers.Contract(collection, NFT_ABI, this.provider);
+
+    let held;
+    try {
+      if (standard === "ERC721") {
+        const owner = await contract.ownerOf(tokenId);
+        held = owner.toLowerCase() === safe.safeAddress.toLowerCase();
+      } else {
+        const balance = await contract.balanceOf(safe.safeAddress, tokenId);
+        held = !balance.isZero();
+      }
+    } catch (error) {
+      held = false; // Burned / nonexistent id, or not actually an NFT
+    }
+
+    const holdings = this.nftHoldings.get(safe.safeAddress.toLowerCase());
+    const entry = holdings.get(collection);
+    const wasHeld = !!entry && entry.tokenIds.has(tokenId);
+    if (held === wasHeld) return held;
+
+    if (held) {
+      if (!entry) {
+        holdings.set(collection, { standard, collection: ethers.utils.getAddress(collection), tokenIds: new Set() });
+      }
+      holdings.get(collection).tokenIds.add(tokenId);
+    } else {
+      entry.tokenIds.delete(tokenId);
+      if (entry.tokenIds.size === 0) holdings.delete(collection);
+    }
+    this.updateStats();
+
+    if (notify) {
+      if (held) {
+        console.log(`\n🖼️ New NFT in ${safe.label}: ${standard} ${collectionAddress} #${tokenId}`);
+      }
+      this.notifyNftChange(safe);
+    }
+
+    return held;
+  }
+
+  /**
+   * decimals + symbol, cached (null if the contract isn't an ERC20)
+   */
+  async getMetadata(token) {
+    return this.metadata.get(token);
+  }
+
+  notifyChange(safe) {
+    if (!this.onInventoryChange) return;
+    try {
+      this.onInventoryChange(safe, this.getSweepableTokens(safe));
+    } catch (error) {
+      console.error("⚠️ Inventory change handler failed:", error.message);
+    }
+  }
+
+  notifyNftChange(safe) {
+    if (!this.onNftInventoryChange) return;
+    try {
+      this.onNftInventoryChange(safe, this.getNfts(safe));
+    } catch (error) {
+      console.error("⚠️ NFT inventory change handler failed:", error.message);
+    }
+  }
+
+  /**
+   * All tracked holdings for a Safe
+  getHoldings(safe) {
+    const holdings = this.holdings.get(safe.safeAddress.toLowerCase());
+    return holdings ? Array.from(holdings.values()) : [];
+  }
+
+  /**
+   * Token addresses above the dust threshold
+   */
+  getSweepableTokens(safe) {
+    return this.getHoldings(safe)
+      .filter((entry) => !entry.isDust)
+      .map((entry) => entry.token);
+  }
+
+  /**
+   * NFTs the Safe holds: [{ standard, collection, tokenIds }]
+   */
+  getNfts(safe) {
+    const holdings = this.nftHoldings.get(safe.safeAddress.toLowerCase());
+    if (!holdings) return [];
+    return Array.from(holdings.values()).map((entry) => ({
+      standard: entry.standard,
+      collection: entry.collection,
+      tokenIds: Array.from(entry.tokenIds),
+    }));
+  }
+
+  updateStats() {
+    let tracked = 0;
+    for (const holdings of this.holdings.values()) {
+      tracked += holdings.size;
+    }
+    this.stats.tokensTracked = tracked;
+
+    let nfts = 0;
+    for (const holdings of this.nftHoldings.values()) {
+      for (const entry of holdings.values()) {
+        nfts += entry.tokenIds.size;
+      }
+    }
+    this.stats.nftsTracked = nfts;
+  }
+
+  async stop() {
+    if (!this.subscriptionProvider) return;
+
+    if (this.ownsSubscriptionProvider) {
+      this.subscriptionProvider.removeAllListeners();
+      await this.subscriptionProvider.destroy();
+    } else {
+      const safeTopics = this.getSafeTopics();
+      this.subscriptionProvider.removeAllListeners({ topics: [TRANSFER_TOPIC, null, safeTopics] });
+      this.subscriptionProvider.removeAllListeners({ topics: [TRANSFER_TOPIC, safeTopics] });
+      const erc1155Topics = [TRANSFER_SINGLE_TOPIC, TRANSFER_BATCH_TOPIC];
+      this.subscriptionProvider.removeAllListeners({ topics: [erc1155Topics, null, null, safeTopics] });
+      this.subscriptionProvider.removeAllListeners({ topics: [erc1155Topics, null, safeTopics] });
+    }
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = { TokenInventory };
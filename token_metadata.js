@@ -0,0 +1,85 @@
+const { ethers } = require("ethers");
+const { getChainProfile } = require("./chain_profiles");
+
+/**
+ * Token Metadata Cache
+ *
+ * decimals() + symbol() per token contract, read once and shared by the
+ * token inventory and the approval tracker. Seeded with the chain profile's
+ * default tokens, so USDT / USDC / WETH never cost an eth_call. Contracts
+ * without decimals() (NFTs, non-tokens) are cached as null.
+ */
+
+const ERC20_METADATA_ABI = [
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+];
+
+class TokenMetadataCache {
+  /**
+   * @param {Object} config - { chainId }
+   */
+  constructor(config = {}) {
+    this.provider = null;
+    this.cache = new Map(); // lowercase token -> { decimals, symbol } | null
+    this.pending = new Map(); // lowercase token -> Promise (concurrent lookups share one read)
+
+    for (const token of getChainProfile(config.chainId).tokens) {
+      this.cache.set(token.address.toLowerCase(), { decimals: token.decimals, symbol: token.symbol });
+    }
+  }
+
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Cached metadata without a network read (undefined if never looked up)
+   */
+  peek(token) {
+    return this.cache.get(token.toLowerCase());
+  }
+
+  /**
+   * decimals + symbol, cached (null if the contract isn't an ERC20)
+   * Rejects on network errors - nothing is cached, so the next call retries
+   */
+  async get(token) {
+    const key = token.toLowerCase();
+    if (this.cache.has(key)) return this.cache.get(key);
+    if (this.pending.has(key)) return this.pending.get(key);
+
+    const lookup = (async () => {
+      const contract = new ethers.Contract(key, ERC20_METADATA_ABI, this.provider);
+      let meta = null;
+      try {
+        const decimals = await contract.decimals();
+        const symbol = await contract.symbol().catch(() => null);
+        meta = { decimals, symbol };
+      } catch (error) {
+        // Timeouts / rate limits say nothing about the token - retry on the next lookup
+        if (error.code !== ethers.errors.CALL_EXCEPTION) {
+          this.pending.delete(key);
+          throw error;
+        }
+        // decimals() reverted - not a fungible token
+      }
+      this.cache.set(key, meta);
+      this.pending.delete(key);
+      return meta;
+    })();
+
+    this.pending.set(key, lookup);
+    return lookup;
+  }
+
+  /**
+   * Symbol for logs (falls back to the address)
+   */
+  label(token) {
+    const meta = this.peek(token);
+    return (meta && meta.symbol) || token;
+  }
+}
+
+module.exports = { TokenMetadataCache };
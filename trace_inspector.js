@@ -0,0 +1,311 @@
+const { ethers } = require("ethers");
+
+/**
+ * Trace Inspector (Deep Inspection Stage)
+ *
+ * The mempool filter only sees top-level calldata. A drain routed through a
+ * multicall, an aggregator router or an attacker contract calls
+ * transferFrom(safe, ...) from INSIDE another contract, so the selector never
+ * shows up at the top level.
+ *
+ * For pending txs whose calldata mentions a protected Safe, this stage
+ * simulates the tx with debug_traceCall (callTracer) - or trace_call as a
+ * fallback - and walks every nested call looking for:
+ * - token.transferFrom(safe, to, amount)
+ * - token.transfer(to, amount) executed BY the Safe
+ *
+ * Transfers into the Safe's own vault are ignored (those are our sweeps).
+ *
+ * Uses the same premium trace access as PreFlightValidator. Optional - enable
+ * with ENABLE_TRACE_INSPECTION=true.
+ */
+
+const ERC20_TRANSFER_ABI = [
+  "function transfer(address to, uint256 amount)",
+  "function transferFrom(address from, address to, uint256 amount)",
+];
+
+// Call types that execute in the callee's own context. DELEGATECALL frames
+// repeat the parent's input (e.g. token proxy -> implementation), and
+// STATICCALL can't move funds.
+const VALUE_MOVING_CALL_TYPES = new Set(["CALL", "CALLCODE"]);
+
+class TraceInspector {
+  constructor(config) {
+    this.config = config;
+    this.provider = null;
+    this.enabled = false;
+    this.method = null; // "debug_traceCall" or "trace_call"
+
+    this.erc20Interface = new ethers.utils.Interface(ERC20_TRANSFER_ABI);
+    this.selectors = {
+      transfer: this.erc20Interface.getSighash("transfer"),
+      transferFrom: this.erc20Interface.getSighash("transferFrom"),
+    };
+
+    this.timeoutMs = config.traceTimeoutMs || 1500;
+    this.maxConcurrent = config.traceMaxConcurrent || 4;
+    this.inFlight = 0;
+
+    this.stats = {
+      inspected: 0,
+      skippedBusy: 0,
+      failed: 0,
+      drainsFound: 0,
+      avgTraceTime: 0,
+    };
+  }
+
+  async initialize() {
+    console.log("\n🔬 Initializing Trace Inspector (deep inspection)...");
+
+    if (!this.config.enableTraceInspection) {
+      console.log("   ℹ️  Trace inspection disabled (set ENABLE_TRACE_INSPECTION=true)");
+      return false;
+    }
+
+    const rpcUrl = this.config.traceRpcUrl || this.config.drpcHttp || this.config.rpcUrl;
+    if (!rpcUrl) {
+      console.log("   ⚠️  No trace-capable RPC configured - trace inspection disabled");
+      return false;
+    }
+
+    try {
+      this.provider = new ethers.providers.JsonRpcProvider(rpcUrl);
+      this.method = await this.detectTraceMethod();
+
+      console.log(`   ✅ Trace inspector active (${this.method}, ${this.timeoutMs}ms budget)`);
+      this.enabled = true;
+      return true;
+    } catch (error) {
+      console.error("   ❌ Trace access failed:", error.message);
+      console.log("   ℹ️  Proceeding without trace inspection");
+      return false;
+    }
+  }
+
+  /**
+   * Prefer debug_traceCall (call tree), fall back to trace_call (flat traces)
+   */
+  async detectTraceMethod() {
+    const probe = {
+      from: "0x0000000000000000000000000000000000000000",
+      to: "0x0000000000000000000000000000000000000000",
+      value: "0x0",
+    };
+
+    try {
+      await this.provider.send("debug_traceCall", [probe, "latest", { tracer: "callTracer" }]);
+      console.log("   ✅ debug_traceCall (callTracer) available");
+      return "debug_traceCall";
+    } catch (error) {
+      // Try parity-style tracing next
+    }
+
+    try {
+      await this.provider.send("trace_call", [probe, ["trace"], "latest"]);
+      console.log("   ✅ trace_call available");
+      return "trace_call";
+    } catch (error) {
+      throw new Error(`neither debug_traceCall nor trace_call available: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find protected Safes whose address appears as an ABI word anywhere in calldata
+   *
+   * Nested calldata isn't aligned to the outer 32-byte words (inner selectors
+   * shift it by 4 bytes), so every position is checked - each candidate is an
+   * O(1) registry lookup.
+   *
+   * @param {string} data - Calldata
+   * @param {SafeRegistry} safes - Protected Safe registry
+   * @returns {Array} Safe entries mentioned in the calldata
+   */
+  findSafesInCalldata(data, safes) {
+    if (!data || data.length < 10) return [];
+
+    const found = new Map();
+    const pattern = /(?=0{24}([0-9a-f]{40}))/g;
+    const hex = data.toLowerCase();
+
+    let match;
+    while ((match = pattern.exec(hex)) !== null) {
+      const entry = safes.get("0x" + match[1]);
+      if (entry) found.set(entry.safeAddress, entry);
+      pattern.lastIndex++; // Zero-width match - step forward manually
+    }
+
+    return Array.from(found.values());
+  }
+
+  /**
+   * Simulate a pending tx and return nested transfers that debit any of the given Safes
+   *
+   * @param {Object} tx - Pending transaction
+   * @param {Array} safes - Safe entries to check ({ safeAddress, vaultAddress, usdtContract })
+   * @returns {Array|null} Findings, or null if the trace couldn't run
+   */
+  async inspect(tx, safes) {
+    if (!this.enabled || safes.length === 0) return null;
+
+    // Don't let a burst of Safe-mentioning txs queue up behind slow traces
+    if (this.inFlight >= this.maxConcurrent) {
+      this.stats.skippedBusy++;
+      return null;
+    }
+
+    this.inFlight++;
+    const startTime = Date.now();
+
+    try {
+      const frames = await this.withTimeout(this.traceCalls(tx));
+
+      const traceTime = Date.now() - startTime;
+      this.stats.inspected++;
+      this.stats.avgTraceTime = Math.floor(
+        (this.stats.avgTraceTime * (this.stats.inspected - 1) + traceTime) / this.stats.inspected
+      );
+
+      const findings = this.findSafeDebits(frames, safes);
+      if (findings.length > 0) {
+        this.stats.drainsFound++;
+      }
+
+      if (this.config.debug) {
+        console.log(
+          `   🔬 Traced ${tx.hash?.slice(0, 10)}... in ${traceTime}ms: ${frames.length} calls, ${findings.length} Safe debit(s)`
+        );
+      }
+
+      return findings;
+    } catch (error) {
+      this.stats.failed++;
+      if (this.config.debug) {
+        console.log(`   ⚠️ Trace failed for ${tx.hash?.slice(0, 10)}...: ${error.message}`);
+      }
+      return null;
+    } finally {
+      this.inFlight--;
+    }
+  }
+
+  /**
+   * Run the trace and normalize to a flat list of { type, from, to, input, depth, reverted }
+   */
+  async traceCalls(tx) {
+    const call = {
+      from: tx.from,
+      to: tx.to,
+      value: ethers.utils.hexValue(tx.value || 0),
+      data: tx.data,
+    };
+    if (tx.gasLimit) {
+      call.gas = ethers.utils.hexValue(tx.gasLimit);
+    }
+
+    if (this.method === "debug_traceCall") {
+      const root = await this.provider.send("debug_traceCall", [call, "latest", { tracer: "callTracer" }]);
+      return this.flattenCallTree(root);
+    }
+
+    const result = await this.provider.send("trace_call", [call, ["trace"], "latest"]);
+    return (result.trace || [])
+      .filter((trace) => trace.type === "call" && trace.action)
+      .map((trace) => ({
+        type: (trace.action.callType || "call").toUpperCase(),
+        from: trace.action.from,
+        to: trace.action.to,
+        input: trace.action.input,
+        depth: trace.traceAddress ? trace.traceAddress.length : 0,
+        reverted: !!trace.error,
+      }));
+  }
+
+  /**
+   * Flatten a callTracer tree (a reverted frame reverts all of its children)
+   */
+  flattenCallTree(frame, depth = 0, parentReverted = false, out = []) {
+    if (!frame) return out;
+
+    const reverted = parentReverted || !!frame.error;
+    out.push({
+      type: (frame.type || "CALL").toUpperCase(),
+      from: frame.from,
+      to: frame.to,
+      input: frame.input,
+      depth,
+      reverted,
+    });
+
+    for (const child of frame.calls || []) {
+      this.flattenCallTree(child, depth + 1, reverted, out);
+    }
+    return out;
+  }
+
+  /**
+   * Pick out transfer / transferFrom frames that move tokens out of a Safe
+   */
+  findSafeDebits(frames, safes) {
+    const bySafe = new Map(safes.map((safe) => [safe.safeAddress.toLowerCase(), safe]));
+    const findings = [];
+
+    for (const frame of frames) {
+      if (frame.reverted || !VALUE_MOVING_CALL_TYPES.has(frame.type)) continue;
+      if (!frame.input || frame.input.length < 10 || !frame.to) continue;
+
+      const selector = frame.input.slice(0, 10).toLowerCase();
+      if (selector !== this.selectors.transfer && selector !== this.selectors.transferFrom) continue;
+
+      let parsed;
+      try {
+        parsed = this.erc20Interface.parseTransaction({ data: frame.input });
+      } catch (error) {
+        continue;
+      }
+
+      // transfer() debits msg.sender, transferFrom() debits the `from` argument
+      const debited = parsed.name === "transfer" ? frame.from : parsed.args.from;
+      const safe = debited && bySafe.get(debited.toLowerCase());
+      if (!safe) continue;
+
+      if (parsed.args.to.toLowerCase() === safe.vaultAddress.toLowerCase()) continue;
+      if (parsed.args.amount.isZero()) continue;
+
+      const token = ethers.utils.getAddress(frame.to);
+      findings.push({
+        safe,
+        method: parsed.name,
+        token,
+        asset: token.toLowerCase() === safe.usdtContract?.toLowerCase() ? "USDT" : token,
+        caller: frame.from,
+        recipient: parsed.args.to,
+        amount: parsed.args.amount,
+        depth: frame.depth,
+      });
+    }
+
+    return findings;
+  }
+
+  withTimeout(promise) {
+    let timer;
+    return Promise.race([
+      promise,
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`trace timeout after ${this.timeoutMs}ms`)), this.timeoutMs);
+      }),
+    ]).finally(() => clearTimeout(timer));
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      enabled: this.enabled,
+      method: this.method,
+    };
+  }
+}
+
+module.exports = { TraceInspector };
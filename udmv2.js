@@ -4,6 +4,20 @@ const { DynamicGasBidder } = require("./dynamic_gas_bidder");
 const { MEVBundleEngine } = require("./mev_bundle_engine");
 const { ApprovalTracker } = require("./approval_tracker");
 const { PolygonGasCalculator } = require("./polygon_gas_calculator");
+const { SafeTxDecoder } = require("./safe_tx_decoder");
+const { PermitDecoder } = require("./permit_decoder");
+const { NftDecoder, NFT_TRANSFER_SELECTORS } = require("./nft_decoder");
+const { ThreatRuleEngine } = require("./threat_rules");
+const { SafeRegistry } = require("./safe_registry");
+const { TraceInspector } = require("./trace_inspector");
+const { StateDiffSimulator } = require("./state_diff_simulator");
+const { TokenInventory } = require("./token_inventory");
+const { NonceManager } = require("./nonce_manager");
+const { BaseFeeTracker } = require("./base_fee_tracker");
+const { FeeOracle } = require("./fee_oracle");
+const { PriceOracle } = require("./price_oracle");
+const { TokenMetadataCache } = require("./token_metadata");
+const { getChainProfile, defaultUsdtAddress } = require("./chain_profiles");
 require("dotenv").config();
 
 /**
@@ -28,24 +42,47 @@ function isWebSocketUrl(url) {
  */
 class UltimateDefenseMonitorV2 {
   constructor(config) {
-    this.config = config;
-    console.log("🛡️ Initializing Ultimate Defense Monitor V2 (MEV Edition)...");
+    // Gas rules, native symbol, default tokens, block time and relays for CHAIN_ID
+    this.chain = getChainProfile(config.chainId);
+    // USDT_CONTRACT overrides the profile's USDT
+    this.config = { ...config, usdtContract: defaultUsdtAddress(this.chain, config.usdtContract) };
+    config = this.config;
+    console.log(`🛡️ Initializing Ultimate Defense Monitor V2 (MEV Edition) on ${this.chain.name}...`);
 
     this.provider = null;
     this.wsProvider = null;
     this.sweeper = null;
     this.gasBidder = null;
     this.mevEngine = null;
+    this.baseFeeTracker = new BaseFeeTracker(config);
+    this.feeOracle = new FeeOracle(config);
     this.polygonGas = new PolygonGasCalculator({
-      minimumGasGwei: config.polygonMinimumGasGwei || 25,
-      baseTipGwei: config.polygonBaseTipGwei || 50,
-      congestedTipGwei: config.polygonCongestedTipGwei || 150,
-      aggressiveTipGwei: config.polygonAggressiveTipGwei || 200,
-      emergencyTipGwei: config.polygonEmergencyTipGwei || 200,
+      chainId: config.chainId,
+      minimumGasGwei: config.polygonMinimumGasGwei,
+      baseTipGwei: config.polygonBaseTipGwei,
+      congestedTipGwei: config.polygonCongestedTipGwei,
+      aggressiveTipGwei: config.polygonAggressiveTipGwei,
+      emergencyTipGwei: config.polygonEmergencyTipGwei,
+      baseFeeTracker: this.baseFeeTracker,
+      baseFeeBlocksAhead: config.baseFeeBlocksAhead,
+      feeOracle: this.feeOracle,
     });
+    this.safeTxDecoder = new SafeTxDecoder();
+    this.permitDecoder = new PermitDecoder();
+    this.nftDecoder = new NftDecoder();
+    this.ruleEngine = new ThreatRuleEngine(config);
+    this.safes = new SafeRegistry(config);
+    this.traceInspector = new TraceInspector(config);
+    this.simulator = new StateDiffSimulator(config);
+    this.priceOracle = new PriceOracle(config);
+    this.simulator.setPriceOracle(this.priceOracle);
+    this.tokenInventory = null;
+    this.tokenMetadata = new TokenMetadataCache(config); // decimals / symbol for inventory + approvals
+    this.nonceManager = new NonceManager(config);
 
     this.isMonitoring = false;
-    this.detectedThreats = new Map();
+    this.detectedThreats = new Map(); // safe:attacker:nonce => { timestamp, threat, txHashes }
+    this.activeRaces = new Map(); // race nonce => race (createRace)
 
     // WebSocket reconnection management
     this.wsReconnectAttempts = 0;
@@ -62,6 +99,10 @@ class UltimateDefenseMonitorV2 {
       usedMEVBundles: 0,
       usedPreSigned: 0,
       usedDynamicGas: 0,
+      revocationsSent: 0,
+      attackerReplacements: 0, // Attacker re-sent a drain with the same nonce
+      replacementRebids: 0, // In-flight sweeps re-bid against a replacement
+      raceOutcomes: { bundle: 0, shotgun: 0, none: 0, unresolved: 0 }, // Which same-nonce variant landed
       avgDetectionTime: [],
       wsReconnections: 0,
       wsFailures: 0,
@@ -70,24 +111,47 @@ class UltimateDefenseMonitorV2 {
 
   async initialize() {
     console.log("\n🔧 Ultimate Defense Monitor V2 Configuration:");
-    console.log(`  - Safe Address: ${this.config.safeAddress}`);
-    console.log(`  - Vault Address: ${this.config.vaultAddress}`);
+    console.log(`  - Protected Safes: ${this.safes.size}`);
+    for (const safe of this.safes.all()) {
+      console.log(`    • [${safe.label}] ${safe.safeAddress} → vault ${safe.vaultAddress}`);
+      if (safe.tokens.length > 0) {
+        console.log(`      Extra tokens: ${safe.tokens.join(", ")}`);
+      }
+      for (const nft of safe.nfts) {
+        console.log(`      NFT: ${nft.standard} ${nft.collection} (${nft.tokenIds.length} ids)`);
+      }
+    }
+    console.log(`  - Chain: ${this.chain.name} (${this.chain.chainId}, ${this.chain.nativeSymbol}, ~${this.chain.blockTimeMs}ms blocks)`);
     console.log(`  - USDT Contract: ${this.config.usdtContract}`);
     console.log(`  - Emergency Gas: ${this.config.emergencyGasMult}x`);
     console.log(`  - Gas Premium: +${(this.config.gasPremium || 0.5) * 100}%`);
     console.log(`  - MEV Bundles: ${this.config.enableMEVBundles !== false ? "✅ ENABLED" : "❌ Disabled"}`);
     console.log(`  - Debug Mode: ${this.config.debug ? "✅ ENABLED" : "❌ Disabled"}`);
     console.log(`  - Verbose Mode: ${this.config.verbose ? "✅ ENABLED (will log ALL Safe txs)" : "❌ Disabled"}`);
+    console.log(`  - Threat Rules: ${this.config.threatRulesPath || "built-in only"}`);
+    console.log(`  - Trace Inspection: ${this.config.enableTraceInspection ? "✅ ENABLED" : "❌ Disabled"}`);
+    console.log(`  - State-Diff Simulation: ${this.config.enableStateDiffSimulation ? "✅ ENABLED" : "❌ Disabled"}`);
 
     // Setup providers
     console.log("\n📡 Connecting to network...");
     this.provider = new ethers.providers.JsonRpcProvider(this.config.rpcUrl);
+    this.tokenMetadata.setProvider(this.provider);
 
     // Try WebSocket providers with validation, error handling, and auto-reconnect
     // Priority: dRPC (MEV protected) > Quicknode > Infura
     this.wssUrl = this.config.drpcWss || this.config.quicknodeWss || this.config.infuraWss;
     await this.connectWebSocket();
 
+    // One nonce allocator for every submission path (pools, bundles, real-time sweeps, revocations)
+    await this.nonceManager.initialize(this.provider, new ethers.Wallet(this.config.privateKey).address);
+
+    // Predicted base fee for every max-fee calculation (follows the block listener)
+    await this.baseFeeTracker.initialize(this.provider);
+    // Tips from recent eth_feeHistory percentiles + congestion classification
+    await this.feeOracle.initialize(this.provider);
+    // USD prices for value at risk -> gas budget
+    await this.priceOracle.initialize(this.provider);
+
     // Initialize MEV Bundle Engine (PRIMARY defense)
     if (this.config.enableMEVBundles !== false) {
       console.log("\n🎯 Initializing MEV Bundle Engine (PRIORITY 1)...");
@@ -116,17 +180,76 @@ class UltimateDefenseMonitorV2 {
     // Initialize ultra-fast sweeper (FALLBACK #1)
     console.log("\n⚡ Initializing Ultra-Fast Sweeper (FALLBACK #1)...");
     this.sweeper = new UltraFastSweeper(this.config);
-    await this.sweeper.initialize();
+    await this.sweeper.initialize(this.safes.all(), this.nonceManager, this.baseFeeTracker, this.feeOracle);
+    this.sweeper.escalator.onReplacement = (record) => this.trackReplacement(record);
+
+    // Initialize token inventory (every ERC20 the Safes hold) and feed it to the pre-signed pools
+    if (this.config.enableTokenInventory !== false) {
+      this.tokenInventory = new TokenInventory(this.config, this.safes.all());
+      this.tokenInventory.onInventoryChange = (safe, tokens) => {
+        this.sweeper.getPool(safe).syncInventoryTokens(tokens).catch((error) => {
+          console.error(`⚠️ Pre-signed pool sync failed for ${safe.label}:`, error.message);
+        });
+      };
+      this.tokenInventory.onNftInventoryChange = (safe) => {
+        this.sweeper.getPool(safe).syncNfts(this.getKnownNfts(safe)).catch((error) => {
+          console.error(`⚠️ Pre-signed NFT pool sync failed for ${safe.label}:`, error.message);
+        });
+      };
+
+      try {
+        await this.tokenInventory.initialize(this.provider, this.tokenMetadata);
+        for (const safe of this.safes.all()) {
+          await this.sweeper.getPool(safe).syncInventoryTokens(this.tokenInventory.getSweepableTokens(safe));
+          await this.sweeper.getPool(safe).syncNfts(this.getKnownNfts(safe));
+        }
+      } catch (error) {
+        console.error("⚠️ Token inventory failed to initialize:", error.message);
+        console.log(`   ℹ️  Falling back to USDT / ${this.chain.nativeSymbol} / configured tokens only`);
+        this.tokenInventory = null;
+      }
+    }
 
     // Initialize dynamic gas bidder (FALLBACK #2)
     console.log("\n💰 Initializing Dynamic Gas Bidder (FALLBACK #2)...");
     this.gasBidder = new DynamicGasBidder(this.config);
-    await this.gasBidder.initialize(this.provider, this.config.privateKey);
+    await this.gasBidder.initialize(
+      this.provider,
+      this.config.privateKey,
+      this.nonceManager,
+      this.baseFeeTracker,
+      this.feeOracle,
+      this.priceOracle
+    );
+
+    // Initialize trace inspector (DEEP INSPECTION of routers / multicalls)
+    await this.traceInspector.initialize();
+
+    // Initialize state-diff simulator (EXACT assets at risk)
+    await this.simulator.initialize();
 
     // Initialize approval intelligence tracker (ADVANCE INTEL)
     console.log("\n🔍 Initializing Approval Intelligence Tracker...");
-    this.approvalTracker = new ApprovalTracker(this.config);
-    await this.approvalTracker.initialize();
+    this.approvalTracker = new ApprovalTracker({
+      ...this.config,
+      safeAddresses: this.safes.addresses(),
+    });
+    this.approvalTracker.onRiskyApproval = (approval, reasons) => {
+      this.handleRiskyApproval(approval, reasons).catch((error) => {
+        console.error("❌ Risky approval response failed:", error.message);
+      });
+    };
+    this.approvalTracker.onRevocationReady = (item) => {
+      this.executeQueuedRevocation(item).catch((error) => {
+        console.error(`❌ Queued revocation ${item.id} failed:`, error.message);
+      });
+    };
+    this.approvalTracker.onRevocationQueueChanged = (item) => {
+      this.syncRevokePool(item.owner).catch((error) => {
+        console.error(`⚠️ Pre-signed revoke pool sync failed for ${item.owner}:`, error.message);
+      });
+    };
+    await this.approvalTracker.initialize(null, this.tokenMetadata, this.priceOracle);
 
     console.log("\n✅ Ultimate Defense Monitor V2 READY");
     this.printDefenseStrategy();
@@ -213,10 +336,11 @@ class UltimateDefenseMonitorV2 {
 
       // Set up targeted monitoring
       if (!isReconnect) {
-        console.log(`🎯 Setting up targeted monitoring for Safe: ${this.config.safeAddress}`);
+        console.log(`🎯 Setting up targeted monitoring for ${this.safes.size} Safe(s): ${this.safes.addresses().join(", ")}`);
         console.log("   Watching for:");
         console.log("   1. Direct transactions from/to Safe");
         console.log("   2. transferFrom() calls draining Safe");
+        console.log("   3. permit() / Permit2 signatures from Safe");
         if (this.config.usdtContract) {
           console.log(`   USDT Contract: ${this.config.usdtContract}`);
         }
@@ -291,38 +415,83 @@ class UltimateDefenseMonitorV2 {
         if (!tx) return;
 
         // PROACTIVE DEFENSE: Check if tx is FROM a watched address (has approval)
+        // The spender's risk score decides per Safe: sweep, alert only, or ignore (allowlisted)
         if (this.approvalTracker && this.approvalTracker.isWatchedAddress(tx.from)) {
-          console.log(`\n🚨 PROACTIVE ALERT: Watched address is transacting!`);
-          console.log(`   Address: ${tx.from}`);
-          console.log(`   TX Hash: ${tx.hash}`);
-          const context = this.approvalTracker.getContext(tx.from);
-          if (context) {
-            console.log(`   Context: ${context}`);
-          }
-          console.log(`   ⚡ Triggering IMMEDIATE SWEEP before they can attack!`);
+          let swept = false;
+          const responses = [];
 
-          // Immediate sweep - don't wait for them to execute transferFrom
-          const proactiveThreat = {
-            type: "PROACTIVE_APPROVED_ADDRESS",
-            asset: "USDT", // Sweep USDT since they have approval
-            attackerTx: tx,
-            txHash: tx.hash,
-            isKnownApproved: true,
-            approvalContext: context,
-          };
+          for (const owner of this.approvalTracker.getWatchingSafes(tx.from)) {
+            const safe = this.safes.get(owner);
+            if (!safe) continue;
+
+            const risk = this.approvalTracker.getRisk(tx.from, owner);
+            if (risk.action === "ignore") continue;
+
+            const context = this.approvalTracker.getContext(tx.from, owner);
+
+            if (risk.action === "alert") {
+              console.log(`\n⚠️  Watched address ${tx.from} is transacting - below the sweep threshold, alert only`);
+              console.log(`   TX Hash: ${tx.hash}`);
+              if (context) {
+                console.log(`   Context [${safe.label}]: ${context}`);
+              }
+              continue;
+            }
+
+            if (!swept) {
+              console.log(`\n🚨 PROACTIVE ALERT: Watched address is transacting!`);
+              console.log(`   Address: ${tx.from}`);
+              console.log(`   TX Hash: ${tx.hash}`);
+            }
+            swept = true;
+
+            if (context) {
+              console.log(`   Context [${safe.label}]: ${context}`);
+            }
+            console.log(`   ⚡ Triggering IMMEDIATE SWEEP of ${safe.label} before they can attack!`);
+
+            // Immediate sweep of every token they were approved for - don't wait for transferFrom
+            // (ERC20 / Permit2 allowances sweep the token, NFT operators every id we hold)
+            const approvals = this.approvalTracker.getApprovals(tx.from, owner);
+            const assets = approvals
+              .filter((approval) => approval.type !== "NFT_OPERATOR")
+              .map((approval) =>
+                approval.token.toLowerCase() === safe.usdtContract?.toLowerCase() ? "USDT" : approval.token
+              );
+            const knownNfts = this.getKnownNfts(safe);
+            const nfts = approvals
+              .filter((approval) => approval.type === "NFT_OPERATOR")
+              .map((approval) => this.nftDecoder.findHolding(knownNfts, approval.token))
+              .filter(Boolean);
+            const proactiveThreat = {
+              type: "PROACTIVE_APPROVED_ADDRESS",
+              severity: "HIGH",
+              asset: assets[0] || "NFT",
+              assets,
+              nfts,
+              attackerTx: tx,
+              txHash: tx.hash,
+              safe,
+              isKnownApproved: true,
+              approvalContext: context,
+              revocations: this.approvalTracker.getRevocations(tx.from, owner),
+            };
 
-          await this.respondToThreat(proactiveThreat);
-          return; // Don't process further
+            responses.push(this.respondToThreat(proactiveThreat));
+          }
+          // Every Safe is answered at once - one slow race must not hold up the next
+          await this.settleResponses(responses);
+          if (swept) return; // Don't process further - otherwise normal detection still applies
         }
 
-        const safeAddr = this.config.safeAddress.toLowerCase();
+        // Route to the protected Safe this tx touches (O(1) lookups, no per-Safe loop)
+        const safe = this.resolveSafeForTx(tx);
 
-        // ULTRA VERBOSE: Log EVERY transaction involving Safe address (even indirectly)
+        // ULTRA VERBOSE: Log EVERY transaction involving a Safe address (even indirectly)
         if (this.config.verbose) {
           const involvesSafe =
-            tx.from?.toLowerCase() === safeAddr ||
-            tx.to?.toLowerCase() === safeAddr ||
-            (tx.data && tx.data.includes(safeAddr.slice(2))); // Check if Safe address is in data
+            !!safe ||
+            (tx.data && this.safes.addresses().some((address) => tx.data.includes(address.slice(2).toLowerCase()))); // Check if Safe address is in data
 
           if (involvesSafe) {
             console.log(`\n🔍 ULTRA-VERBOSE: TX involving Safe detected in mempool:`);
@@ -348,64 +517,77 @@ class UltimateDefenseMonitorV2 {
             // The 'from' address is in param1, positions 34-73 (40 hex chars)
             const fromAddress = ethers.utils.getAddress("0x" + tx.data.slice(34, 74));
             console.log(`   transferFrom 'from' param: ${fromAddress}`);
-            console.log(`   Your Safe: ${this.config.safeAddress}`);
-            console.log(`   Match: ${fromAddress.toLowerCase() === safeAddr ? "✅ YES" : "❌ NO"}`);
+            console.log(`   Match: ${this.safes.has(fromAddress) ? `✅ YES (${this.safes.get(fromAddress).label})` : "❌ NO"}`);
           } catch (e) {
             console.log(`   ⚠️ Could not decode transferFrom params: ${e.message}`);
           }
         }
 
         // TARGETED FILTERING: Only process transactions we care about
-        const isDirectlyInvolved = tx.from?.toLowerCase() === safeAddr || tx.to?.toLowerCase() === safeAddr;
+        const isDirectlyInvolved = this.safes.has(tx.from) || this.safes.has(tx.to);
 
         // Check if this is a transferFrom call where OUR SAFE is being drained
-        let isTransferFromSafe = false;
-        let transferFromContract = null;
-        if (tx.data && tx.data.length >= 138 && tx.data.slice(0, 10) === "0x23b872dd") {
-          try {
-            // transferFrom(address from, address to, uint256 amount)
-            // Extract the 'from' address (first parameter, chars 34-73)
-            const fromAddress = ethers.utils.getAddress("0x" + tx.data.slice(34, 74));
-            if (fromAddress.toLowerCase() === safeAddr) {
-              isTransferFromSafe = true;
-              transferFromContract = tx.to;
+        const transferFromSafe = this.getTransferFromSafe(tx);
+        const isTransferFromSafe = !!transferFromSafe;
+        const transferFromContract = isTransferFromSafe ? tx.to : null;
+
+        // Check if this is a permit / Permit2 call where OUR SAFE is the signer
+        const permitFromSafe = safe ? this.permitDecoder.analyze(tx, safe) : null;
+
+        // DEEP INSPECTION: calldata mentions a Safe but nothing at the top level touches it.
+        // Simulate and look for a transferFrom/transfer debiting the Safe inside a router,
+        // multicall or attacker contract.
+        if (!safe && this.traceInspector.enabled) {
+          const mentioned = this.traceInspector.findSafesInCalldata(tx.data, this.safes);
+          if (mentioned.length > 0) {
+            const findings = await this.traceInspector.inspect(tx, mentioned);
+            if (findings && findings.length > 0) {
+              await this.settleResponses(this.buildTraceThreats(tx, findings).map((threat) => this.respondToThreat(threat)));
+              return;
             }
-          } catch (e) {
-            // Invalid address encoding, skip
           }
         }
 
-        // CRITICAL: Skip if not relevant to our Safe
+        // CRITICAL: Skip if not relevant to any protected Safe
         // We ONLY care about:
-        // 1. Transactions directly from/to our Safe
-        // 2. transferFrom() calls where our Safe is being drained
-        if (!isDirectlyInvolved && !isTransferFromSafe) {
+        // 1. Transactions directly from/to our Safes
+        // 2. transferFrom() calls where one of our Safes is being drained
+        // 3. permit() / Permit2 calls signed by one of our Safes
+        // ...unless custom rules are loaded - those may match anything
+        const isRelevant = !!safe;
+        if (!isRelevant && this.ruleEngine.customRuleCount === 0) {
           return;
         }
 
-        // Count relevant transactions
-        relevantTxCount++;
-
         // Debug: Log all relevant transactions
-        if (this.config.debug) {
-          console.log(`\n🔍 DEBUG: Pending TX (relevant to Safe):`);
-          console.log(`   Hash: ${tx.hash}`);
-          console.log(`   From: ${tx.from}`);
-          console.log(`   To: ${tx.to}`);
-          console.log(`   Data: ${tx.data?.slice(0, 66)}...`);
-          if (isTransferFromSafe) {
-            console.log(`   🚨 THREAT: transferFrom() draining Safe!`);
-            console.log(`   🎯 Token Contract: ${transferFromContract}`);
-          }
-          if (isDirectlyInvolved) {
-            console.log(`   🎯 Direct Safe transaction`);
+        if (isRelevant) {
+          // Count relevant transactions
+          relevantTxCount++;
+
+          if (this.config.debug) {
+            console.log(`\n🔍 DEBUG: Pending TX (relevant to Safe ${safe.label}):`);
+            console.log(`   Hash: ${tx.hash}`);
+            console.log(`   From: ${tx.from}`);
+            console.log(`   To: ${tx.to}`);
+            console.log(`   Data: ${tx.data?.slice(0, 66)}...`);
+            if (isTransferFromSafe) {
+              console.log(`   🚨 THREAT: transferFrom() draining Safe!`);
+              console.log(`   🎯 Token Contract: ${transferFromContract}`);
+            }
+            if (permitFromSafe) {
+              console.log(`   🚨 THREAT: ${permitFromSafe.standard} ${permitFromSafe.method}() signed by Safe!`);
+              console.log(`   🎯 Spender: ${permitFromSafe.spender}`);
+            }
+            if (isDirectlyInvolved) {
+              console.log(`   🎯 Direct Safe transaction`);
+            }
           }
         }
 
-        const threat = this.detectThreat(tx);
-        if (threat) {
-          await this.respondToThreat(threat);
-        }
+        // Custom rules may match txs that don't touch a Safe directly - the rule match names the Safe
+        const candidates = safe ? [safe] : this.getRuleCandidates(tx);
+        const threats = candidates.map((candidate) => this.detectThreat(tx, candidate)).filter(Boolean);
+        await this.settleResponses(threats.map((threat) => this.respondToThreat(threat)));
       } catch (error) {
         // Expected for many pending txs
       }
@@ -424,34 +606,46 @@ class UltimateDefenseMonitorV2 {
         );
       }
 
+      // Next-block base fee from the new header
+      this.baseFeeTracker.onBlock(blockNumber);
+      this.feeOracle.onBlock(blockNumber);
+      this.priceOracle.onBlock(blockNumber);
+
+      // Expired Permit2 allowances leave the watch list
+      if (this.approvalTracker) {
+        this.approvalTracker.onBlock(blockNumber);
+      }
+
+      // Mined / dropped / externally used nonces
+      this.nonceManager.reconcile(blockNumber).catch((error) => {
+        console.error("⚠️ Nonce reconcile failed:", error.message);
+      });
+
       // Inspect block transactions as backup (catch fast inclusions)
       try {
         const block = await this.provider.getBlockWithTransactions(blockNumber);
         if (block && block.transactions) {
-          const safeAddr = this.config.safeAddress.toLowerCase();
-
           for (const tx of block.transactions) {
+            const safe = this.resolveSafeForTx(tx);
+            if (!safe) continue;
+
+            const threatKey = this.threatKey(safe, tx);
+
             // VERBOSE: Log any transaction involving Safe found in block
             if (this.config.verbose) {
-              const involvesSafe =
-                tx.from?.toLowerCase() === safeAddr ||
-                tx.to?.toLowerCase() === safeAddr ||
-                (tx.data && tx.data.includes && tx.data.includes(safeAddr.slice(2)));
-
-              if (involvesSafe) {
-                console.log(`\n📦 VERBOSE: TX involving Safe found in block ${blockNumber}:`);
-                console.log(`   Hash: ${tx.hash}`);
-                console.log(`   From: ${tx.from}`);
-                console.log(`   To: ${tx.to}`);
-                console.log(`   Function sig: ${tx.data?.slice(0, 10)}`);
-                console.log(`   Was this in mempool? ${this.detectedThreats.has(tx.hash) ? "✅ YES" : "❌ NO (too fast!)"}`);
-              }
+              console.log(`\n📦 VERBOSE: TX involving Safe ${safe.label} found in block ${blockNumber}:`);
+              console.log(`   Hash: ${tx.hash}`);
+              console.log(`   From: ${tx.from}`);
+              console.log(`   To: ${tx.to}`);
+              console.log(`   Function sig: ${tx.data?.slice(0, 10)}`);
+              console.log(`   Was this in mempool? ${this.detectedThreats.has(threatKey) ? "✅ YES" : "❌ NO (too fast!)"}`);
             }
 
             // Check if this transaction is a threat
-            const threat = this.detectThreat(tx);
-            if (threat && !this.detectedThreats.has(tx.hash)) {
+            const threat = this.detectThreat(tx, safe);
+            if (threat && !this.detectedThreats.has(threatKey)) {
               console.log(`\n⚠️ THREAT FOUND IN BLOCK (missed in mempool!)`);
+              console.log(`   Safe: ${safe.label} (${safe.safeAddress})`);
               console.log(`   TX: ${tx.hash}`);
               console.log(`   Block: ${blockNumber}`);
               console.log(`   Type: ${threat.type}`);
@@ -459,7 +653,7 @@ class UltimateDefenseMonitorV2 {
               console.log(`   🔍 Your WebSocket provider may not broadcast all pending txs`);
 
               // Log but don't respond (too late)
-              this.detectedThreats.set(tx.hash, { timestamp: Date.now(), threat });
+              this.detectedThreats.set(threatKey, { timestamp: Date.now(), threat, txHashes: [tx.hash] });
               this.stats.threatsDetected++;
             }
           }
@@ -472,9 +666,9 @@ class UltimateDefenseMonitorV2 {
 
       // Cleanup old threats
       const fiveMinutesAgo = Date.now() - 5 * 60 * 1000;
-      for (const [txHash, data] of this.detectedThreats.entries()) {
+      for (const [threatKey, data] of this.detectedThreats.entries()) {
         if (data.timestamp < fiveMinutesAgo) {
-          this.detectedThreats.delete(txHash);
+          this.detectedThreats.delete(threatKey);
         }
       }
     });
@@ -510,103 +704,302 @@ class UltimateDefenseMonitorV2 {
   }
 
   /**
-   * Detect if a transaction is a threat
+   * Find the protected Safe a transaction touches
+   *
+   * Checks sender, target, transferFrom owner and permit signer - each an
+   * O(1) registry lookup, so cost doesn't grow with the number of Safes.
    */
-  detectThreat(tx) {
+  resolveSafeForTx(tx) {
     if (!tx) return null;
 
-    const safeAddr = this.config.safeAddress.toLowerCase();
-    const vaultAddr = this.config.vaultAddress.toLowerCase();
+    const direct = this.safes.findFirst([tx.from, tx.to]);
+    if (direct) return direct;
 
-    // Threat Type 1: Transaction FROM our Safe
-    if (tx.from?.toLowerCase() === safeAddr) {
-      if (tx.to?.toLowerCase() === vaultAddr) {
-        return null; // Our own sweep
-      }
+    const drained = this.getTransferFromSafe(tx);
+    if (drained) return drained;
 
-      return {
-        isThreat: true,
-        type: "UNAUTHORIZED_OUTGOING",
-        severity: "CRITICAL",
-        asset: this.detectAssetFromData(tx.data, tx.to),
-        attackerTx: tx,
-      };
+    const permit = this.permitDecoder.decode(tx);
+    return permit ? this.safes.get(permit.owner) : null;
+  }
+
+  /**
+   * Safes a tx that touches none of them directly may still concern, resolved
+   * from the custom rules it matches (one rule pass, not one per Safe)
+   */
+  getRuleCandidates(tx) {
+    return this.ruleEngine.candidateSafes(tx, {
+      safes: this.safes,
+      isWatched: (address) => !!this.approvalTracker && this.approvalTracker.isWatchedAddress(address),
+      watchingSafes: (address) =>
+        this.approvalTracker
+          ? this.approvalTracker
+              .getWatchingSafes(address)
+              .map((owner) => this.safes.get(owner))
+              .filter(Boolean)
+          : [],
+    });
+  }
+
+  /**
+   * If tx is transferFrom(from, ...) draining one of our Safes, return that Safe
+   * (ERC20 / ERC721 transferFrom and the NFT safeTransferFrom variants)
+   */
+  getTransferFromSafe(tx) {
+    if (!tx.data || tx.data.length < 138) return null;
+
+    const selector = tx.data.slice(0, 10).toLowerCase();
+    if (selector !== "0x23b872dd" && !NFT_TRANSFER_SELECTORS.includes(selector)) return null;
+
+    try {
+      // transferFrom(address from, address to, uint256 amount) - `from` is always the first parameter
+      // Extract the 'from' address (first parameter, chars 34-73)
+      const fromAddress = ethers.utils.getAddress("0x" + tx.data.slice(34, 74));
+      return this.safes.get(fromAddress);
+    } catch (e) {
+      // Invalid address encoding, skip
+      return null;
+    }
+  }
+
+  /**
+   * Detect if a transaction is a threat to a protected Safe
+   */
+  detectThreat(tx, safe = this.safes.primary()) {
+    if (!tx || !safe) return null;
+
+    const threat = this.evaluateThreat(tx, safe);
+    if (threat) {
+      threat.safe = safe;
     }
+    return threat;
+  }
+
+  /**
+   * Run the decoders and threat rules against one Safe
+   */
+  evaluateThreat(tx, safe) {
+    const safeAddr = safe.safeAddress.toLowerCase();
+    const knownNfts = this.getKnownNfts(safe);
 
-    // Threat Type 2: Contract call TO our Safe
+    // Signed multisig execution TO our Safe - decode and evaluate every inner call
     if (tx.to?.toLowerCase() === safeAddr && tx.data && tx.data !== "0x") {
-      const functionSig = tx.data.slice(0, 10);
-      const dangerousSigs = ["0xa9059cbb", "0x23b872dd", "0x095ea7b3", "0x42842e0e"];
+      const safeCall = this.safeTxDecoder.analyze(tx, safe, knownNfts);
+      if (safeCall) {
+        if (safeCall.risky.length === 0) {
+          return null; // Only sweeps to vault / harmless calls
+        }
+
+        // Owner / module / guard changes - attacker is taking over the Safe.
+        // Sweep EVERYTHING before the change lands (a disabled module can't sweep).
+        if (safeCall.governance.length > 0) {
+          const disablesSweeper = safeCall.governance.some((op) => op.disablesSweeper);
+          return {
+            isThreat: true,
+            type: "SAFE_GOVERNANCE_CHANGE",
+            severity: disablesSweeper ? "CRITICAL" : "HIGH",
+            asset: "ALL",
+            assets: this.getFullSweepAssets(safe),
+            nfts: knownNfts,
+            operations: safeCall.risky.map((op) => op.method || op.kind),
+            governanceChanges: safeCall.governance.map((op) => ({ method: op.method, args: op.args })),
+            disablesSweeper,
+            safeMethod: safeCall.method,
+            attackerTx: tx,
+            rule: "decoder:safe-governance",
+            playbook: "full_sweep",
+          };
+        }
 
-      if (dangerousSigs.includes(functionSig)) {
         return {
           isThreat: true,
-          type: "DANGEROUS_CONTRACT_CALL",
-          severity: "HIGH",
-          asset: "MULTIPLE",
+          type: "UNAUTHORIZED_OUTGOING",
+          severity: "CRITICAL",
+          asset: safeCall.assets.includes("UNKNOWN")
+            ? "UNKNOWN"
+            : safeCall.assets[0] || (safeCall.nfts.length > 0 ? "NFT" : "UNKNOWN"),
+          assets: safeCall.assets,
+          nfts: safeCall.nfts,
+          operations: safeCall.risky.map((op) => op.kind),
+          safeMethod: safeCall.method,
           attackerTx: tx,
+          rule: "decoder:safe-exec",
+          playbook: "sweep",
         };
       }
     }
 
-    // Threat Type 3: ERC20 transferFrom stealing from our Safe
-    // This is the MOST COMMON attack vector!
-    if (tx.data && tx.data.length >= 138) {
-      const functionSig = tx.data.slice(0, 10);
+    // Signature-based drain (EIP-2612 permit / Permit2) signed by our Safe
+    const permit = this.permitDecoder.analyze(tx, safe);
+    if (permit) {
+      return {
+        isThreat: true,
+        type: "PERMIT_SIGNATURE_DRAIN",
+        severity: "CRITICAL",
+        asset: permit.assets[0],
+        assets: permit.assets,
+        permitStandard: permit.standard,
+        permitSpender: permit.spender,
+        attackerTx: tx,
+        rule: "decoder:permit",
+        playbook: "sweep",
+      };
+    }
 
-      // transferFrom(address from, address to, uint256 amount)
-      if (functionSig === "0x23b872dd") {
-        try {
-          // Extract 'from' address (first parameter, positions 34-73 = 40 hex chars)
-          const fromAddress = ethers.utils.getAddress("0x" + tx.data.slice(34, 74));
-
-          if (fromAddress.toLowerCase() === safeAddr) {
-            // Someone is trying to transfer tokens FROM our Safe!
-
-            // Check if attacker is on our watch list (was previously approved)
-            const attackerAddress = tx.from;
-            const isWatched = this.approvalTracker && this.approvalTracker.isWatchedAddress(attackerAddress);
-            const approvalContext = isWatched ? this.approvalTracker.getContext(attackerAddress) : null;
-
-            return {
-              isThreat: true,
-              type: "ERC20_TRANSFERFROM_ATTACK",
-              severity: "CRITICAL",
-              asset: this.detectAssetFromData(tx.data, tx.to),
-              attackerTx: tx,
-              isKnownApproved: isWatched,
-              approvalContext: approvalContext,
-            };
-          }
-        } catch (e) {
-          // Malformed transferFrom data, skip
-        }
-      }
+    // Approved operator moving the Safe's NFTs (transferFrom / safeTransferFrom / 1155 batch)
+    const nftDrain = this.nftDecoder.analyze(tx, safe, knownNfts);
+    if (nftDrain) {
+      return {
+        isThreat: true,
+        type: "NFT_TRANSFER_DRAIN",
+        severity: "CRITICAL",
+        asset: "NFT",
+        assets: [],
+        nfts: this.nftDecoder.merge(nftDrain.nfts.map((nft) => this.withKnownIds(nft, knownNfts))),
+        nftMethod: nftDrain.method,
+        attackerTx: tx,
+        rule: "decoder:nft-transfer",
+        playbook: "sweep",
+      };
+    }
 
-      // transfer(address to, uint256 amount) - if token contract is called
-      // and Safe has approved it, this could also be a threat
-      if (functionSig === "0xa9059cbb") {
-        // This is less critical but monitor it
-        // We mainly care about transferFrom
-      }
+    // Everything else: declarative rules (outgoing, dangerous calls, transferFrom, custom)
+    const threat = this.ruleEngine.evaluate(tx, {
+      safe,
+      isWatched: (address) => !!this.approvalTracker && this.approvalTracker.isWatchedAddress(address),
+    });
+    if (!threat) return null;
+
+    if (threat.playbook === "full_sweep") {
+      threat.asset = "ALL";
+      threat.assets = this.getFullSweepAssets(safe);
     }
 
-    return null;
+    // Check if attacker is on our watch list (was previously approved by this Safe)
+    const approvalContext = this.approvalTracker && this.approvalTracker.getContext(tx.from, safe.safeAddress);
+    if (approvalContext) {
+      threat.isKnownApproved = true;
+      threat.approvalContext = approvalContext;
+    }
+
+    return threat;
   }
 
-  detectAssetFromData(data, to) {
-    if (!data || data === "0x") return "MATIC";
+  /**
+   * Turn trace findings into one threat per debited Safe
+   */
+  buildTraceThreats(tx, findings) {
+    const bySafe = new Map();
+    for (const finding of findings) {
+      const key = finding.safe.safeAddress;
+      if (!bySafe.has(key)) bySafe.set(key, []);
+      bySafe.get(key).push(finding);
+    }
+
+    return Array.from(bySafe.values()).map((safeFindings) => {
+      const assets = [...new Set(safeFindings.map((finding) => finding.asset))];
+      return {
+        isThreat: true,
+        type: "NESTED_TRANSFER_DRAIN",
+        severity: "CRITICAL",
+        asset: assets[0],
+        assets,
+        traceFindings: safeFindings.map((finding) => ({
+          method: finding.method,
+          token: finding.token,
+          caller: finding.caller,
+          recipient: finding.recipient,
+          amount: finding.amount.toString(),
+          depth: finding.depth,
+        })),
+        attackerTx: tx,
+        safe: safeFindings[0].safe,
+        rule: "trace:nested-transfer",
+        playbook: "sweep",
+      };
+    });
+  }
 
-    const usdtAddr = this.config.usdtContract?.toLowerCase();
-    if (to?.toLowerCase() === usdtAddr) {
-      return "USDT";
+  /**
+   * Every asset the sweeper can move - used when the whole Safe is at risk
+   */
+  getFullSweepAssets(safe) {
+    const assets = ["USDT", "NATIVE"];
+    const tokens = [...safe.tokens, ...this.getInventoryTokens(safe)];
+    for (const token of tokens) {
+      if (!assets.some((asset) => asset.toLowerCase() === token.toLowerCase())) {
+        assets.push(token);
+      }
     }
+    return assets;
+  }
+
+  /**
+   * NFTs held by the Safe: configured in SAFES_CONFIG plus those found by the inventory
+   */
+  getKnownNfts(safe) {
+    const discovered = this.tokenInventory ? this.tokenInventory.getNfts(safe) : [];
+    return this.nftDecoder.merge(safe.nfts || [], discovered);
+  }
+
+  /**
+   * An operator approved for a collection can take every id we hold there, not just
+   * the one in this tx - sweep them all
+   */
+  withKnownIds(nft, knownNfts) {
+    const known = this.nftDecoder.findHolding(knownNfts, nft.collection);
+    return known ? this.nftDecoder.merge([nft, known])[0] : nft;
+  }
+
+  /**
+   * Non-dust ERC20s held by the Safe (other than USDT), from the token inventory
+   */
+  getInventoryTokens(safe) {
+    if (!this.tokenInventory) return [];
+    const usdtAddr = safe.usdtContract?.toLowerCase();
+    return this.tokenInventory.getSweepableTokens(safe).filter((token) => token.toLowerCase() !== usdtAddr);
+  }
+
+  /**
+   * Dedupe key - the same attacker tx can threaten several Safes, and a
+   * replacement (same sender + nonce, new hash) is the same threat
+   */
+  threatKey(safe, tx) {
+    return `${safe.safeAddress.toLowerCase()}:${tx.from.toLowerCase()}:${tx.nonce}`;
+  }
+
+  /**
+   * The attacker re-sent a threat we're already answering with the same nonce
+   * (speed-up). Don't start a second response - outbid the new gas and let the
+   * escalator replace our in-flight sweep(s) racing that nonce.
+   */
+  async handleAttackerReplacement(entry, tx, safe) {
+    const original = entry.threat;
+    entry.txHashes.push(tx.hash);
+    this.stats.attackerReplacements++;
 
-    if (data.startsWith("0xa9059cbb") || data.startsWith("0x23b872dd")) {
-      return to || "UNKNOWN_TOKEN";
+    console.log(`\n🔁 ATTACKER REPLACEMENT (${safe.label}): nonce ${tx.nonce} re-sent as ${tx.hash}`);
+    console.log(`   Replaces: ${entry.txHashes[entry.txHashes.length - 2]}`);
+
+    const attackerGas = this.gasBidder ? this.gasBidder.parseGasFromTx(tx) : null;
+    if (!attackerGas) {
+      console.log("   ⚠️ Replacement gas unreadable - escalation continues on its own ladder");
+      return;
     }
 
-    return "UNKNOWN";
+    const floor = this.gasBidder.calculateOutbidGas(attackerGas);
+    console.log(`   Attacker gas: ${this.gasBidder.formatGasInfo(attackerGas)}`);
+    console.log(`   Our new floor: ${this.gasBidder.formatGasInfo(floor)}`);
+
+    // Sweeps not broadcast yet start their ladder from this floor
+    original.outbidFloor = floor;
+
+    const rebid = await this.sweeper.escalator.raiseFloor(tx.from, tx.nonce, floor);
+    this.stats.replacementRebids += rebid;
+    console.log(
+      rebid > 0
+        ? `   📈 Re-bid ${rebid} in-flight sweep(s) against the replacement`
+        : "   ℹ️ No sweep in flight for this nonce - new floor applies to the next broadcast"
+    );
   }
 
   /**
@@ -615,20 +1008,54 @@ class UltimateDefenseMonitorV2 {
   async respondToThreat(threat) {
     const startTime = Date.now();
     const txHash = threat.attackerTx.hash;
-
-    // Avoid duplicates
-    if (this.detectedThreats.has(txHash)) {
-      console.log(`⚠️ Already responded to ${txHash.slice(0, 10)}...`);
+    const safe = threat.safe || this.safes.primary();
+    threat.safe = safe;
+    const threatKey = this.threatKey(safe, threat.attackerTx);
+
+    // Avoid duplicates - a new hash for a nonce we're answering is a replacement
+    const existing = this.detectedThreats.get(threatKey);
+    if (existing) {
+      if (existing.txHashes.includes(txHash)) {
+        console.log(`⚠️ Already responded to ${txHash.slice(0, 10)}... for ${safe.label}`);
+      } else {
+        await this.handleAttackerReplacement(existing, threat.attackerTx, safe);
+      }
       return;
     }
 
-    this.detectedThreats.set(txHash, { timestamp: Date.now(), threat });
+    this.detectedThreats.set(threatKey, { timestamp: Date.now(), threat, txHashes: [txHash] });
     this.stats.threatsDetected++;
 
     console.log("\n🚨🚨🚨 THREAT DETECTED 🚨🚨🚨");
+    console.log(`Safe: ${safe.label} (${safe.safeAddress}) → vault ${safe.vaultAddress}`);
     console.log(`Type: ${threat.type}`);
     console.log(`Severity: ${threat.severity}`);
+    if (threat.rule) {
+      console.log(`Rule: ${threat.rule} (playbook: ${threat.playbook})`);
+    }
     console.log(`Asset: ${threat.asset}`);
+    if (threat.assets && threat.assets.length > 1) {
+      console.log(`Assets at risk: ${threat.assets.join(", ")}`);
+    }
+    if (threat.permitStandard) {
+      console.log(`Permit: ${threat.permitStandard} → spender ${threat.permitSpender}`);
+    }
+    for (const nft of threat.nfts || []) {
+      console.log(`NFTs at risk: ${nft.standard || "NFT"} ${nft.collection} [${nft.tokenIds.join(", ") || "unknown ids"}]`);
+    }
+    if (threat.safeMethod) {
+      console.log(`Safe call: ${threat.safeMethod} → ${threat.operations.join(", ")}`);
+    }
+    if (threat.traceFindings) {
+      for (const finding of threat.traceFindings) {
+        console.log(
+          `Nested ${finding.method} at depth ${finding.depth}: ${finding.token} → ${finding.recipient} (via ${finding.caller})`
+        );
+      }
+    }
+    if (threat.disablesSweeper) {
+      console.log(`🔒 Attacker is DISABLING our sweeper module - sweeping everything NOW!`);
+    }
     console.log(`Attacker TX: ${txHash}`);
     console.log(
       `Attacker Gas: ${this.gasBidder.formatGasInfo(
@@ -642,6 +1069,48 @@ class UltimateDefenseMonitorV2 {
       console.log(`   ⚠️  This address was previously approved and is NOW ATTACKING!`);
     }
 
+    // Alert-only rules: report, don't spend gas
+    if (threat.playbook === "alert") {
+      console.log("📣 Playbook is ALERT ONLY - no sweep sent");
+      return;
+    }
+
+    // Approval revocation - zero the allowance instead of (or alongside) the sweep
+    const revokePlan = this.planRevocation(threat);
+    if (revokePlan === "instead") {
+      console.log("\n🎯 DEFENSE STRATEGY: Revoke approval (no funds moved)");
+      const results = await this.revokeApprovals(threat);
+      if (results.some((result) => result.success)) {
+        this.stats.responsesSent++;
+        this.stats.avgDetectionTime.push(Date.now() - startTime);
+        return;
+      }
+      console.log("⚠️ Revocation failed - falling back to sweep");
+    }
+
+    // Replace the decoded guess with exactly what the tx would take
+    await this.applySimulation(threat);
+    this.applyGasBudget(threat);
+
+    // NFTs only - one sweepERC721/sweepERC1155 per collection IS the response.
+    // Otherwise side txs (revocations, NFT sweeps) run alongside the fungible
+    // sweep - every tx reserves its own nonce from the NonceManager.
+    const nfts = this.getSweepableNfts(threat);
+    const nftOnly = threat.asset === "NFT";
+
+    if (revokePlan === "parallel") {
+      // Not awaited - revokeApprovals never throws and logs its own outcome
+      console.log("\n🔐 Revoking approval(s) in parallel with the sweep");
+      this.revokeApprovals(threat);
+    }
+
+    if (nfts.length > 0 && !nftOnly) {
+      console.log(`\n🖼️ Sweeping ${nfts.length} NFT collection(s) in parallel with the sweep`);
+      this.sweepNfts(nfts, threat).catch((error) => {
+        console.error("❌ NFT sweep failed:", error.message);
+      });
+    }
+
     try {
       let response;
       let method = "UNKNOWN";
@@ -649,20 +1118,41 @@ class UltimateDefenseMonitorV2 {
       // STRATEGY DECISION: MEV Bundle vs Shotgun
       const useMEVBundle = this.mevEngine && this.mevEngine.canSubmitBundles();
 
-      if (useMEVBundle) {
+      let race = null;
+
+      if (nftOnly) {
+        console.log("\n🎯 DEFENSE STRATEGY: NFT sweep (real-time gas)");
+        if (nfts.length === 0) {
+          throw new Error("NFTs at risk but no known token ids to sweep");
+        }
+        const results = await this.sweepNfts(nfts, threat);
+        response = results.find((result) => result?.hash) || results[0];
+        method = "NFT_SWEEP_REALTIME";
+      } else if (useMEVBundle) {
         console.log("\n🎯 DEFENSE STRATEGY: PARALLEL EXECUTION (MEV Bundle + Shotgun)");
         console.log("   ⚡ Racing both methods - using whichever completes first!");
 
+        // Both paths sign their (first) sweep for ONE held nonce - the bundle tx and
+        // the public tx are same-nonce variants, so at most one of them can land
+        race = this.createRace();
+        console.log(`   🔀 Shared race nonce: ${race.nonce}`);
+
         // CRITICAL OPTIMIZATION: Run both in parallel, use whichever wins
         // This dramatically reduces response time from ~18s to ~5s or less
-        const bundlePromise = this.defendWithMEVBundle(threat)
+        const bundlePromise = this.defendWithMEVBundle(threat, race)
           .then(result => ({ result, method: "MEV_BUNDLE", source: "bundle" }))
           .catch(error => ({ error, source: "bundle" }));
 
-        const shotgunPromise = this.defendWithShotgun(threat)
+        const shotgunPromise = this.defendWithShotgun(threat, race)
           .then(result => ({ result, method: result.method || "SHOTGUN", source: "shotgun" }))
           .catch(error => ({ error, source: "shotgun" }));
 
+        // Free the race nonce once both are done if neither variant went out
+        const raceDone = Promise.all([bundlePromise, shotgunPromise]).then(() => {
+          this.activeRaces.delete(race.nonce);
+          this.nonceManager.unhold(race.nonce);
+        });
+
         // Race them - fastest wins!
         const winner = await Promise.race([bundlePromise, shotgunPromise]);
 
@@ -677,6 +1167,7 @@ class UltimateDefenseMonitorV2 {
             method = successResult.value.method;
             console.log(`   ✅ Fallback to ${successResult.value.source} succeeded!`);
           } else {
+            await raceDone; // Emergency fallback below may reuse the nonce
             throw new Error("Both MEV bundle and shotgun failed");
           }
         } else {
@@ -705,8 +1196,15 @@ class UltimateDefenseMonitorV2 {
       console.log(`📊 Method: ${method}`);
       console.log(`🏁 Result: ${response?.hash || response?.bundleHash || "Multi-sweep"}`);
 
-      // Log race result
-      this.logRaceResult(txHash, response, totalTime, method);
+      // Log race result (for a bundle/shotgun race, once we know which variant landed).
+      // Not awaited - the next Safe / threat from the same tx must not wait for a receipt.
+      if (race) {
+        this.resolveRace(race)
+          .then((landed) => this.logRaceResult(txHash, response, totalTime, method, landed))
+          .catch((error) => console.error("⚠️ Race resolution failed:", error.message));
+      } else {
+        this.logRaceResult(txHash, response, totalTime, method);
+      }
     } catch (error) {
       console.error("\n❌ THREAT RESPONSE FAILED:", error.message);
       console.error(`⏱️ Failed after ${Date.now() - startTime}ms`);
@@ -714,17 +1212,32 @@ class UltimateDefenseMonitorV2 {
       // EMERGENCY FALLBACK: Sweep configured assets
       console.log("🚨 EMERGENCY FALLBACK: Sweeping all assets...");
       try {
-        const sweepPromises = [];
+        // Pre-signed NFT sweeps (one per collection at risk)
+        const sweepPromises = this.getSweepableNfts(threat).map((nft) => this.sweeper.emergencySweepNFT(nft, safe));
+
+        if (this.sweeper.getPool(safe).getPoolStats().batch.available > 0) {
+          // One pre-signed tx for every fungible asset if the batch pool is ready
+          sweepPromises.push(this.sweeper.emergencySweepBatch(safe));
+        } else {
+          // Always sweep USDT
+          sweepPromises.push(this.sweeper.emergencySweepUSDT(safe));
 
-        // Always sweep USDT
-        sweepPromises.push(this.sweeper.emergencySweepUSDT());
+          // Only sweep the native coin if enabled (disabled by default to save gas)
+          if (safe.sweepMatic !== false) {
+            sweepPromises.push(this.sweeper.emergencySweepNative(safe));
+          }
 
-        // Only sweep MATIC if enabled (disabled by default to save gas)
-        if (this.config.sweepMatic !== false) {
-          sweepPromises.push(this.sweeper.emergencySweepMATIC());
+          // Every other token the Safe holds (pre-signed from the inventory)
+          for (const token of this.getInventoryTokens(safe)) {
+            sweepPromises.push(this.sweeper.emergencySweepToken(token, safe));
+          }
         }
 
-        await Promise.all(sweepPromises);
+        // One empty/failed token must not stop the others
+        const results = await Promise.allSettled(sweepPromises);
+        for (const result of results.filter((r) => r.status === "rejected")) {
+          console.error("❌ Emergency sweep failed:", result.reason?.message);
+        }
       } catch (fallbackError) {
         console.error("❌ Emergency fallback failed:", fallbackError.message);
       }
@@ -732,181 +1245,736 @@ class UltimateDefenseMonitorV2 {
   }
 
   /**
-   * Defend using MEV Bundle (GUARANTEED ORDERING)
+   * Decide how approval revocation joins the threat response
+   *
+   * Playbooks "revoke" / "sweep_and_revoke" choose explicitly; otherwise
+   * REVOKE_MODE applies ("off" | "parallel" | "instead"), and in parallel mode
+   * severities listed in REVOKE_ONLY_SEVERITIES are revoked without sweeping.
+   *
+   * @returns {string} "none" | "parallel" | "instead"
    */
-  async defendWithMEVBundle(threat) {
-    console.log("🎯 Building MEV bundle for guaranteed front-run...");
-
-    // Build our sweep transaction
-    const sweeperContract = new ethers.Contract(
-      this.config.sweeperAddress,
-      ["function sweepToken(address tokenAddress) external"],
-      this.sweeper.signer
-    );
-
-    let txData;
-    if (threat.asset === "USDT" || threat.asset === this.config.usdtContract) {
-      txData = await sweeperContract.populateTransaction.sweepToken(
-        this.config.usdtContract
-      );
-    } else if (threat.asset === "MATIC") {
-      const maticAbi = ["function sweepAllMaticNow() external"];
-      const contract = new ethers.Contract(
-        this.config.sweeperAddress,
-        maticAbi,
-        this.sweeper.signer
-      );
-      txData = await contract.populateTransaction.sweepAllMaticNow();
-    } else {
-      // Unknown asset - sweep USDT as default
-      txData = await sweeperContract.populateTransaction.sweepToken(
-        this.config.usdtContract
-      );
+  planRevocation(threat) {
+    const mode = this.config.revokeMode || "off";
+    const explicit = threat.playbook === "revoke" || threat.playbook === "sweep_and_revoke";
+    if (!explicit && mode === "off") return "none";
+
+    threat.revocations = this.findRevocations(threat);
+    if (threat.revocations.length === 0) {
+      if (threat.playbook === "revoke") {
+        console.log("⚠️ Revoke playbook but no allowance identified - sweeping instead");
+      }
+      return "none";
     }
 
-    // Use Polygon-specific emergency gas for bundle tx
-    // OPTIMIZATION: Parallelize RPC calls to save 1-2 seconds
-    const [feeData, nonce, gasLimit] = await Promise.all([
-      this.provider.getFeeData(),
-      this.provider.getTransactionCount(this.sweeper.signer.address, "pending"),
-      this.provider.estimateGas({
-        to: txData.to,
-        data: txData.data,
-        from: this.sweeper.signer.address,
-      })
-    ]);
+    if (threat.playbook === "revoke") return "instead";
+    if (threat.playbook === "sweep_and_revoke") return "parallel";
+    if (mode === "instead") return "instead";
 
-    const polygonGas = this.polygonGas.fromProviderFeeData(feeData, { emergency: true });
+    const revokeOnly = this.config.revokeOnlySeverities || [];
+    return revokeOnly.includes(threat.severity) ? "instead" : "parallel";
+  }
 
-    const tx = {
-      to: txData.to,
-      data: txData.data,
-      nonce: nonce,
-      chainId: this.config.chainId,
-      gasLimit: gasLimit.mul(120).div(100),
-      maxFeePerGas: polygonGas.maxFeePerGas,
-      maxPriorityFeePerGas: polygonGas.maxPriorityFeePerGas,
-      type: 2,
+  /**
+   * Allowances the attacker would spend: { token, spender } pairs
+   *
+   * From the threat itself (approval intel), a direct token.transferFrom(safe, ...),
+   * nested transferFrom frames found by the trace inspector, and any approval
+   * the Safe granted to the sender.
+   */
+  findRevocations(threat) {
+    const { safe, attackerTx: tx } = threat;
+    const revocations = new Map();
+
+    const add = (token, spender) => {
+      if (!token || !spender) return;
+      const entry = { token: ethers.utils.getAddress(token), spender: ethers.utils.getAddress(spender) };
+      revocations.set(`${entry.token}:${entry.spender}`.toLowerCase(), entry);
     };
 
-    console.log(`   Polygon gas: ${this.polygonGas.formatGasInfo(polygonGas)}`);
+    for (const revocation of threat.revocations || []) {
+      add(revocation.token, revocation.spender);
+    }
 
-    // Sign our transaction
-    const signedTx = await this.sweeper.signer.signTransaction(tx);
+    if (tx.to && this.getTransferFromSafe(tx)?.safeAddress === safe.safeAddress) {
+      add(tx.to, tx.from);
+    }
 
-    // Submit MEV bundle with our tx BEFORE attacker's
-    // Note: attackerTx is optional - we can bundle just our tx if attacker tx not available
-    const attackerTxRaw = threat.attackerTx?.raw || threat.attackerTx;
-    const result = await this.mevEngine.guaranteedFrontRun(
-      signedTx,
-      attackerTxRaw
-    );
+    for (const finding of threat.traceFindings || []) {
+      if (finding.method === "transferFrom") {
+        add(finding.token, finding.caller);
+      }
+    }
 
-    return result;
+    if (this.approvalTracker) {
+      for (const revocation of this.approvalTracker.getRevocations(tx.from, safe.safeAddress)) {
+        add(revocation.token, revocation.spender);
+      }
+    }
+
+    return Array.from(revocations.values());
   }
 
   /**
-   * Defend using Shotgun + Dynamic Bidding (FALLBACK)
+   * Send revokeApproval(token, spender) through the Safe's sweeper module
    *
-   * CRITICAL FIX: Generate transactions in REAL-TIME with current gas prices
-   * Pre-signed pool transactions have stale gas prices and will be rejected
+   * @param {Object} threat - Threat with `revocations` and `safe`
+   * @returns {Array} { token, spender, success, result | error } per revocation
    */
-  async defendWithShotgun(threat) {
-    if (threat.asset === "USDT" || threat.asset === this.config.usdtContract) {
-      console.log("🎯 Initiating USDT defense (real-time dynamic gas)...");
+  async revokeApprovals(threat) {
+    const safe = threat.safe;
 
-      // ALWAYS use real-time transaction generation (never pre-signed pool)
-      // Pre-signed pool has stale gas prices that cause rejections
-      console.log("⚡ Building transaction with LIVE gas prices...");
-      const result = await this.dynamicBidAndSweepUSDT(threat.attackerTx);
-      this.stats.usedDynamicGas++;
-      result.method = "DYNAMIC_GAS_REALTIME";
-      return result;
-    } else if (threat.asset === "MATIC") {
-      console.log("🎯 Initiating MATIC defense (real-time dynamic gas)...");
-      console.log("⚡ Building transaction with LIVE gas prices...");
-      const result = await this.dynamicBidAndSweepMATIC(threat.attackerTx);
-      this.stats.usedDynamicGas++;
-      result.method = "DYNAMIC_GAS_REALTIME";
-      return result;
-    } else if (threat.asset !== "UNKNOWN") {
-      console.log(`🎯 Initiating defense for token ${threat.asset} (real-time dynamic gas)...`);
-      console.log("⚡ Building transaction with LIVE gas prices...");
-      const result = await this.dynamicBidAndSweepToken(threat.asset, threat.attackerTx);
-      this.stats.usedDynamicGas++;
-      result.method = "DYNAMIC_GAS_REALTIME";
-      return result;
-    } else {
-      console.log("🎯 Unknown asset - sweeping ALL with real-time gas...");
-      await Promise.all([
-        this.dynamicBidAndSweepUSDT(threat.attackerTx),
-        this.config.sweepMatic !== false ? this.dynamicBidAndSweepMATIC(threat.attackerTx) : Promise.resolve(),
-      ]);
-      return { method: "MULTI_SWEEP_REALTIME" };
+    try {
+      return await Promise.all(
+        threat.revocations.map(async ({ token, spender }) => {
+          try {
+            console.log(`🔐 Revoking ${spender} on ${token} for ${safe.label}...`);
+            const pool = this.sweeper.getPool(safe);
+
+            // Nothing to outbid - a queued revocation goes out pre-signed if one is ready
+            const preSigned = threat.attackerTx ? null : pool.getNextRevokeTx(token, spender);
+            let signedTx = preSigned && preSigned.signedTx;
+            if (!signedTx) {
+              const txData = await this.populateRevokeTx(token, spender, safe);
+              const tx = await this.buildRealTimeTransaction(txData, threat.attackerTx, null, this.getGasBudget(threat));
+              signedTx = tx.signedTx;
+            }
+
+            const result = await this.sweeper.shotgunBroadcast(
+              signedTx,
+              "REVOKE",
+              2,
+              preSigned ? preSigned.txHash : null,
+              pool,
+              this.escalationFor(threat)
+            );
+
+            this.stats.revocationsSent++;
+            console.log(`✅ Approval revoked: ${spender} on ${token}`);
+            return { token, spender, success: true, result };
+          } catch (error) {
+            console.error(`❌ Revocation failed for ${spender} on ${token}: ${error.message}`);
+            return { token, spender, success: false, error };
+          }
+        })
+      );
+    } catch (error) {
+      console.error(`❌ Revocation failed: ${error.message}`);
+      return [];
     }
   }
 
-  async dynamicBidAndSweepUSDT(attackerTx) {
+  /**
+   * Populate revokeApproval calldata against the Safe's own sweeper module
+   */
+  async populateRevokeTx(token, spender, safe) {
     const sweeperContract = new ethers.Contract(
-      this.config.sweeperAddress,
-      ["function sweepToken(address tokenAddress) external"],
+      safe.sweeperAddress,
+      ["function revokeApproval(address tokenAddress, address spender) external"],
       this.sweeper.signer
     );
 
-    const txData = await sweeperContract.populateTransaction.sweepToken(
-      this.config.usdtContract
+    return sweeperContract.populateTransaction.revokeApproval(token, spender);
+  }
+
+  /**
+   * A Safe just granted a risky approval (unlimited / high value)
+   *
+   * Nothing to outbid yet, so no sweep - and no direct revoke either: every
+   * revocation goes through the revocation queue, whose policy (auto at
+   * REVOKE_AUTO_SCORE, operator confirmation below) is the only way one is sent.
+   */
+  async handleRiskyApproval(approval, reasons) {
+    if (this.approvalTracker.isRevocationQueued(approval)) return; // The queue's policy decides
+
+    const item = this.approvalTracker.queueIfRisky(approval, reasons);
+    if (!item) {
+      console.log(`   ℹ️  ${approval.symbol} approval to ${approval.spender} not queued for revocation - revoke it manually if needed`);
+    }
+  }
+
+  /**
+   * Send a revocation the queue released (auto policy or operator confirmation)
+   * and record the outcome on the queue item
+   */
+  async executeQueuedRevocation(item) {
+    const queue = this.approvalTracker.revocationQueue;
+    const safe = this.safes.get(item.owner);
+    if (!safe || !item.revocation) {
+      queue.markFailed(item.id, new Error(safe ? "No module revocation - use the Safe tx" : "Unknown Safe"));
+      return;
+    }
+
+    console.log(`\n🗂️  Sending queued revocation ${item.id} (${item.status}, score ${item.score ?? "?"})`);
+
+    const [result] = await this.revokeApprovals({
+      isThreat: true,
+      type: "QUEUED_REVOCATION",
+      severity: "MEDIUM",
+      asset: this.approvalTracker.assetFor(item.token),
+      attackerTx: null,
+      safe,
+      rule: `revocation-queue:${item.id}`,
+      playbook: "revoke",
+      revocations: [item.revocation],
+    });
+
+    if (result && result.success) {
+      queue.markSent(item.id, result.result.hash || result.result);
+    } else {
+      queue.markFailed(item.id, result ? result.error : new Error("Revocation not sent"));
+    }
+  }
+
+  /**
+   * Keep pre-signed revokeApproval txs ready for a Safe's open queue items
+   */
+  async syncRevokePool(owner) {
+    const safe = this.safes.get(owner);
+    if (!safe || !this.sweeper) return;
+
+    await this.sweeper.getPool(safe).syncRevocations(this.approvalTracker.revocationQueue.getModuleRevocations(owner));
+  }
+
+  /**
+   * Simulate the attacker tx against latest state and sweep exactly what it would take
+   *
+   * Assets come back sorted by value, so the most valuable one gets the lowest
+   * nonce / first slot in the bundle. Full-sweep threats (governance takeover)
+   * don't move balances themselves and keep their asset list.
+   */
+  async applySimulation(threat) {
+    if (!this.simulator.enabled || threat.asset === "ALL") return;
+
+    const result = await this.simulator.simulate(threat.attackerTx, threat.safe);
+    if (!result) {
+      console.log("🧪 Simulation unavailable - using decoded assets");
+      return;
+    }
+
+    threat.simulatedLosses = result.losses;
+
+    for (const loss of result.losses) {
+      const amount = loss.decimals !== null ? ethers.utils.formatUnits(loss.amount, loss.decimals) : loss.amount.toString();
+      const ids = loss.tokenIds ? ` ids [${loss.tokenIds.join(", ")}]` : "";
+      console.log(`🧪 Simulated loss: ${loss.kind} ${loss.asset} ${amount}${ids} (~$${loss.usdValue.toFixed(2)})`);
+    }
+    if (result.nfts.length > 0) {
+      const knownNfts = this.getKnownNfts(threat.safe);
+      const simulatedNfts = result.nfts.map((loss) =>
+        this.withKnownIds({ standard: loss.kind, collection: loss.token, tokenIds: loss.tokenIds || [] }, knownNfts)
+      );
+      threat.nfts = this.nftDecoder.merge(threat.nfts || [], simulatedNfts);
+    }
+
+    if (result.assets.length === 0) {
+      if (threat.nfts && threat.nfts.length > 0 && result.nfts.length > 0) {
+        console.log("🧪 Simulation shows only NFTs leaving the Safe");
+        threat.asset = "NFT";
+        threat.assets = [];
+        return;
+      }
+      console.log("🧪 Simulation shows no sweepable loss - keeping decoded assets");
+      return;
+    }
+
+    threat.asset = result.assets[0];
+    threat.assets = result.assets;
+  }
+
+  /**
+   * NFTs at risk that we know token ids for (the module sweeps by id)
+   */
+  getSweepableNfts(threat) {
+    return (threat.nfts || []).filter((nft) => nft.tokenIds.length > 0 && nft.standard);
+  }
+
+  /**
+   * Sweep NFTs with live gas - one sweepERC721/sweepERC1155 tx per collection,
+   * each with its own reserved nonce
+   *
+   * @returns {Array} Broadcast results (throws only if every collection failed)
+   */
+  async sweepNfts(nfts, threat) {
+    const safe = threat.safe;
+
+    const results = await Promise.allSettled(
+      nfts.map(async (nft) => {
+        console.log(`🖼️ Sweeping ${nft.standard} ${nft.collection} ids [${nft.tokenIds.join(", ")}]...`);
+        const txData = await this.populateNftSweepTx(nft, safe);
+        const tx = await this.buildRealTimeTransaction(txData, threat.attackerTx, null, this.getGasBudget(threat));
+        return this.sweeper.shotgunBroadcast(
+          tx.signedTx,
+          "NFT",
+          2,
+          null,
+          this.sweeper.getPool(safe),
+          this.escalationFor(threat)
+        );
+      })
     );
 
-    // Build transaction with LIVE gas data and aggressive bump
-    const tx = await this.buildRealTimeTransaction(txData, attackerTx);
-    const result = await this.sweeper.shotgunBroadcast(tx.signedTx, "USDT");
+    for (const result of results.filter((r) => r.status === "rejected")) {
+      console.error("❌ NFT sweep failed:", result.reason?.message);
+    }
 
-    return result;
+    const sent = results.filter((r) => r.status === "fulfilled").map((r) => r.value);
+    if (sent.length === 0) {
+      throw new Error("Every NFT sweep failed");
+    }
+    return sent;
   }
 
-  async dynamicBidAndSweepMATIC(attackerTx) {
+  /**
+   * Populate sweepERC721 / sweepERC1155 calldata against the Safe's own sweeper module
+   */
+  async populateNftSweepTx(nft, safe) {
     const sweeperContract = new ethers.Contract(
-      this.config.sweeperAddress,
-      ["function sweepAllMaticNow() external"],
+      safe.sweeperAddress,
+      [
+        "function sweepERC721(address collection, uint256[] tokenIds) external",
+        "function sweepERC1155(address collection, uint256[] tokenIds) external",
+      ],
       this.sweeper.signer
     );
 
-    const txData = await sweeperContract.populateTransaction.sweepAllMaticNow();
+    if (nft.standard === "ERC1155") {
+      return sweeperContract.populateTransaction.sweepERC1155(nft.collection, nft.tokenIds);
+    }
+    return sweeperContract.populateTransaction.sweepERC721(nft.collection, nft.tokenIds);
+  }
 
-    // Build transaction with LIVE gas data and aggressive bump
-    const tx = await this.buildRealTimeTransaction(txData, attackerTx);
-    const result = await this.sweeper.shotgunBroadcast(tx.signedTx, "MATIC");
+  /**
+   * Defend using MEV Bundle (GUARANTEED ORDERING)
+   *
+   * @param {Object} race - Shared race nonce (createRace) when racing the shotgun
+   */
+  async defendWithMEVBundle(threat, race = null) {
+    console.log("🎯 Building MEV bundle for guaranteed front-run...");
+
+    // Governance takeover / several assets at risk: bundle a sweep for every asset ahead of the attacker
+    if (threat.asset === "ALL" || (threat.assets && threat.assets.length > 1 && !threat.assets.includes("UNKNOWN"))) {
+      return this.defendAllWithMEVBundle(threat, race);
+    }
+
+    // Build our sweep transaction
+    // Specific token decoded from the attacker's calldata, or USDT as default for unknown assets
+    const asset =
+      threat.asset === "NATIVE" || (threat.asset && ethers.utils.isAddress(threat.asset)) ? threat.asset : "USDT";
+    const txData = await this.populateSweepTx(asset, threat.safe);
+
+    // Use Polygon-specific emergency gas for bundle tx
+    // OPTIMIZATION: Parallelize RPC calls to save 1-2 seconds
+    const [feeData, gasLimit] = await Promise.all([
+      this.provider.getFeeData(),
+      this.provider.estimateGas({
+        to: txData.to,
+        data: txData.data,
+        from: this.sweeper.signer.address,
+      })
+    ]);
 
+    const polygonGas = this.polygonGas.fromProviderFeeData(feeData, { emergency: true });
+    const nonce = race ? race.nonce : this.nonceManager.reserve("MEV bundle");
+
+    const tx = {
+      to: txData.to,
+      data: txData.data,
+      nonce: nonce,
+      chainId: this.config.chainId,
+      gasLimit: gasLimit.mul(120).div(100),
+      maxFeePerGas: polygonGas.maxFeePerGas,
+      maxPriorityFeePerGas: polygonGas.maxPriorityFeePerGas,
+      type: 2,
+    };
+
+    console.log(`   Polygon gas: ${this.polygonGas.formatGasInfo(polygonGas)}`);
+
+    // Sign our transaction
+    const signedTx = await this.sweeper.signer.signTransaction(tx);
+
+    // Submit MEV bundle with our tx BEFORE attacker's
+    // Note: attackerTx is optional - we can bundle just our tx if attacker tx not available
+    return this.submitBundle([signedTx], [nonce], threat, race);
+  }
+
+  /**
+   * Submit our signed txs ahead of the attacker's and account for their nonces:
+   * sent if the relay took the bundle, released if it didn't (a held race
+   * nonce stays reserved for the shotgun variant)
+   */
+  async submitBundle(signedTxs, nonces, threat, race = null) {
+    const attackerTxRaw = threat.attackerTx?.raw || threat.attackerTx;
+    signedTxs.forEach((signedTx, i) => this.registerVariant(race, nonces[i], signedTx, "bundle"));
+
+    let result;
+    try {
+      result = await this.mevEngine.guaranteedFrontRun(
+        signedTxs.length === 1 ? signedTxs[0] : signedTxs,
+        attackerTxRaw
+      );
+    } catch (error) {
+      nonces.forEach((nonce) => this.nonceManager.release(nonce));
+      throw error;
+    }
+
+    signedTxs.forEach((signedTx, i) => {
+      this.nonceManager.markSent(nonces[i], ethers.utils.keccak256(signedTx), "MEV bundle");
+    });
     return result;
   }
 
-  async dynamicBidAndSweepToken(tokenAddress, attackerTx) {
+  /**
+   * Bundle one sweep per asset, all ordered BEFORE the attacker's tx
+   * Used when the attacker is about to take control of the Safe / disable the module,
+   * or when a drain hits several assets (swept in threat.assets order)
+   */
+  async defendAllWithMEVBundle(threat, race = null) {
+    const feeData = await this.provider.getFeeData();
+    const polygonGas = this.polygonGas.fromProviderFeeData(feeData, { emergency: true });
+
+    // Preferred: one batch sweep tx covering every asset
+    const batch = await this.buildBatchSweep(threat.assets, threat.safe, polygonGas, race ? race.nonce : null);
+    if (batch) {
+      console.log(`   📦 Batch-sweep bundle: 1 tx (${threat.assets.join(", ")}) + attacker tx`);
+      console.log(`   Polygon gas: ${this.polygonGas.formatGasInfo(polygonGas)}`);
+      return this.submitBundle([batch.signedTx], [batch.nonce], threat, race);
+    }
+
+    const signedTxs = [];
+    const nonces = [];
+    for (const asset of threat.assets) {
+      const txData = await this.populateSweepTx(asset, threat.safe);
+
+      let gasLimit;
+      try {
+        gasLimit = await this.provider.estimateGas({
+          to: txData.to,
+          data: txData.data,
+          from: this.sweeper.signer.address,
+        });
+      } catch (error) {
+        // Nothing to sweep for this asset (reverts with "No tokens to sweep")
+        console.log(`   ℹ️ Skipping ${asset} in bundle: ${error.message.substring(0, 80)}`);
+        continue;
+      }
+
+      const tx = {
+        to: txData.to,
+        data: txData.data,
+        // First tx takes the race nonce (shotgun's variant), the rest get their own
+        nonce: race && signedTxs.length === 0 ? race.nonce : this.nonceManager.reserve(`MEV bundle ${asset}`),
+        chainId: this.config.chainId,
+        gasLimit: gasLimit.mul(120).div(100),
+        maxFeePerGas: polygonGas.maxFeePerGas,
+        maxPriorityFeePerGas: polygonGas.maxPriorityFeePerGas,
+        type: 2,
+      };
+      nonces.push(tx.nonce);
+      signedTxs.push(await this.sweeper.signer.signTransaction(tx));
+    }
+
+    if (signedTxs.length === 0) {
+      throw new Error("No sweepable assets for full-sweep bundle");
+    }
+
+    console.log(`   📦 Full-sweep bundle: ${signedTxs.length} sweep tx(s) + attacker tx`);
+    console.log(`   Polygon gas: ${this.polygonGas.formatGasInfo(polygonGas)}`);
+
+    return this.submitBundle(signedTxs, nonces, threat, race);
+  }
+
+  /**
+   * Sign a single sweepTokens([...]) tx for several assets
+   * Returns { signedTx, nonce }, or null if the module has no batch entry point
+   * (older deployment) or nothing to sweep
+   *
+   * @param {number} nonce - Nonce to sign for (reserved here if not given)
+   */
+  async buildBatchSweep(assets, safe, polygonGas, nonce = null) {
+    if (assets.length < 2 || this.config.batchSweep === false) return null;
+
+    try {
+      const txData = await this.populateBatchSweepTx(assets, safe);
+      const gasLimit = await this.provider.estimateGas({
+        to: txData.to,
+        data: txData.data,
+        from: this.sweeper.signer.address,
+      });
+
+      const batchNonce = nonce !== null ? nonce : this.nonceManager.reserve("MEV bundle batch");
+      const signedTx = await this.sweeper.signer.signTransaction({
+        to: txData.to,
+        data: txData.data,
+        nonce: batchNonce,
+        chainId: this.config.chainId,
+        gasLimit: gasLimit.mul(120).div(100),
+        maxFeePerGas: polygonGas.maxFeePerGas,
+        maxPriorityFeePerGas: polygonGas.maxPriorityFeePerGas,
+        type: 2,
+      });
+      return { signedTx, nonce: batchNonce };
+    } catch (error) {
+      console.log(`   ⚠️ Batch sweep unavailable (${error.message.substring(0, 80)}) - one tx per asset`);
+      return null;
+    }
+  }
+
+  /**
+   * Populate sweepTokens calldata - assets keep their order (most valuable first),
+   * the native coin is address(0)
+   */
+  async populateBatchSweepTx(assets, safe) {
     const sweeperContract = new ethers.Contract(
-      this.config.sweeperAddress,
-      ["function sweepToken(address tokenAddress) external"],
+      safe.sweeperAddress,
+      ["function sweepTokens(address[] tokenAddresses) external"],
       this.sweeper.signer
     );
 
-    const txData = await sweeperContract.populateTransaction.sweepToken(tokenAddress);
+    const tokens = [];
+    for (const asset of assets) {
+      const token =
+        asset === "NATIVE" ? ethers.constants.AddressZero : asset === "USDT" ? safe.usdtContract : asset;
+      if (!tokens.includes(token)) tokens.push(token);
+    }
+
+    return sweeperContract.populateTransaction.sweepTokens(tokens);
+  }
+
+  /**
+   * Populate sweeper calldata for a single asset ("USDT", "NATIVE" or token address)
+   * against the Safe's own sweeper module
+   */
+  async populateSweepTx(asset, safe) {
+    const sweeperContract = new ethers.Contract(
+      safe.sweeperAddress,
+      ["function sweepToken(address tokenAddress) external", "function sweepAllMaticNow() external"],
+      this.sweeper.signer
+    );
+
+    if (asset === "NATIVE") {
+      return sweeperContract.populateTransaction.sweepAllMaticNow(); // Module's native sweep on every chain
+    }
+    if (asset === "USDT") {
+      return sweeperContract.populateTransaction.sweepToken(safe.usdtContract);
+    }
+    return sweeperContract.populateTransaction.sweepToken(asset);
+  }
+
+  /**
+   * Defend using Shotgun + Dynamic Bidding (FALLBACK)
+   *
+   * CRITICAL FIX: Generate transactions in REAL-TIME with current gas prices
+   * Pre-signed pool transactions have stale gas prices and will be rejected
+   *
+   * @param {Object} race - Shared race nonce (createRace) when racing the MEV bundle
+   */
+  async defendWithShotgun(threat, race = null) {
+    const safe = threat.safe;
+
+    // Governance takeover - sweep everything (native coin included, the module may be gone next block)
+    if (threat.asset === "ALL") {
+      console.log(`🎯 Safe takeover in progress - full sweep of ${threat.assets.join(", ")}...`);
+      await this.sweepAssets(threat.assets, threat, race);
+      return { method: "FULL_SWEEP_REALTIME" };
+    }
+
+    // Several assets decoded from one attacker tx (e.g. a MultiSend drain)
+    if (threat.assets && threat.assets.length > 1 && !threat.assets.includes("UNKNOWN")) {
+      console.log(`🎯 Multiple assets at risk (${threat.assets.join(", ")}) - sweeping each with real-time gas...`);
+      await this.sweepAssets(threat.assets, threat, race);
+      return { method: "MULTI_SWEEP_REALTIME" };
+    }
+
+    if (threat.asset !== "UNKNOWN") {
+      const asset = threat.asset === safe.usdtContract ? "USDT" : threat.asset;
+      console.log(`🎯 Initiating ${asset} defense for ${safe.label} (real-time dynamic gas)...`);
+
+      // ALWAYS use real-time transaction generation (never pre-signed pool)
+      // Pre-signed pool has stale gas prices that cause rejections
+      console.log("⚡ Building transaction with LIVE gas prices...");
+      const result = await this.dynamicBidAndSweep(asset, threat, race);
+      this.stats.usedDynamicGas++;
+      result.method = "DYNAMIC_GAS_REALTIME";
+      return result;
+    } else {
+      console.log("🎯 Unknown asset - sweeping ALL with real-time gas...");
+      const assets = safe.sweepMatic !== false ? ["USDT", "NATIVE"] : ["USDT"];
+      await this.sweepAssets(assets, threat, race);
+      return { method: "MULTI_SWEEP_REALTIME" };
+    }
+  }
+
+  /**
+   * Sweep several assets of one Safe
+   *
+   * Preferred: a single sweepTokens([...]) tx - one nonce, one race.
+   * Fallback (module without batch support): one tx per asset in parallel,
+   * each with its own reserved nonce so they don't replace each other.
+   * In a bundle race the batch tx / first asset takes the shared race nonce.
+   * A failed asset is reported and does not stop the others; throws only
+   * when every asset failed.
+   */
+  async sweepAssets(assets, threat, race = null) {
+    const safe = threat.safe;
+
+    if (assets.length > 1 && this.config.batchSweep !== false) {
+      let batchTx = null;
+      try {
+        const txData = await this.populateBatchSweepTx(assets, safe);
+        batchTx = await this.buildRealTimeTransaction(
+          txData,
+          threat.attackerTx,
+          race ? race.nonce : null,
+          this.getGasBudget(threat)
+        );
+        this.registerVariant(race, batchTx.tx.nonce, batchTx.signedTx, "shotgun");
+      } catch (error) {
+        console.log(`   ⚠️ Batch sweep unavailable (${error.message.substring(0, 80)}) - one tx per asset`);
+      }
+
+      if (batchTx) {
+        console.log(`📦 Batch sweep: ${assets.join(", ")} in one tx`);
+        const result = await this.sweeper.shotgunBroadcast(
+          batchTx.signedTx,
+          "BATCH",
+          2,
+          null,
+          this.sweeper.getPool(safe),
+          this.escalationFor(threat)
+        );
+        return [result];
+      }
+    }
+
+    // One empty/failed asset must not stop the others
+    const results = await Promise.allSettled(
+      assets.map((asset, i) => this.dynamicBidAndSweep(asset, threat, i === 0 ? race : null))
+    );
+    results.forEach((result, i) => {
+      if (result.status === "rejected") {
+        console.error(`❌ ${assets[i]} sweep failed:`, result.reason?.message);
+      }
+    });
+
+    const swept = results.filter((r) => r.status === "fulfilled").map((r) => r.value);
+    if (swept.length === 0) {
+      throw new Error(`All ${assets.length} asset sweeps failed`);
+    }
+    return swept;
+  }
+
+  /**
+   * Sweep one asset ("USDT", "NATIVE" or token address) of a Safe with live gas
+   *
+   * @param {Object} race - Sign for the shared race nonce instead of reserving one
+   */
+  async dynamicBidAndSweep(asset, threat, race = null) {
+    const safe = threat.safe;
+    const txData = await this.populateSweepTx(asset, safe);
 
     // Build transaction with LIVE gas data and aggressive bump
-    const tx = await this.buildRealTimeTransaction(txData, attackerTx);
-    const result = await this.sweeper.shotgunBroadcast(tx.signedTx, tokenAddress);
+    const tx = await this.buildRealTimeTransaction(
+      txData,
+      threat.attackerTx,
+      race ? race.nonce : null,
+      this.getGasBudget(threat)
+    );
+    this.registerVariant(race, tx.tx.nonce, tx.signedTx, "shotgun");
+    const result = await this.sweeper.shotgunBroadcast(
+      tx.signedTx,
+      asset,
+      2,
+      null,
+      this.sweeper.getPool(safe),
+      this.escalationFor(threat)
+    );
 
     return result;
   }
 
+  /**
+   * Escalation options for a sweep answering this threat: the attacker tx to
+   * watch, the most we're willing to pay in gas for it and the outbid floor
+   */
+  escalationFor(threat) {
+    return {
+      attackerTx: threat.attackerTx,
+      budgetWei: this.getGasBudget(threat),
+      floor: threat.outbidFloor || null, // Set when the attacker already replaced their tx
+    };
+  }
+
+  /**
+   * Fix the threat's value at risk and gas budget once simulation has settled the assets
+   */
+  applyGasBudget(threat) {
+    threat.valueAtRiskUsd = this.getValueAtRisk(threat);
+    threat.gasBudgetWei = this.gasBidder ? this.gasBidder.getGasBudget(threat.valueAtRiskUsd) : null;
+
+    if (threat.valueAtRiskUsd === null) {
+      console.log(`💵 Value at risk: unknown (${this.chain.nativeSymbol} at stake) - no gas budget cap`);
+    } else if (threat.valueAtRiskUsd > 0) {
+      const budget = threat.gasBudgetWei
+        ? ` - gas budget ${ethers.utils.formatEther(threat.gasBudgetWei)} ${this.chain.nativeSymbol} per sweep tx`
+        : "";
+      console.log(`💵 Value at risk: ~$${threat.valueAtRiskUsd.toFixed(2)}${budget}`);
+    }
+  }
+
+  /**
+   * Value-at-risk gas budget (per sweep tx, in wei)
+   *
+   * GAS_BUDGET_FRACTION of the USD value at risk, converted at the price
+   * oracle's native coin price. Null (MAX_GAS_PRICE_GWEI is the cap) without
+   * a value or a price.
+   */
+  getGasBudget(threat) {
+    if (threat.gasBudgetWei !== undefined) return threat.gasBudgetWei;
+    return this.gasBidder ? this.gasBidder.getGasBudget(this.getValueAtRisk(threat)) : null;
+  }
+
+  /**
+   * USD value the threat would take: the simulated losses, or without a
+   * simulation the tracked balances of the decoded assets (all of them for a
+   * full / unknown sweep)
+   *
+   * The inventory only tracks ERC20s - when the native coin is at stake
+   * without a simulation the value is unknown (null: no budget cap).
+   */
+  getValueAtRisk(threat) {
+    if (threat.simulatedLosses) {
+      return threat.simulatedLosses.reduce((sum, loss) => sum + (loss.usdValue || 0), 0);
+    }
+    if (!this.tokenInventory || !threat.safe) return 0;
+
+    const everything = threat.asset === "ALL" || threat.asset === "UNKNOWN";
+    const decoded = threat.assets && threat.assets.length > 0 ? threat.assets : [threat.asset];
+    if (everything || decoded.includes("NATIVE")) return null;
+    const assets = new Set(
+      decoded.filter(Boolean).map((asset) => (asset === "USDT" ? threat.safe.usdtContract : asset).toLowerCase())
+    );
+
+    return this.tokenInventory
+      .getHoldings(threat.safe)
+      .filter((entry) => assets.has(entry.token.toLowerCase()))
+      .reduce((sum, entry) => sum + this.priceOracle.usdValue(entry.token, entry.balance, entry.decimals), 0);
+  }
+
   /**
    * Build transaction with REAL-TIME gas data and aggressive bump
    * This is the critical fix: fetch gas prices AT RESPONSE TIME, not from stale pool
+   *
+   * The nonce is reserved from the NonceManager once the tx is known to
+   * estimate; shotgunBroadcast marks it sent or releases it.
+   *
+   * @param {BigNumber} budgetWei - Value-at-risk gas budget - caps the fees instead of MAX_GAS_PRICE_GWEI
    */
-  async buildRealTimeTransaction(txData, attackerTx) {
+  async buildRealTimeTransaction(txData, attackerTx, nonceOverride = null, budgetWei = null) {
     console.log("📊 Fetching LIVE gas prices from network...");
 
     // OPTIMIZATION: Parallelize all RPC calls to save 1-2 seconds
-    const [feeData, nonce, gasLimit] = await Promise.all([
+    const [feeData, gasLimit] = await Promise.all([
       this.provider.getFeeData(),
-      this.provider.getTransactionCount(this.sweeper.signer.address, "pending"),
       this.provider.estimateGas({
         to: txData.to,
         data: txData.data,
@@ -935,13 +2003,20 @@ class UltimateDefenseMonitorV2 {
       console.log(`   Using emergency gas: ${this.polygonGas.formatGasInfo(polygonGas)}`);
     }
 
+    // STEP 3: Cap at what the value at risk is worth (MAX_GAS_PRICE_GWEI without a budget)
+    const txGasLimit = gasLimit.mul(120).div(100); // 20% buffer
+    if (this.gasBidder) {
+      polygonGas = this.gasBidder.capGas(polygonGas, { budgetWei, gasLimit: txGasLimit });
+    }
+
     // STEP 5: Build transaction with Polygon-appropriate gas prices
+    const nonce = nonceOverride !== null ? nonceOverride : this.nonceManager.reserve("real-time sweep");
     const tx = {
       to: txData.to,
       data: txData.data,
       nonce: nonce,
       chainId: this.config.chainId,
-      gasLimit: gasLimit.mul(120).div(100), // 20% buffer
+      gasLimit: txGasLimit,
       maxPriorityFeePerGas: polygonGas.maxPriorityFeePerGas,
       maxFeePerGas: polygonGas.maxFeePerGas,
       type: 2,
@@ -957,7 +2032,81 @@ class UltimateDefenseMonitorV2 {
     return { signedTx, tx };
   }
 
-  logRaceResult(attackerHash, response, time, method) {
+  /**
+   * Reserve and hold one nonce for a bundle / shotgun race
+   *
+   * @returns {Object} { nonce, variants: Map(txHash => "bundle" | "shotgun") }
+   */
+  createRace() {
+    const nonce = this.nonceManager.reserve("bundle/shotgun race");
+    this.nonceManager.hold(nonce);
+    const race = { nonce, variants: new Map() };
+    this.activeRaces.set(nonce, race);
+    return race;
+  }
+
+  /**
+   * Remember a signed tx as one of the race's same-nonce variants
+   */
+  registerVariant(race, nonce, signedTx, source) {
+    if (!race || nonce !== race.nonce) return;
+    race.variants.set(ethers.utils.keccak256(signedTx), source);
+  }
+
+  /**
+   * An escalated replacement of a race variant is still that variant
+   */
+  trackReplacement(record) {
+    const race = this.activeRaces.get(record.nonce);
+    if (race && race.variants.has(record.from)) {
+      race.variants.set(record.to, race.variants.get(record.from));
+    }
+  }
+
+  /**
+   * Wait for concurrent threat responses - one failing doesn't hide the others
+   */
+  async settleResponses(responses) {
+    const results = await Promise.allSettled(responses);
+    for (const result of results.filter((r) => r.status === "rejected")) {
+      console.error("❌ Threat response failed:", result.reason?.message);
+    }
+  }
+
+  /**
+   * Wait for the race nonce to be mined and find out which variant took it
+   *
+   * @returns {Object} { source: "bundle" | "shotgun" | "none" | "unresolved", txHash, blockNumber, status }
+   */
+  async resolveRace(race, timeoutMs = this.config.raceResolveTimeoutMs || 60000) {
+    const deadline = Date.now() + timeoutMs;
+    let outcome = { source: "unresolved", txHash: null, blockNumber: null, status: null };
+
+    while (race.variants.size > 0 && Date.now() < deadline) {
+      for (const [txHash, source] of race.variants.entries()) {
+        const receipt = await this.provider.getTransactionReceipt(txHash).catch(() => null);
+        if (receipt) {
+          outcome = { source, txHash, blockNumber: receipt.blockNumber, status: receipt.status };
+          break;
+        }
+      }
+      if (outcome.txHash) break;
+
+      // Nonce consumed but by none of our variants (e.g. a gap filler or another process)
+      const mined = await this.provider.getTransactionCount(this.sweeper.signer.address, "latest").catch(() => 0);
+      if (mined > race.nonce) {
+        outcome = { ...outcome, source: "none" };
+        break;
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, 2000));
+    }
+
+    this.stats.raceOutcomes[outcome.source]++;
+    return outcome;
+  }
+
+  logRaceResult(attackerHash, response, time, method, landed = null) {
     console.log("\n🏁 RACE RESULT:");
     console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
     console.log(`   Your Method: ${method}`);
@@ -965,7 +2114,18 @@ class UltimateDefenseMonitorV2 {
     console.log(`   Attacker TX: ${attackerHash}`);
     console.log(`   Response Time: ${time}ms`);
 
-    if (method === "MEV_BUNDLE") {
+    if (landed) {
+      // Bundle / shotgun race - report what actually took the shared nonce
+      if (landed.txHash) {
+        const label = landed.source === "bundle" ? "MEV bundle" : "public shotgun";
+        console.log(`   Landed: ${label} variant ${landed.txHash} (block ${landed.blockNumber})`);
+        console.log(`   Result: ${landed.status === 1 ? "🎉 Sweep executed" : "❌ Sweep reverted"}`);
+      } else if (landed.source === "none") {
+        console.log(`   Landed: neither variant - the race nonce was used by another tx`);
+      } else {
+        console.log(`   Landed: not mined yet - check block explorer for confirmation`);
+      }
+    } else if (method === "MEV_BUNDLE") {
       console.log(`   Result: 🎉 GUARANTEED WIN (MEV Bundle)`);
       console.log(`   Your TX will execute FIRST`);
       console.log(`   Attacker TX will FAIL (no funds)`);
@@ -1000,12 +2160,22 @@ class UltimateDefenseMonitorV2 {
     // Setup monitoring listeners
     this.setupMonitoringListeners();
 
+    // Pick up threat rule edits without a restart
+    this.ruleEngine.watch();
+
     console.log("✅ Monitoring active - waiting for threats...");
     console.log("Press Ctrl+C to stop\n");
   }
 
   stopMonitoring() {
     this.isMonitoring = false;
+    this.ruleEngine.stop();
+    if (this.tokenInventory) this.tokenInventory.stop();
+    if (this.approvalTracker) {
+      this.approvalTracker.shutdown().catch((error) => {
+        console.error("⚠️ Approval tracker shutdown failed:", error.message);
+      });
+    }
     if (this.provider) this.provider.removeAllListeners();
     if (this.wsProvider) this.wsProvider.removeAllListeners();
     console.log("\n🛑 Monitoring stopped");
@@ -1025,6 +2195,10 @@ class UltimateDefenseMonitorV2 {
       usedMEVBundles: this.stats.usedMEVBundles,
       usedPreSigned: this.stats.usedPreSigned,
       usedDynamicGas: this.stats.usedDynamicGas,
+      revocationsSent: this.stats.revocationsSent,
+      attackerReplacements: this.stats.attackerReplacements,
+      replacementRebids: this.stats.replacementRebids,
+      raceOutcomes: { ...this.stats.raceOutcomes },
       successRate:
         this.stats.threatsDetected > 0
           ? (this.stats.responsesSent / this.stats.threatsDetected) * 100
@@ -1046,6 +2220,40 @@ class UltimateDefenseMonitorV2 {
     console.log(`     MEV Bundles: ${stats.usedMEVBundles} (100% win rate)`);
     console.log(`     Pre-Signed: ${stats.usedPreSigned}`);
     console.log(`     Dynamic Gas: ${stats.usedDynamicGas}`);
+    console.log(`     Approvals Revoked: ${stats.revocationsSent}`);
+    const races = this.stats.raceOutcomes;
+    console.log(`     Race Variants Landed: bundle ${races.bundle}, shotgun ${races.shotgun}, neither ${races.none}, unresolved ${races.unresolved}`);
+
+    const nonceStats = this.nonceManager.getStats();
+    console.log("");
+    console.log(`   Nonces:`);
+    console.log(`     Next: ${nonceStats.nextNonce} (chain ${nonceStats.chainNonce})`);
+    console.log(`     In Flight: ${nonceStats.inFlight} | Gaps: ${nonceStats.gaps}`);
+    console.log(`     Replaced: ${nonceStats.replaced} | Dropped: ${nonceStats.dropped} | Expired: ${nonceStats.expired}`);
+
+    const baseFee = this.baseFeeTracker.getStats();
+    console.log("");
+    console.log(`   Base Fee:`);
+    console.log(`     Block ${baseFee.latestBlock}: ${baseFee.baseFeeGwei} gwei | Next: ${baseFee.nextBaseFeeGwei} gwei`);
+
+    const fees = this.feeOracle.getStats();
+    if (fees.tipsGwei) {
+      console.log(`     Network: ${fees.congested ? "🔥 congested" : "normal"} (${(fees.gasUsedRatio * 100).toFixed(0)}% full)`);
+      console.log(`     Tips: p50 ${fees.tipsGwei.p50} | p75 ${fees.tipsGwei.p75} | p90 ${fees.tipsGwei.p90} gwei`);
+    }
+    const prices = this.priceOracle.getStats();
+    console.log(
+      `     Prices (${prices.source}): ${prices.assetsPriced} assets | ${this.chain.nativeSymbol} ` +
+        `${prices.nativePriceUsd !== null ? `$${prices.nativePriceUsd}` : "unpriced"}`
+    );
+
+    const escalation = this.sweeper.escalator.getStats();
+    console.log("");
+    console.log(`   Gas Escalation:`);
+    console.log(`     Escalations: ${escalation.escalations} | Replacements: ${escalation.replacements} (${escalation.failedReplacements} refused)`);
+    console.log(`     Landed After Bump: ${escalation.landedAfterBump} | Attacker Mined First: ${escalation.attackerMined}`);
+    console.log(`     Capped: ${escalation.capped} at MAX_GAS_PRICE_GWEI, ${escalation.budgetCapped} at value-at-risk budget`);
+    console.log(`     Attacker Replacements: ${stats.attackerReplacements} (${stats.replacementRebids} re-bids)`);
 
     if (this.mevEngine) {
       const mevStats = this.mevEngine.getStats();
@@ -1056,20 +2264,77 @@ class UltimateDefenseMonitorV2 {
       console.log(`     Inclusion Rate: ${mevStats.inclusionRate}`);
     }
 
+    const ruleStats = this.ruleEngine.getStats();
+    console.log("");
+    console.log(`   Threat Rules:`);
+    console.log(`     Active: ${ruleStats.activeRules} (${ruleStats.customRules} custom)`);
+    console.log(`     Matches: ${ruleStats.matches}`);
+    console.log(`     Reloads: ${ruleStats.reloads} (${ruleStats.reloadErrors} errors)`);
+
+    if (this.tokenInventory) {
+      const inventoryStats = this.tokenInventory.getStats();
+      console.log("");
+      console.log(`   Token Inventory:`);
+      console.log(`     Tokens Tracked: ${inventoryStats.tokensTracked}`);
+      console.log(`     NFTs Tracked: ${inventoryStats.nftsTracked}`);
+      for (const safe of this.safes.all()) {
+        console.log(`     ${safe.label}: ${this.getInventoryTokens(safe).length} non-dust token(s) besides USDT`);
+      }
+      console.log(`     Live Updates: ${inventoryStats.liveUpdates}`);
+    }
+
+    if (this.simulator.enabled) {
+      const simStats = this.simulator.getStats();
+      console.log("");
+      console.log(`   State-Diff Simulation:`);
+      console.log(`     Simulations: ${simStats.simulations} (avg ${simStats.avgSimulationTime}ms, ${simStats.failed} failed)`);
+      console.log(`     Threats With Losses: ${simStats.lossesFound}`);
+    }
+
+    if (this.traceInspector.enabled) {
+      const traceStats = this.traceInspector.getStats();
+      console.log("");
+      console.log(`   Trace Inspection (${traceStats.method}):`);
+      console.log(`     Inspected: ${traceStats.inspected} (avg ${traceStats.avgTraceTime}ms)`);
+      console.log(`     Nested Drains Found: ${traceStats.drainsFound}`);
+      console.log(`     Skipped (busy): ${traceStats.skippedBusy} | Failed: ${traceStats.failed}`);
+    }
+
     if (this.approvalTracker) {
       const approvalStats = this.approvalTracker.getStats();
       console.log("");
       console.log(`   Approval Intelligence:`);
-      console.log(`     Approvals Detected: ${approvalStats.approvalsDetected}`);
-      console.log(`     Active Watch List: ${approvalStats.activeApprovals} addresses`);
+      console.log(`     Approvals Detected: ${approvalStats.approvalsDetected} (${approvalStats.tokensSeen} tokens)`);
+      console.log(`     Active Watch List: ${approvalStats.activeApprovals} approvals, ${approvalStats.watchedSpenders} spenders`);
+      console.log(
+        `     By Type: ERC20 ${approvalStats.byType.ERC20}, Permit2 ${approvalStats.byType.PERMIT2}, ` +
+          `NFT operators ${approvalStats.byType.NFT_OPERATOR} (${approvalStats.expired} Permit2 expired)`
+      );
+      console.log(
+        `     Spender Risk: ${approvalStats.risk.scored} scored, ${approvalStats.risk.denylisted} denylisted, ` +
+          `${approvalStats.risk.allowlisted} allowlisted (sweep >= ${approvalStats.risk.sweepScore})`
+      );
       console.log(`     Suspicious Patterns: ${approvalStats.suspiciousPatterns}`);
+      console.log(
+        `     Revocation Queue: ${approvalStats.revocations.open} open, ${approvalStats.revocations.autoRevoked} auto-revoked, ` +
+          `${approvalStats.revocations.confirmed} confirmed, ${approvalStats.revocations.failed} failed`
+      );
     }
 
-    const poolStats = this.sweeper.preSignedPool.getPoolStats();
-    console.log("");
-    console.log(`   Pre-Signed Pool:`);
-    console.log(`     USDT: ${poolStats.usdt.available}/${poolStats.usdt.total} ready`);
-    console.log(`     MATIC: ${poolStats.matic.available}/${poolStats.matic.total} ready`);
+    for (const safe of this.safes.all()) {
+      const poolStats = this.sweeper.getPool(safe).getPoolStats();
+      console.log("");
+      console.log(`   Pre-Signed Pool [${safe.label}]:`);
+      console.log(`     USDT: ${poolStats.usdt.available}/${poolStats.usdt.total} ready`);
+      console.log(`     ${this.chain.nativeSymbol}: ${poolStats.native.available}/${poolStats.native.total} ready`);
+      console.log(`     Batch: ${poolStats.batch.available}/${poolStats.batch.total} ready`);
+      for (const [collection, available] of Object.entries(poolStats.nft)) {
+        console.log(`     NFT ${collection}: ${available} ready`);
+      }
+      for (const [pair, available] of Object.entries(poolStats.revoke)) {
+        console.log(`     Revoke ${pair}: ${available} ready`);
+      }
+    }
 
     console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
   }
@@ -1091,6 +2356,7 @@ class UltimateDefenseMonitorV2 {
       process.on("SIGINT", async () => {
         console.log("\n🛑 Shutting down...");
         this.stopMonitoring();
+        this.nonceManager.stop();
         this.printStatus();
         process.exit(0);
       });
@@ -1120,13 +2386,25 @@ if (require.main === module) {
     mevSearcherKey: process.env.MEV_SEARCHER_KEY, // Searcher key for Marlin Relay
     vaultAddress: process.env.VAULT_ADDRESS,
     safeAddress: process.env.SAFE_ADDRESS,
-    usdtContract: process.env.USDT_CONTRACT,
-    chainId: parseInt(process.env.CHAIN_ID) || 137,
+    usdtContract: process.env.USDT_CONTRACT, // Defaults to the chain profile's USDT
+    chainId: parseInt(process.env.CHAIN_ID) || 137, // Selects the chain profile (chain_profiles.js)
+    blockTimeMs: parseInt(process.env.BLOCK_TIME_MS) || null, // Defaults to the chain profile
     dryRun: process.env.DRY_RUN === "true",
     debug: process.env.DEBUG === "true",
     verbose: process.env.VERBOSE === "true",
     emergencyGasMult: parseFloat(process.env.EMERGENCY_GAS_MULTIPLIER) || 10.0, // Increased from 3.5 to 10
     gasPremium: parseFloat(process.env.GAS_PREMIUM) || 0.5,
+    maxGasPrice: ethers.utils.parseUnits(process.env.MAX_GAS_PRICE_GWEI || "1000", "gwei"),
+    enableGasEscalation: process.env.ENABLE_GAS_ESCALATION !== "false",
+    gasEscalationBumpPercent: parseInt(process.env.GAS_ESCALATION_BUMP_PERCENT) || 10, // 10% is the replacement minimum
+    gasEscalationMaxBlocks: parseInt(process.env.GAS_ESCALATION_MAX_BLOCKS) || 15,
+    gasBudgetFraction: parseFloat(process.env.GAS_BUDGET_FRACTION) || 0, // Share of the value at risk we'll spend on gas
+    priceSource: process.env.PRICE_SOURCE || "static", // static | twap | mock
+    priceTablePath: process.env.PRICE_TABLE_PATH, // { "NATIVE": 0.5, "0xtoken": 1.0 }
+    twapPoolsPath: process.env.TWAP_POOLS_PATH, // [{ asset, pool, token? }] - Uniswap V3 pools quoted in a stablecoin
+    twapWindowSeconds: parseInt(process.env.TWAP_WINDOW_SECONDS) || 1800,
+    priceRefreshMs: parseInt(process.env.PRICE_REFRESH_MS) || 60000,
+    mockPricesUsd: process.env.MOCK_PRICES_USD ? JSON.parse(process.env.MOCK_PRICES_USD) : null,
     poolSize: parseInt(process.env.POOL_SIZE) || 5,
     gasRefreshInterval: parseInt(process.env.GAS_REFRESH_INTERVAL) || 12000,
     sweepMatic: process.env.SWEEP_MATIC === "true", // Disabled by default to save gas
@@ -1136,11 +2414,50 @@ if (require.main === module) {
     bundlePriorityFee: process.env.BUNDLE_PRIORITY_FEE
       ? ethers.utils.parseUnits(process.env.BUNDLE_PRIORITY_FEE, "gwei")
       : ethers.utils.parseUnits("200", "gwei"), // Polygon emergency tip
-    polygonMinimumGasGwei: parseInt(process.env.POLYGON_MINIMUM_GAS_GWEI) || 25,
-    polygonBaseTipGwei: parseInt(process.env.POLYGON_BASE_TIP_GWEI) || 50,
-    polygonCongestedTipGwei: parseInt(process.env.POLYGON_CONGESTED_TIP_GWEI) || 150,
-    polygonAggressiveTipGwei: parseInt(process.env.POLYGON_AGGRESSIVE_TIP_GWEI) || 200,
-    polygonEmergencyTipGwei: parseInt(process.env.POLYGON_EMERGENCY_TIP_GWEI) || 200,
+    // Gas tier overrides - unset uses the chain profile (Polygon: 25 / 50 / 150 / 200 / 200)
+    polygonMinimumGasGwei: parseFloat(process.env.POLYGON_MINIMUM_GAS_GWEI) || null,
+    polygonBaseTipGwei: parseFloat(process.env.POLYGON_BASE_TIP_GWEI) || null,
+    polygonCongestedTipGwei: parseFloat(process.env.POLYGON_CONGESTED_TIP_GWEI) || null,
+    polygonAggressiveTipGwei: parseFloat(process.env.POLYGON_AGGRESSIVE_TIP_GWEI) || null,
+    polygonEmergencyTipGwei: parseFloat(process.env.POLYGON_EMERGENCY_TIP_GWEI) || null,
+    threatRulesPath: process.env.THREAT_RULES_PATH,
+    safesConfigPath: process.env.SAFES_CONFIG, // Optional: protect several Safes from one process
+    enableTraceInspection: process.env.ENABLE_TRACE_INSPECTION === "true",
+    traceRpcUrl: process.env.TRACE_RPC_URL, // Defaults to DRPC_HTTP
+    traceTimeoutMs: parseInt(process.env.TRACE_TIMEOUT_MS) || 1500,
+    traceMaxConcurrent: parseInt(process.env.TRACE_MAX_CONCURRENT) || 4,
+    enableStateDiffSimulation: process.env.ENABLE_STATE_DIFF_SIMULATION === "true",
+    simulationTimeoutMs: parseInt(process.env.SIMULATION_TIMEOUT_MS) || 1500,
+    nativePriceUsd: parseFloat(process.env.NATIVE_PRICE_USD) || 0, // Used to rank the native coin against tokens
+    batchSweep: process.env.BATCH_SWEEP !== "false", // sweepTokens([...]) - needs the updated module
+    enableTokenInventory: process.env.ENABLE_TOKEN_INVENTORY !== "false",
+    inventoryStartBlock: parseInt(process.env.INVENTORY_START_BLOCK) || null,
+    inventoryLookbackBlocks: parseInt(process.env.INVENTORY_LOOKBACK_BLOCKS) || 200000,
+    inventoryDustUnits: process.env.INVENTORY_DUST_UNITS ? parseFloat(process.env.INVENTORY_DUST_UNITS) : 0.01,
+    logChunkSize: parseInt(process.env.LOG_CHUNK_SIZE) || 10000,
+    revokeMode: process.env.REVOKE_MODE || "off", // off | parallel | instead - needs revokeApproval in the module
+    revokeOnlySeverities: (process.env.REVOKE_ONLY_SEVERITIES || "LOW,MEDIUM")
+      .split(",")
+      .map((severity) => severity.trim().toUpperCase())
+      .filter(Boolean),
+    approvalHighValueUsd: parseFloat(process.env.APPROVAL_HIGH_VALUE_USD) || 10000, // Any token, valued by the price oracle
+    approvalCheckpointPath: process.env.APPROVAL_CHECKPOINT_PATH || "./.approval_checkpoint.json", // Historical approval scan resumes from here
+    approvalStartBlock: parseInt(process.env.APPROVAL_START_BLOCK) || null, // Default: each Safe's creation block (eth_getCode search)
+    approvalLookbackBlocks: parseInt(process.env.APPROVAL_LOOKBACK_BLOCKS) || 1000000, // Used when the creation block can't be found
+    spenderAllowlistPath: process.env.SPENDER_ALLOWLIST_PATH, // Known-good routers (JSON / CSV) - never swept for
+    spenderDenylistPath: process.env.SPENDER_DENYLIST_PATH, // Known drainers (JSON / CSV) - always swept for
+    spenderRiskSweepScore: parseInt(process.env.SPENDER_RISK_SWEEP_SCORE) || 50, // Watched spender transacting at this score = proactive sweep
+    spenderRiskAlertScore: parseInt(process.env.SPENDER_RISK_ALERT_SCORE) || 20, // ...at this score = alert only
+    spenderNewContractDays: parseInt(process.env.SPENDER_NEW_CONTRACT_DAYS) || 7, // Younger spender contracts score as risky
+    revokeQueuePath: process.env.REVOKE_QUEUE_PATH || "./.revoke_queue.json", // Risky allowances waiting for revocation (node revoke_queue.js)
+    revokeAutoScore: parseInt(process.env.REVOKE_AUTO_SCORE) || 90, // Spender risk at or above this is revoked without confirmation
+    noncePersistPath: process.env.NONCE_PERSIST_PATH, // Survive restarts without reusing in-flight nonces
+    baseFeeBlocksAhead: parseInt(process.env.BASE_FEE_BLOCKS_AHEAD) || 2, // Real-time txs must cover the base fee this far out
+    baseFeeChangeDenominator: parseInt(process.env.BASE_FEE_CHANGE_DENOMINATOR) || null, // Defaults to the chain profile (Polygon: 16)
+    feeHistoryBlocks: parseInt(process.env.FEE_HISTORY_BLOCKS) || 20,
+    feeCongestionRatio: parseFloat(process.env.FEE_CONGESTION_RATIO) || 0.75, // Average block fullness = congested
+    feeCongestedTipMultiplier: parseFloat(process.env.FEE_CONGESTED_TIP_MULTIPLIER) || 1.25, // x p75
+    feeEmergencyTipMultiplier: parseFloat(process.env.FEE_EMERGENCY_TIP_MULTIPLIER) || 2.0, // x p90
   };
 
   const monitor = new UltimateDefenseMonitorV2(CONFIG);
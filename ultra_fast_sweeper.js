@@ -2,6 +2,11 @@ const { ethers } = require("ethers");
 const WebSocket = require("ws");
 const { PreSignedTxPool } = require("./presigned_pool");
 const { PreFlightValidator } = require("./preflight_validator");
+const { NonceManager } = require("./nonce_manager");
+const { GasEscalator } = require("./gas_escalator");
+const { BaseFeeTracker } = require("./base_fee_tracker");
+const { FeeOracle } = require("./fee_oracle");
+const { getChainProfile } = require("./chain_profiles");
 require("dotenv").config();
 
 /**
@@ -17,12 +22,18 @@ require("dotenv").config();
 class UltraFastSweeper {
   constructor(config) {
     this.config = config;
+    this.chain = getChainProfile(config.chainId);
     console.log("⚡ Initializing Ultra-Fast Sweeper...");
 
     this.provider = null;
     this.backupProviders = [];
     this.signer = null;
-    this.preSignedPool = null;
+    this.preSignedPool = null; // Primary Safe's pool
+    this.preSignedPools = new Map(); // lowercase safe address -> PreSignedTxPool
+    this.nonceManager = null; // Shared by every pool and builder signing with our key
+    this.escalator = null; // Re-bids pending sweeps each block
+    this.baseFeeTracker = null; // Predicted base fee for pre-signed gas
+    this.feeOracle = null; // feeHistory tips / congestion for pre-signed gas
 
     // Performance tracking
     this.stats = {
@@ -32,11 +43,20 @@ class UltraFastSweeper {
     };
   }
 
-  async initialize() {
+  /**
+   * @param {Array} safes - Protected Safe entries from SafeRegistry (defaults to the single configured Safe)
+   * @param {NonceManager} nonceManager - Shared nonce manager (created and reconciled here if not given)
+   * @param {BaseFeeTracker} baseFeeTracker - Shared base fee tracker (created and started here if not given)
+   * @param {FeeOracle} feeOracle - Shared fee oracle (created and started here if not given)
+   */
+  async initialize(safes = null, nonceManager = null, baseFeeTracker = null, feeOracle = null) {
+    const protectedSafes = safes || [this.config];
+
     console.log("🔧 Configuration:");
-    console.log(`  - Safe: ${this.config.safeAddress}`);
-    console.log(`  - Vault: ${this.config.vaultAddress}`);
-    console.log(`  - Sweeper: ${this.config.sweeperAddress}`);
+    for (const safe of protectedSafes) {
+      console.log(`  - Safe${safe.label ? ` [${safe.label}]` : ""}: ${safe.safeAddress}`);
+      console.log(`      Vault: ${safe.vaultAddress} | Sweeper: ${safe.sweeperAddress}`);
+    }
     console.log(`  - USDT: ${this.config.usdtContract}`);
     console.log(`  - Emergency Gas Multiplier: ${this.config.emergencyGasMult}x`);
 
@@ -48,6 +68,11 @@ class UltraFastSweeper {
     this.provider = new ethers.providers.JsonRpcProvider(this.config.rpcUrl);
     const network = await this.provider.getNetwork();
     console.log(`✅ Primary RPC connected - Chain ID: ${network.chainId}`);
+    if (network.chainId !== this.chain.chainId) {
+      throw new Error(
+        `RPC is on chain ${network.chainId} but CHAIN_ID is ${this.chain.chainId} (${this.chain.name})`
+      );
+    }
 
     // Setup backup providers for shotgun submission
     await this.setupBackupProviders();
@@ -57,19 +82,63 @@ class UltraFastSweeper {
     this.signer = new ethers.Wallet(this.config.privateKey, this.provider);
     console.log(`✅ Wallet: ${this.signer.address}`);
 
-    // Initialize pre-signed transaction pool
-    console.log("\n🎯 Initializing pre-signed transaction pool...");
-    this.preSignedPool = new PreSignedTxPool({
-      ...this.config,
-      poolSize: this.config.poolSize || 5,
-      gasRefreshInterval: this.config.gasRefreshInterval || 12000,
-    });
+    // One nonce allocator for every pool and builder
+    if (nonceManager) {
+      this.nonceManager = nonceManager;
+    } else {
+      this.nonceManager = new NonceManager(this.config);
+      await this.nonceManager.initialize(this.provider, this.signer.address);
+      this.nonceManager.start(this.provider);
+    }
+    this.nonceManager.onGap = (nonce) => {
+      this.fillNonceGap(nonce).catch((error) => {
+        console.error(`⚠️ Could not fill nonce gap ${nonce}:`, error.message);
+      });
+    };
 
-    await this.preSignedPool.initialize(
-      this.provider,
-      this.config.privateKey,
-      this.config.sweeperAddress
-    );
+    if (baseFeeTracker) {
+      this.baseFeeTracker = baseFeeTracker;
+    } else {
+      this.baseFeeTracker = new BaseFeeTracker(this.config);
+      await this.baseFeeTracker.initialize(this.provider);
+      this.baseFeeTracker.start(this.provider);
+    }
+
+    if (feeOracle) {
+      this.feeOracle = feeOracle;
+    } else {
+      this.feeOracle = new FeeOracle(this.config);
+      await this.feeOracle.initialize(this.provider);
+      this.feeOracle.start(this.provider);
+    }
+    // Tips for the new conditions - re-sign the pre-signed pools
+    this.feeOracle.onCongestionChange = () => this.regeneratePools();
+
+    // Gas escalation ladder for pending sweeps
+    this.escalator = new GasEscalator(this.config);
+    this.escalator.initialize(this.provider, this.signer, this.nonceManager);
+
+    // Initialize one pre-signed transaction pool per protected Safe
+    for (const safe of protectedSafes) {
+      console.log(`\n🎯 Initializing pre-signed transaction pool for ${safe.label || safe.safeAddress}...`);
+      const pool = new PreSignedTxPool({
+        ...this.config,
+        ...safe,
+        poolSize: this.config.poolSize || 5,
+        gasRefreshInterval: this.config.gasRefreshInterval || 12000,
+      });
+
+      await pool.initialize(
+        this.provider,
+        this.config.privateKey,
+        safe.sweeperAddress,
+        this.nonceManager,
+        this.baseFeeTracker,
+        this.feeOracle
+      );
+      this.preSignedPools.set(safe.safeAddress.toLowerCase(), pool);
+    }
+    this.preSignedPool = this.preSignedPools.values().next().value;
 
     // Initialize pre-flight validator (premium tier)
     this.preFlightValidator = new PreFlightValidator(this.config);
@@ -115,6 +184,39 @@ class UltraFastSweeper {
     console.log(`✅ Shotgun configured with ${this.backupProviders.length + 1} providers`);
   }
 
+  /**
+   * Get the pre-signed pool for a Safe (primary pool if no Safe given)
+   */
+  getPool(safe = null) {
+    if (!safe) return this.preSignedPool;
+    return this.preSignedPools.get(safe.safeAddress.toLowerCase()) || this.preSignedPool;
+  }
+
+  /**
+   * Fill a nonce gap with a 0-value self-transfer so txs queued behind it can be mined
+   */
+  async fillNonceGap(nonce) {
+    if (!this.nonceManager.claim(nonce, "gap filler")) return; // Someone else took it
+
+    try {
+      const gas = await this.preSignedPool.getEmergencyGas();
+      const signedTx = await this.signer.signTransaction({
+        to: this.signer.address,
+        value: 0,
+        nonce,
+        chainId: this.config.chainId,
+        gasLimit: 21000,
+        ...gas,
+      });
+      const tx = await this.provider.sendTransaction(signedTx);
+      this.nonceManager.markSent(nonce, tx.hash, "gap filler");
+      console.log(`   🕳️ Gap filler sent for nonce ${nonce}: ${tx.hash}`);
+    } catch (error) {
+      this.nonceManager.release(nonce);
+      throw error;
+    }
+  }
+
   /**
    * Wait for transaction confirmation with timeout
    */
@@ -154,12 +256,100 @@ class UltraFastSweeper {
     return { success: false, reason: "Confirmation timeout" };
   }
 
+  /**
+   * Re-sign every pre-signed pool with current gas
+   */
+  async regeneratePools() {
+    for (const [safeAddress, pool] of this.preSignedPools.entries()) {
+      try {
+        await pool.forceRegenerate();
+      } catch (error) {
+        console.error(`⚠️ Pool regeneration failed for ${safeAddress}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Send a signed tx through the primary and every backup RPC at once
+   * @returns {Object} { successResults (fastest first), total }
+   */
+  async sendToAllPaths(signedTx) {
+    const startTime = Date.now();
+    const broadcastPromises = [];
+
+    // Path 1: Primary RPC
+    const primaryPromise = this.provider
+      .sendTransaction(signedTx)
+      .then((result) => {
+        console.log(`   ✅ Primary RPC SUCCESS (${Date.now() - startTime}ms)`);
+        return { source: "Primary RPC", result, time: Date.now() - startTime };
+      })
+      .catch((err) => {
+        console.log(`   ❌ Primary RPC failed: ${err.message}`);
+        if (err.error && err.error.message) {
+          console.log(`      Error details: ${err.error.message}`);
+        }
+        return null;
+      });
+    broadcastPromises.push(primaryPromise);
+
+    // Path 2+: All backup RPCs
+    for (let i = 0; i < this.backupProviders.length; i++) {
+      const provider = this.backupProviders[i];
+      const backupPromise = provider
+        .sendTransaction(signedTx)
+        .then((result) => {
+          console.log(`   ✅ Backup RPC ${i + 1} SUCCESS (${Date.now() - startTime}ms)`);
+          return { source: `Backup RPC ${i + 1}`, result, time: Date.now() - startTime };
+        })
+        .catch((err) => {
+          console.log(`   ❌ Backup RPC ${i + 1} failed: ${err.message}`);
+          if (err.error && err.error.message) {
+            console.log(`      Error details: ${err.error.message}`);
+          }
+          return null;
+        });
+      broadcastPromises.push(backupPromise);
+    }
+
+    // Wait for all to complete
+    const results = await Promise.all(broadcastPromises);
+    const successResults = results.filter((r) => r !== null).sort((a, b) => a.time - b.time);
+
+    return { successResults, total: broadcastPromises.length };
+  }
+
+  /**
+   * Broadcast a same-nonce replacement from the escalation ladder
+   * @returns {string} Tx hash
+   */
+  async broadcastReplacement(signedTx) {
+    const { successResults } = await this.sendToAllPaths(signedTx);
+    if (successResults.length === 0) {
+      throw new Error("All shotgun paths refused the replacement");
+    }
+    const { result } = successResults[0];
+    return result.hash || result.txHash || result;
+  }
+
   /**
    * SHOTGUN SUBMISSION: Send same transaction through ALL paths simultaneously
-   * Returns as soon as first path succeeds and confirms transaction
+   * Returns as soon as first path succeeds and confirms transaction. While it
+   * is pending the escalator re-bids the same nonce every block.
+   *
+   * @param {Object} escalation - Optional { attackerTx, budgetWei, floor } for the escalator
    */
-  async shotgunBroadcast(signedTx, txType = "sweep", maxRetries = 2, preSignedTxHash = null) {
+  async shotgunBroadcast(
+    signedTx,
+    txType = "sweep",
+    maxRetries = 2,
+    preSignedTxHash = null,
+    pool = this.preSignedPool,
+    escalation = null
+  ) {
     let lastError = null;
+    let accepted = false; // Some node has it - the nonce is spent even if it never confirms
+    const { nonce } = ethers.utils.parseTransaction(signedTx);
 
     // PRE-FLIGHT VALIDATION (Premium Tier)
     if (this.preFlightValidator && this.preFlightValidator.enabled) {
@@ -179,70 +369,41 @@ class UltraFastSweeper {
       }
 
       try {
-        const startTime = Date.now();
         console.log(`\n🔫 SHOTGUN BROADCAST: ${txType}${retry > 0 ? ` (Retry ${retry})` : ""}`);
         console.log(`   Targeting ${this.backupProviders.length + 1} RPC providers`);
 
-        const broadcastPromises = [];
-
-        // Path 1: Primary RPC
-        const primaryPromise = this.provider
-          .sendTransaction(signedTx)
-          .then((result) => {
-            console.log(`   ✅ Primary RPC SUCCESS (${Date.now() - startTime}ms)`);
-            return { source: "Primary RPC", result, time: Date.now() - startTime };
-          })
-          .catch((err) => {
-            console.log(`   ❌ Primary RPC failed: ${err.message}`);
-            if (err.error && err.error.message) {
-              console.log(`      Error details: ${err.error.message}`);
-            }
-            return null;
-          });
-        broadcastPromises.push(primaryPromise);
-
-        // Path 2+: All backup RPCs
-        for (let i = 0; i < this.backupProviders.length; i++) {
-          const provider = this.backupProviders[i];
-          const backupPromise = provider
-            .sendTransaction(signedTx)
-            .then((result) => {
-              console.log(`   ✅ Backup RPC ${i + 1} SUCCESS (${Date.now() - startTime}ms)`);
-              return { source: `Backup RPC ${i + 1}`, result, time: Date.now() - startTime };
-            })
-            .catch((err) => {
-              console.log(`   ❌ Backup RPC ${i + 1} failed: ${err.message}`);
-              if (err.error && err.error.message) {
-                console.log(`      Error details: ${err.error.message}`);
-              }
-              return null;
-            });
-          broadcastPromises.push(backupPromise);
-        }
-
-        // Wait for all to complete, return first success
-        const results = await Promise.all(broadcastPromises);
-        const successResults = results.filter((r) => r !== null);
+        const { successResults, total } = await this.sendToAllPaths(signedTx);
 
         if (successResults.length === 0) {
           throw new Error("All shotgun paths failed!");
         }
+        accepted = true;
 
         // Return the fastest successful submission
-        const fastest = successResults.sort((a, b) => a.time - b.time)[0];
+        const fastest = successResults[0];
 
         console.log(`\n🎯 SHOTGUN RESULT:`);
-        console.log(`   ✅ ${successResults.length}/${broadcastPromises.length} paths succeeded`);
+        console.log(`   ✅ ${successResults.length}/${total} paths succeeded`);
         console.log(`   ⚡ Fastest: ${fastest.source} in ${fastest.time}ms`);
 
         // Extract transaction hash
         const txHash = fastest.result.hash || fastest.result.txHash || fastest.result;
-
-        // Wait for confirmation (with timeout)
-        const confirmation = await this.waitForConfirmation(txHash, 30000);
+        this.nonceManager.markSent(nonce, txHash, txType);
+
+        // Wait for confirmation - climbing the gas ladder while it is pending
+        const confirmation = this.escalator.enabled
+          ? await this.escalator.escalate(signedTx, txHash, {
+              label: txType,
+              broadcast: (replacementTx) => this.broadcastReplacement(replacementTx),
+              ...escalation,
+            })
+          : await this.waitForConfirmation(txHash, 30000);
 
         if (confirmation.success) {
-          return fastest.result;
+          // A replacement may have landed instead of the first hash
+          return confirmation.txHash && confirmation.txHash !== txHash
+            ? { ...fastest.result, hash: confirmation.txHash }
+            : fastest.result;
         } else {
           throw new Error(`Transaction broadcast but failed: ${confirmation.reason}`);
         }
@@ -280,13 +441,13 @@ class UltraFastSweeper {
 
           // Release the current transaction back to pool
           if (preSignedTxHash) {
-            this.preSignedPool.releaseTransaction(preSignedTxHash);
+            pool.releaseTransaction(preSignedTxHash);
           }
 
           // Force immediate pool regeneration with required gas
           try {
             console.log("🔄 Forcing pool regeneration with network gas prices...");
-            await this.preSignedPool.forceRegenerateWithGas(requiredTip);
+            await pool.forceRegenerateWithGas(requiredTip);
             console.log("✅ Pool regenerated with fresh gas prices");
           } catch (regenError) {
             console.error("❌ Pool regeneration failed:", regenError.message);
@@ -298,7 +459,10 @@ class UltraFastSweeper {
           // Release the pre-signed transaction back to pool on final failure
           if (preSignedTxHash && !isGasTooLow) { // Don't release if already released above
             console.log("⚠️ All broadcast attempts failed, releasing transaction back to pool");
-            this.preSignedPool.releaseTransaction(preSignedTxHash);
+            pool.releaseTransaction(preSignedTxHash);
+          }
+          if (!accepted) {
+            this.nonceManager.release(nonce);
           }
           throw error;
         }
@@ -315,17 +479,18 @@ class UltraFastSweeper {
    * EMERGENCY SWEEP USDT - Uses pre-signed tx + shotgun
    * Target: <100ms from call to broadcast
    */
-  async emergencySweepUSDT() {
+  async emergencySweepUSDT(safe = null) {
     const startTime = Date.now();
-    console.log("\n🚨 EMERGENCY USDT SWEEP INITIATED");
+    const pool = this.getPool(safe);
+    console.log(`\n🚨 EMERGENCY USDT SWEEP INITIATED${safe ? ` (${safe.label})` : ""}`);
 
     // Step 1: Grab pre-signed tx (instant)
-    const preSigned = this.preSignedPool.getNextUSDTTx();
+    const preSigned = pool.getNextUSDTTx();
 
     if (!preSigned) {
       console.error("❌ No pre-signed USDT transaction available!");
       console.log("⚠️ Falling back to on-demand signing...");
-      return await this.fallbackSweepUSDT();
+      return await this.fallbackSweepUSDT(safe);
     }
 
     const grabTime = Date.now() - startTime;
@@ -341,7 +506,7 @@ class UltraFastSweeper {
 
     // Step 2: Shotgun broadcast (multi-path)
     // Pass pre-signed txHash so it can be released back to pool if broadcast fails
-    const txResponse = await this.shotgunBroadcast(preSigned.signedTx, "USDT", 2, preSigned.txHash);
+    const txResponse = await this.shotgunBroadcast(preSigned.signedTx, "USDT", 2, preSigned.txHash, pool);
 
     const totalTime = Date.now() - startTime;
     console.log(`\n✅ USDT SWEEP BROADCAST COMPLETE`);
@@ -352,7 +517,7 @@ class UltraFastSweeper {
     this.stats.successfulSweeps++;
 
     // Trigger immediate pool regeneration (don't wait)
-    this.preSignedPool.checkAndRegeneratePools().catch(err => {
+    pool.checkAndRegeneratePools().catch(err => {
       console.error("⚠️ Pool regeneration error:", err.message);
     });
 
@@ -360,39 +525,41 @@ class UltraFastSweeper {
   }
 
   /**
-   * EMERGENCY SWEEP MATIC - Uses pre-signed tx + shotgun
+   * EMERGENCY SWEEP NATIVE COIN (MATIC / ETH / BNB) - Uses pre-signed tx + shotgun
    */
-  async emergencySweepMATIC() {
+  async emergencySweepNative(safe = null) {
     const startTime = Date.now();
-    console.log("\n🚨 EMERGENCY MATIC SWEEP INITIATED");
+    const pool = this.getPool(safe);
+    const symbol = this.chain.nativeSymbol;
+    console.log(`\n🚨 EMERGENCY ${symbol} SWEEP INITIATED${safe ? ` (${safe.label})` : ""}`);
 
-    const preSigned = this.preSignedPool.getNextMATICTx();
+    const preSigned = pool.getNextNativeTx();
 
     if (!preSigned) {
-      console.error("❌ No pre-signed MATIC transaction available!");
-      return await this.fallbackSweepMATIC();
+      console.error(`❌ No pre-signed ${symbol} transaction available!`);
+      return await this.fallbackSweepNative(safe);
     }
 
     const grabTime = Date.now() - startTime;
     console.log(`⚡ Pre-signed tx retrieved in ${grabTime}ms`);
 
     if (this.config.dryRun) {
-      console.log("🔍 DRY RUN - would broadcast pre-signed MATIC sweep");
+      console.log(`🔍 DRY RUN - would broadcast pre-signed ${symbol} sweep`);
       return { isDryRun: true };
     }
 
     // Pass pre-signed txHash so it can be released back to pool if broadcast fails
-    const txResponse = await this.shotgunBroadcast(preSigned.signedTx, "MATIC", 2, preSigned.txHash);
+    const txResponse = await this.shotgunBroadcast(preSigned.signedTx, symbol, 2, preSigned.txHash, pool);
 
     const totalTime = Date.now() - startTime;
-    console.log(`\n✅ MATIC SWEEP BROADCAST COMPLETE`);
+    console.log(`\n✅ ${symbol} SWEEP BROADCAST COMPLETE`);
     console.log(`   ⚡ Total reaction time: ${totalTime}ms`);
 
     this.stats.detectionToSend.push(totalTime);
     this.stats.successfulSweeps++;
 
     // Trigger immediate pool regeneration (don't wait)
-    this.preSignedPool.checkAndRegeneratePools().catch(err => {
+    pool.checkAndRegeneratePools().catch(err => {
       console.error("⚠️ Pool regeneration error:", err.message);
     });
 
@@ -402,15 +569,16 @@ class UltraFastSweeper {
   /**
    * EMERGENCY SWEEP TOKEN - Uses pre-signed tx + shotgun
    */
-  async emergencySweepToken(tokenAddress) {
+  async emergencySweepToken(tokenAddress, safe = null) {
     const startTime = Date.now();
-    console.log(`\n🚨 EMERGENCY TOKEN SWEEP: ${tokenAddress}`);
+    const pool = this.getPool(safe);
+    console.log(`\n🚨 EMERGENCY TOKEN SWEEP: ${tokenAddress}${safe ? ` (${safe.label})` : ""}`);
 
-    const preSigned = await this.preSignedPool.getNextTokenTx(tokenAddress);
+    const preSigned = await pool.getNextTokenTx(tokenAddress);
 
     if (!preSigned) {
       console.error(`❌ No pre-signed transaction for ${tokenAddress}!`);
-      return await this.fallbackSweepToken(tokenAddress);
+      return await this.fallbackSweepToken(tokenAddress, safe);
     }
 
     const grabTime = Date.now() - startTime;
@@ -422,7 +590,7 @@ class UltraFastSweeper {
     }
 
     // Pass pre-signed txHash so it can be released back to pool if broadcast fails
-    const txResponse = await this.shotgunBroadcast(preSigned.signedTx, "TOKEN", 2, preSigned.txHash);
+    const txResponse = await this.shotgunBroadcast(preSigned.signedTx, "TOKEN", 2, preSigned.txHash, pool);
 
     const totalTime = Date.now() - startTime;
     console.log(`\n✅ TOKEN SWEEP BROADCAST COMPLETE`);
@@ -432,7 +600,94 @@ class UltraFastSweeper {
     this.stats.successfulSweeps++;
 
     // Trigger immediate pool regeneration (don't wait)
-    this.preSignedPool.checkAndRegeneratePools().catch(err => {
+    pool.checkAndRegeneratePools().catch(err => {
+      console.error("⚠️ Pool regeneration error:", err.message);
+    });
+
+    return txResponse;
+  }
+
+  /**
+   * EMERGENCY BATCH SWEEP - Every asset in ONE pre-signed tx + shotgun
+   * One nonce, one race - nothing left behind if a single sweep loses
+   */
+  async emergencySweepBatch(safe = null) {
+    const startTime = Date.now();
+    const pool = this.getPool(safe);
+    console.log(`\n🚨 EMERGENCY BATCH SWEEP INITIATED${safe ? ` (${safe.label})` : ""}`);
+
+    const preSigned = pool.getNextBatchTx();
+
+    if (!preSigned) {
+      console.error("❌ No pre-signed batch transaction available!");
+      return await this.fallbackSweepBatch(pool.getBatchSweepTokens(), safe);
+    }
+
+    const grabTime = Date.now() - startTime;
+    console.log(`⚡ Pre-signed tx retrieved in ${grabTime}ms`);
+    console.log(`   - Nonce: ${preSigned.nonce}`);
+    console.log(`   - Assets: ${preSigned.tokens.length}`);
+
+    if (this.config.dryRun) {
+      console.log("🔍 DRY RUN - would broadcast pre-signed batch sweep");
+      return { isDryRun: true };
+    }
+
+    // Pass pre-signed txHash so it can be released back to pool if broadcast fails
+    const txResponse = await this.shotgunBroadcast(preSigned.signedTx, "BATCH", 2, preSigned.txHash, pool);
+
+    const totalTime = Date.now() - startTime;
+    console.log(`\n✅ BATCH SWEEP BROADCAST COMPLETE`);
+    console.log(`   ⚡ Total reaction time: ${totalTime}ms`);
+
+    this.stats.detectionToSend.push(totalTime);
+    this.stats.successfulSweeps++;
+
+    // Trigger immediate pool regeneration (don't wait)
+    pool.checkAndRegeneratePools().catch(err => {
+      console.error("⚠️ Pool regeneration error:", err.message);
+    });
+
+    return txResponse;
+  }
+
+  /**
+   * EMERGENCY NFT SWEEP - Pre-signed sweepERC721/sweepERC1155 for one collection + shotgun
+   *
+   * @param {Object} nft - { standard, collection, tokenIds }
+   */
+  async emergencySweepNFT(nft, safe = null) {
+    const startTime = Date.now();
+    const pool = this.getPool(safe);
+    console.log(`\n🚨 EMERGENCY NFT SWEEP: ${nft.standard} ${nft.collection}${safe ? ` (${safe.label})` : ""}`);
+
+    const preSigned = pool.getNextNftTx(nft.collection);
+
+    if (!preSigned) {
+      console.error(`❌ No pre-signed NFT sweep for ${nft.collection}!`);
+      return await this.fallbackSweepNFT(nft, safe);
+    }
+
+    const grabTime = Date.now() - startTime;
+    console.log(`⚡ Pre-signed tx retrieved in ${grabTime}ms`);
+
+    if (this.config.dryRun) {
+      console.log("🔍 DRY RUN - would broadcast pre-signed NFT sweep");
+      return { isDryRun: true };
+    }
+
+    // Pass pre-signed txHash so it can be released back to pool if broadcast fails
+    const txResponse = await this.shotgunBroadcast(preSigned.signedTx, "NFT", 2, preSigned.txHash, pool);
+
+    const totalTime = Date.now() - startTime;
+    console.log(`\n✅ NFT SWEEP BROADCAST COMPLETE`);
+    console.log(`   ⚡ Total reaction time: ${totalTime}ms`);
+
+    this.stats.detectionToSend.push(totalTime);
+    this.stats.successfulSweeps++;
+
+    // Trigger immediate pool regeneration (don't wait)
+    pool.checkAndRegeneratePools().catch(err => {
       console.error("⚠️ Pool regeneration error:", err.message);
     });
 
@@ -441,30 +696,56 @@ class UltraFastSweeper {
 
   /**
    * Fallback methods when pool is exhausted
+   * Sign on demand against the Safe's sweeper module with a nonce from the NonceManager
    */
-  async fallbackSweepUSDT() {
+  async fallbackSweepUSDT(safe = null) {
     console.log("🔄 FALLBACK: Building USDT sweep on-demand...");
-    // Import the CleanSweeperBot for fallback
-    const { CleanSweeperBot } = require("./sweeper_bot");
-    const fallbackBot = new CleanSweeperBot(this.config);
-    await fallbackBot.initialize();
-    return await fallbackBot.sweepToken(this.config.usdtContract);
+    return this.sendFallbackSweep(safe, "sweepToken", [safe?.usdtContract || this.config.usdtContract], "USDT");
   }
 
-  async fallbackSweepMATIC() {
-    console.log("🔄 FALLBACK: Building MATIC sweep on-demand...");
-    const { CleanSweeperBot } = require("./sweeper_bot");
-    const fallbackBot = new CleanSweeperBot(this.config);
-    await fallbackBot.initialize();
-    return await fallbackBot.sweepMatic();
+  async fallbackSweepNative(safe = null) {
+    console.log(`🔄 FALLBACK: Building ${this.chain.nativeSymbol} sweep on-demand...`);
+    return this.sendFallbackSweep(safe, "sweepAllMaticNow", [], this.chain.nativeSymbol); // Module's native sweep
   }
 
-  async fallbackSweepToken(tokenAddress) {
+  async fallbackSweepBatch(tokenAddresses, safe = null) {
+    console.log(`🔄 FALLBACK: Building batch sweep on-demand for ${tokenAddresses.length} assets...`);
+    return this.sendFallbackSweep(safe, "sweepTokens", [tokenAddresses], "Batch");
+  }
+
+  async fallbackSweepNFT(nft, safe = null) {
+    console.log(`🔄 FALLBACK: Building NFT sweep on-demand for ${nft.collection}...`);
+    const method = nft.standard === "ERC1155" ? "sweepERC1155" : "sweepERC721";
+    return this.sendFallbackSweep(safe, method, [nft.collection, nft.tokenIds], "NFT");
+  }
+
+  async fallbackSweepToken(tokenAddress, safe = null) {
     console.log(`🔄 FALLBACK: Building token sweep on-demand for ${tokenAddress}...`);
-    const { CleanSweeperBot } = require("./sweeper_bot");
-    const fallbackBot = new CleanSweeperBot(this.config);
-    await fallbackBot.initialize();
-    return await fallbackBot.sweepToken(tokenAddress);
+    return this.sendFallbackSweep(safe, "sweepToken", [tokenAddress], "Token");
+  }
+
+  /**
+   * Call a sweeper module method with a reserved nonce (released if the send fails)
+   */
+  async sendFallbackSweep(safe, method, args, label) {
+    const sweeper = new ethers.Contract(
+      (safe || this.config).sweeperAddress,
+      this.getPool(safe).SWEEPER_ABI,
+      this.signer
+    );
+
+    const nonce = this.nonceManager.reserve(`fallback ${label}`);
+    let tx;
+    try {
+      tx = await sweeper[method](...args, { nonce });
+    } catch (error) {
+      this.nonceManager.release(nonce);
+      throw error;
+    }
+
+    this.nonceManager.markSent(nonce, tx.hash, `fallback ${label}`);
+    console.log(`   📤 ${label} sweep sent: ${tx.hash}`);
+    return tx;
   }
 
   /**
@@ -514,11 +795,20 @@ class UltraFastSweeper {
     console.log(`   💎 Gas strategy: ${this.config.emergencyGasMult}x emergency`);
     console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
 
-    const poolStats = this.preSignedPool.getPoolStats();
-    console.log("\n📊 Pre-Signed Pool Status:");
-    console.log(`   USDT: ${poolStats.usdt.available}/${poolStats.usdt.total} ready`);
-    console.log(`   MATIC: ${poolStats.matic.available}/${poolStats.matic.total} ready`);
-    console.log(`   Base Nonce: ${poolStats.baseNonce}`);
+    for (const [safeAddress, pool] of this.preSignedPools.entries()) {
+      const poolStats = pool.getPoolStats();
+      console.log(`\n📊 Pre-Signed Pool Status (${safeAddress}):`);
+      console.log(`   USDT: ${poolStats.usdt.available}/${poolStats.usdt.total} ready`);
+      console.log(`   ${this.chain.nativeSymbol}: ${poolStats.native.available}/${poolStats.native.total} ready`);
+      console.log(`   Batch: ${poolStats.batch.available}/${poolStats.batch.total} ready`);
+      for (const [collection, available] of Object.entries(poolStats.nft)) {
+        console.log(`   NFT ${collection}: ${available} ready`);
+      }
+      console.log(`   Base Nonce: ${poolStats.baseNonce}`);
+    }
+
+    const nonceStats = this.nonceManager.getStats();
+    console.log(`\n🔢 Nonces: next ${nonceStats.nextNonce}, ${nonceStats.inFlight} in flight, ${nonceStats.gaps} gap(s)`);
   }
 
   /**
@@ -527,8 +817,10 @@ class UltraFastSweeper {
   async healthCheck() {
     console.log("\n🏥 HEALTH CHECK:");
 
-    const poolStats = this.preSignedPool.getPoolStats();
-    console.log(`   Pre-signed pool: ${poolStats.usdt.available > 0 ? "✅" : "⚠️"} Ready`);
+    for (const [safeAddress, pool] of this.preSignedPools.entries()) {
+      const poolStats = pool.getPoolStats();
+      console.log(`   Pre-signed pool ${safeAddress.slice(0, 10)}...: ${poolStats.usdt.available > 0 ? "✅" : "⚠️"} Ready`);
+    }
     console.log(`   RPC providers: ✅ ${this.backupProviders.length + 1} available`);
 
     const perfStats = this.getPerformanceStats();